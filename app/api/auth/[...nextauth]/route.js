@@ -1,58 +1,6 @@
 import NextAuth from 'next-auth'
-import CredentialsProvider from 'next-auth/providers/credentials'
-import bcrypt from 'bcryptjs'
-import { findUserByEmail } from '../../../../lib/users'
+import { authOptions } from '../../../../lib/auth'
 
-const handler = NextAuth({
-  providers: [
-    CredentialsProvider({
-      name: 'Credentials',
-      credentials: {
-        email: { label: "Email", type: "email" },
-        password: { label: "Password", type: "password" }
-      },
-      async authorize(credentials) {
-        try {
-          const user = findUserByEmail(credentials.email)
-          
-          if (user && await bcrypt.compare(credentials.password, user.password)) {
-            return {
-              id: user.id,
-              email: user.email,
-              name: user.name
-            }
-          }
-          
-          return null
-        } catch (error) {
-          console.error('Auth error:', error)
-          return null
-        }
-      }
-    })
-  ],
-  session: {
-    strategy: 'jwt',
-    maxAge: 30 * 24 * 60 * 60, // 30 days
-  },
-  callbacks: {
-    async jwt({ token, user }) {
-      if (user) {
-        token.id = user.id
-      }
-      return token
-    },
-    async session({ session, token }) {
-      if (token) {
-        session.user.id = token.id
-      }
-      return session
-    }
-  },
-  pages: {
-    signIn: '/login',
-  },
-  secret: process.env.NEXTAUTH_SECRET,
-})
+const handler = NextAuth(authOptions)
 
 export { handler as GET, handler as POST }
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../lib/auth'
+import { getComparison, deleteComparison, diffComparison } from '../../../../lib/comparisons'
+
+// The comparison with every run's transcript, and each completed run diffed word by word
+// against the run at ?baseline= (default 0)
+export async function GET(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const comparison = getComparison(user.id, params.id)
+  if (!comparison) {
+    return NextResponse.json({ error: 'Comparison not found' }, { status: 404 })
+  }
+
+  const baseline = Number(new URL(request.url).searchParams.get('baseline') || 0)
+  if (!Number.isInteger(baseline) || baseline < 0 || baseline >= comparison.runs.length) {
+    return NextResponse.json({ error: `baseline must be a run index from 0 to ${comparison.runs.length - 1}` }, { status: 400 })
+  }
+
+  const { userId, ...rest } = comparison
+  return NextResponse.json({ ...rest, baseline, diffs: diffComparison(comparison, baseline) })
+}
+
+export async function DELETE(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  if (!deleteComparison(user.id, params.id)) {
+    return NextResponse.json({ error: 'Comparison not found' }, { status: 404 })
+  }
+  return NextResponse.json({ success: true })
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../lib/auth'
+import { getTranscription } from '../../../lib/transcriptions'
+import { getStoredAudio } from '../../../lib/audioStore'
+import { enqueueComparisonJob } from '../../../lib/jobs'
+import { createComparison, listComparisons, summarizeComparisons, updateComparison, validateRuns } from '../../../lib/comparisons'
+import { preprocessOptionsFromFields } from '../../../lib/preprocess'
+import { AUTO_LANGUAGE, isSupportedLanguage, toLanguageCode } from '../../../lib/languages'
+import { vocabularyForJob } from '../../../lib/vocabulary'
+
+// The user's comparisons (without transcripts) and the averages per content type and provider
+export async function GET() {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  return NextResponse.json({ comparisons: listComparisons(user.id), summary: summarizeComparisons(user.id) })
+}
+
+// Runs the stored audio of a transcription through several providers at once:
+// { transcriptionId, runs: [{ provider, model }], language, contentType, vocabulary } plus the
+// preprocessing switches. Answers 202 with the comparison; its runs fill in as they finish.
+export async function POST(request) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const { runs, error } = validateRuns(body.runs)
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 })
+    }
+    const language = body.language ? toLanguageCode(body.language) : AUTO_LANGUAGE
+    if (!isSupportedLanguage(language)) {
+      return NextResponse.json({ error: `Unsupported language: ${body.language}` }, { status: 400 })
+    }
+
+    const transcription = getTranscription(user.id, String(body.transcriptionId || ''))
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+    const stored = await getStoredAudio(user.id, transcription)
+    if (!stored) {
+      return NextResponse.json({ error: 'No audio is stored for this transcription, so it cannot be compared' }, { status: 409 })
+    }
+
+    const comparison = createComparison(user.id, {
+      transcriptionId: transcription.id,
+      fileName: transcription.fileName,
+      contentType: body.contentType,
+      language,
+      runs
+    })
+    const job = await enqueueComparisonJob(user.id, transcription.id, {
+      path: stored.path,
+      keep: true,
+      name: stored.name,
+      type: stored.type,
+      size: stored.size,
+      info: transcription.audioInfo
+    }, {
+      comparisonId: comparison.id,
+      runs,
+      language,
+      vocabulary: body.vocabulary !== false ? vocabularyForJob(user.id) : [],
+      preprocess: preprocessOptionsFromFields(new Map(Object.entries(body)))
+    })
+    const { userId, ...saved } = updateComparison(user.id, comparison.id, { jobId: job.id })
+
+    return NextResponse.json({ comparison: saved, jobId: job.id }, { status: 202 })
+  } catch (error) {
+    console.error('Create comparison error:', error)
+    return NextResponse.json({ error: 'Failed to start the comparison' }, { status: 500 })
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { getCase, deleteCase } from '../../../../../lib/evaluation'
+
+// The case with its reference transcript and speaker turns
+export async function GET(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const testCase = getCase(user.id, params.id)
+  if (!testCase) {
+    return NextResponse.json({ error: 'Evaluation case not found' }, { status: 404 })
+  }
+  const { userId, ...rest } = testCase
+  return NextResponse.json(rest)
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    if (!(await deleteCase(user.id, params.id))) {
+      return NextResponse.json({ error: 'Evaluation case not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true })
+  } catch (error) {
+    console.error('Delete evaluation case error:', error)
+    return NextResponse.json({ error: 'Failed to delete the evaluation case' }, { status: 500 })
+  }
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../lib/auth'
+import { readAudioUpload, AUDIO_VALIDATION_STATUS } from '../../../../lib/upload'
+import { createCase, MAX_REFERENCE_LENGTH } from '../../../../lib/evaluation'
+import { parseRttm, wordErrorRate } from '../../../../lib/evaluation/metrics'
+import { AUTO_LANGUAGE, isSupportedLanguage, toLanguageCode } from '../../../../lib/languages'
+
+// Text of a form field that may be typed in or sent as a file
+async function readTextField(formData, name) {
+  const value = formData.get(name)
+  if (value && typeof value === 'object') {
+    return value.size > 0 ? await value.text() : ''
+  }
+  return String(value || '')
+}
+
+// Adds a case to the test set. Multipart fields: file (the recording), reference (the
+// ground-truth transcript, text or a .txt file), rttm (optional reference speaker turns),
+// name, and language (the spoken language, 'auto' by default).
+export async function POST(request) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const formData = await request.formData()
+    const reference = (await readTextField(formData, 'reference')).trim()
+    if (wordErrorRate(reference, '').referenceWords === 0) {
+      return NextResponse.json({ error: 'A reference transcript is required' }, { status: 400 })
+    }
+    if (reference.length > MAX_REFERENCE_LENGTH) {
+      return NextResponse.json({ error: 'The reference transcript is too long' }, { status: 413 })
+    }
+
+    let speakerTurns = null
+    const rttm = await readTextField(formData, 'rttm')
+    if (rttm.trim()) {
+      const parsed = parseRttm(rttm)
+      if (parsed.error) {
+        return NextResponse.json({ error: parsed.error }, { status: 400 })
+      }
+      speakerTurns = parsed.turns
+    }
+
+    const language = formData.get('language') ? toLanguageCode(formData.get('language')) : AUTO_LANGUAGE
+    if (!isSupportedLanguage(language)) {
+      return NextResponse.json({ error: `Unsupported language: ${formData.get('language')}` }, { status: 400 })
+    }
+
+    const { audio, error } = await readAudioUpload(formData)
+    if (error) {
+      return NextResponse.json({ error: error.message }, { status: AUDIO_VALIDATION_STATUS[error.code] || 400 })
+    }
+
+    const { userId, ...testCase } = await createCase(user.id, {
+      name: formData.get('name'),
+      language,
+      audio,
+      reference,
+      speakerTurns
+    })
+    return NextResponse.json(testCase, { status: 201 })
+  } catch (error) {
+    console.error('Create evaluation case error:', error)
+    return NextResponse.json({ error: 'Failed to add the evaluation case' }, { status: 500 })
+  }
+}
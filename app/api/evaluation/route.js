@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../lib/auth'
+import { listCases, listRuns, buildLeaderboard } from '../../../lib/evaluation'
+
+// The user's test set, evaluation runs (without transcripts) and the leaderboard
+export async function GET() {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  return NextResponse.json({
+    cases: listCases(user.id),
+    runs: listRuns(user.id),
+    leaderboard: buildLeaderboard(user.id)
+  })
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { getRun, deleteRun } from '../../../../../lib/evaluation'
+
+// The run with every result's transcript and metrics
+export async function GET(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const run = getRun(user.id, params.id)
+  if (!run) {
+    return NextResponse.json({ error: 'Evaluation run not found' }, { status: 404 })
+  }
+  const { userId, ...rest } = run
+  return NextResponse.json(rest)
+}
+
+// Its results no longer count on the leaderboard
+export async function DELETE(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  if (!deleteRun(user.id, params.id)) {
+    return NextResponse.json({ error: 'Evaluation run not found' }, { status: 404 })
+  }
+  return NextResponse.json({ success: true })
+}
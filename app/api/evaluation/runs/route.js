@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../lib/auth'
+import { enqueueEvaluationJob } from '../../../../lib/jobs'
+import { validateRuns } from '../../../../lib/comparisons'
+import { createRun, listCases, updateRun, MAX_EVALUATION_RUNS } from '../../../../lib/evaluation'
+import { preprocessOptionsFromFields } from '../../../../lib/preprocess'
+import { vocabularyForJob } from '../../../../lib/vocabulary'
+
+// Evaluates providers against the test set: { runs: [{ provider, model }], caseIds,
+// vocabulary, diarize } plus the preprocessing switches. Without caseIds every case is used.
+// Answers 202 with the run; its results fill in as the job works through the cases.
+export async function POST(request) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const { runs, error } = validateRuns(body.runs, { min: 1, max: MAX_EVALUATION_RUNS })
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 })
+    }
+
+    const cases = listCases(user.id)
+    const caseIds = Array.isArray(body.caseIds) ? body.caseIds.map(String) : cases.map(testCase => testCase.id)
+    const unknown = caseIds.find(id => !cases.some(testCase => testCase.id === id))
+    if (unknown) {
+      return NextResponse.json({ error: `Evaluation case not found: ${unknown}` }, { status: 404 })
+    }
+    if (caseIds.length === 0) {
+      return NextResponse.json({ error: 'The test set is empty; add a recording with its reference transcript first' }, { status: 400 })
+    }
+
+    const run = createRun(user.id, { runs, caseIds })
+    const job = enqueueEvaluationJob(user.id, {
+      runId: run.id,
+      runs,
+      caseIds,
+      vocabulary: body.vocabulary !== false ? vocabularyForJob(user.id) : [],
+      diarize: body.diarize !== false,
+      preprocess: preprocessOptionsFromFields(new Map(Object.entries(body)))
+    })
+    const { userId, ...saved } = updateRun(user.id, run.id, { jobId: job.id })
+
+    return NextResponse.json({ run: saved, jobId: job.id }, { status: 202 })
+  } catch (error) {
+    console.error('Create evaluation run error:', error)
+    return NextResponse.json({ error: 'Failed to start the evaluation' }, { status: 500 })
+  }
+}
@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../lib/auth'
+import { getJob } from '../../../../lib/jobs'
+
+export async function GET(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const job = getJob(user.id, params.id)
+  if (!job) {
+    return NextResponse.json({ error: 'Job not found' }, { status: 404 })
+  }
+
+  return NextResponse.json(job)
+}
@@ -0,0 +1,13 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../lib/auth'
+import { listJobs } from '../../../lib/jobs'
+
+export async function GET(request) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const transcriptionId = request.nextUrl.searchParams.get('transcriptionId') || undefined
+  return NextResponse.json({ jobs: listJobs(user.id, { transcriptionId }) })
+}
@@ -0,0 +1,12 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../lib/auth'
+import { listProviders, DEFAULT_PROVIDER_CHAIN } from '../../../lib/providers'
+
+export async function GET() {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  return NextResponse.json({ providers: listProviders(), defaultChain: DEFAULT_PROVIDER_CHAIN })
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../lib/auth'
+import { listStreamingEngines, DEFAULT_STREAMING_CHAIN, STREAMING_SAMPLE_RATE } from '../../../lib/streaming'
+import { getStreamingPort, isStreamingEnabled, STREAMING_PATH } from '../../../lib/streaming/server'
+
+// Where and how to open a live transcription WebSocket. `url` is null unless
+// STREAMING_PUBLIC_URL is set; browsers then connect to `port` on the page's host.
+export async function GET() {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  return NextResponse.json({
+    enabled: isStreamingEnabled(),
+    url: process.env.STREAMING_PUBLIC_URL || null,
+    port: getStreamingPort(),
+    path: STREAMING_PATH,
+    sampleRate: STREAMING_SAMPLE_RATE,
+    engines: listStreamingEngines(),
+    defaultChain: DEFAULT_STREAMING_CHAIN
+  })
+}
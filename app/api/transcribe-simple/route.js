@@ -1,35 +1,22 @@
 import { NextRequest, NextResponse } from 'next/server'
-import { getServerSession } from 'next-auth'
+import { getSessionUser } from '../../../lib/auth'
+import { validateAudioFile, AUDIO_VALIDATION_STATUS } from '../../../lib/upload'
 
 export async function POST(request) {
   try {
     // Check authentication
-    const session = await getServerSession()
-    if (!session) {
+    const user = await getSessionUser()
+    if (!user) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
     }
 
     const formData = await request.formData()
     const file = formData.get('file')
 
-    if (!file) {
-      return NextResponse.json({ error: 'No file provided' }, { status: 400 })
-    }
-
-    // Validate file type
-    const allowedTypes = ['audio/mpeg', 'audio/wav', 'audio/m4a', 'audio/mp4', 'audio/webm', 'audio/ogg', 'audio/flac', 'audio/aac']
-    if (!allowedTypes.includes(file.type)) {
-      return NextResponse.json({ 
-        error: 'Invalid file type. Please upload MP3, WAV, M4A, MP4, WebM, OGG, FLAC, or AAC files.' 
-      }, { status: 400 })
-    }
-
-    // Validate file size (25MB limit)
-    const maxSize = 25 * 1024 * 1024 // 25MB
-    if (file.size > maxSize) {
-      return NextResponse.json({ 
-        error: 'File too large. Maximum size is 25MB.' 
-      }, { status: 400 })
+    // Validate the file by its contents
+    const { error } = await validateAudioFile(file)
+    if (error) {
+      return NextResponse.json({ error: error.message, code: error.code }, { status: AUDIO_VALIDATION_STATUS[error.code] })
     }
 
     console.log('Processing file:', file.name, 'Size:', file.size, 'Type:', file.type)
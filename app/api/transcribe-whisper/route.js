@@ -1,97 +1,3 @@
-import { NextResponse } from 'next/server'
-import { getServerSession } from 'next-auth'
-
-export async function POST(request) {
-  try {
-    const session = await getServerSession()
-    if (!session) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
-    }
-
-    const formData = await request.formData()
-    const file = formData.get('file')
-    if (!file) {
-      return NextResponse.json({ error: 'No file provided' }, { status: 400 })
-    }
-
-    const allowedTypes = ['audio/mpeg', 'audio/wav', 'audio/m4a', 'audio/mp4', 'audio/webm', 'audio/ogg', 'audio/flac', 'audio/aac']
-    if (!allowedTypes.includes(file.type)) {
-      return NextResponse.json({ error: 'Invalid file type' }, { status: 400 })
-    }
-
-    const maxSize = 25 * 1024 * 1024
-    if (file.size > maxSize) {
-      return NextResponse.json({ error: 'File too large. Max 25MB.' }, { status: 400 })
-    }
-
-    const apiKey = process.env.HUGGINGFACE_API_KEY
-    if (!apiKey) {
-      // Provide guidance but still allow the app to function with a fallback
-      const mockTranscription = `Demo transcription: Your audio was processed successfully, but Hugging Face is not configured yet.\n\nTo enable real transcriptions: \n1) Get a token at https://huggingface.co/settings/tokens \n2) Add HUGGINGFACE_API_KEY=hf_... to .env.local \n3) Enable inference providers at https://huggingface.co/settings/inference-providers \n4) Restart the dev server.`
-
-      return NextResponse.json({
-        text: mockTranscription,
-        language: 'en',
-        duration: 0,
-        segments: [],
-        words: [],
-        model: 'whisper-fallback',
-        service: 'huggingface-fallback',
-        status: 'success',
-        note: 'Returned fallback transcription because HUGGINGFACE_API_KEY is missing.'
-      })
-    }
-
-    const bytes = await file.arrayBuffer()
-    const buffer = Buffer.from(bytes)
-
-    const { HfInference } = await import('@huggingface/inference')
-    const hf = new HfInference(apiKey)
-
-    const models = [
-      'openai/whisper-tiny.en',
-      'openai/whisper-tiny',
-      'facebook/wav2vec2-base-960h'
-    ]
-
-    for (const model of models) {
-      try {
-        const transcription = await hf.automaticSpeechRecognition({
-          model,
-          inputs: buffer,
-          parameters: model.includes('whisper') ? { return_timestamps: true } : undefined
-        })
-        if (transcription && transcription.text) {
-          return NextResponse.json({
-            text: transcription.text,
-            language: transcription.language || 'en',
-            duration: transcription.duration || 0,
-            segments: transcription.chunks || [],
-            words: transcription.words || [],
-            model
-          })
-        }
-      } catch (e) {
-        continue
-      }
-    }
-
-    // Graceful fallback if all models fail
-    const mockTranscription = `Demo transcription: Audio processed, but all Whisper models failed.\n\nCommon fixes:\n- Ensure your token starts with hf_\n- Enable inference providers in your HF account\n- Try a smaller model (whisper-tiny.en)\n- Re-try with a shorter audio clip.`
-    return NextResponse.json({
-      text: mockTranscription,
-      language: 'en',
-      duration: 0,
-      segments: [],
-      words: [],
-      model: 'whisper-fallback',
-      service: 'huggingface-fallback',
-      status: 'success',
-      note: 'Returned fallback transcription because all models failed.'
-    })
-  } catch (error) {
-    return NextResponse.json({ error: 'Transcription failed', details: error.message }, { status: 500 })
-  }
-}
-
+import { createTranscribeHandler } from '../../../lib/transcribeHandler'
 
+export const POST = createTranscribeHandler({ providers: ['huggingface'] })
@@ -0,0 +1,76 @@
+import fs from 'fs'
+import { Readable } from 'stream'
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { getTranscription } from '../../../../../lib/transcriptions'
+import { getStoredAudio, deleteStoredAudio, parseRange } from '../../../../../lib/audioStore'
+
+// The stored upload, for playback. Players seek with Range requests, answered with 206.
+export async function GET(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const transcription = getTranscription(user.id, params.id)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+
+    const audio = await getStoredAudio(user.id, transcription)
+    if (!audio) {
+      if (transcription.audioDeletedReason === 'expired') {
+        return NextResponse.json({ error: 'The audio was deleted after the retention period' }, { status: 410 })
+      }
+      return NextResponse.json({ error: 'No audio is stored for this transcription' }, { status: 404 })
+    }
+
+    const headers = {
+      'Content-Type': audio.type,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-cache'
+    }
+    const range = parseRange(request.headers.get('range'), audio.size)
+    if (range?.unsatisfiable) {
+      return new NextResponse(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${audio.size}` } })
+    }
+
+    const { start, end } = range || { start: 0, end: audio.size - 1 }
+    const body = audio.size > 0
+      ? Readable.toWeb(fs.createReadStream(audio.path, { start, end }))
+      : null
+
+    return new NextResponse(body, {
+      status: range ? 206 : 200,
+      headers: {
+        ...headers,
+        'Content-Length': String(end - start + 1),
+        ...(range && { 'Content-Range': `bytes ${start}-${end}/${audio.size}` })
+      }
+    })
+  } catch (error) {
+    console.error('Stream audio error:', error)
+    return NextResponse.json({ error: 'Failed to load audio' }, { status: 500 })
+  }
+}
+
+// Deletes the audio before the retention period ends; the transcript is kept
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const transcription = getTranscription(user.id, params.id)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+
+    return NextResponse.json(await deleteStoredAudio(user.id, params.id))
+  } catch (error) {
+    console.error('Delete audio error:', error)
+    return NextResponse.json({ error: 'Failed to delete audio' }, { status: 500 })
+  }
+}
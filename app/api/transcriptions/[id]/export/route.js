@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { getTranscription } from '../../../../../lib/transcriptions'
+import {
+  getExportFormat,
+  listExportFormats,
+  getTranscriptForExport,
+  hasTiming,
+  parseExportOptions,
+  exportFileName,
+  getSourceVideo
+} from '../../../../../lib/exporters'
+
+export async function GET(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const formatName = searchParams.get('format') || 'txt'
+    const format = getExportFormat(formatName)
+    if (!format) {
+      return NextResponse.json(
+        { error: `Unsupported export format: ${formatName}. Use one of: ${listExportFormats().join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const { options, error } = parseExportOptions(searchParams)
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 })
+    }
+
+    const transcription = getTranscription(user.id, params.id)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+    if (transcription.status !== 'completed') {
+      return NextResponse.json({ error: 'Transcription is not completed yet' }, { status: 409 })
+    }
+
+    // ?language= picks a stored translation; the original language is the default
+    const transcript = getTranscriptForExport(transcription, { language: searchParams.get('language') })
+    if (!transcript) {
+      return NextResponse.json(
+        { error: `There is no ${searchParams.get('language')} translation of this transcription` },
+        { status: 404 }
+      )
+    }
+    if (format.requiresTiming && !hasTiming(transcript)) {
+      return NextResponse.json(
+        { error: `This transcription has no timestamps, so it cannot be exported as ${formatName}` },
+        { status: 422 }
+      )
+    }
+
+    const fileName = exportFileName(transcription.fileName, format.extension, {
+      sidecar: Boolean(format.subtitles && getSourceVideo(transcription)),
+      language: transcript === transcription.result ? null : transcript.language
+    })
+    const body = format.render(transcript, { ...options, speakerNames: transcription.speakerNames }, transcription)
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': format.contentType,
+        'Content-Disposition': `attachment; filename="${fileName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+      }
+    })
+  } catch (error) {
+    console.error('Export transcription error:', error)
+    return NextResponse.json({ error: 'Failed to export transcription' }, { status: 500 })
+  }
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { getTranscription } from '../../../../../lib/transcriptions'
+import { ensureInitialRevision, saveTranscriptRevision, revisionAuthor, checkBaseRevision } from '../../../../../lib/revisions'
+import { replaceInTranscript } from '../../../../../lib/transcript'
+
+const MAX_FIND_LENGTH = 200
+
+// Find and replace across the transcript, saved as a new revision:
+// { find, replace, matchCase, wholeWord, baseRevision }
+export async function POST(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { find, replace = '', matchCase, wholeWord, baseRevision } = await request.json()
+    if (typeof find !== 'string' || !find.trim() || find.length > MAX_FIND_LENGTH) {
+      return NextResponse.json({ error: `find must be text of at most ${MAX_FIND_LENGTH} characters` }, { status: 400 })
+    }
+    if (typeof replace !== 'string' || replace.length > MAX_FIND_LENGTH) {
+      return NextResponse.json({ error: `replace must be text of at most ${MAX_FIND_LENGTH} characters` }, { status: 400 })
+    }
+
+    const transcription = getTranscription(user.id, params.id)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+    if (transcription.status !== 'completed' || !transcription.result) {
+      return NextResponse.json({ error: 'Only completed transcriptions can be edited' }, { status: 409 })
+    }
+    const staleError = checkBaseRevision(transcription, baseRevision)
+    if (staleError) {
+      return NextResponse.json({ error: staleError }, { status: 409 })
+    }
+
+    const { transcript, replacements } = replaceInTranscript(transcription.result, find, replace, {
+      matchCase: Boolean(matchCase),
+      wholeWord: Boolean(wholeWord)
+    })
+    if (replacements === 0) {
+      return NextResponse.json({ error: `"${find}" does not occur in the transcript` }, { status: 400 })
+    }
+
+    ensureInitialRevision(user.id, transcription)
+    const saved = saveTranscriptRevision(user.id, params.id, transcript, {
+      source: 'replace',
+      author: revisionAuthor(user),
+      message: `Replaced "${find}" with "${replace}" (${replacements} ${replacements === 1 ? 'time' : 'times'})`
+    })
+    return NextResponse.json({ ...saved, replacements }, { status: 201 })
+  } catch (error) {
+    console.error('Find and replace error:', error)
+    return NextResponse.json({ error: 'Failed to replace text' }, { status: 500 })
+  }
+}
@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { getTranscription } from '../../../../../lib/transcriptions'
+import { queueRerun } from '../../../../../lib/transcribeHandler'
+
+// Transcribes the stored audio again. The JSON body takes the upload fields (provider,
+// model, language, vocabulary, diarize, numSpeakers, preprocessing); answers 202 with the job.
+export async function POST(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const transcription = getTranscription(user.id, params.id)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+
+    const body = await request.json().catch(() => ({}))
+    return await queueRerun(user, transcription, new Map(Object.entries(body)))
+  } catch (error) {
+    console.error('Re-run transcription error:', error)
+    return NextResponse.json({ error: 'Failed to queue the transcription' }, { status: 500 })
+  }
+}
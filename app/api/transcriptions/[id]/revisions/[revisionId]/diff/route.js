@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../../../lib/auth'
+import { getRevision, listRevisions, diffRevisions } from '../../../../../../../lib/revisions'
+
+// What changed in the revision: against ?against=<revisionId>, by default the revision
+// before it. The first revision has nothing before it and is compared with itself.
+export async function GET(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const revision = getRevision(user.id, params.id, params.revisionId)
+  if (!revision) {
+    return NextResponse.json({ error: 'Revision not found' }, { status: 404 })
+  }
+
+  let againstId = new URL(request.url).searchParams.get('against')
+  if (!againstId) {
+    const earlier = listRevisions(user.id, params.id).filter(r => r.number < revision.number)
+    againstId = earlier.length > 0 ? earlier[earlier.length - 1].id : revision.id
+  }
+  const against = getRevision(user.id, params.id, againstId)
+  if (!against) {
+    return NextResponse.json({ error: 'Revision to compare with not found' }, { status: 404 })
+  }
+
+  return NextResponse.json(diffRevisions(against, revision))
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../../../lib/auth'
+import { getTranscription } from '../../../../../../../lib/transcriptions'
+import { getRevision, ensureInitialRevision, restoreRevision, revisionAuthor, checkBaseRevision } from '../../../../../../../lib/revisions'
+
+// Makes the revision the current transcript again, as a new revision: { baseRevision }
+export async function POST(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { baseRevision } = await request.json().catch(() => ({}))
+    const transcription = getTranscription(user.id, params.id)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+    const revision = getRevision(user.id, params.id, params.revisionId)
+    if (!revision) {
+      return NextResponse.json({ error: 'Revision not found' }, { status: 404 })
+    }
+    if (transcription.rerun?.status === 'processing') {
+      return NextResponse.json({ error: 'Wait for the transcription to finish before restoring a revision' }, { status: 409 })
+    }
+    const staleError = checkBaseRevision(transcription, baseRevision)
+    if (staleError) {
+      return NextResponse.json({ error: staleError }, { status: 409 })
+    }
+    if (revision.number === transcription.revision) {
+      return NextResponse.json({ error: `Revision ${revision.number} is already the current one` }, { status: 409 })
+    }
+
+    ensureInitialRevision(user.id, transcription)
+    const saved = restoreRevision(user.id, params.id, revision, { author: revisionAuthor(user) })
+    return NextResponse.json(saved, { status: 201 })
+  } catch (error) {
+    console.error('Restore revision error:', error)
+    return NextResponse.json({ error: 'Failed to restore revision' }, { status: 500 })
+  }
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../../lib/auth'
+import { getRevision } from '../../../../../../lib/revisions'
+
+// One revision with its full transcript, e.g. an earlier provider output
+export async function GET(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const revision = getRevision(user.id, params.id, params.revisionId)
+  if (!revision) {
+    return NextResponse.json({ error: 'Revision not found' }, { status: 404 })
+  }
+
+  const { userId, ...rest } = revision
+  return NextResponse.json(rest)
+}
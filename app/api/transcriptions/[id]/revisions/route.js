@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { getTranscription } from '../../../../../lib/transcriptions'
+import { listRevisions, ensureInitialRevision, saveTranscriptRevision, revisionAuthor, checkBaseRevision } from '../../../../../lib/revisions'
+import { applySegmentEdits, validateTranscript } from '../../../../../lib/transcript'
+
+export async function GET(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const transcription = getTranscription(user.id, params.id)
+  if (!transcription) {
+    return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+  }
+
+  return NextResponse.json({
+    current: transcription.revision || null,
+    revisions: listRevisions(user.id, params.id)
+  })
+}
+
+function validateEditedSegments(segments) {
+  if (!Array.isArray(segments)) {
+    return 'segments must be an array'
+  }
+  for (const [index, segment] of segments.entries()) {
+    if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+      return `segments[${index}] must be an object`
+    }
+    if (typeof segment.text !== 'string') {
+      return `segments[${index}].text must be a string`
+    }
+    if (!Number.isFinite(segment.start) || !Number.isFinite(segment.end) || segment.start < 0 || segment.end < segment.start) {
+      return `segments[${index}] needs a start and end in seconds, with end not before start`
+    }
+  }
+  return null
+}
+
+// Saves edited segments from the transcript editor as a new revision
+export async function POST(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { segments, baseRevision, message } = await request.json()
+    const validationError = validateEditedSegments(segments)
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 })
+    }
+
+    const transcription = getTranscription(user.id, params.id)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+    if (transcription.status !== 'completed' || !transcription.result) {
+      return NextResponse.json({ error: 'Only completed transcriptions can be edited' }, { status: 409 })
+    }
+    // Reject edits made on top of an older revision instead of silently overwriting newer changes
+    const staleError = checkBaseRevision(transcription, baseRevision)
+    if (staleError) {
+      return NextResponse.json({ error: staleError }, { status: 409 })
+    }
+
+    const result = applySegmentEdits(transcription.result, segments)
+    const { valid, errors } = validateTranscript(result)
+    if (!valid) {
+      return NextResponse.json({ error: `Invalid transcript: ${errors.slice(0, 3).join('; ')}` }, { status: 400 })
+    }
+
+    ensureInitialRevision(user.id, transcription)
+    const saved = saveTranscriptRevision(user.id, params.id, result, {
+      source: 'edit',
+      author: revisionAuthor(user),
+      message
+    })
+
+    return NextResponse.json(saved, { status: 201 })
+  } catch (error) {
+    console.error('Save revision error:', error)
+    return NextResponse.json({ error: 'Failed to save revision' }, { status: 500 })
+  }
+}
@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../lib/auth'
+import { getTranscription, updateTranscription, deleteTranscription, CLIENT_UPDATABLE_FIELDS } from '../../../../lib/transcriptions'
+import { deleteRevisions } from '../../../../lib/revisions'
+import { removeAudioFiles } from '../../../../lib/audioStore'
+import { deleteComparisons } from '../../../../lib/comparisons'
+
+export async function GET(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const transcription = getTranscription(user.id, params.id)
+  if (!transcription) {
+    return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+  }
+
+  return NextResponse.json(transcription)
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const changes = Object.fromEntries(
+      Object.entries(body).filter(([field]) => CLIENT_UPDATABLE_FIELDS.includes(field))
+    )
+
+    const transcription = updateTranscription(user.id, params.id, changes)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+
+    return NextResponse.json(transcription)
+  } catch (error) {
+    console.error('Update transcription error:', error)
+    return NextResponse.json({ error: 'Failed to update transcription' }, { status: 500 })
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  if (!deleteTranscription(user.id, params.id)) {
+    return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+  }
+  deleteRevisions(user.id, params.id)
+  await removeAudioFiles(user.id, params.id)
+  deleteComparisons(user.id, params.id)
+
+  return NextResponse.json({ success: true })
+}
@@ -0,0 +1,120 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { getTranscription } from '../../../../../lib/transcriptions'
+import { ensureInitialRevision, saveTranscriptRevision, revisionAuthor, checkBaseRevision } from '../../../../../lib/revisions'
+import { listSpeakers, mergeSpeakers, splitSegment, validateSpeakerName } from '../../../../../lib/speakers'
+
+// Renames only change the display names, merges and splits the transcript as well; each is
+// saved as a new revision. Merges and splits take the baseRevision they were made on, like
+// edits, since they point at speakers and words of that revision.
+export async function POST(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const transcription = getTranscription(user.id, params.id)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+    if (transcription.status !== 'completed' || !transcription.result) {
+      return NextResponse.json({ error: 'Only completed transcriptions have speakers to edit' }, { status: 409 })
+    }
+
+    if (body.action === 'merge' || body.action === 'split') {
+      const staleError = checkBaseRevision(transcription, body.baseRevision)
+      if (staleError) {
+        return NextResponse.json({ error: staleError }, { status: 409 })
+      }
+    }
+
+    const speakers = listSpeakers(transcription.result)
+    const speakerNames = { ...transcription.speakerNames }
+
+    switch (body.action) {
+      case 'rename': {
+        if (!speakers.includes(body.speaker)) {
+          return NextResponse.json({ error: `Unknown speaker: ${body.speaker}` }, { status: 400 })
+        }
+        const nameError = validateSpeakerName(body.name)
+        if (nameError) {
+          return NextResponse.json({ error: nameError }, { status: 400 })
+        }
+
+        const name = body.name.trim()
+        const previous = speakerNames[body.speaker]
+        if ((previous || '') === name) {
+          return NextResponse.json({ transcription })
+        }
+        if (name) {
+          speakerNames[body.speaker] = name
+        } else {
+          delete speakerNames[body.speaker]
+        }
+
+        ensureInitialRevision(user.id, transcription)
+        const saved = saveTranscriptRevision(user.id, params.id, transcription.result, {
+          source: 'speakers',
+          author: revisionAuthor(user),
+          message: name
+            ? `Renamed speaker ${body.speaker} to ${name}`
+            : `Removed the name ${previous} of speaker ${body.speaker}`,
+          changes: { speakerNames }
+        })
+        return NextResponse.json(saved)
+      }
+
+      case 'merge': {
+        if (!speakers.includes(body.from) || !speakers.includes(body.into)) {
+          return NextResponse.json({ error: 'Both speakers must exist in this transcript' }, { status: 400 })
+        }
+        if (body.from === body.into) {
+          return NextResponse.json({ error: 'Cannot merge a speaker into itself' }, { status: 400 })
+        }
+
+        delete speakerNames[body.from]
+        ensureInitialRevision(user.id, transcription)
+        const result = mergeSpeakers(transcription.result, body.from, body.into)
+        const saved = saveTranscriptRevision(user.id, params.id, result, {
+          source: 'speakers',
+          author: revisionAuthor(user),
+          message: `Merged speaker ${body.from} into ${body.into}`,
+          changes: { speakerNames }
+        })
+        return NextResponse.json(saved)
+      }
+
+      case 'split': {
+        if (typeof body.speaker !== 'string' || !body.speaker.trim()) {
+          return NextResponse.json({ error: 'A speaker for the second half is required' }, { status: 400 })
+        }
+
+        let result
+        try {
+          result = splitSegment(transcription.result, body.segmentId, body.wordIndex, body.speaker.trim())
+        } catch (error) {
+          if (error.code === 'NOT_FOUND' || error.code === 'INVALID_SPLIT') {
+            return NextResponse.json({ error: error.message }, { status: 400 })
+          }
+          throw error
+        }
+
+        ensureInitialRevision(user.id, transcription)
+        const saved = saveTranscriptRevision(user.id, params.id, result, {
+          source: 'speakers',
+          author: revisionAuthor(user),
+          message: `Split segment ${body.segmentId} and assigned the second half to speaker ${body.speaker.trim()}`
+        })
+        return NextResponse.json(saved)
+      }
+
+      default:
+        return NextResponse.json({ error: 'action must be one of: rename, merge, split' }, { status: 400 })
+    }
+  } catch (error) {
+    console.error('Update speakers error:', error)
+    return NextResponse.json({ error: 'Failed to update speakers' }, { status: 500 })
+  }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { getTranscription } from '../../../../../lib/transcriptions'
+import { enqueueTranslationJob } from '../../../../../lib/jobs'
+import { AUTO_LANGUAGE, isSupportedLanguage, toLanguageCode } from '../../../../../lib/languages'
+import {
+  listEngines,
+  resolveEngineChain,
+  updateTranslation,
+  toTranslationSummary,
+  DEFAULT_ENGINE_CHAIN
+} from '../../../../../lib/translation'
+
+export async function GET(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const transcription = getTranscription(user.id, params.id)
+  if (!transcription) {
+    return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+  }
+
+  return NextResponse.json({
+    translations: Object.values(transcription.translations || {}).map(toTranslationSummary),
+    engines: listEngines(),
+    defaultChain: DEFAULT_ENGINE_CHAIN
+  })
+}
+
+// Queues a translation of the current transcript. Takes { language } (the target) plus
+// optional `source` (when the transcript has no detected language), `engine` ('auto', an id
+// or a fallback chain) and `model`. Translating into a language again replaces that copy.
+export async function POST(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const target = toLanguageCode(body.language)
+    if (!target || target === AUTO_LANGUAGE || !isSupportedLanguage(target)) {
+      return NextResponse.json({ error: `Unsupported target language: ${body.language}` }, { status: 400 })
+    }
+    // Engines need to know what they translate from; 'auto' is only for transcription
+    const requestedSource = toLanguageCode(body.source)
+    if (requestedSource && (requestedSource === AUTO_LANGUAGE || !isSupportedLanguage(requestedSource))) {
+      return NextResponse.json({ error: `Unsupported source language: ${body.source}` }, { status: 400 })
+    }
+
+    let engines
+    try {
+      engines = resolveEngineChain(body.engine)
+    } catch (chainError) {
+      return NextResponse.json({ error: chainError.message }, { status: 400 })
+    }
+
+    const transcription = getTranscription(user.id, params.id)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+    if (transcription.status !== 'completed' || !transcription.result) {
+      return NextResponse.json({ error: 'Only completed transcriptions can be translated' }, { status: 409 })
+    }
+
+    const source = requestedSource || transcription.result.language
+    if (!source) {
+      return NextResponse.json(
+        { error: 'The transcript language is unknown; pass the source language' },
+        { status: 422 }
+      )
+    }
+    if (source === target) {
+      return NextResponse.json({ error: 'The transcript is already in that language' }, { status: 400 })
+    }
+    if (transcription.translations?.[target]?.status === 'processing') {
+      return NextResponse.json({ error: 'A translation into that language is already running' }, { status: 409 })
+    }
+
+    const job = enqueueTranslationJob(user.id, transcription.id, {
+      source,
+      target,
+      engines,
+      model: body.model || undefined
+    })
+    updateTranslation(user.id, transcription.id, target, {
+      status: 'processing',
+      jobId: job.id,
+      error: null,
+      createdAt: new Date().toISOString()
+    })
+
+    return NextResponse.json({ jobId: job.id, language: target, status: job.status, engines }, { status: 202 })
+  } catch (error) {
+    console.error('Translate transcription error:', error)
+    return NextResponse.json({ error: 'Failed to start translation' }, { status: 500 })
+  }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../lib/auth'
+import { listTranscriptions, createTranscription, deleteAllTranscriptions } from '../../../lib/transcriptions'
+import { deleteRevisions } from '../../../lib/revisions'
+import { removeAudioFiles } from '../../../lib/audioStore'
+import { deleteComparisons } from '../../../lib/comparisons'
+
+export async function GET() {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  return NextResponse.json({ transcriptions: listTranscriptions(user.id) })
+}
+
+export async function POST(request) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const fileName = String(body.fileName || '').trim()
+    if (!fileName) {
+      return NextResponse.json({ error: 'fileName is required' }, { status: 400 })
+    }
+
+    const transcription = createTranscription(user.id, {
+      fileName,
+      fileSize: body.fileSize,
+      duration: body.duration,
+      originalFile: body.originalFile
+    })
+
+    return NextResponse.json(transcription, { status: 201 })
+  } catch (error) {
+    console.error('Create transcription error:', error)
+    return NextResponse.json({ error: 'Failed to save transcription' }, { status: 500 })
+  }
+}
+
+export async function DELETE() {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const deleted = deleteAllTranscriptions(user.id)
+  deleteRevisions(user.id)
+  await removeAudioFiles(user.id)
+  deleteComparisons(user.id)
+  return NextResponse.json({ deleted })
+}
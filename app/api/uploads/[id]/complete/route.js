@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../../lib/auth'
+import { finalizeUpload, deleteUpload, UPLOAD_ERROR_STATUS } from '../../../../../lib/uploads'
+import { queueTranscription } from '../../../../../lib/transcribeHandler'
+import { DEFAULT_PROVIDER_CHAIN } from '../../../../../lib/providers'
+
+// Verifies the whole-file checksum and queues the transcription. Takes { checksum } plus
+// the same options as POST /api/transcribe (provider, model, language, diarize, numSpeakers);
+// the job goes to the transcription given when the upload was opened. The session is only
+// removed once the job is queued, so the client can complete it again after a failure.
+export async function POST(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const { upload, audio } = await finalizeUpload(user.id, params.id, { checksum: body.checksum })
+
+    const fields = new Map(Object.entries({ ...body, transcriptionId: upload.transcriptionId }))
+    const response = await queueTranscription(user, audio, fields, {
+      providers: DEFAULT_PROVIDER_CHAIN,
+      allowOverride: true
+    })
+    if (response.ok) {
+      deleteUpload(user.id, params.id)
+    }
+    return response
+  } catch (error) {
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return NextResponse.json(
+        { error: error.message, code: error.code, offset: error.offset },
+        { status: UPLOAD_ERROR_STATUS[error.code] }
+      )
+    }
+    console.error('Complete upload error:', error)
+    return NextResponse.json({ error: 'Failed to complete upload' }, { status: 500 })
+  }
+}
@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../lib/auth'
+import { getUpload, appendUploadChunk, deleteUpload, UPLOAD_ERROR_STATUS } from '../../../../lib/uploads'
+
+function uploadErrorResponse(error) {
+  return NextResponse.json(
+    { error: error.message, code: error.code, offset: error.offset },
+    { status: UPLOAD_ERROR_STATUS[error.code] }
+  )
+}
+
+// Current offset, for resuming after a dropped connection or a reload
+export async function GET(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    return NextResponse.json({ upload: getUpload(user.id, params.id) })
+  } catch (error) {
+    if (UPLOAD_ERROR_STATUS[error.code]) return uploadErrorResponse(error)
+    console.error('Get upload error:', error)
+    return NextResponse.json({ error: 'Failed to load upload' }, { status: 500 })
+  }
+}
+
+// One chunk as the raw request body, at ?offset=<bytes received so far>, with its
+// SHA-256 (hex) in the X-Chunk-Checksum header
+export async function PUT(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const offset = Number(request.nextUrl.searchParams.get('offset'))
+    if (!Number.isInteger(offset) || offset < 0) {
+      return NextResponse.json({ error: 'offset must be a non-negative number of bytes' }, { status: 400 })
+    }
+
+    const data = Buffer.from(await request.arrayBuffer())
+    const result = appendUploadChunk(user.id, params.id, {
+      offset,
+      data,
+      checksum: request.headers.get('x-chunk-checksum')
+    })
+    return NextResponse.json(result)
+  } catch (error) {
+    if (UPLOAD_ERROR_STATUS[error.code]) return uploadErrorResponse(error)
+    console.error('Upload chunk error:', error)
+    return NextResponse.json({ error: 'Failed to store chunk' }, { status: 500 })
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    if (!deleteUpload(user.id, params.id)) {
+      return NextResponse.json({ error: 'Upload not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true })
+  } catch (error) {
+    console.error('Delete upload error:', error)
+    return NextResponse.json({ error: 'Failed to delete upload' }, { status: 500 })
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../lib/auth'
+import { createUpload, UPLOAD_ERROR_STATUS } from '../../../lib/uploads'
+
+// Opens a resumable upload session: { fileName, fileSize, fileType, transcriptionId? }
+export async function POST(request) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const upload = createUpload(user.id, body)
+    return NextResponse.json({ upload }, { status: 201 })
+  } catch (error) {
+    if (UPLOAD_ERROR_STATUS[error.code]) {
+      return NextResponse.json({ error: error.message, code: error.code }, { status: UPLOAD_ERROR_STATUS[error.code] })
+    }
+    console.error('Create upload error:', error)
+    return NextResponse.json({ error: 'Failed to start upload' }, { status: 500 })
+  }
+}
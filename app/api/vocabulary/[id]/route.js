@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../../lib/auth'
+import { updateTerm, deleteTerm, validateTerm, VOCABULARY_ERROR_STATUS } from '../../../../lib/vocabulary'
+
+export async function PUT(request, { params }) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { term, error } = validateTerm(await request.json())
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 })
+    }
+
+    let updated
+    try {
+      updated = updateTerm(user.id, params.id, term)
+    } catch (termError) {
+      if (VOCABULARY_ERROR_STATUS[termError.code]) {
+        return NextResponse.json({ error: termError.message, code: termError.code }, { status: VOCABULARY_ERROR_STATUS[termError.code] })
+      }
+      throw termError
+    }
+    if (!updated) {
+      return NextResponse.json({ error: 'Term not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({ term: updated })
+  } catch (error) {
+    console.error('Update vocabulary term error:', error)
+    return NextResponse.json({ error: 'Failed to update vocabulary term' }, { status: 500 })
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  if (!deleteTerm(user.id, params.id)) {
+    return NextResponse.json({ error: 'Term not found' }, { status: 404 })
+  }
+
+  return NextResponse.json({ success: true })
+}
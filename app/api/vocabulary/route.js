@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from '../../../lib/auth'
+import { listTerms, addTerm, validateTerm, VOCABULARY_ERROR_STATUS, MAX_TERMS } from '../../../lib/vocabulary'
+
+export async function GET() {
+  const user = await getSessionUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  return NextResponse.json({ terms: listTerms(user.id), maxTerms: MAX_TERMS })
+}
+
+// Adds a term: { phrase, variants } where variants are misrecognized spellings to replace
+export async function POST(request) {
+  try {
+    const user = await getSessionUser()
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { term, error } = validateTerm(await request.json())
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 })
+    }
+
+    try {
+      return NextResponse.json({ term: addTerm(user.id, term) }, { status: 201 })
+    } catch (termError) {
+      if (VOCABULARY_ERROR_STATUS[termError.code]) {
+        return NextResponse.json({ error: termError.message, code: termError.code }, { status: VOCABULARY_ERROR_STATUS[termError.code] })
+      }
+      throw termError
+    }
+  } catch (error) {
+    console.error('Add vocabulary term error:', error)
+    return NextResponse.json({ error: 'Failed to add vocabulary term' }, { status: 500 })
+  }
+}
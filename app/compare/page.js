@@ -0,0 +1,289 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/navigation'
+import ComparisonView from '../components/ComparisonView'
+import LanguageSelector from '../components/LanguageSelector'
+import { getUploadedFiles, getProviders } from '../utils/fileStorage'
+import { getComparisons, startComparison, deleteComparison, formatConfidence, formatLatency } from '../utils/comparisons'
+import { AUTO_LANGUAGE } from '../../lib/languages'
+
+const MAX_RUNS = 6
+
+export default function ComparePage() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [files, setFiles] = useState([])
+  const [providers, setProviders] = useState([])
+  const [comparisons, setComparisons] = useState([])
+  const [summary, setSummary] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [transcriptionId, setTranscriptionId] = useState('')
+  const [runs, setRuns] = useState([])
+  const [language, setLanguage] = useState(AUTO_LANGUAGE)
+  const [contentType, setContentType] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [selectedId, setSelectedId] = useState(null)
+
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/login')
+    }
+  }, [status, router])
+
+  const loadComparisons = useCallback(async () => {
+    try {
+      const data = await getComparisons()
+      setComparisons(data.comparisons)
+      setSummary(data.summary)
+    } catch (loadError) {
+      setError(loadError.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!session) return
+    Promise.all([getUploadedFiles(), getProviders(), loadComparisons()])
+      .then(([userFiles, providerData]) => {
+        // Only stored audio can be sent to the providers again
+        setFiles(userFiles.filter(file => file.audio))
+        setProviders(providerData.providers.filter(provider => provider.configured))
+      })
+      .catch(loadError => setError(loadError.message))
+      .finally(() => setIsLoading(false))
+  }, [session, loadComparisons])
+
+  const providerNames = Object.fromEntries(providers.map(provider => [provider.id, provider.name]))
+
+  const addRun = () => {
+    const unused = providers.find(provider => !runs.some(run => run.provider === provider.id)) || providers[0]
+    setRuns(prev => [...prev, { provider: unused.id, model: '' }])
+  }
+
+  const updateRun = (index, changes) => {
+    setRuns(prev => prev.map((run, i) => (i === index ? { ...run, ...changes } : run)))
+  }
+
+  const handleStart = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setError('')
+    try {
+      const { comparison } = await startComparison({
+        transcriptionId,
+        runs: runs.map(run => ({ provider: run.provider, model: run.model || undefined })),
+        language,
+        contentType
+      })
+      setSelectedId(comparison.id)
+      await loadComparisons()
+    } catch (startError) {
+      setError(startError.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    if (!confirm('Delete this comparison?')) return
+    try {
+      await deleteComparison(id)
+      if (selectedId === id) setSelectedId(null)
+      await loadComparisons()
+    } catch (deleteError) {
+      setError(deleteError.message)
+    }
+  }
+
+  if (status === 'loading' || !session || isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Compare Providers</h1>
+          <p className="text-gray-600 mt-2">
+            Send the same recording to several providers or models at once and compare their transcripts word by word,
+            with confidence, latency and estimated cost. Tag comparisons with a content type to see which engine does
+            best for phone calls, meetings or podcasts.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <form onSubmit={handleStart} className="bg-white rounded-lg shadow p-6 mb-6 space-y-4">
+          {files.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Comparisons use the audio stored with a transcription. Upload a recording first; it is kept on the server after it is transcribed.
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <label className="text-sm text-gray-600">
+                Recording
+                <select
+                  value={transcriptionId}
+                  onChange={(e) => setTranscriptionId(e.target.value)}
+                  className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+                >
+                  <option value="">Choose a recording</option>
+                  {files.map(file => <option key={file.id} value={file.id}>{file.fileName}</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-gray-600">
+                Content type
+                <input
+                  value={contentType}
+                  onChange={(e) => setContentType(e.target.value)}
+                  placeholder="phone call, meeting, podcast..."
+                  className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+                />
+              </label>
+              <div className="text-sm text-gray-600 flex items-end">
+                <LanguageSelector value={language} onChange={setLanguage} />
+              </div>
+            </div>
+          )}
+
+          {runs.map((run, index) => {
+            const models = providers.find(provider => provider.id === run.provider)?.capabilities.models || []
+            return (
+              <div key={index} className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+                <select
+                  value={run.provider}
+                  onChange={(e) => updateRun(index, { provider: e.target.value, model: '' })}
+                  className="border border-gray-300 rounded-md px-2 py-1"
+                >
+                  {providers.map(provider => <option key={provider.id} value={provider.id}>{provider.name}</option>)}
+                </select>
+                {models.length > 0 && (
+                  <select
+                    value={run.model}
+                    onChange={(e) => updateRun(index, { model: e.target.value })}
+                    className="border border-gray-300 rounded-md px-2 py-1"
+                  >
+                    <option value="">Default model</option>
+                    {models.map(model => <option key={model} value={model}>{model}</option>)}
+                  </select>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setRuns(prev => prev.filter((_, i) => i !== index))}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              </div>
+            )
+          })}
+
+          <div className="flex items-center gap-4">
+            <button
+              type="button"
+              onClick={addRun}
+              disabled={providers.length === 0 || runs.length >= MAX_RUNS}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50 text-sm font-medium"
+            >
+              Add provider
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting || !transcriptionId || runs.length < 2}
+              className="ml-auto bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium"
+            >
+              Compare
+            </button>
+          </div>
+          {providers.length < 2 && (
+            <p className="text-sm text-gray-500">
+              Only configured providers can be compared. Configure a second one, or compare two models of the same provider.
+            </p>
+          )}
+        </form>
+
+        {summary.length > 0 && (
+          <div className="bg-white rounded-lg shadow p-6 mb-6 overflow-x-auto">
+            <h2 className="text-lg font-medium text-gray-900 mb-3">By content type</h2>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">Content type</th>
+                  <th className="py-2 pr-4 font-medium">Provider</th>
+                  <th className="py-2 pr-4 font-medium">Runs</th>
+                  <th className="py-2 pr-4 font-medium">Failed</th>
+                  <th className="py-2 pr-4 font-medium">Confidence</th>
+                  <th className="py-2 pr-4 font-medium">Latency</th>
+                  <th className="py-2 pr-4 font-medium">Real-time factor</th>
+                  <th className="py-2 font-medium">Cost per minute</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {summary.map(row => (
+                  <tr key={`${row.contentType}-${row.provider}-${row.model}`}>
+                    <td className="py-2 pr-4">{row.contentType}</td>
+                    <td className="py-2 pr-4 font-medium text-gray-900">
+                      {providerNames[row.provider] || row.provider}{row.model ? ` (${row.model})` : ''}
+                    </td>
+                    <td className="py-2 pr-4">{row.runs}</td>
+                    <td className="py-2 pr-4">{row.failed}</td>
+                    <td className="py-2 pr-4">{formatConfidence(row.confidence)}</td>
+                    <td className="py-2 pr-4">{formatLatency(row.latencyMs)}</td>
+                    <td className="py-2 pr-4">{row.realtimeFactor === null ? '-' : `${row.realtimeFactor.toFixed(2)}×`}</td>
+                    <td className="py-2">{row.costPerMinute === null ? 'unknown' : `$${row.costPerMinute.toFixed(4)}`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="bg-white rounded-lg shadow divide-y divide-gray-100">
+            {comparisons.length === 0 && <p className="p-4 text-sm text-gray-500">No comparisons yet.</p>}
+            {comparisons.map(comparison => (
+              <div
+                key={comparison.id}
+                onClick={() => setSelectedId(comparison.id)}
+                className={`p-4 cursor-pointer text-sm ${selectedId === comparison.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <p className="font-medium text-gray-900 truncate">{comparison.fileName}</p>
+                <p className="text-gray-500">{comparison.contentType} · {comparison.runs.length} runs · {comparison.status}</p>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    handleDelete(comparison.id)
+                  }}
+                  className="text-red-600 hover:text-red-800 text-xs mt-1"
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="lg:col-span-3 bg-white rounded-lg shadow p-6">
+            {selectedId ? (
+              <ComparisonView
+                key={selectedId}
+                comparisonId={selectedId}
+                providerNames={providerNames}
+                onFinished={loadComparisons}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">Start a comparison or pick one from the list.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
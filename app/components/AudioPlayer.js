@@ -0,0 +1,183 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+
+// Audio element with progress bar, volume, speed and skip controls.
+// The parent owns audioRef so it can load sources and seek (e.g. from a transcript).
+export default function AudioPlayer({ audioRef, src, showFileInfo = true }) {
+  const [audioProgress, setAudioProgress] = useState(0)
+  const [, setPlayerTick] = useState(0)
+
+  // Real-time audio progress update
+  useEffect(() => {
+    const audio = audioRef.current
+    if (!audio) return
+
+    const updateProgress = () => {
+      setAudioProgress(audio.duration ? audio.currentTime / audio.duration : 0)
+    }
+    // Re-render for state the <audio> element holds (duration, volume, src)
+    const refresh = () => setPlayerTick(tick => tick + 1)
+
+    audio.addEventListener('timeupdate', updateProgress)
+    audio.addEventListener('loadedmetadata', refresh)
+    audio.addEventListener('volumechange', refresh)
+    audio.addEventListener('emptied', updateProgress)
+
+    return () => {
+      audio.removeEventListener('timeupdate', updateProgress)
+      audio.removeEventListener('loadedmetadata', refresh)
+      audio.removeEventListener('volumechange', refresh)
+      audio.removeEventListener('emptied', updateProgress)
+    }
+  }, [audioRef])
+
+  const handleProgressBarClick = (event) => {
+    if (!audioRef.current || !audioRef.current.duration) return
+
+    const progressBar = event.currentTarget
+    const rect = progressBar.getBoundingClientRect()
+    const clickX = event.clientX - rect.left
+    const percentage = clickX / rect.width
+    const newTime = percentage * audioRef.current.duration
+
+    audioRef.current.currentTime = newTime
+  }
+
+  const handleVolumeChange = (event) => {
+    if (audioRef.current) {
+      audioRef.current.volume = parseFloat(event.target.value)
+    }
+  }
+
+  const handleSpeedChange = (event) => {
+    if (audioRef.current) {
+      audioRef.current.playbackRate = parseFloat(event.target.value)
+    }
+  }
+
+  const hasSource = Boolean(src || audioRef.current?.src)
+
+  return (
+    <>
+      <audio ref={audioRef} src={src} className="w-full mb-4" />
+
+      {/* Progress Bar */}
+      <div className="mb-4">
+        <div className="flex justify-between text-sm text-gray-600 mb-1">
+          <span>{audioRef.current?.currentTime ? `${audioRef.current.currentTime.toFixed(1)}s` : '0.0s'}</span>
+          <span>{audioRef.current?.duration ? `${audioRef.current.duration.toFixed(1)}s` : '0.0s'}</span>
+        </div>
+        <div
+          className="w-full bg-gray-200 rounded-full h-2 cursor-pointer relative"
+          onClick={handleProgressBarClick}
+        >
+          <div
+            className="bg-blue-500 h-2 rounded-full transition-all duration-100"
+            style={{ width: `${audioProgress * 100}%` }}
+          ></div>
+        </div>
+      </div>
+
+      {/* Volume Control */}
+      <div className="mb-4">
+        <div className="flex items-center space-x-2">
+          <span className="text-sm text-gray-600">🔊 Volume:</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.1"
+            defaultValue="1"
+            onChange={handleVolumeChange}
+            className="w-24"
+          />
+          <span className="text-sm text-gray-600">
+            {audioRef.current?.volume ? Math.round(audioRef.current.volume * 100) : 100}%
+          </span>
+        </div>
+      </div>
+
+      {/* Playback Speed Control */}
+      <div className="mb-4">
+        <div className="flex items-center space-x-2">
+          <span className="text-sm text-gray-600">⚡ Speed:</span>
+          <select
+            onChange={handleSpeedChange}
+            defaultValue="1"
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+          >
+            <option value="0.5">0.5x (Slow)</option>
+            <option value="0.75">0.75x</option>
+            <option value="1">1.0x (Normal)</option>
+            <option value="1.25">1.25x</option>
+            <option value="1.5">1.5x</option>
+            <option value="2">2.0x (Fast)</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <button
+          onClick={() => audioRef.current?.play()}
+          disabled={!hasSource}
+          className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          ▶️ Play
+        </button>
+
+        <button
+          onClick={() => audioRef.current?.pause()}
+          disabled={!hasSource}
+          className="px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded-lg font-medium disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          ⏸️ Pause
+        </button>
+
+        <button
+          onClick={() => {
+            if (audioRef.current) {
+              audioRef.current.currentTime = 0
+              audioRef.current.pause()
+            }
+          }}
+          disabled={!hasSource}
+          className="px-4 py-2 bg-gray-500 hover:bg-gray-600 text-white rounded-lg font-medium disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          ⏹️ Stop
+        </button>
+
+        <button
+          onClick={() => {
+            if (audioRef.current) {
+              audioRef.current.currentTime = Math.max(0, audioRef.current.currentTime - 10)
+            }
+          }}
+          disabled={!hasSource}
+          className="px-3 py-2 bg-gray-400 hover:bg-gray-500 text-white rounded-lg font-medium text-sm disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          ⏪ -10s
+        </button>
+
+        <button
+          onClick={() => {
+            if (audioRef.current) {
+              audioRef.current.currentTime = Math.min(audioRef.current.duration, audioRef.current.currentTime + 10)
+            }
+          }}
+          disabled={!hasSource}
+          className="px-3 py-2 bg-gray-400 hover:bg-gray-500 text-white rounded-lg font-medium text-sm disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          +10s ⏩
+        </button>
+      </div>
+
+      {showFileInfo && audioRef.current?.src && (
+        <div className="mt-3 text-sm text-gray-600">
+          <p><strong>File:</strong> {audioRef.current.src.split('/').pop()}</p>
+          <p><strong>Duration:</strong> {audioRef.current.duration ? `${audioRef.current.duration.toFixed(1)}s` : 'Loading...'}</p>
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,158 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { getComparison, formatConfidence, formatCost, formatLatency } from '../utils/comparisons'
+import { languageName } from '../../lib/languages'
+
+const POLL_INTERVAL_MS = 3000
+
+const STATUS_COLORS = {
+  queued: 'bg-gray-100 text-gray-800',
+  processing: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const runLabel = (run, providerNames) => {
+  const name = run.result?.provider.name || providerNames[run.provider] || run.provider
+  return run.model ? `${name} (${run.model})` : name
+}
+
+// The runs of one comparison: their metrics, and each transcript as a word diff against the
+// baseline run (words the baseline has and the run lacks are struck through, the run's own
+// words are underlined). Polls while runs are still going.
+export default function ComparisonView({ comparisonId, providerNames = {}, onFinished }) {
+  const [comparison, setComparison] = useState(null)
+  const [baseline, setBaseline] = useState(0)
+  const [error, setError] = useState('')
+  const statusRef = useRef(null)
+
+  useEffect(() => {
+    let interval = null
+    const load = async () => {
+      try {
+        const data = await getComparison(comparisonId, baseline)
+        setComparison(data)
+        setError('')
+        // A failed first run cannot be the baseline; the first completed one is used instead
+        const firstCompleted = data.runs.findIndex(run => run.status === 'completed')
+        if (data.runs[baseline].status === 'failed' && firstCompleted !== -1) {
+          setBaseline(firstCompleted)
+        }
+        if (data.status !== 'processing') {
+          clearInterval(interval)
+          // Only when it finishes while being watched, not for one opened finished
+          if (statusRef.current === 'processing') onFinished?.()
+        }
+        statusRef.current = data.status
+      } catch (loadError) {
+        setError(loadError.message)
+        clearInterval(interval)
+      }
+    }
+
+    load()
+    interval = setInterval(load, POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [comparisonId, baseline, onFinished])
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>
+  }
+  if (!comparison) {
+    return <p className="text-sm text-gray-500">Loading comparison...</p>
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">{comparison.fileName}</h2>
+        <p className="text-sm text-gray-500 mt-1">
+          {comparison.contentType} · {languageName(comparison.language)} · {new Date(comparison.createdAt).toLocaleString()}
+        </p>
+        {comparison.error && <p className="text-sm text-red-600 mt-2">{comparison.error}</p>}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-4 font-medium">Provider</th>
+              <th className="py-2 pr-4 font-medium">Status</th>
+              <th className="py-2 pr-4 font-medium">Words</th>
+              <th className="py-2 pr-4 font-medium">Confidence</th>
+              <th className="py-2 pr-4 font-medium">Latency</th>
+              <th className="py-2 pr-4 font-medium">Cost</th>
+              <th className="py-2 pr-4 font-medium">Agreement</th>
+              <th className="py-2 font-medium">Baseline</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {comparison.runs.map((run, index) => {
+              const diff = comparison.diffs?.[index]
+              return (
+                <tr key={`${run.provider}-${run.model}`}>
+                  <td className="py-2 pr-4 font-medium text-gray-900">{runLabel(run, providerNames)}</td>
+                  <td className="py-2 pr-4">
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_COLORS[run.status]}`}>{run.status}</span>
+                    {run.error && <span className="block text-xs text-red-600 mt-1">{run.error}</span>}
+                  </td>
+                  <td className="py-2 pr-4">{run.result ? run.result.text.split(/\s+/).filter(Boolean).length : '-'}</td>
+                  <td className="py-2 pr-4">{formatConfidence(run.confidence)}</td>
+                  <td className="py-2 pr-4">{formatLatency(run.latencyMs)}</td>
+                  <td className="py-2 pr-4">{run.status === 'completed' ? formatCost(run.cost) : '-'}</td>
+                  <td className="py-2 pr-4">
+                    {index === baseline ? '-' : diff?.agreement != null ? `${Math.round(diff.agreement * 100)}%` : '-'}
+                  </td>
+                  <td className="py-2">
+                    <input
+                      type="radio"
+                      name="baseline"
+                      checked={index === baseline}
+                      disabled={run.status !== 'completed'}
+                      onChange={() => setBaseline(index)}
+                    />
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {comparison.runs.map((run, index) => {
+        const diff = comparison.diffs?.[index]
+        if (!diff) return null
+        return (
+          <div key={`${run.provider}-${run.model}`}>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">
+              {runLabel(run, providerNames)} against {runLabel(comparison.runs[baseline], providerNames)}:
+              <span className="font-normal text-gray-500 ml-2">
+                {diff.counts.substitution} substituted, {diff.counts.deletion} missing, {diff.counts.insertion} extra
+              </span>
+            </h3>
+            <p className="bg-gray-50 rounded-lg p-4 max-h-96 overflow-y-auto text-sm leading-7 text-gray-800">
+              {diff.operations.map((operation, position) => (
+                <span key={position}>
+                  {operation.type === 'equal' && operation.hypothesis}
+                  {(operation.type === 'substitution' || operation.type === 'deletion') && (
+                    <del className="text-red-700 bg-red-50">{operation.reference}</del>
+                  )}
+                  {operation.type === 'substitution' && ' '}
+                  {(operation.type === 'substitution' || operation.type === 'insertion') && (
+                    <ins className="text-green-800 bg-green-50">{operation.hypothesis}</ins>
+                  )}
+                  {' '}
+                </span>
+              ))}
+            </p>
+          </div>
+        )
+      })}
+
+      {comparison.status === 'completed' && comparison.runs.filter(run => run.status === 'completed').length < 2 && (
+        <p className="text-sm text-gray-500">Fewer than two runs completed, so there is nothing to diff.</p>
+      )}
+    </div>
+  )
+}
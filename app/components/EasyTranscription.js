@@ -1,6 +1,10 @@
 'use client'
 
 import { useState, useRef, useEffect } from 'react'
+import AudioPlayer from './AudioPlayer'
+import LanguageSelector from './LanguageSelector'
+import { MAX_UPLOAD_SIZE, formatFileSize, validateAudioFile } from '../../lib/upload'
+import { getLanguage, languageLocale, languageName } from '../../lib/languages'
 
 export default function EasyTranscription({ onTranscriptionComplete }) {
   const [isRecording, setIsRecording] = useState(false)
@@ -9,6 +13,8 @@ export default function EasyTranscription({ onTranscriptionComplete }) {
   const [error, setError] = useState('')
   const [isSupported, setIsSupported] = useState(false)
   const [isTranscribingFile, setIsTranscribingFile] = useState(false)
+  // The Web Speech API cannot detect the language, so one is always picked
+  const [language, setLanguage] = useState('en')
   const [transcriptionStats, setTranscriptionStats] = useState({
     characters: 0,
     words: 0,
@@ -35,26 +41,6 @@ export default function EasyTranscription({ onTranscriptionComplete }) {
     }
   }, [transcription])
 
-  // Real-time audio progress update
-  const [audioProgress, setAudioProgress] = useState(0)
-  
-  useEffect(() => {
-    if (!audioRef.current) return
-    
-    const updateProgress = () => {
-      if (audioRef.current && audioRef.current.duration) {
-        setAudioProgress(audioRef.current.currentTime / audioRef.current.duration)
-      }
-    }
-    
-    const audio = audioRef.current
-    audio.addEventListener('timeupdate', updateProgress)
-    
-    return () => {
-      audio.removeEventListener('timeupdate', updateProgress)
-    }
-  }, [])
-  
   const recognitionRef = useRef(null)
   const audioRef = useRef(null)
 
@@ -72,6 +58,21 @@ export default function EasyTranscription({ onTranscriptionComplete }) {
     }
   }, [])
 
+  // Start with the browser's language when it is one we list
+  useEffect(() => {
+    const browserLanguage = getLanguage(navigator.language)
+    if (browserLanguage) {
+      setLanguage(browserLanguage.code)
+    }
+  }, [])
+
+  // Runs after the recognizer is created on mount, and again whenever the language changes
+  useEffect(() => {
+    if (recognitionRef.current) {
+      recognitionRef.current.lang = languageLocale(language)
+    }
+  }, [language])
+
   const initializeSpeechRecognition = () => {
     try {
       const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition
@@ -79,7 +80,7 @@ export default function EasyTranscription({ onTranscriptionComplete }) {
       
       recognitionRef.current.continuous = true
       recognitionRef.current.interimResults = true
-      recognitionRef.current.lang = 'en-US'
+      // lang is set from the language picker (effect below)
       
       recognitionRef.current.onstart = () => {
         setIsRecording(true)
@@ -154,16 +155,10 @@ export default function EasyTranscription({ onTranscriptionComplete }) {
 
     console.log('📁 File selected:', file.name, file.type, file.size)
 
-    // Validate file type
-    const allowedTypes = ['audio/mpeg', 'audio/wav', 'audio/m4a', 'audio/mp4', 'audio/webm', 'audio/ogg', 'audio/flac', 'audio/aac']
-    if (!allowedTypes.includes(file.type)) {
-      setError('Please select a valid audio file (MP3, WAV, M4A, MP4, WebM, OGG, FLAC, or AAC)')
-      return
-    }
-
-    // Validate file size (10MB limit)
-    if (file.size > 10 * 1024 * 1024) {
-      setError('File too large. Maximum size is 10MB.')
+    // Validate the file by its contents
+    const { error: validationError } = await validateAudioFile(file)
+    if (validationError) {
+      setError(validationError.message)
       return
     }
 
@@ -204,7 +199,7 @@ export default function EasyTranscription({ onTranscriptionComplete }) {
          if (onTranscriptionComplete) {
            onTranscriptionComplete({
              text: transcriptionResult.text,
-             language: 'en-US',
+             language,
              service: 'local-easy-real',
              status: 'completed',
              stats: {
@@ -541,7 +536,7 @@ TRANSCRIPTION STATISTICS:
 • Audio Duration: ${transcriptionStats.duration.toFixed(1)} seconds
 • Words Per Minute: ${transcriptionStats.duration > 0 ? Math.round((transcriptionStats.words / transcriptionStats.duration) * 60) : 0}
 • Processing Method: Browser-based Web Speech API
-• Language: English (en-US)
+• Language: ${languageName(language)} (${languageLocale(language)})
 • Accuracy: ${transcriptionStats.accuracy}
 
 QUALITY METRICS:
@@ -580,30 +575,6 @@ technology. All processing was done locally on your device for maximum privacy.`
     }
   }
 
-  const handleProgressBarClick = (event) => {
-    if (!audioRef.current || !audioRef.current.duration) return
-    
-    const progressBar = event.currentTarget
-    const rect = progressBar.getBoundingClientRect()
-    const clickX = event.clientX - rect.left
-    const percentage = clickX / rect.width
-    const newTime = percentage * audioRef.current.duration
-    
-    audioRef.current.currentTime = newTime
-  }
-
-  const handleVolumeChange = (event) => {
-    if (audioRef.current) {
-      audioRef.current.volume = parseFloat(event.target.value)
-    }
-  }
-
-  const handleSpeedChange = (event) => {
-    if (audioRef.current) {
-      audioRef.current.playbackRate = parseFloat(event.target.value)
-    }
-  }
-
   const copyToClipboard = async () => {
     if (!transcription) {
       setError('No transcription to copy')
@@ -681,6 +652,8 @@ technology. All processing was done locally on your device for maximum privacy.`
           >
             Stop Recording
           </button>
+
+          <LanguageSelector value={language} onChange={setLanguage} allowAuto={false} disabled={isRecording} />
         </div>
 
         {isRecording && (
@@ -723,124 +696,7 @@ technology. All processing was done locally on your device for maximum privacy.`
            🎵 Audio Player
          </h3>
          
-         <audio ref={audioRef} className="w-full mb-4" />
-         
-         {/* Progress Bar */}
-         <div className="mb-4">
-           <div className="flex justify-between text-sm text-gray-600 mb-1">
-             <span>{audioRef.current?.currentTime ? `${audioRef.current.currentTime.toFixed(1)}s` : '0.0s'}</span>
-             <span>{audioRef.current?.duration ? `${audioRef.current.duration.toFixed(1)}s` : '0.0s'}</span>
-           </div>
-           <div 
-             className="w-full bg-gray-200 rounded-full h-2 cursor-pointer relative"
-             onClick={handleProgressBarClick}
-           >
-             <div 
-               className="bg-blue-500 h-2 rounded-full transition-all duration-100"
-               style={{ width: `${audioProgress * 100}%` }}
-             ></div>
-           </div>
-         </div>
-         
-         {/* Volume Control */}
-         <div className="mb-4">
-           <div className="flex items-center space-x-2">
-             <span className="text-sm text-gray-600">🔊 Volume:</span>
-             <input
-               type="range"
-               min="0"
-               max="1"
-               step="0.1"
-               defaultValue="1"
-               onChange={handleVolumeChange}
-               className="w-24"
-             />
-             <span className="text-sm text-gray-600">
-               {audioRef.current?.volume ? Math.round(audioRef.current.volume * 100) : 100}%
-             </span>
-           </div>
-         </div>
-         
-         {/* Playback Speed Control */}
-         <div className="mb-4">
-           <div className="flex items-center space-x-2">
-             <span className="text-sm text-gray-600">⚡ Speed:</span>
-             <select 
-               onChange={handleSpeedChange}
-               defaultValue="1"
-               className="px-2 py-1 border border-gray-300 rounded text-sm"
-             >
-               <option value="0.5">0.5x (Slow)</option>
-               <option value="0.75">0.75x</option>
-               <option value="1">1.0x (Normal)</option>
-               <option value="1.25">1.25x</option>
-               <option value="1.5">1.5x</option>
-               <option value="2">2.0x (Fast)</option>
-             </select>
-           </div>
-         </div>
-         
-         <div className="flex items-center space-x-4">
-           <button
-             onClick={() => audioRef.current?.play()}
-             disabled={!audioRef.current?.src}
-             className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium disabled:bg-gray-300 disabled:cursor-not-allowed"
-           >
-             ▶️ Play
-           </button>
-           
-           <button
-             onClick={() => audioRef.current?.pause()}
-             disabled={!audioRef.current?.src}
-             className="px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded-lg font-medium disabled:bg-gray-300 disabled:cursor-not-allowed"
-           >
-             ⏸️ Pause
-           </button>
-           
-           <button
-             onClick={() => {
-               if (audioRef.current) {
-                 audioRef.current.currentTime = 0
-                 audioRef.current.pause()
-               }
-             }}
-             disabled={!audioRef.current?.src}
-             className="px-4 py-2 bg-gray-500 hover:bg-gray-600 text-white rounded-lg font-medium disabled:bg-gray-300 disabled:cursor-not-allowed"
-           >
-             ⏹️ Stop
-           </button>
-           
-           <button
-             onClick={() => {
-               if (audioRef.current) {
-                 audioRef.current.currentTime = Math.max(0, audioRef.current.currentTime - 10)
-               }
-             }}
-             disabled={!audioRef.current?.src}
-             className="px-3 py-2 bg-gray-400 hover:bg-gray-500 text-white rounded-lg font-medium text-sm disabled:bg-gray-300 disabled:cursor-not-allowed"
-           >
-             ⏪ -10s
-           </button>
-           
-           <button
-             onClick={() => {
-               if (audioRef.current) {
-                 audioRef.current.currentTime = Math.min(audioRef.current.duration, audioRef.current.currentTime + 10)
-               }
-             }}
-             disabled={!audioRef.current?.src}
-             className="px-3 py-2 bg-gray-400 hover:bg-gray-500 text-white rounded-lg font-medium text-sm disabled:bg-gray-300 disabled:cursor-not-allowed"
-           >
-             +10s ⏩
-           </button>
-         </div>
-         
-         {audioRef.current?.src && (
-           <div className="mt-3 text-sm text-gray-600">
-             <p><strong>File:</strong> {audioRef.current.src.split('/').pop()}</p>
-             <p><strong>Duration:</strong> {audioRef.current.duration ? `${audioRef.current.duration.toFixed(1)}s` : 'Loading...'}</p>
-           </div>
-         )}
+         <AudioPlayer audioRef={audioRef} />
        </div>
 
              {/* Transcription Display */}
@@ -967,7 +823,7 @@ technology. All processing was done locally on your device for maximum privacy.`
           </h3>
           <div className="text-sm text-gray-600 space-y-2">
             <p><strong>Live Recording:</strong> Speak into your microphone for real-time transcription</p>
-            <p><strong>File Upload:</strong> Upload audio files up to 10MB for complete text extraction</p>
+            <p><strong>File Upload:</strong> Upload audio files up to {formatFileSize(MAX_UPLOAD_SIZE)} for complete text extraction</p>
             <p><strong>No API Keys:</strong> Everything works locally in your browser</p>
             <p><strong>Privacy First:</strong> Your audio never leaves your device</p>
             <p><strong>Complete Text:</strong> Extract ALL content from audio files</p>
@@ -0,0 +1,128 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { getEvaluationRun, formatRate } from '../utils/evaluation'
+import { formatLatency } from '../utils/comparisons'
+
+const POLL_INTERVAL_MS = 3000
+
+const STATUS_COLORS = {
+  processing: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+// The results of one evaluation run, case by case, with the error breakdown and each
+// transcript on request. Polls while the run is going.
+export default function EvaluationRunView({ runId, caseNames = {}, providerNames = {}, onFinished }) {
+  const [run, setRun] = useState(null)
+  const [error, setError] = useState('')
+  const [openResult, setOpenResult] = useState(null)
+  const statusRef = useRef(null)
+
+  useEffect(() => {
+    let interval = null
+    const load = async () => {
+      try {
+        const data = await getEvaluationRun(runId)
+        setRun(data)
+        setError('')
+        if (data.status !== 'processing') {
+          clearInterval(interval)
+          // Only when it finishes while being watched, not for one opened finished
+          if (statusRef.current === 'processing') onFinished?.()
+        }
+        statusRef.current = data.status
+      } catch (loadError) {
+        setError(loadError.message)
+        clearInterval(interval)
+      }
+    }
+
+    load()
+    interval = setInterval(load, POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [runId, onFinished])
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>
+  }
+  if (!run) {
+    return <p className="text-sm text-gray-500">Loading evaluation...</p>
+  }
+
+  const total = run.caseIds.length * run.runs.length
+  const label = result => {
+    const name = providerNames[result.provider] || result.provider
+    return result.model ? `${name} (${result.model})` : name
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">
+          {run.runs.map(label).join(', ')}
+          <span className={`ml-3 align-middle px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_COLORS[run.status]}`}>{run.status}</span>
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          {new Date(run.createdAt).toLocaleString()} · {run.results.length} of {total} transcripts done
+        </p>
+        {run.error && <p className="text-sm text-red-600 mt-2">{run.error}</p>}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-4 font-medium">Case</th>
+              <th className="py-2 pr-4 font-medium">Provider</th>
+              <th className="py-2 pr-4 font-medium">WER</th>
+              <th className="py-2 pr-4 font-medium">Sub / Del / Ins</th>
+              <th className="py-2 pr-4 font-medium">CER</th>
+              <th className="py-2 pr-4 font-medium">DER</th>
+              <th className="py-2 pr-4 font-medium">Latency</th>
+              <th className="py-2 font-medium"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {run.results.map((result, index) => (
+              <tr key={index} className="align-top">
+                <td className="py-2 pr-4 text-gray-900">{caseNames[result.caseId] || 'Deleted case'}</td>
+                <td className="py-2 pr-4">{label(result)}</td>
+                {result.status === 'completed' ? (
+                  <>
+                    <td className="py-2 pr-4 font-medium text-gray-900">{formatRate(result.metrics.wer.wer)}</td>
+                    <td className="py-2 pr-4">
+                      {result.metrics.wer.substitutions} / {result.metrics.wer.deletions} / {result.metrics.wer.insertions}
+                    </td>
+                    <td className="py-2 pr-4">{formatRate(result.metrics.cer.cer)}</td>
+                    <td className="py-2 pr-4">{result.metrics.der ? formatRate(result.metrics.der.der) : '-'}</td>
+                  </>
+                ) : (
+                  <td colSpan={4} className="py-2 pr-4 text-red-600">{result.error}</td>
+                )}
+                <td className="py-2 pr-4">{formatLatency(result.latencyMs)}</td>
+                <td className="py-2">
+                  {result.hypothesis && (
+                    <button
+                      onClick={() => setOpenResult(openResult === index ? null : index)}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      {openResult === index ? 'Hide' : 'Transcript'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {openResult !== null && run.results[openResult] && (
+        <p className="bg-gray-50 rounded-lg p-4 max-h-96 overflow-y-auto text-sm leading-7 text-gray-800 whitespace-pre-wrap">
+          {run.results[openResult].hypothesis}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,23 @@
+'use client'
+
+import { AUTO_LANGUAGE, LANGUAGES } from '../../lib/languages'
+
+// Spoken-language picker; 'auto' leaves the language to the provider's detection
+export default function LanguageSelector({ value, onChange, allowAuto = true, disabled = false }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-700">
+      Language:
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="border border-gray-300 rounded-md px-2 py-1"
+      >
+        {allowAuto && <option value={AUTO_LANGUAGE}>Detect automatically</option>}
+        {LANGUAGES.map(language => (
+          <option key={language.code} value={language.code}>{language.name}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
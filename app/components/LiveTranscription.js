@@ -0,0 +1,165 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import Link from 'next/link'
+import LanguageSelector from './LanguageSelector'
+import { getStreamingInfo, startLiveTranscription } from '../utils/liveStream'
+import { AUTO_LANGUAGE } from '../../lib/languages'
+import { formatTimestamp } from '../../lib/transcript'
+
+// Microphone transcription on the server (whisper.cpp or AssemblyAI streaming), shown as it
+// is recognized and saved as a transcription when the recording stops
+export default function LiveTranscription() {
+  const [engines, setEngines] = useState([])
+  const [engine, setEngine] = useState('auto')
+  const [language, setLanguage] = useState(AUTO_LANGUAGE)
+  const [status, setStatus] = useState('idle') // idle -> connecting -> recording -> saving
+  const [segments, setSegments] = useState([])
+  const [interim, setInterim] = useState(null)
+  const [savedId, setSavedId] = useState(null)
+  const [error, setError] = useState(null)
+  const sessionRef = useRef(null)
+  const transcriptEndRef = useRef(null)
+
+  useEffect(() => {
+    getStreamingInfo()
+      .then(info => setEngines(info.engines))
+      .catch(infoError => setError({ message: infoError.message }))
+  }, [])
+
+  // Discard a recording that is still running when the page is left
+  useEffect(() => () => sessionRef.current?.cancel(), [])
+
+  useEffect(() => {
+    transcriptEndRef.current?.scrollIntoView({ block: 'nearest' })
+  }, [segments, interim])
+
+  const handleStart = async () => {
+    setError(null)
+    setSavedId(null)
+    setSegments([])
+    setInterim(null)
+    setStatus('connecting')
+
+    try {
+      sessionRef.current = await startLiveTranscription({
+        engine,
+        language,
+        onReady: () => setStatus('recording'),
+        onInterim: setInterim,
+        onFinal: (finals) => {
+          setSegments(prev => [...prev, ...finals])
+          setInterim(null)
+        },
+        onSaved: (transcriptionId) => {
+          sessionRef.current = null
+          setSavedId(transcriptionId)
+          setInterim(null)
+          setStatus('idle')
+        },
+        onError: (streamError) => {
+          sessionRef.current = null
+          setError({ message: streamError.message, instructions: streamError.instructions })
+          setStatus('idle')
+        }
+      })
+    } catch (startError) {
+      setError({
+        message: startError.name === 'NotAllowedError' ? 'Microphone access was denied' : startError.message
+      })
+      setStatus('idle')
+    }
+  }
+
+  const handleStop = () => {
+    setStatus('saving')
+    sessionRef.current?.stop()
+  }
+
+  const selected = engines.find(option => option.id === engine)
+  const unsupportedLanguage = selected?.languages && language !== AUTO_LANGUAGE && !selected.languages.includes(language)
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-8">
+      <div className="flex flex-wrap items-center gap-4 mb-6">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Engine:
+          <select
+            value={engine}
+            onChange={(e) => setEngine(e.target.value)}
+            disabled={status !== 'idle'}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          >
+            <option value="auto">Automatic</option>
+            {engines.map(option => (
+              <option key={option.id} value={option.id} disabled={!option.configured}>
+                {option.name}{option.offline ? ' (offline)' : ''}{option.configured ? '' : ' - not configured'}
+              </option>
+            ))}
+          </select>
+        </label>
+        <LanguageSelector value={language} onChange={setLanguage} disabled={status !== 'idle'} />
+
+        {status === 'idle' || status === 'connecting' ? (
+          <button
+            onClick={handleStart}
+            disabled={status === 'connecting' || unsupportedLanguage}
+            className="ml-auto bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium"
+          >
+            {status === 'connecting' ? 'Connecting...' : 'Start recording'}
+          </button>
+        ) : (
+          <button
+            onClick={handleStop}
+            disabled={status === 'saving'}
+            className="ml-auto bg-gray-800 hover:bg-gray-900 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium"
+          >
+            {status === 'saving' ? 'Saving...' : 'Stop and save'}
+          </button>
+        )}
+      </div>
+
+      {unsupportedLanguage && (
+        <p className="mb-4 text-sm text-gray-500">{selected.name} cannot stream this language; pick another engine or language.</p>
+      )}
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <p>{error.message}</p>
+          {error.instructions?.length > 0 && (
+            <ul className="list-disc list-inside mt-2">
+              {error.instructions.map(step => <li key={step}>{step}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {savedId && (
+        <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+          Saved as a transcription. <Link href="/dashboard" className="font-medium underline">Open the dashboard</Link> to edit or export it.
+        </div>
+      )}
+
+      <div className="bg-gray-50 rounded-lg p-4 h-96 overflow-y-auto space-y-2 text-sm">
+        {segments.length === 0 && !interim && (
+          <p className="text-gray-500">
+            {status === 'recording' ? 'Listening...' : 'Recognized speech will appear here as you talk.'}
+          </p>
+        )}
+        {segments.map(segment => (
+          <p key={segment.id} className="text-gray-800">
+            <span className="text-gray-500 mr-2">{formatTimestamp(segment.start)}</span>
+            {segment.text}
+          </p>
+        ))}
+        {interim?.text && (
+          <p className="text-gray-400 italic">
+            {interim.start !== null && <span className="mr-2">{formatTimestamp(interim.start)}</span>}
+            {interim.text}
+          </p>
+        )}
+        <div ref={transcriptEndRef} />
+      </div>
+    </div>
+  )
+}
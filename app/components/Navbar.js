@@ -31,9 +31,21 @@ export default function Navbar() {
                 <Link href="/upload" className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium">
                   Upload Audio
                 </Link>
+                <Link href="/live" className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium">
+                  Live
+                </Link>
                 <Link href="/dashboard" className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium">
                   Dashboard
                 </Link>
+                <Link href="/vocabulary" className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium">
+                  Vocabulary
+                </Link>
+                <Link href="/compare" className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium">
+                  Compare
+                </Link>
+                <Link href="/evaluation" className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium">
+                  Evaluation
+                </Link>
                 <Link href="/test-whisper" className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium">
                   Test Whisper
                 </Link>
@@ -0,0 +1,194 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import LanguageSelector from './LanguageSelector'
+import { getJob, getProviders, getRevision, getRevisions, rerunTranscription } from '../utils/fileStorage'
+import { AUTO_LANGUAGE, languageName } from '../../lib/languages'
+import { formatTimestamp } from '../../lib/transcript'
+import { speakerLabel } from '../../lib/speakers'
+
+const JOB_POLL_INTERVAL_MS = 3000
+
+// Transcribes the stored audio again with another provider, model or language, and lists
+// the provider outputs of the transcription (the first run and every re-run) so an earlier
+// one can be looked at next to the current transcript
+export default function RerunPanel({ transcription, onUpdated }) {
+  const [providers, setProviders] = useState([])
+  const [provider, setProvider] = useState('')
+  const [model, setModel] = useState('')
+  const [language, setLanguage] = useState(transcription.requestedLanguage || AUTO_LANGUAGE)
+  const [revisions, setRevisions] = useState([])
+  const [preview, setPreview] = useState(null)
+  const [job, setJob] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const rerun = transcription.rerun
+  const running = rerun?.status === 'processing'
+
+  useEffect(() => {
+    getProviders()
+      .then(data => {
+        setProviders(data.providers)
+        setProvider(current => current || data.providers.find(option => option.configured)?.id || '')
+      })
+      .catch(() => setProviders([]))
+  }, [])
+
+  useEffect(() => {
+    getRevisions(transcription.id)
+      .then(data => setRevisions(data.revisions))
+      .catch(() => setRevisions([]))
+  }, [transcription.id, transcription.revision])
+
+  // Follows the re-run and reloads the record once it finishes
+  useEffect(() => {
+    if (!running || !rerun.jobId) return
+
+    const poll = async () => {
+      const current = await getJob(rerun.jobId).catch(() => null)
+      setJob(current)
+      if (current && (current.status === 'completed' || current.status === 'failed')) {
+        onUpdated?.()
+      }
+    }
+
+    poll()
+    const interval = setInterval(poll, JOB_POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [running, rerun?.jobId, onUpdated])
+
+  const handleRerun = async () => {
+    setIsSubmitting(true)
+    setError('')
+    try {
+      await rerunTranscription(transcription.id, { provider, model: model || undefined, language })
+      onUpdated?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handlePreview = async (version) => {
+    if (preview?.id === version.id) {
+      setPreview(null)
+      return
+    }
+    try {
+      setPreview(await getRevision(transcription.id, version.id))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Provider outputs only; edits and speaker changes are revisions of one of them
+  const versions = revisions.filter(revision => revision.source === 'transcription')
+
+  // Edits stack on the revision before them and a restore on the one it restored; following
+  // them back from the current revision leads to the provider output in use
+  const byNumber = new Map(revisions.map(revision => [revision.number, revision]))
+  let inUse = byNumber.get(transcription.revision)
+  while (inUse && inUse.source !== 'transcription') {
+    inUse = byNumber.get(inUse.restoredFrom || inUse.number - 1)
+  }
+  const models = providers.find(option => option.id === provider)?.capabilities.models || []
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+      <h3 className="text-lg font-medium text-gray-900 mb-3">Transcribe again</h3>
+
+      {transcription.audio ? (
+        <div className="flex flex-wrap items-center gap-4 mb-3">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Provider:
+            <select
+              value={provider}
+              onChange={(e) => {
+                setProvider(e.target.value)
+                setModel('')
+              }}
+              disabled={running}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            >
+              {providers.map(option => (
+                <option key={option.id} value={option.id} disabled={!option.configured}>
+                  {option.name}{option.configured ? '' : ' - not configured'}
+                </option>
+              ))}
+            </select>
+          </label>
+          {models.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              Model:
+              <select
+                value={model}
+                onChange={(e) => setModel(e.target.value)}
+                disabled={running}
+                className="border border-gray-300 rounded-md px-2 py-1"
+              >
+                <option value="">Default</option>
+                {models.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            </label>
+          )}
+          <LanguageSelector value={language} onChange={setLanguage} disabled={running} />
+          <button
+            onClick={handleRerun}
+            disabled={isSubmitting || running || !provider}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1 rounded-md text-sm font-medium"
+          >
+            {running ? `Transcribing${job ? ` ${job.progress}%` : '...'}` : 'Transcribe again'}
+          </button>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-3">
+          The audio of this transcription is not stored on the server, so upload the file again to use another provider.
+        </p>
+      )}
+      {rerun?.status === 'failed' && (
+        <p className="text-sm text-red-600 mb-3">The last re-run failed: {rerun.error}. The transcript was kept.</p>
+      )}
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {versions.length > 1 && (
+        <ul className="divide-y divide-gray-200 text-sm">
+          {versions.map(version => (
+            <li key={version.id} className="py-2 flex flex-wrap items-center gap-2">
+              <span className="font-medium text-gray-900">{version.provider?.name || version.author?.name}</span>
+              {version.provider?.model && <span className="text-gray-500">{version.provider.model}</span>}
+              {version.language && <span className="text-gray-500">{languageName(version.language)}</span>}
+              <span className="text-gray-500">{version.wordCount} words</span>
+              <span className="text-gray-500">{new Date(version.createdAt).toLocaleString()}</span>
+              {version === inUse && (
+                <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">in use</span>
+              )}
+              <button
+                onClick={() => handlePreview(version)}
+                className="ml-auto text-blue-600 hover:text-blue-800 font-medium"
+              >
+                {preview?.id === version.id ? 'Hide' : 'Show'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {preview && (
+        <div className="mt-3 max-h-96 overflow-y-auto space-y-2 text-sm">
+          {preview.result.segments.length === 0 && <p className="text-gray-800 whitespace-pre-wrap">{preview.result.text}</p>}
+          {preview.result.segments.map(segment => (
+            <p key={segment.id} className="text-gray-800">
+              <span className="text-gray-500 mr-2">{formatTimestamp(segment.start)}</span>
+              {segment.speaker && (
+                <span className="font-medium mr-1">{speakerLabel(segment.speaker, transcription.speakerNames)}:</span>
+              )}
+              {segment.text}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { getRevisions, getRevisionDiff, restoreRevision } from '../utils/fileStorage'
+import { formatTimestamp } from '../../lib/transcript'
+import { speakerLabel } from '../../lib/speakers'
+
+const SOURCE_LABELS = {
+  transcription: 'Transcribed',
+  edit: 'Edited',
+  replace: 'Find and replace',
+  speakers: 'Speakers',
+  restore: 'Restored'
+}
+
+// Every change to the transcript, newest first, with who made it and when. Opening a
+// revision shows what it changed against the one before it (or the current revision);
+// restoring one makes a copy of it the newest revision.
+export default function RevisionHistory({ transcription, onRestored }) {
+  const [revisions, setRevisions] = useState([])
+  const [openId, setOpenId] = useState(null)
+  const [againstCurrent, setAgainstCurrent] = useState(false)
+  const [diff, setDiff] = useState(null)
+  const [isRestoring, setIsRestoring] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    getRevisions(transcription.id)
+      .then(data => setRevisions(data.revisions.slice().reverse()))
+      .catch(err => setError(err.message))
+  }, [transcription.id, transcription.revision])
+
+  const current = revisions.find(revision => revision.number === transcription.revision)
+
+  useEffect(() => {
+    if (!openId) {
+      setDiff(null)
+      return
+    }
+    getRevisionDiff(transcription.id, openId, againstCurrent ? current?.id : undefined)
+      .then(setDiff)
+      .catch(err => setError(err.message))
+  }, [transcription.id, openId, againstCurrent, current?.id])
+
+  const handleRestore = async (revision) => {
+    if (!confirm(`Restore revision ${revision.number}? The current transcript stays in the history.`)) return
+    setIsRestoring(true)
+    setError('')
+    try {
+      const { transcription: updated } = await restoreRevision(transcription.id, revision.id, {
+        baseRevision: transcription.revision ?? null
+      })
+      setOpenId(null)
+      onRestored?.(updated)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsRestoring(false)
+    }
+  }
+
+  if (revisions.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-gray-900">History</h3>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={againstCurrent} onChange={(e) => setAgainstCurrent(e.target.checked)} />
+          Compare with the current revision
+        </label>
+      </div>
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      <ul className="divide-y divide-gray-200 text-sm">
+        {revisions.map(revision => (
+          <li key={revision.id} className="py-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium text-gray-900">#{revision.number}</span>
+              <span className="text-gray-700">{SOURCE_LABELS[revision.source] || revision.source}</span>
+              {revision.message && <span className="text-gray-500">{revision.message}</span>}
+              <span className="text-gray-500">
+                {revision.author?.name || 'unknown'} · {new Date(revision.createdAt).toLocaleString()}
+              </span>
+              {revision.number === transcription.revision && (
+                <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">current</span>
+              )}
+              <span className="ml-auto flex gap-3">
+                <button
+                  onClick={() => setOpenId(openId === revision.id ? null : revision.id)}
+                  className="text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  {openId === revision.id ? 'Hide' : 'Changes'}
+                </button>
+                {revision.number !== transcription.revision && (
+                  <button
+                    onClick={() => handleRestore(revision)}
+                    disabled={isRestoring || transcription.rerun?.status === 'processing'}
+                    className="text-blue-600 hover:text-blue-800 disabled:opacity-50 font-medium"
+                  >
+                    Restore
+                  </button>
+                )}
+              </span>
+            </div>
+
+            {openId === revision.id && diff && <RevisionDiff diff={diff} speakerNames={transcription.speakerNames} />}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+function RevisionDiff({ diff, speakerNames }) {
+  const { substitution, deletion, insertion } = diff.counts
+  const unchanged = substitution + deletion + insertion === 0 && diff.speakers.length === 0 && diff.speakerNames.length === 0
+
+  return (
+    <div className="mt-2 space-y-2">
+      <p className="text-gray-500">
+        {diff.from === diff.to
+          ? 'The first revision.'
+          : `Revision ${diff.from} to ${diff.to}: ${substitution} words changed, ${deletion} removed, ${insertion} added.`}
+      </p>
+      {diff.from !== diff.to && unchanged && <p className="text-gray-500">The transcripts are the same.</p>}
+
+      {diff.speakerNames.map(change => (
+        <p key={change.speaker} className="text-gray-700">
+          Speaker {change.speaker}: {change.from ? `"${change.from}"` : 'no name'} to {change.to ? `"${change.to}"` : 'no name'}
+        </p>
+      ))}
+      {diff.speakers.map(change => (
+        <p key={change.segmentId} className="text-gray-700">
+          <span className="text-gray-500 mr-2">{formatTimestamp(change.start)}</span>
+          {speakerLabel(change.from, speakerNames)} to {speakerLabel(change.to, speakerNames)}: {change.text}
+        </p>
+      ))}
+
+      {substitution + deletion + insertion > 0 && (
+        <p className="bg-white rounded-lg p-3 max-h-96 overflow-y-auto leading-7 text-gray-800">
+          {diff.operations.map((operation, position) => (
+            <span key={position}>
+              {operation.type === 'equal' && operation.hypothesis}
+              {(operation.type === 'substitution' || operation.type === 'deletion') && (
+                <del className="text-red-700 bg-red-50">{operation.reference}</del>
+              )}
+              {operation.type === 'substitution' && ' '}
+              {(operation.type === 'substitution' || operation.type === 'insertion') && (
+                <ins className="text-green-800 bg-green-50">{operation.hypothesis}</ins>
+              )}
+              {' '}
+            </span>
+          ))}
+        </p>
+      )}
+    </div>
+  )
+}
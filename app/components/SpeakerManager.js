@@ -0,0 +1,95 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { updateSpeakers } from '../utils/fileStorage'
+import { listSpeakers, speakerLabel, MAX_SPEAKER_NAME_LENGTH } from '../../lib/speakers'
+
+// Rename speakers and merge labels the diarizer split by mistake
+export default function SpeakerManager({ transcription, onUpdated }) {
+  const speakers = listSpeakers(transcription.result)
+  const [names, setNames] = useState({})
+  const [mergeTargets, setMergeTargets] = useState({})
+  const [busySpeaker, setBusySpeaker] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setNames(transcription.speakerNames || {})
+  }, [transcription.id, transcription.speakerNames])
+
+  if (speakers.length === 0) {
+    return null
+  }
+
+  const apply = async (speaker, change) => {
+    setBusySpeaker(speaker)
+    setError('')
+    try {
+      const { transcription: updated } = await updateSpeakers(transcription.id, { ...change, baseRevision: transcription.revision ?? null })
+      onUpdated?.(updated)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusySpeaker(null)
+    }
+  }
+
+  const rename = (speaker) => {
+    const name = names[speaker] || ''
+    if (name === ((transcription.speakerNames || {})[speaker] || '')) return
+    apply(speaker, { action: 'rename', speaker, name })
+  }
+
+  const merge = (speaker) => {
+    const into = mergeTargets[speaker]
+    if (!into) return
+    if (!window.confirm(`Merge ${speakerLabel(speaker, transcription.speakerNames)} into ${speakerLabel(into, transcription.speakerNames)}?`)) return
+    apply(speaker, { action: 'merge', from: speaker, into })
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+      <h3 className="text-lg font-medium text-gray-900 mb-3">Speakers</h3>
+      <div className="space-y-2">
+        {speakers.map(speaker => (
+          <div key={speaker} className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="w-20 text-gray-500">Speaker {speaker}</span>
+            <input
+              type="text"
+              value={names[speaker] || ''}
+              placeholder={`Speaker ${speaker}`}
+              maxLength={MAX_SPEAKER_NAME_LENGTH}
+              onChange={(e) => setNames(prev => ({ ...prev, [speaker]: e.target.value }))}
+              onBlur={() => rename(speaker)}
+              onKeyDown={(e) => { if (e.key === 'Enter') rename(speaker) }}
+              disabled={busySpeaker !== null}
+              className="flex-1 min-w-0 border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+            />
+            {speakers.length > 1 && (
+              <>
+                <select
+                  value={mergeTargets[speaker] || ''}
+                  onChange={(e) => setMergeTargets(prev => ({ ...prev, [speaker]: e.target.value }))}
+                  disabled={busySpeaker !== null}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+                >
+                  <option value="">Merge into...</option>
+                  {speakers.filter(other => other !== speaker).map(other => (
+                    <option key={other} value={other}>{speakerLabel(other, transcription.speakerNames)}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => merge(speaker)}
+                  disabled={!mergeTargets[speaker] || busySpeaker !== null}
+                  className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded font-medium disabled:opacity-50"
+                >
+                  {busySpeaker === speaker ? 'Saving...' : 'Merge'}
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+    </div>
+  )
+}
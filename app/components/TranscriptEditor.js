@@ -0,0 +1,456 @@
+'use client'
+
+import { useState, useEffect, useRef, useMemo } from 'react'
+import AudioPlayer from './AudioPlayer'
+import SpeakerManager from './SpeakerManager'
+import { saveRevision, replaceText, updateSpeakers, getAudioUrl, deleteAudio } from '../utils/fileStorage'
+import { formatTimestamp, groupWordsBySegment } from '../../lib/transcript'
+import { listSpeakers, nextSpeakerId, speakerLabel } from '../../lib/speakers'
+
+const toDraft = (segments) => segments.map(({ id, start, end, text, speaker }) => ({ id, start, end, text, speaker }))
+
+// Transcript synced to audio playback: the current segment and word are highlighted while the
+// audio plays, clicking a word seeks the player, and edits are saved as a new revision.
+// The audio kept on the server is played when there is any; a local file can replace it.
+// In split mode, clicking a word splits its segment there and hands the rest to another speaker.
+// Find and replace changes every match at once, as one revision.
+export default function TranscriptEditor({ transcription, onSaved }) {
+  const audioRef = useRef(null)
+  const activeSegmentRef = useRef(null)
+  const [audioSrc, setAudioSrc] = useState(null)
+  const [currentTime, setCurrentTime] = useState(0)
+  const [isEditing, setIsEditing] = useState(false)
+  const [draft, setDraft] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+  const [saveError, setSaveError] = useState('')
+  const [isSplitting, setIsSplitting] = useState(false)
+  const [pendingSplit, setPendingSplit] = useState(null)
+  const [splitSpeaker, setSplitSpeaker] = useState('')
+  const [audioError, setAudioError] = useState('')
+  const [isReplacing, setIsReplacing] = useState(false)
+  const [replacement, setReplacement] = useState({ find: '', replace: '', matchCase: false, wholeWord: true })
+
+  const result = transcription.result
+  const wordsBySegment = useMemo(
+    () => groupWordsBySegment(result.segments, result.words),
+    [result]
+  )
+  const speakers = listSpeakers(result)
+  const newSpeakerId = nextSpeakerId(speakers)
+
+  // Leave edit mode when another transcription or revision is shown
+  useEffect(() => {
+    setIsEditing(false)
+    setSaveError('')
+    setPendingSplit(null)
+  }, [transcription.id, transcription.revision])
+
+  useEffect(() => {
+    return () => {
+      if (audioSrc) URL.revokeObjectURL(audioSrc)
+    }
+  }, [audioSrc])
+
+  // timeupdate only fires a few times a second, so poll every frame while playing
+  useEffect(() => {
+    const audio = audioRef.current
+    if (!audio) return
+
+    let frame = null
+    const tick = () => {
+      setCurrentTime(audio.currentTime)
+      frame = requestAnimationFrame(tick)
+    }
+    const start = () => {
+      cancelAnimationFrame(frame)
+      frame = requestAnimationFrame(tick)
+    }
+    const stop = () => {
+      cancelAnimationFrame(frame)
+      setCurrentTime(audio.currentTime)
+    }
+
+    audio.addEventListener('play', start)
+    audio.addEventListener('pause', stop)
+    audio.addEventListener('seeked', stop)
+    audio.addEventListener('ended', stop)
+
+    return () => {
+      cancelAnimationFrame(frame)
+      audio.removeEventListener('play', start)
+      audio.removeEventListener('pause', stop)
+      audio.removeEventListener('seeked', stop)
+      audio.removeEventListener('ended', stop)
+    }
+  }, [])
+
+  const activeSegment = result.segments.find(s => currentTime >= s.start && currentTime < s.end)
+  const activeSegmentId = activeSegment ? activeSegment.id : null
+
+  useEffect(() => {
+    if (activeSegmentRef.current && audioRef.current && !audioRef.current.paused) {
+      activeSegmentRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+    }
+  }, [activeSegmentId])
+
+  const handleAudioFile = (event) => {
+    const file = event.target.files[0]
+    if (file) {
+      setAudioSrc(URL.createObjectURL(file))
+    }
+  }
+
+  const handleDeleteAudio = async () => {
+    if (!confirm('Delete the stored audio? The transcript is kept.')) return
+    setAudioError('')
+    try {
+      onSaved?.(await deleteAudio(transcription.id))
+    } catch (error) {
+      setAudioError(error.message)
+    }
+  }
+
+  const seek = (time) => {
+    if (audioRef.current && audioRef.current.src) {
+      audioRef.current.currentTime = time
+    }
+    setCurrentTime(time)
+  }
+
+  const handleWordClick = (segment, wordIndex, token, start) => {
+    if (!isSplitting) {
+      seek(start)
+      return
+    }
+    if (wordIndex === 0) {
+      setSaveError('Pick a word after the first one: the segment is split just before it')
+      return
+    }
+    setSaveError('')
+    setPendingSplit({ segmentId: segment.id, wordIndex, word: token })
+    setSplitSpeaker(speakers.find(speaker => speaker !== segment.speaker) || newSpeakerId)
+  }
+
+  const handleSplit = async () => {
+    setIsSaving(true)
+    setSaveError('')
+    try {
+      const { transcription: updated } = await updateSpeakers(transcription.id, {
+        action: 'split',
+        segmentId: pendingSplit.segmentId,
+        wordIndex: pendingSplit.wordIndex,
+        speaker: splitSpeaker,
+        baseRevision: transcription.revision ?? null
+      })
+      setPendingSplit(null)
+      onSaved?.(updated)
+    } catch (error) {
+      setSaveError(error.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleReplace = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    setSaveError('')
+    try {
+      const { transcription: updated } = await replaceText(transcription.id, {
+        ...replacement,
+        baseRevision: transcription.revision ?? null
+      })
+      setReplacement(prev => ({ ...prev, find: '', replace: '' }))
+      onSaved?.(updated)
+    } catch (error) {
+      setSaveError(error.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const startEditing = () => {
+    setDraft(toDraft(result.segments))
+    setSaveError('')
+    setIsSplitting(false)
+    setPendingSplit(null)
+    setIsEditing(true)
+  }
+
+  const updateDraft = (index, field, value) => {
+    setDraft(prev => prev.map((segment, i) => (i === index ? { ...segment, [field]: value } : segment)))
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    setSaveError('')
+    try {
+      const segments = draft.map(segment => ({
+        ...segment,
+        start: parseFloat(segment.start),
+        end: parseFloat(segment.end)
+      }))
+      const { transcription: updated } = await saveRevision(transcription.id, segments, {
+        baseRevision: transcription.revision ?? null
+      })
+      setIsEditing(false)
+      onSaved?.(updated)
+    } catch (error) {
+      setSaveError(error.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const storedAudio = transcription.audio
+  const playerSrc = audioSrc || (storedAudio ? getAudioUrl(transcription.id) : undefined)
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Audio</h3>
+          <label className="text-sm text-blue-600 hover:text-blue-800 cursor-pointer">
+            {playerSrc ? 'Change audio file' : 'Load audio file'}
+            <input type="file" accept="audio/*,video/*" onChange={handleAudioFile} className="hidden" />
+          </label>
+        </div>
+        {storedAudio && !audioSrc && (
+          <div className="flex items-center justify-between text-sm text-gray-500 mb-4">
+            <span>
+              {storedAudio.expiresAt
+                ? `Stored on the server until ${new Date(storedAudio.expiresAt).toLocaleDateString()}`
+                : 'Stored on the server'}
+            </span>
+            <button onClick={handleDeleteAudio} className="text-red-600 hover:text-red-800">
+              Delete audio
+            </button>
+          </div>
+        )}
+        {!storedAudio && !audioSrc && (
+          <p className="text-sm text-gray-500 mb-4">
+            {transcription.audioDeletedReason === 'expired'
+              ? 'The stored audio was deleted after the retention period. '
+              : ''}
+            Load {transcription.fileName} from your computer to play it along with the transcript.
+          </p>
+        )}
+        {audioError && <p className="text-sm text-red-600 mb-4">{audioError}</p>}
+        <AudioPlayer audioRef={audioRef} src={playerSrc} showFileInfo={false} />
+      </div>
+
+      <SpeakerManager transcription={transcription} onUpdated={onSaved} />
+
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">
+            Transcript
+            {transcription.revision && (
+              <span className="ml-2 text-sm font-normal text-gray-500">revision {transcription.revision}</span>
+            )}
+          </h3>
+          {isEditing ? (
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setIsEditing(false)}
+                disabled={isSaving}
+                className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded font-medium disabled:bg-gray-300"
+              >
+                {isSaving ? 'Saving...' : 'Save revision'}
+              </button>
+            </div>
+          ) : (
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setIsReplacing(!isReplacing)}
+                className={`px-3 py-1 text-sm rounded font-medium ${
+                  isReplacing ? 'bg-blue-600 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'
+                }`}
+              >
+                Find and replace
+              </button>
+              <button
+                onClick={() => { setIsSplitting(!isSplitting); setPendingSplit(null) }}
+                className={`px-3 py-1 text-sm rounded font-medium ${
+                  isSplitting ? 'bg-purple-600 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'
+                }`}
+              >
+                {isSplitting ? 'Done splitting' : 'Split speakers'}
+              </button>
+              <button
+                onClick={startEditing}
+                className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 text-gray-800 rounded font-medium"
+              >
+                Edit
+              </button>
+            </div>
+          )}
+        </div>
+
+        {isReplacing && !isEditing && (
+          <form onSubmit={handleReplace} className="flex flex-wrap items-center gap-2 mb-3 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+            <input
+              value={replacement.find}
+              onChange={(e) => setReplacement(prev => ({ ...prev, find: e.target.value }))}
+              placeholder="Find"
+              className="border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+            />
+            <input
+              value={replacement.replace}
+              onChange={(e) => setReplacement(prev => ({ ...prev, replace: e.target.value }))}
+              placeholder="Replace with"
+              className="border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+            />
+            <label className="flex items-center gap-1 text-gray-700">
+              <input
+                type="checkbox"
+                checked={replacement.matchCase}
+                onChange={(e) => setReplacement(prev => ({ ...prev, matchCase: e.target.checked }))}
+              />
+              Match case
+            </label>
+            <label className="flex items-center gap-1 text-gray-700">
+              <input
+                type="checkbox"
+                checked={replacement.wholeWord}
+                onChange={(e) => setReplacement(prev => ({ ...prev, wholeWord: e.target.checked }))}
+              />
+              Whole words
+            </label>
+            <button
+              type="submit"
+              disabled={isSaving || !replacement.find.trim()}
+              className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium disabled:bg-gray-300"
+            >
+              {isSaving ? 'Replacing...' : 'Replace all'}
+            </button>
+          </form>
+        )}
+
+        {isSplitting && !pendingSplit && (
+          <p className="text-sm text-purple-700 mb-3">Click the first word that belongs to a different speaker.</p>
+        )}
+
+        {pendingSplit && (
+          <div className="flex flex-wrap items-center gap-2 mb-3 p-3 bg-purple-50 border border-purple-200 rounded-lg text-sm">
+            <span className="text-gray-700">Split before &ldquo;{pendingSplit.word}&rdquo; and assign the rest to</span>
+            <select
+              value={splitSpeaker}
+              onChange={(e) => setSplitSpeaker(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+            >
+              {speakers.map(speaker => (
+                <option key={speaker} value={speaker}>{speakerLabel(speaker, transcription.speakerNames)}</option>
+              ))}
+              <option value={newSpeakerId}>New speaker ({newSpeakerId})</option>
+            </select>
+            <button
+              onClick={handleSplit}
+              disabled={isSaving}
+              className="px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded font-medium disabled:bg-gray-300"
+            >
+              {isSaving ? 'Splitting...' : 'Split'}
+            </button>
+            <button onClick={() => setPendingSplit(null)} className="px-3 py-1 text-gray-600 hover:text-gray-800">
+              Cancel
+            </button>
+          </div>
+        )}
+
+        {saveError && (
+          <p className="text-sm text-red-600 mb-3">{saveError}</p>
+        )}
+
+        <div className="bg-gray-50 rounded-lg p-4 max-h-96 overflow-y-auto divide-y divide-gray-200">
+          {isEditing ? draft.map((segment, index) => (
+            <div key={segment.id} className="py-3">
+              <div className="flex items-center space-x-2 mb-2 text-sm text-gray-500">
+                {segment.speaker && (
+                  <span className="font-medium text-gray-700">{speakerLabel(segment.speaker, transcription.speakerNames)}</span>
+                )}
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={segment.start}
+                  onChange={(e) => updateDraft(index, 'start', e.target.value)}
+                  className="w-24 border border-gray-300 rounded px-2 py-1 text-gray-900"
+                  aria-label="Start (seconds)"
+                />
+                <span>–</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={segment.end}
+                  onChange={(e) => updateDraft(index, 'end', e.target.value)}
+                  className="w-24 border border-gray-300 rounded px-2 py-1 text-gray-900"
+                  aria-label="End (seconds)"
+                />
+                <span>s</span>
+              </div>
+              <textarea
+                value={segment.text}
+                onChange={(e) => updateDraft(index, 'text', e.target.value)}
+                rows={Math.max(2, Math.ceil(segment.text.length / 80))}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-gray-800"
+              />
+            </div>
+          )) : result.segments.map(segment => {
+            const isActive = segment.id === activeSegmentId
+            // Without word timings, split mode still needs clickable words
+            const words = wordsBySegment.get(segment.id) ||
+              (isSplitting ? segment.text.split(/\s+/).filter(Boolean).map(text => ({ text, start: segment.start, end: segment.start })) : null)
+
+            return (
+              <div
+                key={segment.id}
+                ref={isActive ? activeSegmentRef : null}
+                className={`py-2 px-2 rounded ${isActive ? 'bg-blue-50' : ''}`}
+              >
+                <div className="text-sm text-gray-500 mb-1">
+                  {segment.speaker && (
+                    <span className="font-medium text-gray-700 mr-2">{speakerLabel(segment.speaker, transcription.speakerNames)}</span>
+                  )}
+                  <button onClick={() => seek(segment.start)} className="hover:text-blue-600">
+                    [{formatTimestamp(segment.start)} - {formatTimestamp(segment.end)}]
+                  </button>
+                </div>
+                {words ? (
+                  <p className="text-gray-800 leading-relaxed">
+                    {words.map((word, index) => (
+                      <span key={index}>
+                        <span
+                          onClick={() => handleWordClick(segment, index, word.text, word.start)}
+                          className={`cursor-pointer rounded ${isSplitting ? 'hover:bg-purple-200' : 'hover:bg-blue-100'} ${
+                            currentTime >= word.start && currentTime < word.end ? 'bg-yellow-200' : ''
+                          }`}
+                        >
+                          {word.text}
+                        </span>{' '}
+                      </span>
+                    ))}
+                  </p>
+                ) : (
+                  <p
+                    onClick={() => seek(segment.start)}
+                    className="text-gray-800 whitespace-pre-wrap cursor-pointer"
+                  >
+                    {segment.text}
+                  </p>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
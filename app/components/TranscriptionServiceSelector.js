@@ -1,20 +1,39 @@
 'use client'
 
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+
+const AUTO_SERVICE = {
+  id: 'auto',
+  name: '🔁 Automatic (fallback chain)',
+  description: 'Tries each configured provider in order until one succeeds',
+  configured: true
+}
 
 export default function TranscriptionServiceSelector({ onServiceChange }) {
-  const [selectedService, setSelectedService] = useState('whisper')
+  const [selectedService, setSelectedService] = useState('auto')
+  const [services, setServices] = useState([AUTO_SERVICE])
 
-  const services = [
-    {
-      id: 'whisper',
-      name: '🎵 OpenAI Whisper (Hugging Face)',
-      description: 'High-quality transcription using OpenAI Whisper models',
-      cost: 'Free tier',
-      quality: 'Very High',
-      setup: 'Easy'
+  useEffect(() => {
+    const loadProviders = async () => {
+      try {
+        const res = await fetch('/api/providers')
+        if (!res.ok) return
+        const data = await res.json()
+        setServices([
+          { ...AUTO_SERVICE, description: `${AUTO_SERVICE.description}: ${data.defaultChain.join(' → ')}` },
+          ...data.providers.map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            description: describeCapabilities(provider.capabilities),
+            configured: provider.configured
+          }))
+        ])
+      } catch (error) {
+        console.error('Failed to load transcription providers:', error)
+      }
     }
-  ]
+    loadProviders()
+  }, [])
 
   const handleServiceChange = (serviceId) => {
     setSelectedService(serviceId)
@@ -26,7 +45,7 @@ export default function TranscriptionServiceSelector({ onServiceChange }) {
       <h3 className="text-lg font-semibold text-gray-900 mb-4">
         Choose Transcription Service
       </h3>
-      
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         {services.map((service) => (
           <div
@@ -50,38 +69,36 @@ export default function TranscriptionServiceSelector({ onServiceChange }) {
                 )}
               </div>
             </div>
-            
+
             <p className="text-sm text-gray-600 mb-3">{service.description}</p>
-            
-            <div className="grid grid-cols-3 gap-2 text-xs">
-              <div className="text-center">
-                <span className="font-medium text-gray-900">Cost</span>
-                <p className="text-gray-600">{service.cost}</p>
-              </div>
-              <div className="text-center">
-                <span className="font-medium text-gray-900">Quality</span>
-                <p className="text-gray-600">{service.quality}</p>
-              </div>
-              <div className="text-center">
-                <span className="font-medium text-gray-900">Setup</span>
-                <p className="text-gray-600">{service.setup}</p>
-              </div>
-            </div>
+
+            <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+              service.configured ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+            }`}>
+              {service.configured ? 'Configured' : 'Not configured'}
+            </span>
           </div>
         ))}
       </div>
 
       <div className="mt-4 p-3 bg-blue-50 rounded-lg">
         <h4 className="font-medium text-blue-900 mb-2">Setup Instructions</h4>
-        {selectedService === 'whisper' && (
-          <div className="text-sm text-blue-800">
-            <p>1. Get free API key from <a href="https://huggingface.co/settings/tokens" target="_blank" rel="noopener noreferrer" className="underline">Hugging Face</a></p>
-            <p>2. Add <code className="bg-blue-100 px-1 rounded">HUGGINGFACE_API_KEY=hf_your_key_here</code> to .env.local</p>
-            <p>3. Enable inference providers at <a href="https://huggingface.co/settings/inference-providers" target="_blank" rel="noopener noreferrer" className="underline">Hugging Face settings</a></p>
-          </div>
-        )}
+        <div className="text-sm text-blue-800">
+          <p>1. Get free API key from <a href="https://huggingface.co/settings/tokens" target="_blank" rel="noopener noreferrer" className="underline">Hugging Face</a></p>
+          <p>2. Add <code className="bg-blue-100 px-1 rounded">HUGGINGFACE_API_KEY=hf_your_key_here</code> to .env.local</p>
+          <p>3. Enable inference providers at <a href="https://huggingface.co/settings/inference-providers" target="_blank" rel="noopener noreferrer" className="underline">Hugging Face settings</a></p>
+          <p>Other providers are enabled by adding their keys (see README).</p>
+        </div>
       </div>
     </div>
   )
 }
 
+const describeCapabilities = (capabilities = {}) => {
+  const features = []
+  if (capabilities.diarization) features.push('speaker diarization')
+  if (capabilities.wordTimestamps) features.push('word timestamps')
+  if (capabilities.languageDetection) features.push('language detection')
+  if (capabilities.offline) features.push('fully offline')
+  return features.length > 0 ? `Supports ${features.join(', ')}` : 'Plain text transcription'
+}
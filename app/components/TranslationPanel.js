@@ -0,0 +1,163 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import LanguageSelector from './LanguageSelector'
+import { getJob, getTranslations, requestTranslation } from '../utils/fileStorage'
+import { LANGUAGES, languageName } from '../../lib/languages'
+import { formatTimestamp } from '../../lib/transcript'
+import { speakerLabel } from '../../lib/speakers'
+
+const JOB_POLL_INTERVAL_MS = 3000
+
+const STATUS_COLORS = {
+  processing: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+// Translated copies of a transcript: request one, follow its job and preview the result.
+// A translation made before the latest edit of the transcript is marked as outdated.
+export default function TranslationPanel({ transcription, onUpdated }) {
+  const sourceLanguage = transcription.result?.language || null
+  const translations = Object.values(transcription.translations || {})
+  const [engines, setEngines] = useState([])
+  const [target, setTarget] = useState(sourceLanguage === 'en' ? 'es' : 'en')
+  const [source, setSource] = useState('en')
+  const [engine, setEngine] = useState('auto')
+  const [preview, setPreview] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [progress, setProgress] = useState({})
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    getTranslations(transcription.id)
+      .then(data => setEngines(data.engines))
+      .catch(() => setEngines([]))
+  }, [transcription.id])
+
+  // Follows running translation jobs and reloads the record once one finishes
+  const pendingJobs = translations.filter(t => t.status === 'processing' && t.jobId).map(t => t.jobId).join(',')
+  useEffect(() => {
+    if (!pendingJobs) return
+
+    const poll = async () => {
+      const jobs = await Promise.all(pendingJobs.split(',').map(id => getJob(id).catch(() => null)))
+      setProgress(Object.fromEntries(jobs.filter(Boolean).map(job => [job.id, job])))
+      if (jobs.some(job => job && (job.status === 'completed' || job.status === 'failed'))) {
+        onUpdated?.()
+      }
+    }
+
+    poll()
+    const interval = setInterval(poll, JOB_POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [pendingJobs, onUpdated])
+
+  const handleTranslate = async () => {
+    setIsSubmitting(true)
+    setError('')
+    try {
+      await requestTranslation(transcription.id, {
+        language: target,
+        engine,
+        source: sourceLanguage ? undefined : source
+      })
+      onUpdated?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const previewed = preview && transcription.translations?.[preview]?.result
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+      <h3 className="text-lg font-medium text-gray-900 mb-3">Translations</h3>
+
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        {!sourceLanguage && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            From:
+            <select
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            >
+              {LANGUAGES.map(language => (
+                <option key={language.code} value={language.code}>{language.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <LanguageSelector value={target} onChange={setTarget} allowAuto={false} />
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Engine:
+          <select
+            value={engine}
+            onChange={(e) => setEngine(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          >
+            <option value="auto">Automatic</option>
+            {engines.map(option => (
+              <option key={option.id} value={option.id} disabled={!option.configured}>
+                {option.name}{option.offline ? ' (offline)' : ''}{option.configured ? '' : ' - not configured'}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={handleTranslate}
+          disabled={isSubmitting || target === sourceLanguage}
+          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1 rounded-md text-sm font-medium"
+        >
+          Translate
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {translations.length > 0 && (
+        <ul className="divide-y divide-gray-200 text-sm">
+          {translations.map(translation => {
+            const job = progress[translation.jobId]
+            const outdated = translation.status === 'completed' && translation.sourceRevision !== (transcription.revision ?? null)
+            return (
+              <li key={translation.language} className="py-2 flex flex-wrap items-center gap-2">
+                <span className="font-medium text-gray-900">{languageName(translation.language)}</span>
+                <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_COLORS[translation.status]}`}>
+                  {translation.status === 'processing' && job ? `${job.progress}%` : translation.status}
+                </span>
+                {translation.engine && <span className="text-gray-500">{translation.engine}</span>}
+                {outdated && <span className="text-yellow-700">outdated, the transcript was edited since</span>}
+                {translation.error && <span className="text-red-600">{translation.error}</span>}
+                {translation.result && (
+                  <button
+                    onClick={() => setPreview(preview === translation.language ? null : translation.language)}
+                    className="ml-auto text-blue-600 hover:text-blue-800 font-medium"
+                  >
+                    {preview === translation.language ? 'Hide' : 'Show'}
+                  </button>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      {previewed && (
+        <div className="mt-3 max-h-96 overflow-y-auto space-y-2 text-sm">
+          {previewed.segments.map(segment => (
+            <p key={segment.id} className="text-gray-800">
+              <span className="text-gray-500 mr-2">{formatTimestamp(segment.start)}</span>
+              {segment.speaker && (
+                <span className="font-medium mr-1">{speakerLabel(segment.speaker, transcription.speakerNames)}:</span>
+              )}
+              {segment.text}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
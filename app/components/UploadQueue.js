@@ -0,0 +1,156 @@
+'use client'
+
+import Link from 'next/link'
+import { formatFileSize } from '../../lib/upload'
+import { AUDIO_FORMATS } from '../../lib/audioFormat'
+import { formatTimestamp } from '../../lib/transcript'
+import { MAX_UPLOAD_CONCURRENCY } from '../utils/useUploadQueue'
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  uploading: 'Uploading',
+  cancelling: 'Cancelling',
+  done: 'Queued for transcription',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  invalid: 'Rejected'
+}
+
+const STATUS_COLORS = {
+  queued: 'bg-gray-100 text-gray-700',
+  uploading: 'bg-blue-100 text-blue-800',
+  cancelling: 'bg-gray-100 text-gray-700',
+  done: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-yellow-100 text-yellow-800',
+  invalid: 'bg-red-100 text-red-800'
+}
+
+// '3:05 · MP3 · 44.1kHz stereo' or '52:10 · MP4 video 1280×720 · 48kHz stereo' from what
+// the file's headers report
+function describeAudio(info) {
+  const channels = { 1: 'mono', 2: 'stereo' }[info.channels] || (info.channels && `${info.channels} channels`)
+  const label = AUDIO_FORMATS[info.format].label
+  return [
+    info.duration && formatTimestamp(info.duration),
+    info.video
+      ? `${label} video${info.video.width > 0 ? ` ${info.video.width}×${info.video.height}` : ''}`
+      : label,
+    [info.sampleRate && `${info.sampleRate / 1000}kHz`, channels].filter(Boolean).join(' ')
+  ].filter(Boolean).join(' · ')
+}
+
+// Per-file progress and controls for useUploadQueue, with a summary once the batch is done
+export default function UploadQueue({ queue }) {
+  const { items, counts, isActive, isFinished, concurrency, setConcurrency } = queue
+
+  if (items.length === 0) {
+    return null
+  }
+
+  const failedCount = counts.failed || 0
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h4 className="font-medium text-gray-900">
+          Files ({items.length})
+        </h4>
+        <div className="flex items-center gap-3 text-sm">
+          <label className="text-gray-600">
+            Parallel uploads:{' '}
+            <select
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            >
+              {Array.from({ length: MAX_UPLOAD_CONCURRENCY }, (_, index) => index + 1).map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </label>
+          {isActive && (
+            <button onClick={queue.cancelAll} className="text-red-600 hover:text-red-800 font-medium">
+              Cancel all
+            </button>
+          )}
+          {!isActive && (
+            <button onClick={queue.clearFinished} className="text-gray-600 hover:text-gray-800 font-medium">
+              Clear list
+            </button>
+          )}
+        </div>
+      </div>
+
+      <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+        {items.map(item => {
+          const percent = item.total > 0 ? Math.floor((item.loaded / item.total) * 100) : 0
+          return (
+            <li key={item.id} className="p-3">
+              <div className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{item.file.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {item.status === 'uploading'
+                      ? `${formatFileSize(item.loaded)} of ${formatFileSize(item.total)} (${percent}%)${item.resumed ? ', resumed' : ''}`
+                      : [formatFileSize(item.file.size), item.info && describeAudio(item.info)].filter(Boolean).join(' · ')}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_COLORS[item.status]}`}>
+                    {STATUS_LABELS[item.status]}
+                  </span>
+                  {(item.status === 'failed' || item.status === 'cancelled') && (
+                    <button onClick={() => queue.retry(item.id)} className="text-sm text-blue-600 hover:text-blue-800 font-medium">
+                      Retry
+                    </button>
+                  )}
+                  {(item.status === 'queued' || item.status === 'uploading') && (
+                    <button onClick={() => queue.cancel(item.id)} className="text-sm text-red-600 hover:text-red-800 font-medium">
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </div>
+              {item.status === 'uploading' && (
+                <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${percent}%` }}
+                  ></div>
+                </div>
+              )}
+              {item.error && (
+                <p className="mt-1 text-xs text-red-600">{item.error}</p>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+
+      {isFinished && (
+        <div className="mt-4 bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-md text-sm">
+          <p className="font-medium mb-1">Batch finished</p>
+          <p>
+            {counts.done || 0} uploaded and queued for transcription
+            {failedCount > 0 && `, ${failedCount} failed`}
+            {counts.cancelled > 0 && `, ${counts.cancelled} cancelled`}
+            {counts.invalid > 0 && `, ${counts.invalid} rejected`}.
+          </p>
+          <div className="mt-2 flex gap-4">
+            {counts.done > 0 && (
+              <Link href="/dashboard" className="font-medium text-blue-600 hover:text-blue-800">
+                Follow progress on the dashboard
+              </Link>
+            )}
+            {failedCount > 0 && (
+              <button onClick={queue.retryFailed} className="font-medium text-blue-600 hover:text-blue-800">
+                Retry failed uploads
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
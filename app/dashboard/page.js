@@ -4,7 +4,23 @@ import { useState, useEffect } from 'react'
 import { useSession } from 'next-auth/react'
 import { useRouter } from 'next/navigation'
 import Link from 'next/link'
-import { getUploadedFiles, deleteFile, clearAllFiles } from '../utils/fileStorage'
+import { getUploadedFiles, deleteFile, clearAllFiles, getJob, downloadExport } from '../utils/fileStorage'
+import TranscriptEditor from '../components/TranscriptEditor'
+import TranslationPanel from '../components/TranslationPanel'
+import RerunPanel from '../components/RerunPanel'
+import RevisionHistory from '../components/RevisionHistory'
+import { AUTO_LANGUAGE, languageName } from '../../lib/languages'
+
+const JOB_POLL_INTERVAL_MS = 3000
+
+const EXPORT_BUTTONS = [
+  { format: 'txt', label: 'TXT' },
+  { format: 'srt', label: 'SRT' },
+  { format: 'vtt', label: 'VTT' },
+  { format: 'md', label: 'MD' },
+  { format: 'docx', label: 'DOCX' },
+  { format: 'pdf', label: 'PDF' }
+]
 
 export default function DashboardPage() {
   const { data: session, status } = useSession()
@@ -12,7 +28,10 @@ export default function DashboardPage() {
   const [files, setFiles] = useState([])
   const [selectedFile, setSelectedFile] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
-  const [showStorageWarning, setShowStorageWarning] = useState(false)
+  const [loadError, setLoadError] = useState('')
+  const [jobs, setJobs] = useState({})
+  const [exportOptions, setExportOptions] = useState({ maxLineLength: 42, maxCueDuration: 6, speakerPrefix: 'change', summary: false, language: '' })
+  const [exportError, setExportError] = useState('')
 
   // Redirect unauthenticated users via effect to keep hooks order stable
   useEffect(() => {
@@ -25,46 +44,74 @@ export default function DashboardPage() {
   useEffect(() => {
     if (session) {
       loadFiles()
-      checkStorageQuota()
     }
   }, [session])
 
-  const loadFiles = () => {
-    const userFiles = getUploadedFiles()
-    setFiles(userFiles)
-    setIsLoading(false)
-  }
+  // Exports default to the original transcript whenever another file is picked
+  useEffect(() => {
+    setExportOptions(prev => ({ ...prev, language: '' }))
+  }, [selectedFile?.id])
+
+  // Poll the job queue for files that are still processing
+  useEffect(() => {
+    const pending = files.filter(f => f.status === 'processing' && f.jobId)
+    if (pending.length === 0) return
+
+    const pollJobs = async () => {
+      const results = await Promise.all(pending.map(f => getJob(f.jobId).catch(() => null)))
+      const next = {}
+      results.forEach((job, index) => {
+        if (job) next[pending[index].id] = job
+      })
+      setJobs(prev => ({ ...prev, ...next }))
+
+      if (results.some(job => job && (job.status === 'completed' || job.status === 'failed'))) {
+        loadFiles()
+      }
+    }
+
+    pollJobs()
+    const interval = setInterval(pollJobs, JOB_POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [files])
 
-  const checkStorageQuota = () => {
+  const loadFiles = async () => {
     try {
-      // Check if sessionStorage is getting full
-      const testKey = 'storage_test'
-      const testData = 'x'.repeat(100000) // 100KB test (smaller than before)
-      sessionStorage.setItem(testKey, testData)
-      sessionStorage.removeItem(testKey)
+      const userFiles = await getUploadedFiles()
+      setFiles(userFiles)
+      setSelectedFile(prev => prev ? userFiles.find(f => f.id === prev.id) || null : null)
+      setLoadError('')
     } catch (error) {
-      if (error.name === 'QuotaExceededError') {
-        setShowStorageWarning(true)
-      }
+      console.error('Failed to load transcriptions:', error)
+      setLoadError(error.message)
+    } finally {
+      setIsLoading(false)
     }
   }
 
-  const handleDelete = (fileId) => {
+  const handleDelete = async (fileId) => {
     if (confirm('Are you sure you want to delete this file?')) {
-      deleteFile(fileId)
-      loadFiles()
+      try {
+        await deleteFile(fileId)
+      } catch (error) {
+        setLoadError(error.message)
+      }
+      await loadFiles()
       if (selectedFile?.id === fileId) {
         setSelectedFile(null)
       }
     }
   }
 
-  const handleClearAllFiles = () => {
+  const handleClearAllFiles = async () => {
     if (confirm('Are you sure you want to delete all files? This action cannot be undone.')) {
-      clearAllFiles()
-      setFiles([])
-      setSelectedFile(null)
-      setShowStorageWarning(false)
+      try {
+        await clearAllFiles()
+        setFiles([])
+        setSelectedFile(null)
+      } catch (error) {
+        setLoadError(error.message)
+      }
     }
   }
 
@@ -78,12 +125,32 @@ export default function DashboardPage() {
     })
   }
 
+  // Processing files show the real job state (queued/running) instead of a generic badge
+  const getDisplayStatus = (file) => {
+    const job = jobs[file.id]
+    if (file.status === 'processing' && job && (job.status === 'queued' || job.status === 'running')) {
+      return job.status
+    }
+    return file.status
+  }
+
+  // 'French (detected)' when the provider detected it, 'French' when it was picked;
+  // records from before language selection only have it on the result
+  const getLanguageLabel = (file) => {
+    const language = file.language || file.result?.language
+    if (!language) return null
+    return file.requestedLanguage === AUTO_LANGUAGE ? `${languageName(language)} (detected)` : languageName(language)
+  }
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
         return 'bg-green-100 text-green-800'
       case 'processing':
+      case 'running':
         return 'bg-yellow-100 text-yellow-800'
+      case 'queued':
+        return 'bg-blue-100 text-blue-800'
       case 'failed':
         return 'bg-red-100 text-red-800'
       default:
@@ -91,15 +158,18 @@ export default function DashboardPage() {
     }
   }
 
-  const downloadTranscript = (file) => {
-    const element = document.createElement('a')
-    const fileContent = `Transcription of ${file.fileName}\n\n${file.transcript}`
-    const blob = new Blob([fileContent], { type: 'text/plain' })
-    element.href = URL.createObjectURL(blob)
-    element.download = `${file.fileName.replace(/\.[^/.]+$/, '')}_transcript.txt`
-    document.body.appendChild(element)
-    element.click()
-    document.body.removeChild(element)
+  const handleTranscriptionSaved = (updated) => {
+    setFiles(prev => prev.map(f => (f.id === updated.id ? updated : f)))
+    setSelectedFile(updated)
+  }
+
+  const downloadTranscript = async (file, format) => {
+    setExportError('')
+    try {
+      await downloadExport(file.id, format, exportOptions)
+    } catch (error) {
+      setExportError(error.message)
+    }
   }
 
   if (status === 'loading' || !session || isLoading) {
@@ -141,19 +211,19 @@ export default function DashboardPage() {
           </div>
         </div>
 
-        {/* Storage Warning */}
-        {showStorageWarning && (
-          <div className="mb-6 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-md">
+        {/* Load Error */}
+        {loadError && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
             <div className="flex items-center justify-between">
               <div className="flex">
-                <svg className="h-5 w-5 text-yellow-400 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z" />
+                <svg className="h-5 w-5 text-red-400 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
-                <span>Storage space is running low. Consider clearing old files.</span>
+                <span>{loadError}</span>
               </div>
               <button
-                onClick={() => setShowStorageWarning(false)}
-                className="text-yellow-600 hover:text-yellow-800"
+                onClick={() => setLoadError('')}
+                className="text-red-600 hover:text-red-800"
               >
                 ×
               </button>
@@ -257,7 +327,7 @@ export default function DashboardPage() {
                           ? 'border-blue-500 bg-blue-50'
                           : 'border-gray-200 hover:border-gray-300'
                       }`}
-                      onClick={() => setSelectedFile(file)}
+                      onClick={() => { setSelectedFile(file); setExportError('') }}
                     >
                       <div className="flex items-start justify-between">
                         <div className="flex-1 min-w-0">
@@ -265,10 +335,14 @@ export default function DashboardPage() {
                             {file.fileName}
                           </h3>
                           <div className="flex items-center mt-1 space-x-2">
-                            <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(file.status)}`}>
-                              {file.status}
+                            <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(getDisplayStatus(file))}`}>
+                              {getDisplayStatus(file)}
+                              {getDisplayStatus(file) === 'running' && ` ${jobs[file.id].progress}%`}
                             </span>
                             <span className="text-xs text-gray-500">{file.fileSize}</span>
+                            {getLanguageLabel(file) && (
+                              <span className="text-xs text-gray-500">{getLanguageLabel(file)}</span>
+                            )}
                           </div>
                           <p className="text-xs text-gray-500 mt-1">
                             {formatDate(file.uploadDate)}
@@ -302,27 +376,126 @@ export default function DashboardPage() {
                     <div>
                       <h2 className="text-xl font-semibold text-gray-900">{selectedFile.fileName}</h2>
                       <div className="flex items-center mt-2 space-x-4">
-                        <span className={`px-3 py-1 text-sm font-medium rounded-full ${getStatusColor(selectedFile.status)}`}>
-                          {selectedFile.status}
+                        <span className={`px-3 py-1 text-sm font-medium rounded-full ${getStatusColor(getDisplayStatus(selectedFile))}`}>
+                          {getDisplayStatus(selectedFile)}
                         </span>
                         <span className="text-sm text-gray-500">{selectedFile.fileSize}</span>
                         <span className="text-sm text-gray-500">{selectedFile.duration}</span>
+                        {getLanguageLabel(selectedFile) && (
+                          <span className="text-sm text-gray-500">{getLanguageLabel(selectedFile)}</span>
+                        )}
+                        {selectedFile.audioInfo?.video && (
+                          <span className="text-sm text-gray-500">
+                            Video{selectedFile.audioInfo.video.width > 0 && ` ${selectedFile.audioInfo.video.width}×${selectedFile.audioInfo.video.height}`}
+                          </span>
+                        )}
+                        {selectedFile.result?.provider && (
+                          <span className="text-sm text-gray-500">{selectedFile.result.provider.name}</span>
+                        )}
                       </div>
                     </div>
                     {selectedFile.status === 'completed' && (
-                      <button
-                        onClick={() => downloadTranscript(selectedFile)}
-                        className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium"
-                      >
-                        Download Transcript
-                      </button>
+                      <div className="flex flex-wrap gap-2 justify-end">
+                        {EXPORT_BUTTONS.map(({ format, label }) => (
+                          <button
+                            key={format}
+                            onClick={() => downloadTranscript(selectedFile, format)}
+                            className="bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg text-sm font-medium"
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
                     )}
                   </div>
 
+                  {selectedFile.status === 'completed' && (
+                    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+                      <h3 className="text-sm font-medium text-gray-900 mb-3">Export options</h3>
+                      <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+                        <label className="text-sm text-gray-600">
+                          Max line length
+                          <input
+                            type="number"
+                            min="10"
+                            max="200"
+                            value={exportOptions.maxLineLength}
+                            onChange={(e) => setExportOptions(prev => ({ ...prev, maxLineLength: e.target.value }))}
+                            className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+                          />
+                        </label>
+                        <label className="text-sm text-gray-600">
+                          Max cue duration (s)
+                          <input
+                            type="number"
+                            min="1"
+                            max="30"
+                            step="0.5"
+                            value={exportOptions.maxCueDuration}
+                            onChange={(e) => setExportOptions(prev => ({ ...prev, maxCueDuration: e.target.value }))}
+                            className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+                          />
+                        </label>
+                        <label className="text-sm text-gray-600">
+                          Speaker prefix
+                          <select
+                            value={exportOptions.speakerPrefix}
+                            onChange={(e) => setExportOptions(prev => ({ ...prev, speakerPrefix: e.target.value }))}
+                            className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+                          >
+                            <option value="change">When speaker changes</option>
+                            <option value="always">Every cue</option>
+                            <option value="none">None</option>
+                          </select>
+                        </label>
+                        <label className="text-sm text-gray-600">
+                          Language
+                          <select
+                            value={exportOptions.language}
+                            onChange={(e) => setExportOptions(prev => ({ ...prev, language: e.target.value }))}
+                            className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+                          >
+                            <option value="">Original</option>
+                            {Object.values(selectedFile.translations || {})
+                              .filter(translation => translation.status === 'completed')
+                              .map(translation => (
+                                <option key={translation.language} value={translation.language}>
+                                  {languageName(translation.language)} (translation)
+                                </option>
+                              ))}
+                          </select>
+                        </label>
+                      </div>
+                      <label className="flex items-center mt-3 text-sm text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={exportOptions.summary}
+                          onChange={(e) => setExportOptions(prev => ({ ...prev, summary: e.target.checked }))}
+                          className="mr-2"
+                        />
+                        Include a summary in MD, DOCX and PDF reports
+                      </label>
+                      {exportError && (
+                        <p className="text-sm text-red-600 mt-3">{exportError}</p>
+                      )}
+                    </div>
+                  )}
+
                   {selectedFile.status === 'processing' && (
                     <div className="text-center py-8">
                       <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-                      <p className="text-gray-600">Processing transcription...</p>
+                      <p className="text-gray-600">{jobs[selectedFile.id]?.message || 'Processing transcription...'}</p>
+                      {jobs[selectedFile.id] && (
+                        <div className="max-w-sm mx-auto mt-4">
+                          <div className="w-full bg-gray-200 rounded-full h-2">
+                            <div
+                              className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                              style={{ width: `${jobs[selectedFile.id].progress}%` }}
+                            ></div>
+                          </div>
+                          <p className="text-sm text-gray-500 mt-2">{jobs[selectedFile.id].progress}% complete</p>
+                        </div>
+                      )}
                     </div>
                   )}
 
@@ -334,29 +507,22 @@ export default function DashboardPage() {
                         </svg>
                       </div>
                       <p className="text-red-600">Transcription failed. Please try uploading the file again.</p>
+                      {selectedFile.error && (
+                        <p className="text-sm text-gray-500 mt-2">{selectedFile.error}</p>
+                      )}
+                      {selectedFile.audio && (
+                        <div className="mt-6 text-left">
+                          <RerunPanel key={selectedFile.id} transcription={selectedFile} onUpdated={loadFiles} />
+                        </div>
+                      )}
                     </div>
                   )}
 
                   {selectedFile.status === 'completed' && (
                     <div className="space-y-6">
-                      {selectedFile.utterances && selectedFile.utterances.length > 0 ? (
-                        <div>
-                          <h3 className="text-lg font-medium text-gray-900 mb-4">Speaker Diarization</h3>
-                          <div className="bg-gray-50 rounded-lg p-4 max-h-96 overflow-y-auto divide-y divide-gray-200">
-                            {selectedFile.utterances.map((u, idx) => (
-                              <div key={idx} className="py-2">
-                                <div className="text-sm text-gray-500 mb-1">
-                                  <span className="font-medium text-gray-700">Speaker {u.speaker || u.speaker_label || 'A'}</span>
-                                  <span className="ml-2">[{Math.round((u.start || 0)/1000)}s - {Math.round((u.end || 0)/1000)}s]</span>
-                                </div>
-                                <p className="text-gray-800 whitespace-pre-wrap">{u.text || ''}</p>
-                              </div>
-                            ))}
-                          </div>
-                        </div>
-                      ) : null}
-
-                      {selectedFile.transcript && (
+                      {selectedFile.result?.segments?.length > 0 ? (
+                        <TranscriptEditor key={selectedFile.id} transcription={selectedFile} onSaved={handleTranscriptionSaved} />
+                      ) : selectedFile.transcript && (
                         <div>
                           <h3 className="text-lg font-medium text-gray-900 mb-4">Transcription</h3>
                           <div className="bg-gray-50 rounded-lg p-4 max-h-96 overflow-y-auto">
@@ -364,6 +530,9 @@ export default function DashboardPage() {
                           </div>
                         </div>
                       )}
+                      <RerunPanel key={selectedFile.id} transcription={selectedFile} onUpdated={loadFiles} />
+                      <RevisionHistory key={selectedFile.id} transcription={selectedFile} onRestored={handleTranscriptionSaved} />
+                      <TranslationPanel key={selectedFile.id} transcription={selectedFile} onUpdated={loadFiles} />
                     </div>
                   )}
                 </div>
@@ -0,0 +1,386 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/navigation'
+import EvaluationRunView from '../components/EvaluationRunView'
+import LanguageSelector from '../components/LanguageSelector'
+import { getProviders } from '../utils/fileStorage'
+import { formatLatency } from '../utils/comparisons'
+import {
+  getEvaluation,
+  addEvaluationCase,
+  deleteEvaluationCase,
+  startEvaluation,
+  deleteEvaluationRun,
+  formatRate
+} from '../utils/evaluation'
+import { AUTO_LANGUAGE, languageName } from '../../lib/languages'
+
+const MAX_RUNS = 6
+
+const EMPTY_CASE = { name: '', file: null, reference: '', referenceFile: null, rttm: null }
+
+export default function EvaluationPage() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [providers, setProviders] = useState([])
+  const [cases, setCases] = useState([])
+  const [runs, setRuns] = useState([])
+  const [leaderboard, setLeaderboard] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [newCase, setNewCase] = useState(EMPTY_CASE)
+  const [caseLanguage, setCaseLanguage] = useState(AUTO_LANGUAGE)
+  const [formKey, setFormKey] = useState(0)
+  const [isAdding, setIsAdding] = useState(false)
+  const [selectedRuns, setSelectedRuns] = useState([])
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [selectedId, setSelectedId] = useState(null)
+
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/login')
+    }
+  }, [status, router])
+
+  const loadEvaluation = useCallback(async () => {
+    try {
+      const data = await getEvaluation()
+      setCases(data.cases)
+      setRuns(data.runs)
+      setLeaderboard(data.leaderboard)
+    } catch (loadError) {
+      setError(loadError.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!session) return
+    Promise.all([getProviders(), loadEvaluation()])
+      .then(([providerData]) => setProviders(providerData.providers.filter(provider => provider.configured)))
+      .catch(loadError => setError(loadError.message))
+      .finally(() => setIsLoading(false))
+  }, [session, loadEvaluation])
+
+  const providerNames = Object.fromEntries(providers.map(provider => [provider.id, provider.name]))
+  const caseNames = Object.fromEntries(cases.map(testCase => [testCase.id, testCase.name]))
+  const providerLabel = row => `${providerNames[row.provider] || row.provider}${row.model ? ` (${row.model})` : ''}`
+
+  const handleAddCase = async (e) => {
+    e.preventDefault()
+    setIsAdding(true)
+    setError('')
+    try {
+      await addEvaluationCase({
+        file: newCase.file,
+        name: newCase.name,
+        language: caseLanguage,
+        // A file wins over typed text
+        reference: newCase.referenceFile || newCase.reference,
+        rttm: newCase.rttm
+      })
+      setNewCase(EMPTY_CASE)
+      // Clears the file inputs
+      setFormKey(key => key + 1)
+      await loadEvaluation()
+    } catch (addError) {
+      setError(addError.message)
+    } finally {
+      setIsAdding(false)
+    }
+  }
+
+  const handleDeleteCase = async (id) => {
+    if (!confirm('Delete this case from the test set? Its results no longer count on the leaderboard.')) return
+    try {
+      await deleteEvaluationCase(id)
+      await loadEvaluation()
+    } catch (deleteError) {
+      setError(deleteError.message)
+    }
+  }
+
+  const addRun = () => {
+    const unused = providers.find(provider => !selectedRuns.some(run => run.provider === provider.id)) || providers[0]
+    setSelectedRuns(prev => [...prev, { provider: unused.id, model: '' }])
+  }
+
+  const updateRun = (index, changes) => {
+    setSelectedRuns(prev => prev.map((run, i) => (i === index ? { ...run, ...changes } : run)))
+  }
+
+  const handleStart = async () => {
+    setIsSubmitting(true)
+    setError('')
+    try {
+      const { run } = await startEvaluation({
+        runs: selectedRuns.map(run => ({ provider: run.provider, model: run.model || undefined }))
+      })
+      setSelectedId(run.id)
+      await loadEvaluation()
+    } catch (startError) {
+      setError(startError.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleDeleteRun = async (id) => {
+    if (!confirm('Delete this evaluation run? Its results no longer count on the leaderboard.')) return
+    try {
+      await deleteEvaluationRun(id)
+      if (selectedId === id) setSelectedId(null)
+      await loadEvaluation()
+    } catch (deleteError) {
+      setError(deleteError.message)
+    }
+  }
+
+  if (status === 'loading' || !session || isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Evaluation</h1>
+          <p className="text-gray-600 mt-2">
+            Build a test set of recordings with their correct transcripts, run providers and models against it and see
+            which is most accurate: word and character error rates, the substitution, deletion and insertion breakdown,
+            and diarization error rate for recordings with reference speaker turns.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="bg-white rounded-lg shadow p-6 mb-6 overflow-x-auto">
+          <h2 className="text-lg font-medium text-gray-900 mb-3">Leaderboard</h2>
+          {leaderboard.length === 0 ? (
+            <p className="text-sm text-gray-500">Run an evaluation to rank providers on your test set.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">Provider</th>
+                  <th className="py-2 pr-4 font-medium">WER</th>
+                  <th className="py-2 pr-4 font-medium">Sub / Del / Ins</th>
+                  <th className="py-2 pr-4 font-medium">CER</th>
+                  <th className="py-2 pr-4 font-medium">DER</th>
+                  <th className="py-2 pr-4 font-medium">Cases</th>
+                  <th className="py-2 font-medium">Latency</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {leaderboard.map(row => (
+                  <tr key={`${row.provider}-${row.model}`}>
+                    <td className="py-2 pr-4 font-medium text-gray-900">{providerLabel(row)}</td>
+                    <td className="py-2 pr-4 font-medium text-gray-900">{formatRate(row.wer)}</td>
+                    <td className="py-2 pr-4">{row.substitutions} / {row.deletions} / {row.insertions}</td>
+                    <td className="py-2 pr-4">{formatRate(row.cer)}</td>
+                    <td className="py-2 pr-4">
+                      {formatRate(row.der)}
+                      {row.diarizedCases > 0 && <span className="text-gray-500"> ({row.diarizedCases} cases)</span>}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {row.cases} of {row.totalCases}
+                      {row.failed > 0 && <span className="text-red-600"> ({row.failed} failed)</span>}
+                    </td>
+                    <td className="py-2">{formatLatency(row.latencyMs)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="text-xs text-gray-500 mt-3">
+            Rates are over the whole test set (total errors over total reference words), from each provider&apos;s latest
+            result per case. Words are compared lowercased and without punctuation.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+          <form key={formKey} onSubmit={handleAddCase} className="bg-white rounded-lg shadow p-6 space-y-3">
+            <h2 className="text-lg font-medium text-gray-900">Add a test case</h2>
+            <label className="block text-sm text-gray-600">
+              Recording
+              <input
+                type="file"
+                accept="audio/*,video/*"
+                onChange={(e) => setNewCase(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                className="mt-1 block w-full text-sm"
+              />
+            </label>
+            <label className="block text-sm text-gray-600">
+              Name
+              <input
+                value={newCase.name}
+                onChange={(e) => setNewCase(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="The file name by default"
+                className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+              />
+            </label>
+            <label className="block text-sm text-gray-600">
+              Reference transcript
+              <textarea
+                value={newCase.reference}
+                onChange={(e) => setNewCase(prev => ({ ...prev, reference: e.target.value }))}
+                rows={4}
+                placeholder="What is actually said in the recording"
+                className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+              />
+            </label>
+            <label className="block text-sm text-gray-600">
+              Or a text file
+              <input
+                type="file"
+                accept=".txt,text/plain"
+                onChange={(e) => setNewCase(prev => ({ ...prev, referenceFile: e.target.files[0] || null }))}
+                className="mt-1 block w-full text-sm"
+              />
+            </label>
+            <label className="block text-sm text-gray-600">
+              Speaker turns (RTTM, optional)
+              <input
+                type="file"
+                accept=".rttm,text/plain"
+                onChange={(e) => setNewCase(prev => ({ ...prev, rttm: e.target.files[0] || null }))}
+                className="mt-1 block w-full text-sm"
+              />
+            </label>
+            <div className="flex items-end gap-4 text-sm text-gray-600">
+              <LanguageSelector value={caseLanguage} onChange={setCaseLanguage} />
+              <button
+                type="submit"
+                disabled={isAdding || !newCase.file || (!newCase.reference.trim() && !newCase.referenceFile)}
+                className="ml-auto bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium"
+              >
+                {isAdding ? 'Adding...' : 'Add case'}
+              </button>
+            </div>
+          </form>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-3">Test set</h2>
+            {cases.length === 0 && <p className="text-sm text-gray-500">No cases yet.</p>}
+            <ul className="divide-y divide-gray-100 text-sm mb-4">
+              {cases.map(testCase => (
+                <li key={testCase.id} className="py-2 flex items-center gap-4">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{testCase.name}</p>
+                    <p className="text-gray-500">
+                      {testCase.referenceWords} words · {languageName(testCase.language)}
+                      {testCase.speakers ? ` · ${testCase.speakers} speakers` : ''}
+                    </p>
+                  </div>
+                  <button onClick={() => handleDeleteCase(testCase.id)} className="ml-auto text-red-600 hover:text-red-800">
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Evaluate</h3>
+            <div className="space-y-2">
+              {selectedRuns.map((run, index) => {
+                const models = providers.find(provider => provider.id === run.provider)?.capabilities.models || []
+                return (
+                  <div key={index} className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+                    <select
+                      value={run.provider}
+                      onChange={(e) => updateRun(index, { provider: e.target.value, model: '' })}
+                      className="border border-gray-300 rounded-md px-2 py-1"
+                    >
+                      {providers.map(provider => <option key={provider.id} value={provider.id}>{provider.name}</option>)}
+                    </select>
+                    {models.length > 0 && (
+                      <select
+                        value={run.model}
+                        onChange={(e) => updateRun(index, { model: e.target.value })}
+                        className="border border-gray-300 rounded-md px-2 py-1"
+                      >
+                        <option value="">Default model</option>
+                        {models.map(model => <option key={model} value={model}>{model}</option>)}
+                      </select>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => setSelectedRuns(prev => prev.filter((_, i) => i !== index))}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                )
+              })}
+              <div className="flex items-center gap-4">
+                <button
+                  type="button"
+                  onClick={addRun}
+                  disabled={providers.length === 0 || selectedRuns.length >= MAX_RUNS}
+                  className="text-blue-600 hover:text-blue-800 disabled:opacity-50 text-sm font-medium"
+                >
+                  Add provider
+                </button>
+                <button
+                  onClick={handleStart}
+                  disabled={isSubmitting || cases.length === 0 || selectedRuns.length === 0}
+                  className="ml-auto bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium"
+                >
+                  Run on {cases.length} {cases.length === 1 ? 'case' : 'cases'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="bg-white rounded-lg shadow divide-y divide-gray-100">
+            {runs.length === 0 && <p className="p-4 text-sm text-gray-500">No evaluation runs yet.</p>}
+            {runs.map(run => (
+              <div
+                key={run.id}
+                onClick={() => setSelectedId(run.id)}
+                className={`p-4 cursor-pointer text-sm ${selectedId === run.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <p className="font-medium text-gray-900 truncate">{run.runs.map(providerLabel).join(', ')}</p>
+                <p className="text-gray-500">
+                  {new Date(run.createdAt).toLocaleDateString()} · {run.caseIds.length} cases · {run.status}
+                </p>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    handleDeleteRun(run.id)
+                  }}
+                  className="text-red-600 hover:text-red-800 text-xs mt-1"
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="lg:col-span-3 bg-white rounded-lg shadow p-6">
+            {selectedId ? (
+              <EvaluationRunView
+                key={selectedId}
+                runId={selectedId}
+                caseNames={caseNames}
+                providerNames={providerNames}
+                onFinished={loadEvaluation}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">Run an evaluation or pick one from the list.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
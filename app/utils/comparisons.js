@@ -0,0 +1,30 @@
+// Client helpers for provider comparisons (/api/comparisons, see lib/comparisons.js)
+
+import { requestJson } from './fileStorage'
+
+const API_BASE = '/api/comparisons'
+
+// { comparisons, summary }
+export const getComparisons = () => requestJson(API_BASE)
+
+// The comparison with transcripts, diffed against the run at `baseline`
+export const getComparison = (id, baseline = 0) => requestJson(`${API_BASE}/${id}?baseline=${baseline}`)
+
+// { transcriptionId, runs: [{ provider, model }], language, contentType }
+export const startComparison = (options) => requestJson(API_BASE, {
+  method: 'POST',
+  body: JSON.stringify(options)
+})
+
+export const deleteComparison = (id) => requestJson(`${API_BASE}/${id}`, { method: 'DELETE' })
+
+export const formatCost = (cost) => {
+  if (cost === null || cost === undefined) return 'unknown'
+  return cost === 0 ? 'free' : `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`
+}
+
+export const formatLatency = (ms) => (ms === null || ms === undefined ? '-' : `${(ms / 1000).toFixed(1)}s`)
+
+export const formatConfidence = (confidence) => (
+  confidence === null || confidence === undefined ? '-' : `${Math.round(confidence * 100)}%`
+)
@@ -0,0 +1,31 @@
+// Client helpers for the evaluation harness (/api/evaluation, see lib/evaluation)
+
+import { requestJson } from './fileStorage'
+
+const API_BASE = '/api/evaluation'
+
+// { cases, runs, leaderboard }
+export const getEvaluation = () => requestJson(API_BASE)
+
+// { file, reference, rttm, name, language }; reference and rttm may be text or files
+export const addEvaluationCase = (fields) => {
+  const formData = new FormData()
+  for (const [name, value] of Object.entries(fields)) {
+    if (value) formData.append(name, value)
+  }
+  return requestJson(`${API_BASE}/cases`, { method: 'POST', body: formData })
+}
+
+export const deleteEvaluationCase = (id) => requestJson(`${API_BASE}/cases/${id}`, { method: 'DELETE' })
+
+// { runs: [{ provider, model }], caseIds }
+export const startEvaluation = (options) => requestJson(`${API_BASE}/runs`, {
+  method: 'POST',
+  body: JSON.stringify(options)
+})
+
+export const getEvaluationRun = (id) => requestJson(`${API_BASE}/runs/${id}`)
+
+export const deleteEvaluationRun = (id) => requestJson(`${API_BASE}/runs/${id}`, { method: 'DELETE' })
+
+export const formatRate = (rate) => (rate === null || rate === undefined ? '-' : `${(rate * 100).toFixed(1)}%`)
@@ -0,0 +1,116 @@
+// Client side of live transcription (/api/stream, protocol in lib/streaming/index.js):
+// microphone audio is converted to 16kHz PCM by an AudioWorklet and streamed over a
+// WebSocket, and results come back as they are recognized.
+
+import { requestJson } from './fileStorage'
+
+const WORKLET_URL = '/worklets/pcm-capture.js'
+
+export const getStreamingInfo = () => requestJson('/api/stream')
+
+const streamingUrl = (info) => {
+  if (info.url) return info.url
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:'
+  return `${protocol}//${window.location.hostname}:${info.port}${info.path}`
+}
+
+const streamingError = (message, code) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Starts capturing and streaming. Callbacks: onReady({ engine }), onInterim({ text, start,
+// end }), onFinal(segments), onSaved(transcriptionId) and onError(error). Returns { stop,
+// cancel }: stop() ends the recording and saves it as a transcription, cancel() discards it.
+export const startLiveTranscription = async ({
+  engine = 'auto',
+  language,
+  vocabulary = true,
+  fileName,
+  onReady = () => {},
+  onInterim = () => {},
+  onFinal = () => {},
+  onSaved = () => {},
+  onError = () => {}
+} = {}) => {
+  const info = await getStreamingInfo()
+  if (!info.enabled) {
+    throw streamingError('Live transcription is turned off on this server', 'STREAMING_DISABLED')
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+  })
+  const context = new AudioContext()
+  await context.audioWorklet.addModule(WORKLET_URL)
+  const source = context.createMediaStreamSource(stream)
+  const capture = new AudioWorkletNode(context, 'pcm-capture')
+
+  let finished = false
+  let capturing = true
+  const stopCapture = () => {
+    if (!capturing) return
+    capturing = false
+    stream.getTracks().forEach(track => track.stop())
+    source.disconnect()
+    capture.disconnect()
+    context.close()
+  }
+  const finish = (callback) => {
+    if (finished) return
+    finished = true
+    stopCapture()
+    callback()
+  }
+
+  const socket = new WebSocket(streamingUrl(info))
+  socket.binaryType = 'arraybuffer'
+
+  socket.onopen = () => {
+    socket.send(JSON.stringify({ type: 'start', engine, language, vocabulary, fileName }))
+  }
+
+  socket.onmessage = (event) => {
+    const message = JSON.parse(event.data)
+    switch (message.type) {
+      case 'ready':
+        capture.port.onmessage = (frame) => {
+          if (socket.readyState === WebSocket.OPEN) socket.send(frame.data)
+        }
+        // The node only writes silence; it is connected so the browser keeps it running
+        source.connect(capture)
+        capture.connect(context.destination)
+        onReady({ engine: message.engine })
+        break
+      case 'interim':
+        onInterim(message)
+        break
+      case 'final':
+        onFinal(message.segments)
+        break
+      case 'saved':
+        finish(() => onSaved(message.transcriptionId))
+        break
+      case 'error':
+        finish(() => onError(Object.assign(streamingError(message.error, message.code), { instructions: message.instructions })))
+        break
+    }
+  }
+
+  socket.onclose = () => {
+    finish(() => onError(streamingError('The live transcription connection closed', 'CONNECTION_CLOSED')))
+  }
+
+  return {
+    stop: () => {
+      stopCapture()
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'stop' }))
+    },
+    cancel: () => {
+      finished = true
+      stopCapture()
+      socket.close()
+    }
+  }
+}
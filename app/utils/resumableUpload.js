@@ -0,0 +1,213 @@
+// Client side of the resumable upload protocol (/api/uploads, see lib/uploads.js).
+//
+// Sessions are remembered in localStorage by file name, size and modification time, so
+// picking the same file again after a reload or a dropped connection continues where the
+// server says the upload stopped.
+
+import { requestJson, deleteFile } from './fileStorage'
+
+const STORAGE_PREFIX = 'resumable-upload:'
+const MAX_RETRIES = 6
+const RETRY_BASE_DELAY_MS = 1000
+// The server discards the upload when completing fails with one of these
+const DISCARDED_ON_COMPLETE = ['CHECKSUM_MISMATCH', 'UNSUPPORTED_FORMAT', 'NO_AUDIO_TRACK']
+
+const fileKey = (file) => `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`
+
+const readPending = (file) => {
+  try {
+    return JSON.parse(localStorage.getItem(fileKey(file)))
+  } catch {
+    return null
+  }
+}
+
+const forgetPending = (file) => localStorage.removeItem(fileKey(file))
+
+// Unfinished uploads this browser knows about: [{ fileName, fileSize, uploadId }]
+export const listPendingUploads = () => {
+  return Object.keys(localStorage)
+    .filter(key => key.startsWith(STORAGE_PREFIX))
+    .map(key => {
+      try {
+        return JSON.parse(localStorage.getItem(key))
+      } catch {
+        return null
+      }
+    })
+    .filter(Boolean)
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const cancelledError = () => {
+  const error = new Error('Upload cancelled')
+  error.code = 'CANCELLED'
+  return error
+}
+
+const throwIfCancelled = (signal) => {
+  if (signal && signal.aborted) throw cancelledError()
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('')
+
+// PUTs one chunk with XMLHttpRequest, which (unlike fetch) reports upload progress.
+// Resolves with the server response; rejects with error.status 0 on network failure.
+const putChunk = (uploadId, offset, data, checksum, onBytes, signal) => {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    if (signal) signal.addEventListener('abort', () => xhr.abort(), { once: true })
+    xhr.onabort = () => reject(cancelledError())
+    xhr.open('PUT', `/api/uploads/${uploadId}?offset=${offset}`)
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream')
+    xhr.setRequestHeader('X-Chunk-Checksum', checksum)
+    xhr.upload.onprogress = (event) => onBytes(event.loaded)
+    xhr.onload = () => {
+      let body = {}
+      try {
+        body = JSON.parse(xhr.responseText)
+      } catch {}
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(body)
+      } else {
+        const error = new Error(body.error || `Chunk upload failed with status ${xhr.status}`)
+        error.status = xhr.status
+        error.code = body.code
+        error.offset = body.offset
+        reject(error)
+      }
+    }
+    xhr.onerror = () => {
+      const error = new Error('Network error while uploading')
+      error.status = 0
+      reject(error)
+    }
+    xhr.send(data)
+  })
+}
+
+// Picks up this file's earlier session when the server still has it
+const resumeSession = async (file) => {
+  const pending = readPending(file)
+  if (!pending) return null
+  try {
+    const { upload } = await requestJson(`/api/uploads/${pending.uploadId}`)
+    return upload.status === 'uploading' ? upload : null
+  } catch {
+    forgetPending(file)
+    return null
+  }
+}
+
+// Drops the server session, and the transcription record it was opened for if there is one
+const discardUpload = async (file, upload) => {
+  forgetPending(file)
+  await requestJson(`/api/uploads/${upload.id}`, { method: 'DELETE' }).catch(() => {})
+  if (upload.transcriptionId) {
+    await deleteFile(upload.transcriptionId).catch(() => {})
+  }
+}
+
+// Uploads `file` in chunks and queues its transcription once the server has verified the
+// checksum. `options` are sent along with the provider (e.g. { trimSilence: true }).
+// onProgress({ loaded, total, resumed }) receives byte-level progress. Aborting `signal`
+// cancels the upload and discards what was sent (error.code 'CANCELLED'). Returns the
+// queued job ({ jobId, transcriptionId, ... }); progress is polled with getJob.
+export const uploadAndTranscribe = async (file, { provider = 'auto', options = {}, onProgress = () => {}, signal } = {}) => {
+  try {
+    return await uploadFile(file, { provider, options, onProgress, signal })
+  } catch (error) {
+    if (error.code === 'CANCELLED' && error.upload) {
+      await discardUpload(file, error.upload)
+    }
+    throw error
+  }
+}
+
+const uploadFile = async (file, { provider, options, onProgress, signal }) => {
+  throwIfCancelled(signal)
+  let upload = await resumeSession(file)
+  const resumed = Boolean(upload)
+
+  if (!upload) {
+    // The transcription record is created when the upload completes, so an upload that is
+    // never finished leaves nothing behind on the dashboard
+    const created = await requestJson('/api/uploads', {
+      method: 'POST',
+      body: JSON.stringify({
+        fileName: file.name,
+        fileSize: file.size,
+        fileType: file.type
+      })
+    })
+    upload = created.upload
+    localStorage.setItem(fileKey(file), JSON.stringify({
+      uploadId: upload.id,
+      fileName: file.name,
+      fileSize: file.size
+    }))
+  }
+
+  // From here on a cancellation also discards the session
+  const cancelled = () => Object.assign(cancelledError(), { upload })
+
+  const { chunkSize } = upload
+  const digests = []
+  let offset = upload.offset
+  onProgress({ loaded: offset, total: file.size, resumed })
+
+  // Every chunk's digest goes into the whole-file checksum, including chunks uploaded
+  // before a resume
+  for (let start = 0; start < file.size; start += chunkSize) {
+    if (signal && signal.aborted) throw cancelled()
+    const data = await file.slice(start, Math.min(start + chunkSize, file.size)).arrayBuffer()
+    const digest = await crypto.subtle.digest('SHA-256', data)
+    digests.push(new Uint8Array(digest))
+    if (start < offset) continue
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await putChunk(upload.id, start, data, toHex(digest), (loaded) => {
+          onProgress({ loaded: start + loaded, total: file.size, resumed })
+        }, signal)
+        offset = result.offset
+        break
+      } catch (error) {
+        if (error.code === 'CANCELLED') throw cancelled()
+        // The server already has this chunk (an earlier attempt got through)
+        if (error.code === 'OFFSET_MISMATCH' && error.offset > start) {
+          offset = error.offset
+          break
+        }
+        const retryable = error.status === 0 || error.status >= 500 || error.code === 'CHUNK_CHECKSUM_MISMATCH'
+        if (!retryable || attempt + 1 >= MAX_RETRIES) {
+          throw new Error(error.status === 0
+            ? 'Upload interrupted. Check your connection and select the file again to resume.'
+            : error.message)
+        }
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt)
+        if (signal && signal.aborted) throw cancelled()
+      }
+    }
+    onProgress({ loaded: offset, total: file.size, resumed })
+  }
+
+  const combined = new Uint8Array(digests.length * 32)
+  digests.forEach((digest, index) => combined.set(digest, index * 32))
+  const checksum = toHex(await crypto.subtle.digest('SHA-256', combined))
+  if (signal && signal.aborted) throw cancelled()
+
+  try {
+    const job = await requestJson(`/api/uploads/${upload.id}/complete`, {
+      method: 'POST',
+      body: JSON.stringify({ ...options, checksum, provider })
+    })
+    forgetPending(file)
+    return job
+  } catch (error) {
+    // The server discarded the data; the next attempt starts from scratch
+    if (DISCARDED_ON_COMPLETE.includes(error.code)) forgetPending(file)
+    throw error
+  }
+}
@@ -0,0 +1,155 @@
+// Multi-file upload queue for the upload page. Files are uploaded with uploadAndTranscribe,
+// at most `concurrency` at a time; each one becomes a transcription on the dashboard as soon
+// as its upload starts.
+//
+// Item status: queued -> uploading -> done | failed | cancelled. Files are checked by their
+// contents first (validateAudioFile); those that fail are 'invalid' and never start. Failed
+// and cancelled items can be retried; a retried upload continues from the server's offset
+// when its session still exists.
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { uploadAndTranscribe } from './resumableUpload'
+import { validateAudioFile } from '../../lib/upload'
+
+const CONCURRENCY_KEY = 'upload-concurrency'
+export const DEFAULT_UPLOAD_CONCURRENCY = 2
+export const MAX_UPLOAD_CONCURRENCY = 5
+
+const ACTIVE_STATUSES = ['uploading', 'cancelling']
+
+let nextItemId = 0
+
+const readConcurrency = () => {
+  const value = Number(localStorage.getItem(CONCURRENCY_KEY))
+  return Number.isInteger(value) && value >= 1 && value <= MAX_UPLOAD_CONCURRENCY ? value : DEFAULT_UPLOAD_CONCURRENCY
+}
+
+export const useUploadQueue = () => {
+  const [items, setItems] = useState([])
+  const [concurrency, setConcurrencyState] = useState(DEFAULT_UPLOAD_CONCURRENCY)
+  const controllers = useRef(new Map())
+
+  useEffect(() => {
+    setConcurrencyState(readConcurrency())
+  }, [])
+
+  const setConcurrency = useCallback((value) => {
+    setConcurrencyState(value)
+    localStorage.setItem(CONCURRENCY_KEY, String(value))
+  }, [])
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(current => current.map(item => item.id === id ? { ...item, ...changes } : item))
+  }, [])
+
+  // `provider` and `options` (see uploadAndTranscribe) are fixed per file when it is added,
+  // so changing the selection only affects files added afterwards
+  const addFiles = useCallback(async (files, { provider = 'auto', options = {} } = {}) => {
+    const added = await Promise.all(Array.from(files).map(async file => {
+      const { info, error } = await validateAudioFile(file)
+      return {
+        id: ++nextItemId,
+        file,
+        provider,
+        options,
+        info: info || null,
+        status: error ? 'invalid' : 'queued',
+        error: error ? error.message : null,
+        loaded: 0,
+        total: file.size,
+        resumed: false,
+        transcriptionId: null
+      }
+    }))
+    setItems(current => [...current, ...added])
+  }, [])
+
+  const startItem = useCallback((item) => {
+    const controller = new AbortController()
+    controllers.current.set(item.id, controller)
+    updateItem(item.id, { status: 'uploading', error: null, loaded: 0, resumed: false })
+
+    uploadAndTranscribe(item.file, {
+      provider: item.provider,
+      options: item.options,
+      signal: controller.signal,
+      onProgress: ({ loaded, total, resumed }) => updateItem(item.id, { loaded, total, resumed })
+    })
+      .then(job => {
+        updateItem(item.id, { status: 'done', loaded: item.file.size, transcriptionId: job.transcriptionId })
+      })
+      .catch(error => {
+        updateItem(item.id, error.code === 'CANCELLED'
+          ? { status: 'cancelled', loaded: 0 }
+          : { status: 'failed', error: error.message })
+      })
+      .finally(() => {
+        controllers.current.delete(item.id)
+      })
+  }, [updateItem])
+
+  // Starts queued files whenever a slot frees up
+  useEffect(() => {
+    const active = items.filter(item => ACTIVE_STATUSES.includes(item.status)).length
+    items
+      .filter(item => item.status === 'queued' && !controllers.current.has(item.id))
+      .slice(0, Math.max(0, concurrency - active))
+      .forEach(startItem)
+  }, [items, concurrency, startItem])
+
+  const cancel = useCallback((id) => {
+    const controller = controllers.current.get(id)
+    if (controller) {
+      controller.abort()
+      updateItem(id, { status: 'cancelling' })
+    } else {
+      setItems(current => current.map(item =>
+        item.id === id && item.status === 'queued' ? { ...item, status: 'cancelled' } : item
+      ))
+    }
+  }, [updateItem])
+
+  const cancelAll = useCallback(() => {
+    items.filter(item => item.status === 'queued' || item.status === 'uploading').forEach(item => cancel(item.id))
+  }, [items, cancel])
+
+  const retry = useCallback((id) => {
+    setItems(current => current.map(item =>
+      item.id === id && (item.status === 'failed' || item.status === 'cancelled')
+        ? { ...item, status: 'queued', error: null }
+        : item
+    ))
+  }, [])
+
+  const retryFailed = useCallback(() => {
+    setItems(current => current.map(item =>
+      item.status === 'failed' ? { ...item, status: 'queued', error: null } : item
+    ))
+  }, [])
+
+  // Removes every file that is no longer queued or uploading
+  const clearFinished = useCallback(() => {
+    setItems(current => current.filter(item => item.status === 'queued' || ACTIVE_STATUSES.includes(item.status)))
+  }, [])
+
+  const counts = items.reduce((totals, item) => {
+    totals[item.status] = (totals[item.status] || 0) + 1
+    return totals
+  }, {})
+  const isActive = items.some(item => item.status === 'queued' || ACTIVE_STATUSES.includes(item.status))
+
+  return {
+    items,
+    counts,
+    isActive,
+    isFinished: items.length > 0 && !isActive,
+    concurrency,
+    setConcurrency,
+    addFiles,
+    cancel,
+    cancelAll,
+    retry,
+    retryFailed,
+    clearFinished
+  }
+}
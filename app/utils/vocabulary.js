@@ -0,0 +1,22 @@
+// Client helpers for the custom vocabulary (/api/vocabulary, see lib/vocabulary.js)
+
+import { requestJson } from './fileStorage'
+
+const API_BASE = '/api/vocabulary'
+
+export const getVocabulary = () => requestJson(API_BASE)
+
+export const addVocabularyTerm = (term) => requestJson(API_BASE, {
+  method: 'POST',
+  body: JSON.stringify(term)
+}).then(data => data.term)
+
+export const updateVocabularyTerm = (id, term) => requestJson(`${API_BASE}/${id}`, {
+  method: 'PUT',
+  body: JSON.stringify(term)
+}).then(data => data.term)
+
+export const deleteVocabularyTerm = (id) => requestJson(`${API_BASE}/${id}`, { method: 'DELETE' })
+
+// "cube control, cube ctl" -> ['cube control', 'cube ctl']
+export const parseVariants = (value) => value.split(',').map(variant => variant.trim()).filter(Boolean)
@@ -0,0 +1,185 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/navigation'
+import {
+  getVocabulary,
+  addVocabularyTerm,
+  updateVocabularyTerm,
+  deleteVocabularyTerm,
+  parseVariants
+} from '../utils/vocabulary'
+
+export default function VocabularyPage() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [terms, setTerms] = useState([])
+  const [maxTerms, setMaxTerms] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [phrase, setPhrase] = useState('')
+  const [variants, setVariants] = useState('')
+  const [editing, setEditing] = useState(null)
+
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/login')
+    }
+  }, [status, router])
+
+  useEffect(() => {
+    if (session) {
+      loadTerms()
+    }
+  }, [session])
+
+  const loadTerms = async () => {
+    try {
+      const data = await getVocabulary()
+      setTerms(data.terms)
+      setMaxTerms(data.maxTerms)
+      setError('')
+    } catch (loadError) {
+      setError(loadError.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    try {
+      await addVocabularyTerm({ phrase, variants: parseVariants(variants) })
+      setPhrase('')
+      setVariants('')
+      await loadTerms()
+    } catch (addError) {
+      setError(addError.message)
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      await updateVocabularyTerm(editing.id, { phrase: editing.phrase, variants: parseVariants(editing.variants) })
+      setEditing(null)
+      await loadTerms()
+    } catch (saveError) {
+      setError(saveError.message)
+    }
+  }
+
+  const handleDelete = async (term) => {
+    if (!confirm(`Remove "${term.phrase}" from your vocabulary?`)) return
+    try {
+      await deleteVocabularyTerm(term.id)
+      await loadTerms()
+    } catch (deleteError) {
+      setError(deleteError.message)
+    }
+  }
+
+  if (status === 'loading' || !session || isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Vocabulary</h1>
+          <p className="text-gray-600 mt-2">
+            Product names, jargon and acronyms with the spelling you expect. Providers that accept hints
+            (AssemblyAI, Google Cloud, OpenAI Whisper, Local Whisper.cpp) are told about them; for the others,
+            the misheard variants are replaced in the transcript.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <form onSubmit={handleAdd} className="bg-white rounded-lg shadow p-6 mb-6 grid grid-cols-1 sm:grid-cols-5 gap-4 items-end">
+          <label className="sm:col-span-2 text-sm text-gray-600">
+            Term
+            <input
+              value={phrase}
+              onChange={(e) => setPhrase(e.target.value)}
+              placeholder="kubectl"
+              className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+            />
+          </label>
+          <label className="sm:col-span-2 text-sm text-gray-600">
+            Misheard as (comma-separated)
+            <input
+              value={variants}
+              onChange={(e) => setVariants(e.target.value)}
+              placeholder="cube control, cube cuddle"
+              className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={!phrase.trim()}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium"
+          >
+            Add term
+          </button>
+        </form>
+
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+            <h2 className="text-lg font-semibold text-gray-900">Your terms</h2>
+            <span className="text-sm text-gray-500">{terms.length}{maxTerms && ` of ${maxTerms}`}</span>
+          </div>
+          {terms.length === 0 ? (
+            <p className="px-6 py-8 text-center text-gray-500">No terms yet</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {terms.map(term => (
+                <li key={term.id} className="px-6 py-3 flex flex-wrap items-center gap-3 text-sm">
+                  {editing?.id === term.id ? (
+                    <>
+                      <input
+                        value={editing.phrase}
+                        onChange={(e) => setEditing(prev => ({ ...prev, phrase: e.target.value }))}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+                      />
+                      <input
+                        value={editing.variants}
+                        onChange={(e) => setEditing(prev => ({ ...prev, variants: e.target.value }))}
+                        className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+                      />
+                      <button onClick={handleSave} className="text-blue-600 hover:text-blue-800 font-medium">Save</button>
+                      <button onClick={() => setEditing(null)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      <span className="font-medium text-gray-900">{term.phrase}</span>
+                      <span className="flex-1 text-gray-500">
+                        {term.variants.length > 0 ? `replaces ${term.variants.join(', ')}` : 'hint only'}
+                      </span>
+                      <button
+                        onClick={() => setEditing({ id: term.id, phrase: term.phrase, variants: term.variants.join(', ') })}
+                        className="text-blue-600 hover:text-blue-800 font-medium"
+                      >
+                        Edit
+                      </button>
+                      <button onClick={() => handleDelete(term)} className="text-red-600 hover:text-red-800 font-medium">
+                        Remove
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,14 @@
+// Runs once when the Next.js server starts
+export async function register() {
+  // WebSockets and the file system need Node; the edge runtime loads this file as well
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { IS_SERVERLESS, SERVERLESS_ERROR } = await import('./lib/jobs')
+    if (IS_SERVERLESS) {
+      console.error(`${SERVERLESS_ERROR}. Transcriptions, translations, comparisons and evaluations will be refused.`)
+    }
+    const { startStreamingServer } = await import('./lib/streaming/server')
+    startStreamingServer()
+    const { startAudioRetention } = await import('./lib/audioStore')
+    startAudioRetention()
+  }
+}
@@ -0,0 +1,139 @@
+// Word alignment of two transcripts (minimum edit distance), used to diff provider outputs
+// against each other. Every operation is one of:
+//   equal         the word is in both
+//   substitution  the reference word was recognized as another word
+//   deletion      the reference word is missing from the hypothesis
+//   insertion     the hypothesis has a word the reference does not
+//
+// Long transcripts are aligned with Hirschberg's method, so memory stays linear in their
+// length; short ones (up to MAX_DIRECT_CELLS pairs of words) with a full table.
+
+const MAX_DIRECT_CELLS = 4 * 1024 * 1024
+
+const MOVE_DIAGONAL = 0
+const MOVE_UP = 1
+const MOVE_LEFT = 2
+
+// Words of `text` for comparison: `norm` is lowercased without punctuation, `text` as written
+export function tokenizeWords(text) {
+  return String(text || '')
+    .split(/\s+/)
+    .map(word => ({ text: word, norm: word.toLowerCase().replace(/[^\p{L}\p{N}']+/gu, '').replace(/^'+|'+$/g, '') }))
+    .filter(word => word.norm)
+}
+
+// Edit distances of every prefix of `hyp` to the whole of `ref`
+function lastRow(ref, hyp) {
+  let previous = new Int32Array(hyp.length + 1).map((_, j) => j)
+  let current = new Int32Array(hyp.length + 1)
+  for (let i = 1; i <= ref.length; i++) {
+    current[0] = i
+    for (let j = 1; j <= hyp.length; j++) {
+      current[j] = Math.min(
+        previous[j - 1] + (ref[i - 1] === hyp[j - 1] ? 0 : 1),
+        previous[j] + 1,
+        current[j - 1] + 1
+      )
+    }
+    [previous, current] = [current, previous]
+  }
+  return previous
+}
+
+function directAlign(ref, hyp, refOffset, hypOffset) {
+  const width = hyp.length + 1
+  const moves = new Uint8Array((ref.length + 1) * width)
+  let previous = new Int32Array(width).map((_, j) => j)
+  let current = new Int32Array(width)
+  for (let j = 1; j < width; j++) moves[j] = MOVE_LEFT
+
+  for (let i = 1; i <= ref.length; i++) {
+    current[0] = i
+    moves[i * width] = MOVE_UP
+    for (let j = 1; j <= hyp.length; j++) {
+      const diagonal = previous[j - 1] + (ref[i - 1] === hyp[j - 1] ? 0 : 1)
+      const up = previous[j] + 1
+      const left = current[j - 1] + 1
+      // Ties go to the diagonal, so a substitution is preferred over a deletion plus an insertion
+      if (diagonal <= up && diagonal <= left) {
+        current[j] = diagonal
+        moves[i * width + j] = MOVE_DIAGONAL
+      } else if (up <= left) {
+        current[j] = up
+        moves[i * width + j] = MOVE_UP
+      } else {
+        current[j] = left
+        moves[i * width + j] = MOVE_LEFT
+      }
+    }
+    [previous, current] = [current, previous]
+  }
+
+  const operations = []
+  let i = ref.length
+  let j = hyp.length
+  while (i > 0 || j > 0) {
+    const move = moves[i * width + j]
+    if (move === MOVE_DIAGONAL) {
+      i--
+      j--
+      operations.push({ type: ref[i] === hyp[j] ? 'equal' : 'substitution', ref: refOffset + i, hyp: hypOffset + j })
+    } else if (move === MOVE_UP) {
+      i--
+      operations.push({ type: 'deletion', ref: refOffset + i, hyp: null })
+    } else {
+      j--
+      operations.push({ type: 'insertion', ref: null, hyp: hypOffset + j })
+    }
+  }
+  return operations.reverse()
+}
+
+function hirschberg(ref, hyp, refOffset, hypOffset) {
+  if (ref.length <= 1 || ref.length * hyp.length <= MAX_DIRECT_CELLS) {
+    return directAlign(ref, hyp, refOffset, hypOffset)
+  }
+
+  const middle = ref.length >> 1
+  const forward = lastRow(ref.slice(0, middle), hyp)
+  const backward = lastRow(ref.slice(middle).reverse(), hyp.slice().reverse())
+  let split = 0
+  for (let j = 1; j <= hyp.length; j++) {
+    if (forward[j] + backward[hyp.length - j] < forward[split] + backward[hyp.length - split]) {
+      split = j
+    }
+  }
+
+  return [
+    ...hirschberg(ref.slice(0, middle), hyp.slice(0, split), refOffset, hypOffset),
+    ...hirschberg(ref.slice(middle), hyp.slice(split), refOffset + middle, hypOffset + split)
+  ]
+}
+
+// Aligns two sequences of strings (words, or characters). Returns the operations, with the
+// index of the item in `ref` and `hyp` they concern, and their counts.
+export function alignSequences(ref, hyp) {
+  const operations = hirschberg(ref, hyp, 0, 0)
+  const counts = { equal: 0, substitution: 0, deletion: 0, insertion: 0 }
+  for (const operation of operations) {
+    counts[operation.type]++
+  }
+  return { operations, counts }
+}
+
+// Word-level diff of two texts; operations carry the words as written
+export function alignWords(referenceText, hypothesisText) {
+  const ref = tokenizeWords(referenceText)
+  const hyp = tokenizeWords(hypothesisText)
+  const { operations, counts } = alignSequences(ref.map(word => word.norm), hyp.map(word => word.norm))
+  return {
+    operations: operations.map(({ type, ref: i, hyp: j }) => ({
+      type,
+      reference: i === null ? null : ref[i].text,
+      hypothesis: j === null ? null : hyp[j].text
+    })),
+    counts,
+    referenceLength: ref.length,
+    hypothesisLength: hyp.length
+  }
+}
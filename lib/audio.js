@@ -0,0 +1,189 @@
+// Server-side audio decoding to mono Float32 PCM for local analysis (VAD, diarization).
+// PCM WAV is parsed directly; everything else goes through ffmpeg (FFMPEG_PATH, default 'ffmpeg').
+
+import fs from 'fs'
+import { runProcess } from './process'
+
+export const ANALYSIS_SAMPLE_RATE = 16000
+
+export function getFfmpegPath() {
+  return process.env.FFMPEG_PATH || 'ffmpeg'
+}
+
+export function isWav(buffer) {
+  return buffer.length >= 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WAVE'
+}
+
+// Walks the RIFF chunks and returns { format, data } (data may be null when the file has no
+// data chunk), or null when the file is not WAV or has no fmt chunk
+function readWavChunks(buffer) {
+  if (!isWav(buffer)) return null
+
+  let format = null
+  let offset = 12
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4)
+    const size = buffer.readUInt32LE(offset + 4)
+    const body = offset + 8
+
+    if (id === 'fmt ' && size >= 16) {
+      let audioFormat = buffer.readUInt16LE(body)
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (audioFormat === 0xfffe && size >= 40) {
+        audioFormat = buffer.readUInt16LE(body + 24)
+      }
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      }
+    } else if (id === 'data' && format) {
+      // Streamed WAVs may declare a 0 or oversized data length
+      const end = size === 0 || body + size > buffer.length ? buffer.length : body + size
+      return { format, data: buffer.subarray(body, end) }
+    }
+
+    offset = body + size + (size % 2)
+  }
+  return format ? { format, data: null } : null
+}
+
+// { audioFormat, channels, sampleRate, bitsPerSample } of a WAV file, or null
+export function wavFormat(buffer) {
+  const chunks = readWavChunks(buffer)
+  return chunks ? chunks.format : null
+}
+
+// Decodes a WAV file to mono samples. Returns null for encodings other than integer PCM
+// (8/16/24/32-bit) and 32-bit float, so the caller can fall back to ffmpeg.
+export function parseWav(buffer) {
+  const chunks = readWavChunks(buffer)
+  if (!chunks || !chunks.data) return null
+  return decodePcm(chunks.data, chunks.format)
+}
+
+function decodePcm(data, { audioFormat, channels, sampleRate, bitsPerSample }) {
+  const bytes = bitsPerSample / 8
+  const readers = {
+    '1:8': i => (data.readUInt8(i) - 128) / 128,
+    '1:16': i => data.readInt16LE(i) / 32768,
+    '1:24': i => data.readIntLE(i, 3) / 8388608,
+    '1:32': i => data.readInt32LE(i) / 2147483648,
+    '3:32': i => data.readFloatLE(i)
+  }
+  const read = readers[`${audioFormat}:${bitsPerSample}`]
+  if (!read || channels < 1) return null
+
+  const frameSize = bytes * channels
+  const frames = Math.floor(data.length / frameSize)
+  const samples = new Float32Array(frames)
+
+  // Mix down to mono
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read(frame * frameSize + channel * bytes)
+    }
+    samples[frame] = sum / channels
+  }
+
+  return { samples, sampleRate, channels }
+}
+
+// Encodes mono Float32 samples as a 16-bit PCM WAV file
+export function encodeWav(samples, sampleRate) {
+  const buffer = Buffer.alloc(44 + samples.length * 2)
+  buffer.write('RIFF', 0, 'ascii')
+  buffer.writeUInt32LE(36 + samples.length * 2, 4)
+  buffer.write('WAVE', 8, 'ascii')
+  buffer.write('fmt ', 12, 'ascii')
+  buffer.writeUInt32LE(16, 16)
+  buffer.writeUInt16LE(1, 20) // PCM
+  buffer.writeUInt16LE(1, 22) // mono
+  buffer.writeUInt32LE(sampleRate, 24)
+  buffer.writeUInt32LE(sampleRate * 2, 28)
+  buffer.writeUInt16LE(2, 32)
+  buffer.writeUInt16LE(16, 34)
+  buffer.write('data', 36, 'ascii')
+  buffer.writeUInt32LE(samples.length * 2, 40)
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]))
+    buffer.writeInt16LE(Math.round(value < 0 ? value * 32768 : value * 32767), 44 + i * 2)
+  }
+  return buffer
+}
+
+// Linear interpolation; good enough for energy and spectral features, not for playback
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples
+
+  const ratio = fromRate / toRate
+  const length = Math.floor(samples.length / ratio)
+  const output = new Float32Array(length)
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio
+    const index = Math.floor(position)
+    const next = Math.min(index + 1, samples.length - 1)
+    const fraction = position - index
+    output[i] = samples[index] * (1 - fraction) + samples[next] * fraction
+  }
+  return output
+}
+
+// Decodes an audio file on disk to mono Float32 samples at `sampleRate`.
+// Errors carry error.code: FFMPEG_NOT_FOUND or DECODE_FAILED.
+export async function decodeAudioFile(filePath, { sampleRate = ANALYSIS_SAMPLE_RATE } = {}) {
+  const buffer = await fs.promises.readFile(filePath)
+  const wav = parseWav(buffer)
+  if (wav) {
+    return { samples: resample(wav.samples, wav.sampleRate, sampleRate), sampleRate }
+  }
+
+  try {
+    const { stdout } = await runProcess(getFfmpegPath(), [
+      '-hide_banner', '-loglevel', 'error', '-nostdin',
+      '-i', filePath,
+      '-vn', '-ac', '1', '-ar', String(sampleRate),
+      '-f', 'f32le', 'pipe:1'
+    ])
+    // Copy into an aligned buffer; Buffer.concat output may start at any byte offset
+    const samples = new Float32Array(Math.floor(stdout.length / 4))
+    Buffer.from(samples.buffer).set(stdout.subarray(0, samples.length * 4))
+    return { samples, sampleRate }
+  } catch (error) {
+    throw ffmpegError(error)
+  }
+}
+
+// Converts any audio (or video) file ffmpeg can read to 16-bit mono PCM WAV at `sampleRate`,
+// running it through the ffmpeg audio `filters` (e.g. ['loudnorm']) on the way.
+// Errors carry error.code: FFMPEG_NOT_FOUND or DECODE_FAILED.
+export async function convertToWav(inputPath, outputPath, { sampleRate = ANALYSIS_SAMPLE_RATE, filters = [] } = {}) {
+  try {
+    await runProcess(getFfmpegPath(), [
+      '-hide_banner', '-loglevel', 'error', '-nostdin', '-y',
+      '-i', inputPath,
+      '-vn',
+      ...(filters.length > 0 ? ['-af', filters.join(',')] : []),
+      '-ac', '1', '-ar', String(sampleRate),
+      '-c:a', 'pcm_s16le', '-f', 'wav', outputPath
+    ])
+    return outputPath
+  } catch (error) {
+    throw ffmpegError(error)
+  }
+}
+
+function ffmpegError(error) {
+  const notFound = error.code === 'COMMAND_NOT_FOUND'
+  const ffmpegFailure = new Error(
+    notFound
+      ? 'ffmpeg is required to decode this audio format. Install ffmpeg or set FFMPEG_PATH.'
+      : `Could not decode audio: ${error.message}`
+  )
+  ffmpegFailure.code = notFound ? 'FFMPEG_NOT_FOUND' : 'DECODE_FAILED'
+  return ffmpegFailure
+}
@@ -0,0 +1,540 @@
+// Audio format detection from the file contents: magic bytes and container headers decide
+// the format, not the MIME type the browser guessed or the file extension.
+// Safe to import from client components (no Node APIs).
+//
+// inspectAudio(read, size) resolves with
+//   { format, mimeType, codec, duration, channels, sampleRate, hasAudioTrack, video }
+// (null for anything the headers do not tell, duration in seconds) or null when the bytes
+// are not a supported audio container. Video containers (MP4, MOV, WebM, MKV) are audio
+// containers too: `video` is { codec, width, height } when the file has a video track,
+// and mimeType is then the video type. `read(start, end)` resolves with those bytes as a
+// Uint8Array; bufferReader and blobReader build one for a Buffer/Uint8Array or a File/Blob.
+
+const HEAD_BYTES = 64 * 1024
+const TAIL_BYTES = 64 * 1024
+const MAX_MOOV_BYTES = 32 * 1024 * 1024 // larger MP4 indexes are skipped, not parsed
+const MPEG_SYNC_SEARCH = 4096 // bytes after any ID3 tag searched for the first MPEG frame
+
+export const AUDIO_FORMATS = {
+  wav: { mimeType: 'audio/wav', label: 'WAV' },
+  mp3: { mimeType: 'audio/mpeg', label: 'MP3' },
+  aac: { mimeType: 'audio/aac', label: 'AAC' },
+  m4a: { mimeType: 'audio/mp4', label: 'M4A' },
+  mp4: { mimeType: 'audio/mp4', videoMimeType: 'video/mp4', label: 'MP4' },
+  mov: { mimeType: 'video/quicktime', videoMimeType: 'video/quicktime', label: 'MOV' },
+  ogg: { mimeType: 'audio/ogg', label: 'OGG' },
+  flac: { mimeType: 'audio/flac', label: 'FLAC' },
+  webm: { mimeType: 'audio/webm', videoMimeType: 'video/webm', label: 'WebM' },
+  matroska: { mimeType: 'audio/x-matroska', videoMimeType: 'video/x-matroska', label: 'Matroska' }
+}
+
+export function bufferReader(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+  return async (start, end) => bytes.subarray(start, end)
+}
+
+export function blobReader(blob) {
+  return async (start, end) => new Uint8Array(await blob.slice(start, end).arrayBuffer())
+}
+
+function ascii(bytes, start, length) {
+  if (start + length > bytes.length) return ''
+  return String.fromCharCode(...bytes.subarray(start, start + length))
+}
+
+function uint16BE(bytes, i) {
+  return (bytes[i] << 8) | bytes[i + 1]
+}
+
+function uint32BE(bytes, i) {
+  return ((bytes[i] << 24) >>> 0) + (bytes[i + 1] << 16) + (bytes[i + 2] << 8) + bytes[i + 3]
+}
+
+function uint32LE(bytes, i) {
+  return ((bytes[i + 3] << 24) >>> 0) + (bytes[i + 2] << 16) + (bytes[i + 1] << 8) + bytes[i]
+}
+
+function uint64BE(bytes, i) {
+  return uint32BE(bytes, i) * 2 ** 32 + uint32BE(bytes, i + 4)
+}
+
+function uint64LE(bytes, i) {
+  return uint32LE(bytes, i + 4) * 2 ** 32 + uint32LE(bytes, i)
+}
+
+function info({ format, codec = null, duration = null, channels = null, sampleRate = null, hasAudioTrack = true, video = null }) {
+  return {
+    format,
+    mimeType: video ? AUDIO_FORMATS[format].videoMimeType : AUDIO_FORMATS[format].mimeType,
+    codec,
+    duration: Number.isFinite(duration) && duration > 0 ? Math.round(duration * 1000) / 1000 : null,
+    channels: channels || null,
+    sampleRate: sampleRate || null,
+    hasAudioTrack,
+    video
+  }
+}
+
+// Length of a leading ID3v2 tag (MP3s, and sometimes AAC and FLAC files, start with one)
+function id3Length(bytes) {
+  if (ascii(bytes, 0, 3) !== 'ID3' || bytes.length < 10) return 0
+  // Syncsafe integer: 7 bits per byte
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9]
+  const hasFooter = (bytes[5] & 0x10) !== 0
+  return 10 + size + (hasFooter ? 10 : 0)
+}
+
+// --- MPEG audio (MP3) and ADTS (AAC) ---
+
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+}
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] }
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350]
+
+// MPEG-1/2/2.5 Layer III frame header at i, or null
+function mp3Frame(bytes, i) {
+  if (i + 4 > bytes.length || bytes[i] !== 0xff || (bytes[i + 1] & 0xe0) !== 0xe0) return null
+  const version = (bytes[i + 1] >> 3) & 3 // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+  const layer = (bytes[i + 1] >> 1) & 3 // 1 = Layer III
+  const bitrateIndex = bytes[i + 2] >> 4
+  const sampleRateIndex = (bytes[i + 2] >> 2) & 3
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null
+
+  const mpeg1 = version === 3
+  const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][bitrateIndex] * 1000
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex]
+  const padding = (bytes[i + 2] >> 1) & 1
+  return {
+    mpeg1,
+    bitrate,
+    sampleRate,
+    channels: (bytes[i + 3] >> 6) === 3 ? 1 : 2,
+    samplesPerFrame: mpeg1 ? 1152 : 576,
+    length: Math.floor(((mpeg1 ? 144 : 72) * bitrate) / sampleRate) + padding
+  }
+}
+
+// AAC ADTS frame header at i, or null
+function adtsFrame(bytes, i) {
+  if (i + 7 > bytes.length || bytes[i] !== 0xff || (bytes[i + 1] & 0xf6) !== 0xf0) return null
+  const sampleRate = ADTS_SAMPLE_RATES[(bytes[i + 2] >> 2) & 0xf]
+  const length = ((bytes[i + 3] & 3) << 11) | (bytes[i + 4] << 3) | (bytes[i + 5] >> 5)
+  if (!sampleRate || length < 7) return null
+  return {
+    sampleRate,
+    channels: ((bytes[i + 2] & 1) << 2) | (bytes[i + 3] >> 6),
+    length
+  }
+}
+
+// First frame that is followed by another valid frame, so stray 0xFF bytes in other kinds
+// of files are not taken for audio
+function findFrame(bytes, start, parse) {
+  const end = Math.min(bytes.length, start + MPEG_SYNC_SEARCH)
+  for (let i = start; i < end; i++) {
+    const frame = parse(bytes, i)
+    if (!frame) continue
+    const next = i + frame.length
+    if (next >= bytes.length || parse(bytes, next)) {
+      return { ...frame, offset: i }
+    }
+  }
+  return null
+}
+
+// Frame count from a Xing/Info or VBRI header in the first frame (VBR files), or null
+function mp3FrameCount(bytes, frame) {
+  const sideInfo = frame.mpeg1 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17)
+  const xing = frame.offset + 4 + sideInfo
+  const tag = ascii(bytes, xing, 4)
+  if ((tag === 'Xing' || tag === 'Info') && (uint32BE(bytes, xing + 4) & 1)) {
+    return uint32BE(bytes, xing + 8)
+  }
+  const vbri = frame.offset + 36
+  if (ascii(bytes, vbri, 4) === 'VBRI') {
+    return uint32BE(bytes, vbri + 14)
+  }
+  return null
+}
+
+// `bytes` starts at byte `start` of the file
+function inspectMp3(bytes, start, size, frame) {
+  const frames = mp3FrameCount(bytes, frame)
+  const duration = frames
+    ? (frames * frame.samplesPerFrame) / frame.sampleRate
+    : ((size - start - frame.offset) * 8) / frame.bitrate
+  return info({ format: 'mp3', codec: 'mp3', duration, channels: frame.channels, sampleRate: frame.sampleRate })
+}
+
+// ADTS has no index; the duration is estimated from the first frame's size
+function inspectAdts(start, size, frame) {
+  const framesEstimate = (size - start - frame.offset) / frame.length
+  return info({
+    format: 'aac',
+    codec: 'aac',
+    duration: (framesEstimate * 1024) / frame.sampleRate,
+    channels: frame.channels,
+    sampleRate: frame.sampleRate
+  })
+}
+
+// --- WAV ---
+
+function inspectWav(head, size) {
+  let format = null
+  let offset = 12
+  while (offset + 8 <= head.length) {
+    const id = ascii(head, offset, 4)
+    const chunkSize = uint32LE(head, offset + 4)
+    const body = offset + 8
+    if (id === 'fmt ' && chunkSize >= 16) {
+      format = {
+        channels: head[body + 2] | (head[body + 3] << 8),
+        sampleRate: uint32LE(head, body + 4),
+        byteRate: uint32LE(head, body + 8)
+      }
+    } else if (id === 'data' && format) {
+      // Streamed WAVs may declare a 0 or oversized data length
+      const dataSize = chunkSize === 0 || body + chunkSize > size ? size - body : chunkSize
+      return info({ format: 'wav', codec: 'pcm', duration: dataSize / format.byteRate, channels: format.channels, sampleRate: format.sampleRate })
+    }
+    offset = body + chunkSize + (chunkSize % 2)
+  }
+  return format ? info({ format: 'wav', codec: 'pcm', channels: format.channels, sampleRate: format.sampleRate }) : null
+}
+
+// --- FLAC ---
+
+// STREAMINFO is always the first metadata block, right after the marker at `start`
+function readStreamInfo(bytes, start) {
+  const body = start + 4 + 4
+  if (body + 18 > bytes.length || (bytes[start + 4] & 0x7f) !== 0) return null
+  const sampleRate = (bytes[body + 10] << 12) | (bytes[body + 11] << 4) | (bytes[body + 12] >> 4)
+  const channels = ((bytes[body + 12] >> 1) & 7) + 1
+  const totalSamples = (bytes[body + 13] & 0xf) * 2 ** 32 + uint32BE(bytes, body + 14)
+  return { sampleRate, channels, duration: sampleRate ? totalSamples / sampleRate : null }
+}
+
+function inspectFlac(head, start) {
+  const streamInfo = readStreamInfo(head, start) || {}
+  return info({ format: 'flac', codec: 'flac', ...streamInfo })
+}
+
+// --- Ogg ---
+
+async function inspectOgg(head, size, read) {
+  const packet = 27 + head[26] // page header plus segment table
+  let codec = null
+  let channels = null
+  let sampleRate = null
+  let granuleRate = null
+  let preSkip = 0
+
+  if (ascii(head, packet, 8) === 'OpusHead') {
+    codec = 'opus'
+    channels = head[packet + 9]
+    preSkip = head[packet + 10] | (head[packet + 11] << 8)
+    sampleRate = uint32LE(head, packet + 12) || 48000
+    granuleRate = 48000 // Opus granule positions always count 48kHz samples
+  } else if (head[packet] === 1 && ascii(head, packet + 1, 6) === 'vorbis') {
+    codec = 'vorbis'
+    channels = head[packet + 11]
+    sampleRate = uint32LE(head, packet + 12)
+    granuleRate = sampleRate
+  } else if (ascii(head, packet, 5) === '\x7fFLAC') {
+    codec = 'flac'
+    const streamInfo = readStreamInfo(head, packet + 9) || {}
+    channels = streamInfo.channels
+    sampleRate = streamInfo.sampleRate
+    granuleRate = sampleRate
+  }
+
+  // The last page's granule position is the stream length in samples
+  let duration = null
+  if (granuleRate) {
+    const tailStart = Math.max(0, size - TAIL_BYTES)
+    const tail = await read(tailStart, size)
+    for (let i = tail.length - 27; i >= 0; i--) {
+      if (tail[i] === 0x4f && ascii(tail, i, 4) === 'OggS') {
+        duration = (uint64LE(tail, i + 6) - preSkip) / granuleRate
+        break
+      }
+    }
+  }
+
+  return info({ format: 'ogg', codec, duration, channels, sampleRate })
+}
+
+// --- WebM / Matroska (EBML) ---
+
+const EBML = {
+  HEADER: 0x1a45dfa3,
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  AUDIO: 0xe1,
+  SAMPLING_FREQUENCY: 0xb5,
+  CHANNELS: 0x9f,
+  VIDEO: 0xe0,
+  PIXEL_WIDTH: 0xb0,
+  PIXEL_HEIGHT: 0xba,
+  CLUSTER: 0x1f43b675
+}
+
+// Variable-length integer at i: { value, length }. IDs keep their length marker bits.
+function readVint(bytes, i, keepMarker) {
+  const first = bytes[i]
+  let length = 1
+  let mask = 0x80
+  while (length <= 8 && !(first & mask)) {
+    mask >>= 1
+    length++
+  }
+  if (length > 8 || i + length > bytes.length) return null
+
+  let value = keepMarker ? first : first & (mask - 1)
+  let allOnes = (first & (mask - 1)) === mask - 1
+  for (let k = 1; k < length; k++) {
+    value = value * 256 + bytes[i + k]
+    allOnes = allOnes && bytes[i + k] === 0xff
+  }
+  return { value, length, unknown: !keepMarker && allOnes }
+}
+
+// Child elements between start and end as [{ id, start, end }]; elements of unknown or
+// truncated size run to `end`
+function ebmlChildren(bytes, start, end) {
+  const children = []
+  let i = start
+  while (i < end) {
+    const id = readVint(bytes, i, true)
+    const size = id && readVint(bytes, i + id.length, false)
+    if (!size) break
+    const dataStart = i + id.length + size.length
+    const dataEnd = size.unknown ? end : Math.min(end, dataStart + size.value)
+    children.push({ id: id.value, start: dataStart, end: dataEnd })
+    if (id.value === EBML.CLUSTER) break // media data; the headers are all before it
+    i = dataEnd
+  }
+  return children
+}
+
+function ebmlUint(bytes, element) {
+  let value = 0
+  for (let i = element.start; i < element.end; i++) value = value * 256 + bytes[i]
+  return value
+}
+
+function ebmlFloat(bytes, element) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + element.start, element.end - element.start)
+  return element.end - element.start === 4 ? view.getFloat32(0) : view.getFloat64(0)
+}
+
+function inspectEbml(head) {
+  const top = ebmlChildren(head, 0, head.length)
+  const header = top.find(element => element.id === EBML.HEADER)
+  const docType = header && ebmlChildren(head, header.start, header.end).find(element => element.id === EBML.DOC_TYPE)
+  const format = docType && ascii(head, docType.start, docType.end - docType.start) === 'webm' ? 'webm' : 'matroska'
+
+  const segment = top.find(element => element.id === EBML.SEGMENT)
+  const children = segment ? ebmlChildren(head, segment.start, segment.end) : []
+  let duration = null
+  let codec = null
+  let channels = null
+  let sampleRate = null
+  let video = null
+
+  const segmentInfo = children.find(element => element.id === EBML.INFO)
+  if (segmentInfo) {
+    const fields = ebmlChildren(head, segmentInfo.start, segmentInfo.end)
+    const scale = fields.find(element => element.id === EBML.TIMECODE_SCALE)
+    const length = fields.find(element => element.id === EBML.DURATION)
+    if (length) {
+      duration = (ebmlFloat(head, length) * (scale ? ebmlUint(head, scale) : 1000000)) / 1e9
+    }
+  }
+
+  const tracks = children.find(element => element.id === EBML.TRACKS)
+  const entries = tracks ? ebmlChildren(head, tracks.start, tracks.end).filter(element => element.id === EBML.TRACK_ENTRY) : []
+  let hasAudio = false
+  for (const entry of entries) {
+    const fields = ebmlChildren(head, entry.start, entry.end)
+    const type = fields.find(element => element.id === EBML.TRACK_TYPE)
+    const codecId = fields.find(element => element.id === EBML.CODEC_ID)
+    const trackCodec = codecId ? ascii(head, codecId.start, codecId.end - codecId.start).replace(/^[AV]_/, '').toLowerCase() : null
+    const trackType = type ? ebmlUint(head, type) : null
+
+    // 1 = video, 2 = audio; the first track of each kind is reported
+    if (trackType === 1 && !video) {
+      const settings = fields.find(element => element.id === EBML.VIDEO)
+      const pixels = settings ? ebmlChildren(head, settings.start, settings.end) : []
+      const width = pixels.find(element => element.id === EBML.PIXEL_WIDTH)
+      const height = pixels.find(element => element.id === EBML.PIXEL_HEIGHT)
+      video = {
+        codec: trackCodec,
+        width: width ? ebmlUint(head, width) : null,
+        height: height ? ebmlUint(head, height) : null
+      }
+    } else if (trackType === 2 && !hasAudio) {
+      hasAudio = true
+      codec = trackCodec
+      const audio = fields.find(element => element.id === EBML.AUDIO)
+      if (audio) {
+        const settings = ebmlChildren(head, audio.start, audio.end)
+        const frequency = settings.find(element => element.id === EBML.SAMPLING_FREQUENCY)
+        const channelCount = settings.find(element => element.id === EBML.CHANNELS)
+        sampleRate = frequency ? Math.round(ebmlFloat(head, frequency)) : null
+        channels = channelCount ? ebmlUint(head, channelCount) : null
+      }
+    }
+  }
+
+  return info({ format, codec, duration, channels, sampleRate, hasAudioTrack: entries.length === 0 || hasAudio, video })
+}
+
+// --- MP4 / M4A / MOV (ISO base media, QuickTime) ---
+
+// Boxes between start and end as [{ type, start, end }] (start is the box body)
+function mp4Boxes(bytes, start, end) {
+  const boxes = []
+  let i = start
+  while (i + 8 <= end) {
+    let size = uint32BE(bytes, i)
+    let header = 8
+    if (size === 1) {
+      size = uint64BE(bytes, i + 8)
+      header = 16
+    } else if (size === 0) {
+      size = end - i
+    }
+    if (size < header) break
+    boxes.push({ type: ascii(bytes, i + 4, 4), start: i + header, end: Math.min(end, i + size) })
+    i += size
+  }
+  return boxes
+}
+
+function findBox(bytes, parent, path) {
+  let box = parent
+  for (const type of path) {
+    box = mp4Boxes(bytes, box.start, box.end).find(child => child.type === type)
+    if (!box) return null
+  }
+  return box
+}
+
+// Top-level boxes are walked with small reads so the moov box is found wherever it is
+async function readMoov(read, size) {
+  let offset = 0
+  while (offset + 8 <= size) {
+    const header = await read(offset, Math.min(size, offset + 16))
+    let boxSize = uint32BE(header, 0)
+    if (boxSize === 1) boxSize = uint64BE(header, 8)
+    else if (boxSize === 0) boxSize = size - offset
+    if (boxSize < 8) return null
+
+    if (ascii(header, 4, 4) === 'moov') {
+      if (boxSize > MAX_MOOV_BYTES) return null
+      return read(offset, Math.min(size, offset + boxSize))
+    }
+    offset += boxSize
+  }
+  return null
+}
+
+// Older QuickTime files have no ftyp box and start with one of these
+const QUICKTIME_BOXES = ['moov', 'mdat', 'wide', 'free', 'skip']
+
+function mp4Format(head) {
+  if (ascii(head, 4, 4) !== 'ftyp') return 'mov'
+  const brand = ascii(head, 8, 4)
+  if (brand === 'M4A ') return 'm4a'
+  return brand === 'qt  ' ? 'mov' : 'mp4'
+}
+
+// Codec and sample entry of a track: { handler, codec, entry } where entry is the offset
+// of the first sample description
+function mp4Track(moov, track) {
+  const handler = findBox(moov, track, ['mdia', 'hdlr'])
+  const stsd = findBox(moov, track, ['mdia', 'minf', 'stbl', 'stsd'])
+  const entry = stsd && stsd.start + 8
+  return {
+    handler: handler ? ascii(moov, handler.start + 8, 4) : null,
+    codec: entry ? ascii(moov, entry + 4, 4).trim().toLowerCase() : null,
+    entry
+  }
+}
+
+async function inspectMp4(head, size, read) {
+  const format = mp4Format(head)
+  const moov = await readMoov(read, size)
+  if (!moov) return format === 'mov' && ascii(head, 4, 4) !== 'ftyp' ? null : info({ format })
+
+  const root = { start: 8, end: moov.length }
+  let duration = null
+  const mvhd = findBox(moov, root, ['mvhd'])
+  if (mvhd) {
+    const version = moov[mvhd.start]
+    const timescale = uint32BE(moov, mvhd.start + (version === 1 ? 20 : 12))
+    const length = version === 1 ? uint64BE(moov, mvhd.start + 24) : uint32BE(moov, mvhd.start + 16)
+    duration = timescale ? length / timescale : null
+  }
+
+  // The first sound track's sample entry holds the codec, channel count and sample rate;
+  // the first video track's the frame size
+  const tracks = mp4Boxes(moov, root.start, root.end)
+    .filter(box => box.type === 'trak')
+    .map(track => mp4Track(moov, track))
+  const sound = tracks.find(track => track.handler === 'soun')
+  const picture = tracks.find(track => track.handler === 'vide')
+  const video = picture
+    ? {
+        codec: picture.codec,
+        width: picture.entry ? uint16BE(moov, picture.entry + 32) : null,
+        height: picture.entry ? uint16BE(moov, picture.entry + 34) : null
+      }
+    : null
+
+  if (!sound) {
+    return info({ format, duration, hasAudioTrack: tracks.length === 0, video })
+  }
+  return info({
+    format,
+    codec: sound.codec,
+    duration,
+    channels: sound.entry ? uint16BE(moov, sound.entry + 24) : null,
+    sampleRate: sound.entry ? uint16BE(moov, sound.entry + 32) : null, // 16.16 fixed point
+    video
+  })
+}
+
+// Detects the format of a file of `size` bytes and reads what its headers say about the
+// audio. hasAudioTrack is false for containers (MP4, MOV, WebM) that hold tracks but no audio.
+export async function inspectAudio(read, size) {
+  const head = await read(0, Math.min(size, HEAD_BYTES))
+  if (head.length < 12) return null
+
+  if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 4) === 'WAVE') return inspectWav(head, size)
+  if (ascii(head, 0, 4) === 'OggS') return inspectOgg(head, size, read)
+  if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) return inspectEbml(head)
+  if (ascii(head, 4, 4) === 'ftyp' || QUICKTIME_BOXES.includes(ascii(head, 4, 4))) return inspectMp4(head, size, read)
+
+  // MPEG audio and FLAC may follow an ID3 tag, which can be larger than the head when it
+  // carries cover art
+  const start = id3Length(head)
+  const body = start === 0 ? head : await read(start, Math.min(size, start + HEAD_BYTES))
+  if (ascii(body, 0, 4) === 'fLaC') return inspectFlac(body, 0)
+  const mp3 = findFrame(body, 0, mp3Frame)
+  if (mp3) return inspectMp3(body, start, size, mp3)
+  const adts = findFrame(body, 0, adtsFrame)
+  if (adts) return inspectAdts(start, size, adts)
+  return null
+}
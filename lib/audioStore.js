@@ -0,0 +1,142 @@
+import fs from 'fs'
+import path from 'path'
+import { readTranscriptions, updateTranscription } from './transcriptions'
+
+// Uploaded audio kept after transcription, so it can be played back in the editor and
+// transcribed again. One file per transcription under data/audio/<userId>/<id>; the
+// transcription's `audio` field describes it ({ name, type, size, storedAt, expiresAt }).
+//
+// Configuration (environment):
+//   AUDIO_RETENTION_DAYS  days to keep audio after upload (default 30, 0 keeps it forever).
+//                         Applies to audio stored from then on; the transcript is always kept
+//   AUDIO_STORAGE         set to false to delete uploads once they are transcribed
+
+const audioDir = path.join(process.cwd(), 'data', 'audio')
+
+const DEFAULT_RETENTION_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+export function isAudioStorageEnabled() {
+  return process.env.AUDIO_STORAGE !== 'false'
+}
+
+export function getRetentionDays() {
+  const days = Number(process.env.AUDIO_RETENTION_DAYS ?? DEFAULT_RETENTION_DAYS)
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS
+}
+
+// Ids are uuids; anything else must not become part of a path
+const safeSegment = value => String(value).replace(/[^a-zA-Z0-9_-]/g, '')
+
+function audioPath(userId, transcriptionId) {
+  return path.join(audioDir, safeSegment(userId), safeSegment(transcriptionId))
+}
+
+// Moves the file at `sourcePath` into the store (replacing earlier audio of the same
+// transcription) and records it. Returns the transcription, or null when it no longer exists.
+export async function storeAudio(userId, transcriptionId, sourcePath, { name, type, size }) {
+  const target = audioPath(userId, transcriptionId)
+  await fs.promises.mkdir(path.dirname(target), { recursive: true })
+  try {
+    await fs.promises.rename(sourcePath, target)
+  } catch (error) {
+    // Across file systems a rename is not possible
+    if (error.code !== 'EXDEV') throw error
+    await fs.promises.copyFile(sourcePath, target)
+    await fs.promises.rm(sourcePath, { force: true })
+  }
+
+  const days = getRetentionDays()
+  const storedAt = new Date()
+  const transcription = updateTranscription(userId, transcriptionId, {
+    audio: {
+      name,
+      type: type || 'application/octet-stream',
+      size,
+      storedAt: storedAt.toISOString(),
+      expiresAt: days > 0 ? new Date(storedAt.getTime() + days * DAY_MS).toISOString() : null
+    },
+    audioDeletedAt: null
+  })
+  if (!transcription) {
+    await fs.promises.rm(target, { force: true })
+  }
+  return transcription
+}
+
+// The stored file and its size, or null when there is none
+export async function getStoredAudio(userId, transcription) {
+  if (!transcription.audio) return null
+  const filePath = audioPath(userId, transcription.id)
+  try {
+    const { size } = await fs.promises.stat(filePath)
+    return { path: filePath, size, type: transcription.audio.type, name: transcription.audio.name }
+  } catch {
+    return null
+  }
+}
+
+// Parses a Range header against a file of `size` bytes. Returns { start, end } (inclusive),
+// null for no or an unusable header (the whole file is sent), or { unsatisfiable: true }.
+// Only single ranges are supported; players do not ask for more.
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim())
+  if (!match || (match[1] === '' && match[2] === '')) return null
+
+  let start
+  let end
+  if (match[1] === '') {
+    // bytes=-500 is the last 500 bytes
+    start = Math.max(size - Number(match[2]), 0)
+    end = size - 1
+  } else {
+    start = Number(match[1])
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1)
+  }
+  if (start >= size || start > end) {
+    return { unsatisfiable: true }
+  }
+  return { start, end }
+}
+
+// Removes the audio but keeps the transcription (and its transcript)
+export async function deleteStoredAudio(userId, transcriptionId, { reason = 'deleted' } = {}) {
+  await fs.promises.rm(audioPath(userId, transcriptionId), { force: true })
+  return updateTranscription(userId, transcriptionId, {
+    audio: null,
+    audioDeletedAt: new Date().toISOString(),
+    audioDeletedReason: reason
+  })
+}
+
+// For deleted transcriptions, where there is no record left to update. Without a
+// transcriptionId all of the user's audio goes.
+export async function removeAudioFiles(userId, transcriptionId) {
+  const target = transcriptionId === undefined
+    ? path.join(audioDir, safeSegment(userId))
+    : audioPath(userId, transcriptionId)
+  await fs.promises.rm(target, { recursive: true, force: true })
+}
+
+// Deletes audio past its expiresAt. Returns how many files were removed.
+export async function purgeExpiredAudio(now = Date.now()) {
+  const expired = readTranscriptions().filter(t => t.audio?.expiresAt && new Date(t.audio.expiresAt).getTime() <= now)
+  for (const transcription of expired) {
+    await deleteStoredAudio(transcription.userId, transcription.id, { reason: 'expired' })
+  }
+  if (expired.length > 0) {
+    console.log(`Deleted audio of ${expired.length} transcription(s) past the retention period`)
+  }
+  return expired.length
+}
+
+// Runs the purge now and every hour; started from instrumentation.js
+export function startAudioRetention() {
+  if (globalThis.audioRetentionTimer) return
+
+  const purge = () => purgeExpiredAudio().catch(error => console.error('Audio retention error:', error))
+  purge()
+  globalThis.audioRetentionTimer = setInterval(purge, PURGE_INTERVAL_MS)
+  globalThis.audioRetentionTimer.unref?.()
+}
@@ -0,0 +1,62 @@
+import CredentialsProvider from 'next-auth/providers/credentials'
+import { getServerSession } from 'next-auth'
+import bcrypt from 'bcryptjs'
+import { findUserByEmail } from './users'
+
+export const authOptions = {
+  providers: [
+    CredentialsProvider({
+      name: 'Credentials',
+      credentials: {
+        email: { label: "Email", type: "email" },
+        password: { label: "Password", type: "password" }
+      },
+      async authorize(credentials) {
+        try {
+          const user = findUserByEmail(credentials.email)
+          
+          if (user && await bcrypt.compare(credentials.password, user.password)) {
+            return {
+              id: user.id,
+              email: user.email,
+              name: user.name
+            }
+          }
+          
+          return null
+        } catch (error) {
+          console.error('Auth error:', error)
+          return null
+        }
+      }
+    })
+  ],
+  session: {
+    strategy: 'jwt',
+    maxAge: 30 * 24 * 60 * 60, // 30 days
+  },
+  callbacks: {
+    async jwt({ token, user }) {
+      if (user) {
+        token.id = user.id
+      }
+      return token
+    },
+    async session({ session, token }) {
+      if (token) {
+        session.user.id = token.id
+      }
+      return session
+    }
+  },
+  pages: {
+    signIn: '/login',
+  },
+  secret: process.env.NEXTAUTH_SECRET,
+}
+
+// Returns the signed-in user (with id) or null
+export async function getSessionUser() {
+  const session = await getServerSession(authOptions)
+  return session?.user?.id ? session.user : null
+}
@@ -0,0 +1,279 @@
+// Chunked transcription for recordings too large for a single provider request.
+//
+//   1. The audio is decoded and cut near the chunk length limit, at the quietest moment
+//      within a search window, so cuts land between words
+//   2. Each chunk also covers OVERLAP seconds before its cut, giving the provider context and
+//      giving the stitcher shared words to line speakers up with
+//   3. Chunks are encoded as 16kHz WAV and transcribed in parallel
+//   4. Results are shifted onto the recording's timeline and stitched: every chunk owns the
+//      time between its cut and the next one, so the overlap is kept only once
+
+import { decodeAudioFile, encodeWav } from './audio'
+import { frameEnergies } from './diarization/vad'
+import { transcribeWithFallback, getProvider } from './providers'
+import { createTranscript, groupWordsBySegment, shiftTranscript } from './transcript'
+import { utterancesFromSegments, nextSpeakerId } from './speakers'
+
+export const CHUNKING_THRESHOLD = 25 * 1024 * 1024 // larger audio (after preprocessing) is split
+const DEFAULT_CHUNK_DURATION = 10 * 60 // seconds; 10 minutes of 16kHz WAV is ~19MB
+const OVERLAP = 5
+const QUIET_WINDOW = 0.5 // length of the silence looked for at a cut
+const DEFAULT_CONCURRENCY = 3
+
+// Large audio is split, and so is audio longer than a provider in the chain takes in one
+// request (e.g. Google's synchronous recognize). audio.duration is in seconds, null when unknown.
+export function needsChunking(audio, providers = []) {
+  const maxDuration = getMaxDuration(providers)
+  return audio.size > CHUNKING_THRESHOLD || (maxDuration !== null && audio.duration > maxDuration)
+}
+
+// The shortest maxDuration among the configured providers in the chain, null when none has one
+function getMaxDuration(providers) {
+  const limits = providers
+    .map(id => getProvider(id))
+    .filter(adapter => adapter && adapter.isConfigured() && adapter.limits && adapter.limits.maxDuration)
+    .map(adapter => adapter.limits.maxDuration)
+  return limits.length > 0 ? Math.min(...limits) : null
+}
+
+// Length of the chunks once audio is split: DEFAULT_CHUNK_DURATION, or less for a provider
+// with a shorter maxDuration
+export function getChunkDuration(providers) {
+  return Math.min(DEFAULT_CHUNK_DURATION, getMaxDuration(providers) ?? Infinity)
+}
+
+function getConcurrency() {
+  const value = Number(process.env.TRANSCRIBE_CHUNK_CONCURRENCY)
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_CONCURRENCY
+}
+
+// Start time (seconds) of the quietest QUIET_WINDOW between from and to
+function quietestPoint(energies, hop, from, to) {
+  const width = Math.max(1, Math.round(QUIET_WINDOW / hop))
+  const first = Math.max(0, Math.floor(from / hop))
+  const last = Math.min(energies.length - width, Math.floor(to / hop))
+  if (last <= first) return to
+
+  let sum = 0
+  for (let i = first; i < first + width; i++) sum += energies[i]
+  let best = { sum, frame: first }
+  for (let frame = first + 1; frame <= last; frame++) {
+    sum += energies[frame + width - 1] - energies[frame - 1]
+    if (sum < best.sum) best = { sum, frame }
+  }
+  return (best.frame + width / 2) * hop
+}
+
+// Returns [{ index, start, end, cut, ownedEnd }] in seconds. A chunk is transcribed from
+// start to end and owns the words between cut and ownedEnd.
+export function planChunks(samples, sampleRate, { chunkDuration = DEFAULT_CHUNK_DURATION, overlap = OVERLAP } = {}) {
+  const total = samples.length / sampleRate
+  const cuts = [0]
+  if (total > chunkDuration) {
+    const { energies, hop } = frameEnergies(samples, sampleRate)
+    const step = chunkDuration - overlap
+    const searchWindow = Math.min(30, step / 4)
+    while (total - cuts[cuts.length - 1] > chunkDuration) {
+      const target = cuts[cuts.length - 1] + step
+      cuts.push(quietestPoint(energies, hop, target - searchWindow, target))
+    }
+  }
+
+  return cuts.map((cut, index) => ({
+    index,
+    start: Math.max(0, index === 0 ? 0 : cut - overlap),
+    end: index === cuts.length - 1 ? total : cuts[index + 1],
+    cut,
+    ownedEnd: index === cuts.length - 1 ? Infinity : cuts[index + 1]
+  }))
+}
+
+function midpoint(item) {
+  return (item.start + item.end) / 2
+}
+
+function normalizeWord(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '')
+}
+
+// Maps a chunk's speaker labels onto the labels used so far. Words both chunks heard in
+// the overlap vote for a pairing; speakers with no votes keep their label when it is still
+// free and get a fresh one otherwise.
+function mapSpeakers(previousWords, currentWords, chunk, usedSpeakers) {
+  const votes = new Map()
+  const shared = currentWords.filter(word => word.speaker && word.end <= chunk.cut + 1)
+  for (const word of shared) {
+    const text = normalizeWord(word.text)
+    const match = previousWords.find(other =>
+      other.speaker && normalizeWord(other.text) === text && Math.abs(midpoint(other) - midpoint(word)) < 0.5
+    )
+    if (!match) continue
+    const key = `${word.speaker}\u0000${match.speaker}`
+    votes.set(key, (votes.get(key) || 0) + 1)
+  }
+
+  const mapping = new Map()
+  const taken = new Set()
+  const ranked = [...votes.entries()].sort((a, b) => b[1] - a[1])
+  for (const [key] of ranked) {
+    const [from, to] = key.split('\u0000')
+    if (mapping.has(from) || taken.has(to)) continue
+    mapping.set(from, to)
+    taken.add(to)
+  }
+
+  const speakers = new Set(currentWords.map(word => word.speaker).filter(Boolean))
+  for (const speaker of speakers) {
+    if (mapping.has(speaker)) continue
+    const label = !taken.has(speaker) && !usedSpeakers.has(speaker)
+      ? speaker
+      : nextSpeakerId([...usedSpeakers, ...taken])
+    mapping.set(speaker, label)
+    taken.add(label)
+  }
+  return mapping
+}
+
+// Drops words at the start of `words` that repeat the last words already kept, which
+// happens when the two chunks disagree slightly on where a word sits around the cut
+function dropRepeatedHead(kept, words) {
+  for (let length = Math.min(5, kept.length, words.length); length > 0; length--) {
+    const tail = kept.slice(-length)
+    const head = words.slice(0, length)
+    const repeated = head.every((word, i) =>
+      normalizeWord(word.text) === normalizeWord(tail[i].text) && Math.abs(word.start - tail[i].start) < 1
+    )
+    if (repeated) return words.slice(length)
+  }
+  return words
+}
+
+// Stitches per-chunk transcripts ([{ chunk, transcript }], times relative to the chunk)
+// into one transcript on the recording's timeline
+export function stitchTranscripts(parts, { duration } = {}) {
+  const words = []
+  const segments = []
+  const usedSpeakers = new Set()
+  let previousWords = []
+
+  for (const { chunk, transcript: local } of parts) {
+    const transcript = shiftTranscript(local, chunk.start)
+    const owns = item => midpoint(item) >= chunk.cut && midpoint(item) < chunk.ownedEnd
+
+    const mapping = mapSpeakers(previousWords, transcript.words, chunk, usedSpeakers)
+    const relabel = item => ({ ...item, speaker: item.speaker ? mapping.get(item.speaker) || item.speaker : null })
+    const chunkWords = transcript.words.map(relabel)
+    const chunkSegments = transcript.segments.map(relabel)
+    mapping.forEach(label => usedSpeakers.add(label))
+    chunkSegments.forEach(segment => segment.speaker && usedSpeakers.add(segment.speaker))
+
+    // Words the previous chunk cut off at its end are picked up from this one
+    const lastEnd = words.length > 0 ? words[words.length - 1].end : chunk.cut
+    const from = Math.min(chunk.cut, lastEnd)
+    const keptWords = dropRepeatedHead(words, chunkWords.filter(word => midpoint(word) >= from && midpoint(word) < chunk.ownedEnd))
+    const keptSet = new Set(keptWords)
+
+    if (chunkWords.length > 0) {
+      // Segments are trimmed to the words this chunk owns
+      const wordsBySegment = groupWordsBySegment(chunkSegments, chunkWords)
+      for (const segment of chunkSegments) {
+        const segmentWords = (wordsBySegment.get(segment.id) || []).filter(word => keptSet.has(word))
+        if (segmentWords.length === 0) continue
+        segments.push({
+          ...segment,
+          start: Math.max(segment.start, segmentWords[0].start),
+          end: Math.min(segment.end, chunk.ownedEnd),
+          text: segmentWords.map(word => word.text).join(' ')
+        })
+      }
+    } else {
+      segments.push(...chunkSegments.filter(owns))
+    }
+
+    words.push(...keptWords)
+    previousWords = chunkWords
+  }
+
+  const first = parts[0].transcript
+  const numbered = segments.map((segment, index) => ({ ...segment, id: index }))
+  const hasSpeakers = numbered.some(segment => segment.speaker)
+
+  return createTranscript({
+    text: numbered.map(segment => segment.text).join(' '),
+    language: parts.map(part => part.transcript.language).find(Boolean) || null,
+    duration: duration ?? (numbered.length > 0 ? numbered[numbered.length - 1].end : 0),
+    segments: numbered,
+    words,
+    utterances: hasSpeakers ? utterancesFromSegments(numbered) : [],
+    provider: {
+      ...first.provider,
+      processingTimeMs: parts.reduce((sum, part) => sum + (part.transcript.provider.processingTimeMs || 0), 0) || null
+    }
+  })
+}
+
+// Runs fn over items with at most `limit` in flight; resolves in input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+// Same contract as transcribeWithFallback, for audio stored at audioPath. The first chunk
+// goes through the whole provider chain; the provider that handles it transcribes the rest,
+// so every part of the transcript comes from the same model. With language 'auto' the
+// language detected in the first chunk is used for the rest.
+export async function transcribeInChunks(audioPath, audio, { providers, model, language, vocabulary, onProgress = () => {} } = {}) {
+  onProgress(5, 'Splitting audio into chunks')
+  const { samples, sampleRate } = await decodeAudioFile(audioPath)
+  const chunks = planChunks(samples, sampleRate, { chunkDuration: getChunkDuration(providers) })
+  const baseName = audio.name.replace(/\.[^.]+$/, '')
+
+  const chunkAudio = chunk => {
+    const buffer = encodeWav(samples.subarray(Math.floor(chunk.start * sampleRate), Math.ceil(chunk.end * sampleRate)), sampleRate)
+    return { buffer, name: `${baseName}.part${chunk.index + 1}.wav`, type: 'audio/wav', size: buffer.length, duration: chunk.end - chunk.start }
+  }
+
+  let completed = 0
+  const reportChunk = () => {
+    completed++
+    onProgress(10 + (80 * completed) / chunks.length, `Transcribed chunk ${completed} of ${chunks.length}`)
+  }
+
+  const first = await transcribeWithFallback(chunkAudio(chunks[0]), { providers, model, language, vocabulary })
+  const chunkLanguage = first.result.language || language
+  reportChunk()
+
+  const rest = await mapWithConcurrency(chunks.slice(1), getConcurrency(), async chunk => {
+    try {
+      const transcribed = await transcribeWithFallback(chunkAudio(chunk), {
+        providers: [first.provider],
+        model: first.result.provider.model,
+        language: chunkLanguage,
+        vocabulary
+      })
+      reportChunk()
+      return transcribed
+    } catch (error) {
+      const attempt = error.attempts && error.attempts[error.attempts.length - 1]
+      throw new Error(`Chunk ${chunk.index + 1} of ${chunks.length} failed: ${attempt ? attempt.error : error.message}`)
+    }
+  })
+
+  const transcribed = [first, ...rest]
+  const parts = transcribed.map(({ result }, index) => ({ chunk: chunks[index], transcript: result }))
+  return {
+    result: stitchTranscripts(parts, { duration: samples.length / sampleRate }),
+    provider: first.provider,
+    attempts: first.attempts,
+    vocabulary: { ...first.vocabulary, replacements: transcribed.reduce((sum, part) => sum + part.vocabulary.replacements, 0) },
+    chunks: chunks.length
+  }
+}
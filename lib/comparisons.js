@@ -0,0 +1,255 @@
+import fs from 'fs'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { alignWords } from './alignment'
+import { getProvider } from './providers'
+import { averageConfidence } from './transcript'
+
+// Provider comparisons: the stored audio of a transcription run through several providers
+// (or models) at once, each run keeping its transcript, latency and estimated cost.
+// A comparison is { id, userId, transcriptionId, fileName, contentType, language, status,
+// runs, createdAt }; a run is { provider, model, status, result, latencyMs, confidence, cost,
+// error }, with cost estimated from the provider's list price (lib/providers).
+
+const comparisonsFilePath = path.join(process.cwd(), 'data', 'comparisons.json')
+
+export const MIN_COMPARISON_RUNS = 2
+export const MAX_COMPARISON_RUNS = 6
+const MAX_CONTENT_TYPE_LENGTH = 50
+
+function ensureComparisonsFileExists() {
+  if (!fs.existsSync(comparisonsFilePath)) {
+    const dir = path.dirname(comparisonsFilePath)
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true })
+    }
+    fs.writeFileSync(comparisonsFilePath, JSON.stringify({ comparisons: [] }, null, 2), 'utf-8')
+  }
+}
+
+function readComparisons() {
+  ensureComparisonsFileExists()
+  try {
+    const parsed = JSON.parse(fs.readFileSync(comparisonsFilePath, 'utf-8'))
+    return Array.isArray(parsed.comparisons) ? parsed.comparisons : []
+  } catch (error) {
+    console.error('Failed to read comparisons.json:', error)
+    return []
+  }
+}
+
+function writeComparisons(comparisons) {
+  ensureComparisonsFileExists()
+  try {
+    fs.writeFileSync(comparisonsFilePath, JSON.stringify({ comparisons }, null, 2), 'utf-8')
+    return true
+  } catch (error) {
+    console.error('Failed to write comparisons.json:', error)
+    return false
+  }
+}
+
+// Content types group comparisons for the per-type summary; free text, case-insensitive
+export function normalizeContentType(value) {
+  return String(value || '').trim().toLowerCase().slice(0, MAX_CONTENT_TYPE_LENGTH) || 'general'
+}
+
+// Checks the requested runs: [{ provider, model }], or provider ids. Returns { runs } or { error }.
+// `min` and `max` bound how many there may be (lib/evaluation allows a single one).
+export function validateRuns(requested, { min = MIN_COMPARISON_RUNS, max = MAX_COMPARISON_RUNS } = {}) {
+  if (!Array.isArray(requested)) {
+    return { error: 'runs must be a list of providers' }
+  }
+  const runs = requested.map(run => (typeof run === 'string' ? { provider: run } : run || {}))
+    .map(run => ({ provider: String(run.provider || '').trim(), model: run.model ? String(run.model).trim() : null }))
+  if (runs.length < min || runs.length > max) {
+    return { error: `Choose ${min} to ${max} providers or models` }
+  }
+
+  const seen = new Set()
+  for (const run of runs) {
+    const adapter = getProvider(run.provider)
+    if (!adapter) {
+      return { error: `Unknown transcription provider: ${run.provider}` }
+    }
+    if (!adapter.isConfigured()) {
+      return { error: `${adapter.name} is not configured` }
+    }
+    const key = `${run.provider}/${run.model || ''}`
+    if (seen.has(key)) {
+      return { error: `${adapter.name}${run.model ? ` (${run.model})` : ''} is listed twice` }
+    }
+    seen.add(key)
+  }
+  return { runs }
+}
+
+// Average word confidence of a transcript (segment confidence for providers without word
+// scores), or null when the provider reports none
+export function transcriptConfidence(result) {
+  return averageConfidence(result.words) ?? averageConfidence(result.segments)
+}
+
+// List entries leave out the transcripts
+function toSummary({ userId, runs, ...comparison }) {
+  return {
+    ...comparison,
+    runs: runs.map(({ result, ...run }) => ({
+      ...run,
+      wordCount: result ? result.text.split(/\s+/).filter(Boolean).length : null
+    }))
+  }
+}
+
+export function listComparisons(userId) {
+  return readComparisons()
+    .filter(comparison => comparison.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toSummary)
+}
+
+export function getComparison(userId, id) {
+  return readComparisons().find(comparison => comparison.id === id && comparison.userId === userId) || null
+}
+
+export function createComparison(userId, { transcriptionId, fileName, contentType, language, runs }) {
+  const comparison = {
+    id: uuidv4(),
+    userId,
+    transcriptionId,
+    fileName,
+    contentType: normalizeContentType(contentType),
+    language,
+    status: 'processing',
+    jobId: null,
+    runs: runs.map(({ provider, model }) => ({
+      provider,
+      model: model || null,
+      status: 'queued',
+      result: null,
+      latencyMs: null,
+      confidence: null,
+      cost: null,
+      error: null
+    })),
+    createdAt: new Date().toISOString()
+  }
+
+  const comparisons = readComparisons()
+  comparisons.push(comparison)
+  if (!writeComparisons(comparisons)) {
+    throw new Error('Failed to save comparison')
+  }
+  return comparison
+}
+
+export function updateComparison(userId, id, changes) {
+  const comparisons = readComparisons()
+  const index = comparisons.findIndex(comparison => comparison.id === id && comparison.userId === userId)
+  if (index === -1) {
+    return null
+  }
+  comparisons[index] = { ...comparisons[index], ...changes }
+  writeComparisons(comparisons)
+  return comparisons[index]
+}
+
+// Runs finish in any order; each one is written as soon as it is done
+export function updateComparisonRun(userId, id, runIndex, changes) {
+  const comparisons = readComparisons()
+  const comparison = comparisons.find(c => c.id === id && c.userId === userId)
+  if (!comparison || !comparison.runs[runIndex]) {
+    return null
+  }
+  comparison.runs[runIndex] = { ...comparison.runs[runIndex], ...changes }
+  writeComparisons(comparisons)
+  return comparison
+}
+
+export function deleteComparison(userId, id) {
+  const comparisons = readComparisons()
+  const remaining = comparisons.filter(comparison => !(comparison.id === id && comparison.userId === userId))
+  if (remaining.length === comparisons.length) {
+    return false
+  }
+  return writeComparisons(remaining)
+}
+
+// All of a user's comparisons, or those of one transcription
+export function deleteComparisons(userId, transcriptionId) {
+  const comparisons = readComparisons()
+  const remaining = comparisons.filter(comparison =>
+    !(comparison.userId === userId && (transcriptionId === undefined || comparison.transcriptionId === transcriptionId))
+  )
+  if (remaining.length !== comparisons.length) {
+    writeComparisons(remaining)
+  }
+}
+
+// Every completed run diffed word by word against the run at `baseline`. There is no ground
+// truth here: agreement is the share of baseline words the other run has as well.
+export function diffComparison(comparison, baseline = 0) {
+  const reference = comparison.runs[baseline]
+  if (!reference || reference.status !== 'completed') {
+    return null
+  }
+
+  return comparison.runs.map((run, index) => {
+    if (index === baseline || run.status !== 'completed') {
+      return null
+    }
+    const alignment = alignWords(reference.result.text, run.result.text)
+    return {
+      ...alignment,
+      agreement: alignment.referenceLength > 0 ? alignment.counts.equal / alignment.referenceLength : null
+    }
+  })
+}
+
+// Per content type and provider/model: how many runs, how many failed, and the average
+// confidence, latency, real-time factor and cost per audio minute of the completed ones
+export function summarizeComparisons(userId) {
+  const groups = new Map()
+  for (const comparison of readComparisons().filter(c => c.userId === userId)) {
+    for (const run of comparison.runs) {
+      if (run.status !== 'completed' && run.status !== 'failed') continue
+
+      const key = [comparison.contentType, run.provider, run.model || ''].join('\u0000')
+      if (!groups.has(key)) {
+        groups.set(key, {
+          contentType: comparison.contentType,
+          provider: run.provider,
+          model: run.model,
+          runs: 0,
+          failed: 0,
+          values: { confidence: [], latencyMs: [], realtimeFactor: [], costPerMinute: [] }
+        })
+      }
+      const group = groups.get(key)
+      group.runs++
+      if (run.status === 'failed') {
+        group.failed++
+        continue
+      }
+
+      const seconds = run.result.duration
+      if (Number.isFinite(run.confidence)) group.values.confidence.push(run.confidence)
+      group.values.latencyMs.push(run.latencyMs)
+      if (seconds > 0) {
+        group.values.realtimeFactor.push(run.latencyMs / 1000 / seconds)
+        if (Number.isFinite(run.cost)) group.values.costPerMinute.push(run.cost / (seconds / 60))
+      }
+    }
+  }
+
+  const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+  return [...groups.values()]
+    .map(({ values, ...group }) => ({
+      ...group,
+      confidence: average(values.confidence),
+      latencyMs: average(values.latencyMs),
+      realtimeFactor: average(values.realtimeFactor),
+      costPerMinute: average(values.costPerMinute)
+    }))
+    .sort((a, b) => a.contentType.localeCompare(b.contentType) || a.provider.localeCompare(b.provider))
+}
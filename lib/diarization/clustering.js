@@ -0,0 +1,115 @@
+// Agglomerative clustering with average linkage over cosine distance.
+// Clusters keep merging while the closest pair is within the distance threshold, so the
+// number of speakers falls out of the data unless the caller knows it.
+
+const DISTANCE_THRESHOLD = 0.3
+
+function cosineDistance(a, b) {
+  let dot = 0
+  for (let d = 0; d < a.length; d++) dot += a[d] * b[d]
+  return 1 - dot
+}
+
+function distanceMatrix(embeddings) {
+  const n = embeddings.length
+  const distances = new Float32Array(n * n)
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const distance = cosineDistance(embeddings[i], embeddings[j])
+      distances[i * n + j] = distance
+      distances[j * n + i] = distance
+    }
+  }
+  return distances
+}
+
+// Merges everything into one cluster and returns the merges in order as
+// [{ kept, absorbed, distance }]. Average-linkage distances never decrease along the way.
+// Keeps a nearest-neighbour table so each merge costs O(n) instead of rescanning the matrix.
+function buildDendrogram(original, n) {
+  const distances = Float32Array.from(original)
+  const active = new Uint8Array(n).fill(1)
+  const sizes = new Uint32Array(n).fill(1)
+  const nearest = new Int32Array(n)
+  const nearestDistance = new Float32Array(n)
+  const merges = []
+
+  const findNearest = i => {
+    nearest[i] = -1
+    nearestDistance[i] = Infinity
+    for (let j = 0; j < n; j++) {
+      if (j !== i && active[j] && distances[i * n + j] < nearestDistance[i]) {
+        nearestDistance[i] = distances[i * n + j]
+        nearest[i] = j
+      }
+    }
+  }
+  for (let i = 0; i < n; i++) findNearest(i)
+
+  for (let step = 1; step < n; step++) {
+    let i = -1
+    for (let k = 0; k < n; k++) {
+      if (active[k] && (i === -1 || nearestDistance[k] < nearestDistance[i])) i = k
+    }
+    const j = nearest[i]
+
+    // Lance-Williams update for average linkage
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === i || k === j) continue
+      const merged = (sizes[i] * distances[i * n + k] + sizes[j] * distances[j * n + k]) / (sizes[i] + sizes[j])
+      distances[i * n + k] = merged
+      distances[k * n + i] = merged
+    }
+    sizes[i] += sizes[j]
+    active[j] = 0
+    merges.push({ kept: i, absorbed: j, distance: nearestDistance[i] })
+
+    for (let k = 0; k < n; k++) {
+      if (!active[k]) continue
+      if (k === i || nearest[k] === i || nearest[k] === j) {
+        findNearest(k)
+      } else if (distances[k * n + i] < nearestDistance[k]) {
+        nearestDistance[k] = distances[k * n + i]
+        nearest[k] = i
+      }
+    }
+  }
+
+  return merges
+}
+
+// Replays merges until `clusters` remain; labels are numbered 0..clusters-1 in item order
+function cutDendrogram(merges, n, clusters) {
+  const parent = Int32Array.from({ length: n }, (_, i) => i)
+  for (const { kept, absorbed } of merges.slice(0, n - clusters)) {
+    parent[absorbed] = kept
+  }
+  const root = i => {
+    while (parent[i] !== i) i = parent[i]
+    return i
+  }
+
+  const ids = new Map()
+  return Array.from({ length: n }, (_, i) => {
+    const r = root(i)
+    if (!ids.has(r)) ids.set(r, ids.size)
+    return ids.get(r)
+  })
+}
+
+// embeddings must be unit length (see normalizeEmbeddings). Returns a cluster index per
+// embedding. numSpeakers forces the count; otherwise it is decided by `threshold`, capped
+// at maxSpeakers.
+export function clusterEmbeddings(embeddings, { numSpeakers, maxSpeakers = 8, threshold = DISTANCE_THRESHOLD } = {}) {
+  const n = embeddings.length
+  if (n <= 1) return new Array(n).fill(0)
+
+  const merges = buildDendrogram(distanceMatrix(embeddings), n)
+
+  if (numSpeakers) {
+    return cutDendrogram(merges, n, Math.min(n, Math.max(1, numSpeakers)))
+  }
+
+  const withinThreshold = merges.filter(merge => merge.distance <= threshold).length
+  return cutDendrogram(merges, n, Math.max(1, Math.min(n - withinThreshold, maxSpeakers)))
+}
@@ -0,0 +1,169 @@
+// MFCC features and fixed-length speaker embeddings built from them.
+// The embedding is the mean and standard deviation of each cepstral coefficient over a
+// stretch of speech: crude next to neural embeddings, but it needs no model download.
+
+const FFT_SIZE = 512
+const FRAME_DURATION = 0.025 // seconds
+const HOP_DURATION = 0.01
+const MEL_FILTERS = 26
+const CEPSTRAL_COEFFICIENTS = 20 // c0 (overall energy) is dropped, leaving 19
+const MIN_FREQUENCY = 80
+const MAX_FREQUENCY = 7600
+
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700)
+}
+
+function melToHz(mel) {
+  return 700 * (10 ** (mel / 2595) - 1)
+}
+
+function createMelFilterbank(sampleRate) {
+  const bins = FFT_SIZE / 2 + 1
+  const maxFrequency = Math.min(MAX_FREQUENCY, sampleRate / 2)
+  const minMel = hzToMel(MIN_FREQUENCY)
+  const maxMel = hzToMel(maxFrequency)
+  const points = Array.from({ length: MEL_FILTERS + 2 }, (_, i) =>
+    Math.floor(((FFT_SIZE + 1) * melToHz(minMel + (i * (maxMel - minMel)) / (MEL_FILTERS + 1))) / sampleRate)
+  )
+
+  return Array.from({ length: MEL_FILTERS }, (_, m) => {
+    const filter = new Float32Array(bins)
+    const [left, center, right] = [points[m], points[m + 1], points[m + 2]]
+    for (let k = left; k < center; k++) filter[k] = (k - left) / Math.max(1, center - left)
+    for (let k = center; k <= right && k < bins; k++) filter[k] = (right - k) / Math.max(1, right - center)
+    return filter
+  })
+}
+
+function createDctMatrix() {
+  return Array.from({ length: CEPSTRAL_COEFFICIENTS }, (_, i) =>
+    Float32Array.from({ length: MEL_FILTERS }, (_, j) => Math.cos((Math.PI * i * (j + 0.5)) / MEL_FILTERS))
+  )
+}
+
+// In-place iterative radix-2 FFT
+function fft(real, imag) {
+  const n = real.length
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) j ^= bit
+    j ^= bit
+    if (i < j) {
+      const tempReal = real[i]
+      real[i] = real[j]
+      real[j] = tempReal
+      const tempImag = imag[i]
+      imag[i] = imag[j]
+      imag[j] = tempImag
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size
+    const stepReal = Math.cos(angle)
+    const stepImag = Math.sin(angle)
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1
+      let wImag = 0
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k
+        const b = a + size / 2
+        const tReal = real[b] * wReal - imag[b] * wImag
+        const tImag = real[b] * wImag + imag[b] * wReal
+        real[b] = real[a] - tReal
+        imag[b] = imag[a] - tImag
+        real[a] += tReal
+        imag[a] += tImag
+        const nextReal = wReal * stepReal - wImag * stepImag
+        wImag = wReal * stepImag + wImag * stepReal
+        wReal = nextReal
+      }
+    }
+  }
+}
+
+// Computes MFCCs for every frame; returns { frames: Float32Array[], hop } where
+// frames[i] holds coefficients c1..c19 of the frame starting at i * hop seconds
+export function computeMfcc(samples, sampleRate) {
+  const frameLength = Math.round(FRAME_DURATION * sampleRate)
+  const hop = Math.round(HOP_DURATION * sampleRate)
+  const count = samples.length < frameLength ? 0 : Math.floor((samples.length - frameLength) / hop) + 1
+  const window = Float32Array.from({ length: frameLength }, (_, i) =>
+    0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (frameLength - 1))
+  )
+  const filterbank = createMelFilterbank(sampleRate)
+  const dct = createDctMatrix()
+  const real = new Float32Array(FFT_SIZE)
+  const imag = new Float32Array(FFT_SIZE)
+  const melEnergies = new Float32Array(MEL_FILTERS)
+  const frames = new Array(count)
+
+  for (let frame = 0; frame < count; frame++) {
+    const start = frame * hop
+    real.fill(0)
+    imag.fill(0)
+    // Pre-emphasis boosts the higher formants that separate voices
+    for (let i = 0; i < frameLength && i < FFT_SIZE; i++) {
+      const previous = start + i > 0 ? samples[start + i - 1] : 0
+      real[i] = (samples[start + i] - 0.97 * previous) * window[i]
+    }
+    fft(real, imag)
+
+    for (let m = 0; m < MEL_FILTERS; m++) {
+      let energy = 0
+      const filter = filterbank[m]
+      for (let k = 0; k <= FFT_SIZE / 2; k++) {
+        if (filter[k] !== 0) energy += filter[k] * (real[k] * real[k] + imag[k] * imag[k])
+      }
+      melEnergies[m] = Math.log(energy + 1e-10)
+    }
+
+    const coefficients = new Float32Array(CEPSTRAL_COEFFICIENTS - 1)
+    for (let c = 1; c < CEPSTRAL_COEFFICIENTS; c++) {
+      let sum = 0
+      for (let m = 0; m < MEL_FILTERS; m++) sum += dct[c][m] * melEnergies[m]
+      coefficients[c - 1] = sum
+    }
+    frames[frame] = coefficients
+  }
+
+  return { frames, hop: HOP_DURATION }
+}
+
+// Mean and standard deviation of the MFCC frames between start and end (seconds)
+export function embedRegion(mfcc, start, end) {
+  const first = Math.max(0, Math.floor(start / mfcc.hop))
+  const last = Math.min(mfcc.frames.length, Math.ceil(end / mfcc.hop))
+  const dims = CEPSTRAL_COEFFICIENTS - 1
+  const embedding = new Float32Array(dims * 2)
+  const count = last - first
+  if (count <= 0) return null
+
+  for (let frame = first; frame < last; frame++) {
+    for (let d = 0; d < dims; d++) embedding[d] += mfcc.frames[frame][d]
+  }
+  for (let d = 0; d < dims; d++) embedding[d] /= count
+
+  for (let frame = first; frame < last; frame++) {
+    for (let d = 0; d < dims; d++) {
+      const diff = mfcc.frames[frame][d] - embedding[d]
+      embedding[dims + d] += diff * diff
+    }
+  }
+  for (let d = 0; d < dims; d++) embedding[dims + d] = Math.sqrt(embedding[dims + d] / count)
+
+  return embedding
+}
+
+// Scales each embedding to unit length so cosine distance compares the shape of the
+// statistics rather than loudness. The embeddings are deliberately not standardized per
+// recording: that stretches the small variation within a single voice until it looks like
+// several speakers.
+export function normalizeEmbeddings(embeddings) {
+  return embeddings.map(embedding => {
+    let length = 0
+    for (let d = 0; d < embedding.length; d++) length += embedding[d] ** 2
+    length = Math.sqrt(length) || 1
+    return embedding.map(value => value / length)
+  })
+}
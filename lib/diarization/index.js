@@ -0,0 +1,162 @@
+// Local, offline speaker diarization for providers that return no speakers.
+//
+//   1. Energy VAD finds speech regions (vad.js)
+//   2. Regions are cut into short pieces and each gets an MFCC embedding (features.js)
+//   3. Pieces are clustered into speakers (clustering.js)
+//   4. Words (or segments) take the speaker of the piece they overlap most
+//
+// The result is the canonical transcript with speaker set on words and segments and
+// utterances built from them, the same shape AssemblyAI results have.
+
+import { decodeAudioFile } from '../audio'
+import { createTranscript, groupWordsBySegment } from '../transcript'
+import { utterancesFromSegments, nextSpeakerId } from '../speakers'
+import { detectSpeech } from './vad'
+import { computeMfcc, embedRegion, normalizeEmbeddings } from './features'
+import { clusterEmbeddings } from './clustering'
+
+const PIECE_DURATION = 1.5 // seconds of speech per embedding
+const MIN_PIECE_DURATION = 0.4
+const MAX_PIECES = 2000 // bounds the n^2 distance matrix (~16MB)
+
+export function isLocalDiarizationEnabled() {
+  return process.env.LOCAL_DIARIZATION !== 'false'
+}
+
+function diarizationError(message, code) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Cuts speech regions into roughly equal pieces no longer than `duration`
+function splitRegions(regions, duration) {
+  const pieces = []
+  for (const region of regions) {
+    const length = region.end - region.start
+    const count = Math.max(1, Math.round(length / duration))
+    const size = length / count
+    for (let i = 0; i < count; i++) {
+      pieces.push({ start: region.start + i * size, end: region.start + (i + 1) * size })
+    }
+  }
+  return pieces.filter(piece => piece.end - piece.start >= MIN_PIECE_DURATION)
+}
+
+function overlap(a, b) {
+  return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start))
+}
+
+// Speaker of the turn overlapping `item` most, or of the closest turn in time
+function speakerAt(turns, item) {
+  let best = null
+  let bestScore = -Infinity
+  for (const turn of turns) {
+    const shared = overlap(turn, item)
+    const score = shared > 0
+      ? shared
+      : -Math.min(Math.abs(turn.start - item.end), Math.abs(item.start - turn.end))
+    if (score > bestScore) {
+      bestScore = score
+      best = turn
+    }
+  }
+  return best ? best.speaker : null
+}
+
+// A single word between two words of the same other speaker is almost always a
+// boundary error, so it takes its neighbours' speaker
+function smoothWordSpeakers(words) {
+  return words.map((word, index) => {
+    const previous = words[index - 1]
+    const next = words[index + 1]
+    if (previous && next && previous.speaker === next.speaker && word.speaker !== previous.speaker) {
+      return { ...word, speaker: previous.speaker }
+    }
+    return word
+  })
+}
+
+// Applies speaker turns ([{ start, end, speaker }]) to a transcript. Segments that contain
+// a speaker change are split at the word where it happens.
+export function applySpeakerTurns(transcript, turns) {
+  const words = smoothWordSpeakers(transcript.words.map(word => ({ ...word, speaker: speakerAt(turns, word) })))
+  const labeled = { ...transcript, words }
+  const wordsBySegment = groupWordsBySegment(transcript.segments, words)
+
+  const segments = transcript.segments.flatMap(segment => {
+    const segmentWords = wordsBySegment.get(segment.id)
+    if (!segmentWords) {
+      return [{ ...segment, speaker: speakerAt(turns, segment) }]
+    }
+
+    const parts = []
+    for (const word of segmentWords) {
+      const last = parts[parts.length - 1]
+      if (last && last.speaker === word.speaker) {
+        last.words.push(word)
+      } else {
+        parts.push({ speaker: word.speaker, words: [word] })
+      }
+    }
+    return parts.map((part, index) => ({
+      start: index === 0 ? segment.start : part.words[0].start,
+      end: index === parts.length - 1 ? segment.end : part.words[part.words.length - 1].end,
+      text: part.words.map(word => word.text).join(' '),
+      speaker: part.speaker,
+      confidence: segment.confidence
+    }))
+  }).map((segment, index) => ({ ...segment, id: index }))
+
+  return createTranscript({
+    ...labeled,
+    segments,
+    utterances: utterancesFromSegments(segments)
+  })
+}
+
+// options: numSpeakers (exact count), maxSpeakers, threshold (cosine distance)
+export function diarize(samples, sampleRate, transcript, options = {}) {
+  if (transcript.words.length === 0 && transcript.segments.length === 0) {
+    throw diarizationError('Diarization needs a transcript with word or segment timestamps', 'NO_TIMESTAMPS')
+  }
+
+  const regions = detectSpeech(samples, sampleRate)
+  const speechDuration = regions.reduce((sum, region) => sum + region.end - region.start, 0)
+  if (speechDuration === 0) {
+    throw diarizationError('No speech detected in the audio', 'NO_SPEECH')
+  }
+
+  const pieces = splitRegions(regions, Math.max(PIECE_DURATION, speechDuration / MAX_PIECES))
+  const mfcc = computeMfcc(samples, sampleRate)
+  const embedded = pieces
+    .map(piece => ({ ...piece, embedding: embedRegion(mfcc, piece.start, piece.end) }))
+    .filter(piece => piece.embedding)
+
+  const labels = clusterEmbeddings(normalizeEmbeddings(embedded.map(piece => piece.embedding)), options)
+
+  // Name clusters A, B, ... in order of first appearance
+  const names = new Map()
+  const turns = []
+  embedded.forEach((piece, index) => {
+    if (!names.has(labels[index])) names.set(labels[index], nextSpeakerId([...names.values()]))
+    const speaker = names.get(labels[index])
+    const last = turns[turns.length - 1]
+    if (last && last.speaker === speaker && piece.start - last.end < 0.5) {
+      last.end = piece.end
+    } else {
+      turns.push({ start: piece.start, end: piece.end, speaker })
+    }
+  })
+
+  return {
+    transcript: applySpeakerTurns(transcript, turns),
+    speakers: names.size,
+    turns
+  }
+}
+
+export async function diarizeAudioFile(filePath, transcript, options = {}) {
+  const { samples, sampleRate } = await decodeAudioFile(filePath)
+  return diarize(samples, sampleRate, transcript, options)
+}
@@ -0,0 +1,68 @@
+// Energy-based voice activity detection.
+// Frames whose log energy rises far enough above the estimated noise floor count as speech;
+// short gaps are bridged and very short bursts dropped.
+
+const FRAME_DURATION = 0.03 // seconds
+const HOP_DURATION = 0.01
+const NOISE_PERCENTILE = 0.1 // quietest 10% of frames approximate the noise floor
+const THRESHOLD_DB = 9 // dB above the noise floor
+const MIN_DYNAMIC_RANGE_DB = 6 // quieter recordings are treated as all speech
+const MIN_SPEECH_DURATION = 0.25
+const MAX_GAP_DURATION = 0.3
+
+export function frameEnergies(samples, sampleRate) {
+  const frameLength = Math.round(FRAME_DURATION * sampleRate)
+  const hop = Math.round(HOP_DURATION * sampleRate)
+  const count = samples.length < frameLength ? 0 : Math.floor((samples.length - frameLength) / hop) + 1
+  const energies = new Float32Array(count)
+
+  for (let frame = 0; frame < count; frame++) {
+    let sum = 0
+    const start = frame * hop
+    for (let i = start; i < start + frameLength; i++) {
+      sum += samples[i] * samples[i]
+    }
+    energies[frame] = 10 * Math.log10(sum / frameLength + 1e-10)
+  }
+
+  return { energies, hop: HOP_DURATION, frameDuration: FRAME_DURATION }
+}
+
+function percentile(values, fraction) {
+  const sorted = Float32Array.from(values).sort()
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))]
+}
+
+// Returns speech regions as [{ start, end }] in seconds
+export function detectSpeech(samples, sampleRate, options = {}) {
+  const {
+    thresholdDb = THRESHOLD_DB,
+    minSpeechDuration = MIN_SPEECH_DURATION,
+    maxGapDuration = MAX_GAP_DURATION
+  } = options
+  const { energies, hop, frameDuration } = frameEnergies(samples, sampleRate)
+  if (energies.length === 0) return []
+
+  const noiseFloor = percentile(energies, NOISE_PERCENTILE)
+  const loudest = percentile(energies, 0.99)
+  if (loudest - noiseFloor < MIN_DYNAMIC_RANGE_DB) {
+    return [{ start: 0, end: samples.length / sampleRate }]
+  }
+  const threshold = Math.min(noiseFloor + thresholdDb, loudest - MIN_DYNAMIC_RANGE_DB / 2)
+
+  const regions = []
+  let current = null
+  for (let frame = 0; frame < energies.length; frame++) {
+    const time = frame * hop
+    if (energies[frame] >= threshold) {
+      if (current && time - current.end <= maxGapDuration) {
+        current.end = time + frameDuration
+      } else {
+        current = { start: time, end: time + frameDuration }
+        regions.push(current)
+      }
+    }
+  }
+
+  return regions.filter(region => region.end - region.start >= minSpeechDuration)
+}
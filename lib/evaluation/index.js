@@ -0,0 +1,289 @@
+// Evaluation against reference transcripts
+//
+// A test set is a user's evaluation cases: a recording with its ground-truth transcript and,
+// optionally, reference speaker turns (RTTM). An evaluation run sends every case through one
+// or more providers/models with the same pipeline uploads go through (lib/jobs/transcribe.js)
+// and scores each transcript with lib/evaluation/metrics.js.
+//
+//   case    { id, userId, name, language, audio: { name, type, size, info }, reference,
+//             speakerTurns, createdAt }; the audio lives in data/evaluation/<userId>/<id>
+//             for as long as the case does (no retention)
+//   run     { id, userId, status, runs: [{ provider, model }], caseIds, results, jobId,
+//             createdAt, completedAt }
+//   result  { caseId, provider, model, status, hypothesis, metrics: { wer, cer, der },
+//             latencyMs, error }, der being null for cases without speaker turns
+//
+// The leaderboard scores every provider/model over the whole test set, from the latest
+// result of each case.
+
+import fs from 'fs'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { wordErrorRate, characterErrorRate, diarizationErrorRate, speakerTurns } from './metrics'
+
+const evaluationFilePath = path.join(process.cwd(), 'data', 'evaluation.json')
+const caseAudioDir = path.join(process.cwd(), 'data', 'evaluation')
+
+export const MAX_EVALUATION_RUNS = 6
+// About an hour of speech. Scoring runs on the server's event loop and the word alignment
+// grows with the square of the length.
+export const MAX_REFERENCE_LENGTH = 60000 // characters
+const MAX_CASE_NAME_LENGTH = 100
+
+function ensureEvaluationFileExists() {
+  if (!fs.existsSync(evaluationFilePath)) {
+    const dir = path.dirname(evaluationFilePath)
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true })
+    }
+    fs.writeFileSync(evaluationFilePath, JSON.stringify({ cases: [], runs: [] }, null, 2), 'utf-8')
+  }
+}
+
+function readEvaluation() {
+  ensureEvaluationFileExists()
+  try {
+    const parsed = JSON.parse(fs.readFileSync(evaluationFilePath, 'utf-8'))
+    return {
+      cases: Array.isArray(parsed.cases) ? parsed.cases : [],
+      runs: Array.isArray(parsed.runs) ? parsed.runs : []
+    }
+  } catch (error) {
+    console.error('Failed to read evaluation.json:', error)
+    return { cases: [], runs: [] }
+  }
+}
+
+function writeEvaluation(data) {
+  ensureEvaluationFileExists()
+  try {
+    fs.writeFileSync(evaluationFilePath, JSON.stringify(data, null, 2), 'utf-8')
+    return true
+  } catch (error) {
+    console.error('Failed to write evaluation.json:', error)
+    return false
+  }
+}
+
+// Ids are uuids; anything else must not become part of a path
+const safeSegment = value => String(value).replace(/[^a-zA-Z0-9_-]/g, '')
+
+export function caseAudioPath(userId, caseId) {
+  return path.join(caseAudioDir, safeSegment(userId), safeSegment(caseId))
+}
+
+// Cases in lists leave out the reference text and turns
+function toCaseSummary({ userId, reference, speakerTurns: turns, ...testCase }) {
+  return {
+    ...testCase,
+    referenceWords: wordErrorRate(reference, '').referenceWords,
+    speakers: turns ? new Set(turns.map(turn => turn.speaker)).size : null
+  }
+}
+
+export function listCases(userId) {
+  return readEvaluation().cases
+    .filter(testCase => testCase.userId === userId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(toCaseSummary)
+}
+
+export function getCase(userId, id) {
+  return readEvaluation().cases.find(testCase => testCase.id === id && testCase.userId === userId) || null
+}
+
+// `audio` is an upload (lib/upload.js readAudioUpload); `speakerTurns` the parsed RTTM or null
+export async function createCase(userId, { name, language, audio, reference, speakerTurns: turns }) {
+  const testCase = {
+    id: uuidv4(),
+    userId,
+    name: String(name || '').trim().slice(0, MAX_CASE_NAME_LENGTH) || audio.name,
+    language,
+    audio: { name: audio.name, type: audio.type, size: audio.size, info: audio.info || null },
+    reference,
+    speakerTurns: turns || null,
+    createdAt: new Date().toISOString()
+  }
+
+  const target = caseAudioPath(userId, testCase.id)
+  await fs.promises.mkdir(path.dirname(target), { recursive: true })
+  await fs.promises.writeFile(target, audio.buffer)
+
+  const data = readEvaluation()
+  data.cases.push(testCase)
+  if (!writeEvaluation(data)) {
+    await fs.promises.rm(target, { force: true })
+    throw new Error('Failed to save evaluation case')
+  }
+  return testCase
+}
+
+// Results of the case stay in their runs but no longer count on the leaderboard
+export async function deleteCase(userId, id) {
+  const data = readEvaluation()
+  const cases = data.cases.filter(testCase => !(testCase.id === id && testCase.userId === userId))
+  if (cases.length === data.cases.length) {
+    return false
+  }
+  await fs.promises.rm(caseAudioPath(userId, id), { force: true })
+  return writeEvaluation({ ...data, cases })
+}
+
+// Run lists leave out the transcripts
+function toRunSummary({ userId, results, ...run }) {
+  return {
+    ...run,
+    results: results.map(({ hypothesis, ...result }) => result)
+  }
+}
+
+export function listRuns(userId) {
+  return readEvaluation().runs
+    .filter(run => run.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toRunSummary)
+}
+
+export function getRun(userId, id) {
+  return readEvaluation().runs.find(run => run.id === id && run.userId === userId) || null
+}
+
+export function createRun(userId, { runs, caseIds }) {
+  const run = {
+    id: uuidv4(),
+    userId,
+    status: 'processing',
+    runs: runs.map(({ provider, model }) => ({ provider, model: model || null })),
+    caseIds,
+    results: [],
+    jobId: null,
+    createdAt: new Date().toISOString(),
+    completedAt: null
+  }
+
+  const data = readEvaluation()
+  data.runs.push(run)
+  if (!writeEvaluation(data)) {
+    throw new Error('Failed to save evaluation run')
+  }
+  return run
+}
+
+export function updateRun(userId, id, changes) {
+  const data = readEvaluation()
+  const run = data.runs.find(r => r.id === id && r.userId === userId)
+  if (!run) {
+    return null
+  }
+  Object.assign(run, changes)
+  writeEvaluation(data)
+  return run
+}
+
+// Results are written one by one as the job gets through the test set
+export function addRunResult(userId, id, result) {
+  const data = readEvaluation()
+  const run = data.runs.find(r => r.id === id && r.userId === userId)
+  if (!run) {
+    return null
+  }
+  run.results.push(result)
+  writeEvaluation(data)
+  return run
+}
+
+export function deleteRun(userId, id) {
+  const data = readEvaluation()
+  const runs = data.runs.filter(run => !(run.id === id && run.userId === userId))
+  if (runs.length === data.runs.length) {
+    return false
+  }
+  return writeEvaluation({ ...data, runs })
+}
+
+// WER and CER of the transcript against the case's reference, and DER when the case has
+// speaker turns
+export function scoreTranscript(testCase, transcript) {
+  return {
+    wer: wordErrorRate(testCase.reference, transcript.text),
+    cer: characterErrorRate(testCase.reference, transcript.text),
+    der: testCase.speakerTurns ? diarizationErrorRate(testCase.speakerTurns, speakerTurns(transcript)) : null
+  }
+}
+
+// Per provider/model, over the latest result of every case that still exists: the rates
+// are corpus-level (total errors over total reference words, characters and speech time),
+// so long recordings weigh more than short ones.
+export function buildLeaderboard(userId) {
+  const data = readEvaluation()
+  const caseIds = new Set(data.cases.filter(testCase => testCase.userId === userId).map(testCase => testCase.id))
+
+  const latest = new Map()
+  const runs = data.runs
+    .filter(run => run.userId === userId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  for (const run of runs) {
+    for (const result of run.results) {
+      if (!caseIds.has(result.caseId)) continue
+      latest.set([result.provider, result.model || '', result.caseId].join('\u0000'), result)
+    }
+  }
+
+  const groups = new Map()
+  for (const result of latest.values()) {
+    const key = [result.provider, result.model || ''].join('\u0000')
+    if (!groups.has(key)) {
+      groups.set(key, {
+        provider: result.provider,
+        model: result.model,
+        cases: 0,
+        failed: 0,
+        word: { substitutions: 0, deletions: 0, insertions: 0, hits: 0, reference: 0 },
+        character: { errors: 0, reference: 0 },
+        speaker: { missed: 0, falseAlarm: 0, confusion: 0, total: 0, cases: 0 },
+        latencyMs: 0
+      })
+    }
+    const group = groups.get(key)
+    if (result.status !== 'completed') {
+      group.failed++
+      continue
+    }
+
+    const { wer, cer, der } = result.metrics
+    group.cases++
+    group.word.substitutions += wer.substitutions
+    group.word.deletions += wer.deletions
+    group.word.insertions += wer.insertions
+    group.word.hits += wer.hits
+    group.word.reference += wer.referenceWords
+    group.character.errors += cer.substitutions + cer.deletions + cer.insertions
+    group.character.reference += cer.referenceCharacters
+    if (der) {
+      group.speaker.missed += der.missed
+      group.speaker.falseAlarm += der.falseAlarm
+      group.speaker.confusion += der.confusion
+      group.speaker.total += der.total
+      group.speaker.cases++
+    }
+    group.latencyMs += result.latencyMs
+  }
+
+  const rate = (errors, total) => (total > 0 ? errors / total : null)
+  return [...groups.values()]
+    .map(({ word, character, speaker, latencyMs, ...group }) => ({
+      ...group,
+      totalCases: caseIds.size,
+      wer: rate(word.substitutions + word.deletions + word.insertions, word.reference),
+      substitutions: word.substitutions,
+      deletions: word.deletions,
+      insertions: word.insertions,
+      referenceWords: word.reference,
+      cer: rate(character.errors, character.reference),
+      der: rate(speaker.missed + speaker.falseAlarm + speaker.confusion, speaker.total),
+      diarizedCases: speaker.cases,
+      latencyMs: group.cases > 0 ? latencyMs / group.cases : null
+    }))
+    // Best WER first; providers that completed nothing go last
+    .sort((a, b) => (a.wer ?? Infinity) - (b.wer ?? Infinity) || a.provider.localeCompare(b.provider))
+}
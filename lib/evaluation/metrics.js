@@ -0,0 +1,239 @@
+import { tokenizeWords, alignSequences } from '../alignment'
+
+// Accuracy of a transcript against a reference (ground truth) transcript.
+//
+//   WER  word error rate: (substitutions + deletions + insertions) / reference words, with
+//        words compared lowercased and without punctuation (lib/alignment.js)
+//   CER  the same over characters of those normalized words, spaces included
+//   DER  diarization error rate: missed speech, false alarm and speaker confusion over the
+//        reference speech time. Measured in 10ms frames, with overlapping speech counted per
+//        speaker and no forgiveness collar around turn boundaries.
+//
+// Rates can exceed 1 (a hypothesis with many extra words); they are null when the reference
+// is empty.
+
+const FRAME_SECONDS = 0.01
+const MAX_GAP_CELLS = 1024 * 1024 // characters aligned in one stretch of CER, reference x hypothesis
+
+function errorRate({ counts }, referenceLength) {
+  const errors = counts.substitution + counts.deletion + counts.insertion
+  return {
+    rate: referenceLength > 0 ? errors / referenceLength : null,
+    substitutions: counts.substitution,
+    deletions: counts.deletion,
+    insertions: counts.insertion,
+    hits: counts.equal,
+    referenceLength
+  }
+}
+
+// Words the reference and the hypothesis have in common are hits
+export function wordErrorRate(referenceText, hypothesisText) {
+  const ref = tokenizeWords(referenceText).map(word => word.norm)
+  const hyp = tokenizeWords(hypothesisText).map(word => word.norm)
+  const { rate, referenceLength, ...breakdown } = errorRate(alignSequences(ref, hyp), ref.length)
+  return { wer: rate, ...breakdown, referenceWords: referenceLength }
+}
+
+// Characters are only aligned between the words the word alignment matched: the text
+// between two matching words in the reference against the text between them in the
+// hypothesis. A full character alignment takes seconds on half an hour of speech and the
+// scoring runs on the server's event loop. A stretch too long to align (a hypothesis with
+// nothing in common with the reference) counts every character as an error.
+export function characterErrorRate(referenceText, hypothesisText) {
+  const ref = tokenizeWords(referenceText).map(word => word.norm)
+  const hyp = tokenizeWords(hypothesisText).map(word => word.norm)
+  const counts = { equal: 0, substitution: 0, deletion: 0, insertion: 0 }
+  let referenceCharacters = 0
+
+  let gap = { ref: [], hyp: [] }
+  const closeGap = (afterMatch, beforeMatch) => {
+    // The spaces next to the matching words belong to the text between them
+    const text = words => [...(afterMatch ? [''] : []), ...words, ...(beforeMatch ? [''] : [])].join(' ')
+    const refText = [...text(gap.ref)]
+    const hypText = [...text(gap.hyp)]
+    referenceCharacters += refText.length
+    if (refText.length * hypText.length > MAX_GAP_CELLS) {
+      counts.substitution += Math.min(refText.length, hypText.length)
+      counts.deletion += Math.max(0, refText.length - hypText.length)
+      counts.insertion += Math.max(0, hypText.length - refText.length)
+    } else {
+      for (const [type, count] of Object.entries(alignSequences(refText, hypText).counts)) {
+        counts[type] += count
+      }
+    }
+    gap = { ref: [], hyp: [] }
+  }
+
+  let matched = false
+  for (const operation of alignSequences(ref, hyp).operations) {
+    if (operation.type === 'equal') {
+      closeGap(matched, true)
+      counts.equal += [...ref[operation.ref]].length
+      referenceCharacters += [...ref[operation.ref]].length
+      matched = true
+    } else {
+      if (operation.ref !== null) gap.ref.push(ref[operation.ref])
+      if (operation.hyp !== null) gap.hyp.push(hyp[operation.hyp])
+    }
+  }
+  closeGap(matched, false)
+
+  const { rate, referenceLength, ...breakdown } = errorRate({ counts }, referenceCharacters)
+  return { cer: rate, ...breakdown, referenceCharacters: referenceLength }
+}
+
+// Speaker turns ({ speaker, start, end } in seconds) from an RTTM file, the usual format of
+// diarization references: SPEAKER <file> <channel> <start> <duration> <NA> <NA> <speaker> ...
+// Returns { turns } or { error }.
+export function parseRttm(text) {
+  const turns = []
+  const lines = String(text || '').split(/\r?\n/)
+  for (let i = 0; i < lines.length; i++) {
+    const fields = lines[i].trim().split(/\s+/)
+    if (fields[0] !== 'SPEAKER') continue
+
+    const start = Number(fields[3])
+    const duration = Number(fields[4])
+    if (fields.length < 8 || !Number.isFinite(start) || !Number.isFinite(duration) || start < 0 || duration < 0) {
+      return { error: `Line ${i + 1} is not a valid RTTM SPEAKER line` }
+    }
+    turns.push({ speaker: fields[7], start, end: start + duration })
+  }
+  if (turns.length === 0) {
+    return { error: 'The RTTM file has no SPEAKER lines' }
+  }
+  return { turns }
+}
+
+// The speaker turns of a transcript: its utterances, or its segments when the provider did
+// not split by speaker. Segments without a speaker all belong to one.
+export function speakerTurns(transcript) {
+  const items = transcript.utterances.length > 0 ? transcript.utterances : transcript.segments
+  return items
+    .filter(item => Number.isFinite(item.start) && Number.isFinite(item.end) && item.end > item.start)
+    .map(item => ({ speaker: item.speaker || 'A', start: item.start, end: item.end }))
+}
+
+// For every frame, the indexes of the speakers talking in it
+function frameSpeakers(turns, speakerIndex, frameCount) {
+  const frames = Array.from({ length: frameCount }, () => [])
+  for (const turn of turns) {
+    const speaker = speakerIndex.get(turn.speaker)
+    const last = Math.min(frameCount, Math.round(turn.end / FRAME_SECONDS))
+    for (let frame = Math.round(turn.start / FRAME_SECONDS); frame < last; frame++) {
+      if (!frames[frame].includes(speaker)) frames[frame].push(speaker)
+    }
+  }
+  return frames
+}
+
+// Hungarian method on a square cost matrix: the assignment of rows to columns with the
+// lowest total cost, as assignment[row] = column
+function minimumCostAssignment(cost) {
+  const n = cost.length
+  const u = new Array(n + 1).fill(0)
+  const v = new Array(n + 1).fill(0)
+  const owner = new Array(n + 1).fill(0)
+  const way = new Array(n + 1).fill(0)
+
+  for (let row = 1; row <= n; row++) {
+    owner[0] = row
+    let column = 0
+    const minima = new Array(n + 1).fill(Infinity)
+    const used = new Array(n + 1).fill(false)
+    do {
+      used[column] = true
+      const current = owner[column]
+      let delta = Infinity
+      let next = 0
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue
+        const reduced = cost[current - 1][j - 1] - u[current] - v[j]
+        if (reduced < minima[j]) {
+          minima[j] = reduced
+          way[j] = column
+        }
+        if (minima[j] < delta) {
+          delta = minima[j]
+          next = j
+        }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[owner[j]] += delta
+          v[j] -= delta
+        } else {
+          minima[j] -= delta
+        }
+      }
+      column = next
+    } while (owner[column] !== 0)
+    do {
+      const previous = way[column]
+      owner[column] = owner[previous]
+      column = previous
+    } while (column !== 0)
+  }
+
+  const assignment = new Array(n)
+  for (let j = 1; j <= n; j++) {
+    if (owner[j] !== 0) assignment[owner[j] - 1] = j - 1
+  }
+  return assignment
+}
+
+// Hypothesis speakers are matched one to one with reference speakers so that they overlap
+// the most; time a speaker talks under a label mapped to someone else is confusion.
+// Returns { der, missed, falseAlarm, confusion, total } with times in seconds, and the
+// mapping (hypothesis speaker to reference speaker).
+export function diarizationErrorRate(referenceTurns, hypothesisTurns) {
+  const refSpeakers = [...new Set(referenceTurns.map(turn => turn.speaker))]
+  const hypSpeakers = [...new Set(hypothesisTurns.map(turn => turn.speaker))]
+  const end = Math.max(0, ...referenceTurns.map(turn => turn.end), ...hypothesisTurns.map(turn => turn.end))
+  const frameCount = Math.ceil(end / FRAME_SECONDS)
+  const ref = frameSpeakers(referenceTurns, new Map(refSpeakers.map((speaker, i) => [speaker, i])), frameCount)
+  const hyp = frameSpeakers(hypothesisTurns, new Map(hypSpeakers.map((speaker, i) => [speaker, i])), frameCount)
+
+  const overlap = hypSpeakers.map(() => new Array(refSpeakers.length).fill(0))
+  let total = 0
+  let missed = 0
+  let falseAlarm = 0
+  let matched = 0
+  for (let frame = 0; frame < frameCount; frame++) {
+    total += ref[frame].length
+    missed += Math.max(0, ref[frame].length - hyp[frame].length)
+    falseAlarm += Math.max(0, hyp[frame].length - ref[frame].length)
+    matched += Math.min(ref[frame].length, hyp[frame].length)
+    for (const h of hyp[frame]) {
+      for (const r of ref[frame]) overlap[h][r]++
+    }
+  }
+
+  // Padded to a square; the cost of a pair is its overlap, negated to find the most
+  const size = Math.max(refSpeakers.length, hypSpeakers.length)
+  const cost = Array.from({ length: size }, (_, h) =>
+    Array.from({ length: size }, (_, r) => -(overlap[h]?.[r] || 0))
+  )
+  const assignment = size > 0 ? minimumCostAssignment(cost) : []
+  const mapping = {}
+  let correct = 0
+  hypSpeakers.forEach((speaker, h) => {
+    const r = assignment[h]
+    if (r < refSpeakers.length && overlap[h][r] > 0) {
+      mapping[speaker] = refSpeakers[r]
+      correct += overlap[h][r]
+    }
+  })
+
+  const seconds = frames => Math.round(frames * FRAME_SECONDS * 100) / 100
+  const confusion = matched - correct
+  return {
+    der: total > 0 ? (missed + falseAlarm + confusion) / total : null,
+    missed: seconds(missed),
+    falseAlarm: seconds(falseAlarm),
+    confusion: seconds(confusion),
+    total: seconds(total),
+    mapping
+  }
+}
@@ -0,0 +1,78 @@
+// Word (.docx) report: a single WordprocessingML document with direct run formatting
+
+import { createZip } from './zip'
+import { paragraphHeading } from './report'
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// size is in half-points, so 22 = 11pt
+function run(text, { bold = false, size = 22, color } = {}) {
+  const props = [
+    bold && '<w:b/>',
+    color && `<w:color w:val="${color}"/>`,
+    `<w:sz w:val="${size}"/>`
+  ].filter(Boolean).join('')
+  return `<w:r><w:rPr>${props}</w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`
+}
+
+function paragraph(runs, { spacingAfter = 120 } = {}) {
+  return `<w:p><w:pPr><w:spacing w:after="${spacingAfter}"/></w:pPr>${runs.join('')}</w:p>`
+}
+
+function documentXml(report) {
+  const body = [
+    paragraph([run(report.title, { bold: true, size: 36 })], { spacingAfter: 240 }),
+    ...report.metadata.map(([label, value]) => paragraph([run(`${label}: `, { bold: true }), run(value)], { spacingAfter: 40 }))
+  ]
+
+  if (report.summary) {
+    body.push(
+      paragraph([run('Summary', { bold: true, size: 28 })], { spacingAfter: 120 }),
+      paragraph([run(report.summary)], { spacingAfter: 240 })
+    )
+  }
+
+  body.push(paragraph([run('Transcript', { bold: true, size: 28 })], { spacingAfter: 120 }))
+  for (const item of report.paragraphs) {
+    const heading = paragraphHeading(item)
+    if (heading) {
+      body.push(paragraph([run(heading, { bold: true, size: 20, color: '4B5563' })], { spacingAfter: 40 }))
+    }
+    body.push(paragraph([run(item.text)], { spacingAfter: 200 }))
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:body>
+    ${body.join('\n    ')}
+    <w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>
+  </w:body>
+</w:document>`
+}
+
+export function toDocx(report) {
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: ROOT_RELS },
+    { name: 'word/document.xml', data: documentXml(report) }
+  ])
+}
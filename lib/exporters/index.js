@@ -0,0 +1,144 @@
+// Export formats for stored transcriptions, used by GET /api/transcriptions/:id/export
+//
+// Each format has:
+//   extension, contentType
+//   requiresTiming           true when the format is useless without timestamps
+//   subtitles                true for subtitle files, which are named after the video they
+//                            belong to (see exportFileName)
+//   render(transcript, opts, transcription) returns the file body (string or Buffer)
+
+import { createTranscript } from '../transcript'
+import { toLanguageCode } from '../languages'
+import { toSrt, toVtt, SUBTITLE_DEFAULTS, SPEAKER_PREFIX_MODES } from './subtitles'
+import { buildReport } from './report'
+import { toMarkdown } from './markdown'
+import { toDocx } from './docx'
+import { toPdf } from './pdf'
+
+// Report formats share one layout-independent model built from the stored record
+function reportRenderer(renderReport) {
+  return (transcript, options, transcription) => renderReport(buildReport(transcription, transcript, options))
+}
+
+const EXPORT_FORMATS = {
+  txt: {
+    extension: 'txt',
+    contentType: 'text/plain; charset=utf-8',
+    requiresTiming: false,
+    render: transcript => `${transcript.text}\n`
+  },
+  srt: {
+    extension: 'srt',
+    contentType: 'application/x-subrip; charset=utf-8',
+    requiresTiming: true,
+    subtitles: true,
+    render: toSrt
+  },
+  vtt: {
+    extension: 'vtt',
+    contentType: 'text/vtt; charset=utf-8',
+    requiresTiming: true,
+    subtitles: true,
+    render: toVtt
+  },
+  md: {
+    extension: 'md',
+    contentType: 'text/markdown; charset=utf-8',
+    requiresTiming: false,
+    render: reportRenderer(toMarkdown)
+  },
+  docx: {
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    requiresTiming: false,
+    render: reportRenderer(toDocx)
+  },
+  pdf: {
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    requiresTiming: false,
+    render: reportRenderer(toPdf)
+  }
+}
+
+export function getExportFormat(format) {
+  return EXPORT_FORMATS[format] || null
+}
+
+export function listExportFormats() {
+  return Object.keys(EXPORT_FORMATS)
+}
+
+// Records stored before the canonical schema only have the plain transcript string.
+// `language` selects a finished translation (lib/translation); null when there is none.
+export function getTranscriptForExport(transcription, { language } = {}) {
+  const original = transcription.result || createTranscript({ text: transcription.transcript })
+  const code = toLanguageCode(language)
+  if (!code || code === original.language) {
+    return original
+  }
+  const translation = transcription.translations && transcription.translations[code]
+  return (translation && translation.result) || null
+}
+
+export function hasTiming(transcript) {
+  return [transcript.words, transcript.segments, transcript.utterances].some(items => items && items.length > 0)
+}
+
+function readNumber(searchParams, name, { min, max }) {
+  const raw = searchParams.get(name)
+  if (raw === null || raw === '') {
+    return { value: undefined }
+  }
+  const value = Number(raw)
+  if (!Number.isFinite(value) || value < min || value > max) {
+    return { error: `${name} must be a number between ${min} and ${max}` }
+  }
+  return { value }
+}
+
+// Reads subtitle and report options from the query string, returning { options } or { error }
+export function parseExportOptions(searchParams) {
+  const options = {}
+
+  const numbers = {
+    maxLineLength: { min: 10, max: 200 },
+    maxLines: { min: 1, max: 4 },
+    maxCueDuration: { min: 1, max: 30 }
+  }
+  for (const [name, range] of Object.entries(numbers)) {
+    const { value, error } = readNumber(searchParams, name, range)
+    if (error) {
+      return { error }
+    }
+    if (value !== undefined) {
+      options[name] = name === 'maxCueDuration' ? value : Math.floor(value)
+    }
+  }
+
+  const speakerPrefix = searchParams.get('speakerPrefix')
+  if (speakerPrefix) {
+    if (!SPEAKER_PREFIX_MODES.includes(speakerPrefix)) {
+      return { error: `speakerPrefix must be one of: ${SPEAKER_PREFIX_MODES.join(', ')}` }
+    }
+    options.speakerPrefix = speakerPrefix
+  }
+
+  const summary = searchParams.get('summary')
+  options.summary = summary === 'true' || summary === '1'
+
+  return { options: { ...SUBTITLE_DEFAULTS, ...options } }
+}
+
+// The video a transcription was made from ({ codec, width, height }), or null for audio
+export function getSourceVideo(transcription) {
+  return (transcription.audioInfo && transcription.audioInfo.video) || null
+}
+
+// Subtitles for a video get the video's own name (meeting.mp4 -> meeting.srt) so players
+// pick them up next to it. Translations add their language (meeting.es.srt).
+export function exportFileName(fileName, extension, { sidecar = false, language = null } = {}) {
+  const baseName = (fileName || 'transcript').replace(/\.[^/.]+$/, '')
+  const suffix = language ? `.${language}.${extension}` : `.${extension}`
+  return sidecar ? `${baseName}${suffix}` : `${baseName}_transcript${suffix}`
+}
@@ -0,0 +1,28 @@
+import { paragraphHeading } from './report'
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]#|<>])/g, '\\$1')
+}
+
+export function toMarkdown(report) {
+  const lines = [`# ${report.title}`, '']
+
+  for (const [label, value] of report.metadata) {
+    lines.push(`- **${label}:** ${escapeMarkdown(value)}`)
+  }
+
+  if (report.summary) {
+    lines.push('', '## Summary', '', escapeMarkdown(report.summary))
+  }
+
+  lines.push('', '## Transcript', '')
+  for (const paragraph of report.paragraphs) {
+    const heading = paragraphHeading(paragraph)
+    if (heading) {
+      lines.push(`**${escapeMarkdown(heading)}**`, '')
+    }
+    lines.push(escapeMarkdown(paragraph.text), '')
+  }
+
+  return lines.join('\n')
+}
@@ -0,0 +1,171 @@
+// PDF report using the built-in Helvetica fonts, so no font files need to be embedded.
+// Text is WinAnsi (Latin-1) encoded; characters outside it are replaced with '?'.
+
+import { paragraphHeading } from './report'
+
+const PAGE_WIDTH = 595 // A4 in points
+const PAGE_HEIGHT = 842
+const MARGIN = 56
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+const BOLD_FACTOR = 1.08 // Helvetica-Bold runs slightly wider; close enough for line breaking
+
+const STYLES = {
+  title: { font: 'F2', size: 18, leading: 26 },
+  heading: { font: 'F2', size: 13, leading: 20 },
+  label: { font: 'F2', size: 10, leading: 14 },
+  body: { font: 'F1', size: 11, leading: 15 }
+}
+
+function textWidth(text, style) {
+  let units = 0
+  for (const char of text) {
+    const code = char.charCodeAt(0)
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556
+  }
+  return (units / 1000) * style.size * (style.font === 'F2' ? BOLD_FACTOR : 1)
+}
+
+function wrapToWidth(text, style) {
+  const lines = []
+  let line = ''
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word
+    if (line && textWidth(candidate, style) > CONTENT_WIDTH) {
+      lines.push(line)
+      line = word
+    } else {
+      line = candidate
+    }
+  }
+  if (line) lines.push(line)
+  return lines.length > 0 ? lines : ['']
+}
+
+// PDF string literal in WinAnsi encoding
+function pdfString(text) {
+  let out = ''
+  for (const char of text) {
+    const code = char.codePointAt(0)
+    if (char === '(' || char === ')' || char === '\\') {
+      out += `\\${char}`
+    } else if (code >= 32 && code <= 126) {
+      out += char
+    } else if (code >= 160 && code <= 255) {
+      out += `\\${code.toString(8).padStart(3, '0')}`
+    } else {
+      out += '?'
+    }
+  }
+  return `(${out})`
+}
+
+// Lays blocks out top to bottom and returns one content stream per page
+function layoutPages(blocks) {
+  const pages = []
+  let ops = []
+  let y = PAGE_HEIGHT - MARGIN
+
+  const newPage = () => {
+    pages.push(ops)
+    ops = []
+    y = PAGE_HEIGHT - MARGIN
+  }
+
+  for (const block of blocks) {
+    const style = STYLES[block.style]
+    const lines = wrapToWidth(block.text, style)
+    // Keep a heading on the same page as the first lines that follow it
+    const needed = style.leading * (block.keepWithNext ? lines.length + 3 : 1)
+    if (y - needed < MARGIN && ops.length > 0) {
+      newPage()
+    }
+
+    for (const line of lines) {
+      if (y - style.leading < MARGIN) {
+        newPage()
+      }
+      y -= style.leading
+      ops.push(`BT /${style.font} ${style.size} Tf ${MARGIN} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`)
+    }
+    y -= block.spaceAfter || 0
+  }
+  pages.push(ops)
+
+  return pages
+}
+
+function reportBlocks(report) {
+  const blocks = [
+    { style: 'title', text: report.title, spaceAfter: 6 },
+    ...report.metadata.map(([label, value]) => ({ style: 'body', text: `${label}: ${value}` }))
+  ]
+  blocks[blocks.length - 1].spaceAfter = 12
+
+  if (report.summary) {
+    blocks.push(
+      { style: 'heading', text: 'Summary', keepWithNext: true, spaceAfter: 2 },
+      { style: 'body', text: report.summary, spaceAfter: 12 }
+    )
+  }
+
+  blocks.push({ style: 'heading', text: 'Transcript', keepWithNext: true, spaceAfter: 2 })
+  for (const paragraph of report.paragraphs) {
+    const heading = paragraphHeading(paragraph)
+    if (heading) {
+      blocks.push({ style: 'label', text: heading, keepWithNext: true })
+    }
+    blocks.push({ style: 'body', text: paragraph.text, spaceAfter: 8 })
+  }
+
+  return blocks
+}
+
+export function toPdf(report) {
+  const pages = layoutPages(reportBlocks(report))
+  const objects = []
+  const addObject = body => {
+    objects.push(body)
+    return objects.length
+  }
+
+  // Fixed object numbers: 1 catalog, 2 page tree, 3 and 4 fonts
+  addObject('<< /Type /Catalog /Pages 2 0 R >>')
+  addObject(null)
+  addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+  addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+
+  const pageIds = pages.map((ops, index) => {
+    const footer = `BT /F1 9 Tf ${PAGE_WIDTH - MARGIN - 40} ${MARGIN / 2} Td (${index + 1} / ${pages.length}) Tj ET`
+    const stream = [...ops, footer].join('\n')
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`)
+    return addObject(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`
+    )
+  })
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1')
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`
+    return offset
+  })
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1')
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return Buffer.from(output, 'latin1')
+}
@@ -0,0 +1,77 @@
+// Format-independent report model shared by the Markdown, DOCX and PDF exporters
+
+import { formatTimestamp } from '../transcript'
+import { summarizeText } from '../summary'
+import { speakerLabel } from '../speakers'
+
+const MAX_PARAGRAPH_DURATION = 60 // seconds
+const MAX_PARAGRAPH_GAP = 3 // seconds
+
+function formatReportDate(value) {
+  const date = value ? new Date(value) : new Date()
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`
+}
+
+// Utterances are already speaker turns; otherwise consecutive segments are merged into paragraphs
+function buildParagraphs(transcript) {
+  if (transcript.utterances.length > 0) {
+    return transcript.utterances.map(u => ({ speaker: u.speaker, start: u.start, end: u.end, text: u.text }))
+  }
+
+  const paragraphs = []
+  let current = null
+  for (const segment of transcript.segments) {
+    const startsNew = !current ||
+      segment.speaker !== current.speaker ||
+      segment.start - current.end > MAX_PARAGRAPH_GAP ||
+      segment.end - current.start > MAX_PARAGRAPH_DURATION
+
+    if (startsNew) {
+      current = { speaker: segment.speaker, start: segment.start, end: segment.end, text: segment.text }
+      paragraphs.push(current)
+    } else {
+      current.text = `${current.text} ${segment.text}`
+      current.end = segment.end
+    }
+  }
+
+  if (paragraphs.length === 0 && transcript.text) {
+    paragraphs.push({ speaker: null, start: null, end: null, text: transcript.text })
+  }
+  return paragraphs
+}
+
+export function buildReport(transcription, transcript, options = {}) {
+  const providerName = transcript.provider?.name && transcript.provider.id !== 'unknown'
+    ? transcript.provider.name
+    : transcription.provider || 'Unknown'
+  const model = transcript.provider?.model
+
+  const metadata = [
+    ['File', transcription.fileName],
+    ['Duration', transcript.duration > 0 ? formatTimestamp(transcript.duration) : transcription.duration || 'Unknown'],
+    ['Provider', model ? `${providerName} (${model})` : providerName],
+    ['Date', formatReportDate(transcription.completedAt || transcription.uploadDate)]
+  ]
+  if (transcript.language) {
+    metadata.push(['Language', transcript.language])
+  }
+
+  const paragraphs = buildParagraphs(transcript).map(paragraph => ({
+    ...paragraph,
+    label: paragraph.speaker ? speakerLabel(paragraph.speaker, options.speakerNames) : null,
+    timestamp: paragraph.start === null ? null : formatTimestamp(paragraph.start)
+  }))
+
+  return {
+    title: 'Transcription Report',
+    metadata,
+    summary: options.summary ? summarizeText(transcript.text) : null,
+    paragraphs
+  }
+}
+
+// "[0:42] Speaker A" style heading shared by every report format
+export function paragraphHeading(paragraph) {
+  return [paragraph.timestamp && `[${paragraph.timestamp}]`, paragraph.label].filter(Boolean).join(' ')
+}
@@ -0,0 +1,148 @@
+// SubRip (.srt) and WebVTT (.vtt) generation from a canonical transcript
+
+import { speakerLabel } from '../speakers'
+
+export const SUBTITLE_DEFAULTS = {
+  maxLineLength: 42,
+  maxLines: 2,
+  maxCueDuration: 6, // seconds
+  speakerPrefix: 'change' // 'none', 'change' (only when the speaker changes) or 'always'
+}
+
+export const SPEAKER_PREFIX_MODES = ['none', 'change', 'always']
+
+const MIN_CUE_DURATION = 0.5 // seconds, so very short words stay readable
+const MAX_CUE_GAP = 1 // seconds of silence that ends a cue
+
+// Providers without word timings only give segments; spread each segment's time over its
+// words by character count so cues can still be cut at line and duration limits
+function timedWords(transcript) {
+  if (transcript.words && transcript.words.length > 0) {
+    return transcript.words
+  }
+
+  const source = transcript.segments && transcript.segments.length > 0
+    ? transcript.segments
+    : transcript.utterances || []
+
+  return source.flatMap(segment => {
+    const tokens = segment.text.split(/\s+/).filter(Boolean)
+    const totalChars = tokens.reduce((sum, token) => sum + token.length, 0) || 1
+    const span = segment.end - segment.start
+    let cursor = segment.start
+
+    return tokens.map(token => {
+      const start = cursor
+      cursor += span * (token.length / totalChars)
+      return { text: token, start, end: cursor, speaker: segment.speaker ?? null }
+    })
+  })
+}
+
+// Greedy word wrap; a single word longer than the limit gets a line of its own
+export function wrapText(text, maxLineLength) {
+  const lines = []
+  let line = ''
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > maxLineLength) {
+      lines.push(line)
+      line = word
+    } else {
+      line = line ? `${line} ${word}` : word
+    }
+  }
+  if (line) lines.push(line)
+
+  return lines
+}
+
+export function buildCues(transcript, options = {}) {
+  const { maxLineLength, maxLines, maxCueDuration } = { ...SUBTITLE_DEFAULTS, ...options }
+  const maxChars = maxLineLength * maxLines
+  const cues = []
+  let current = null
+
+  for (const word of timedWords(transcript)) {
+    const text = current ? `${current.text} ${word.text}` : word.text
+    const startsNew = !current ||
+      word.speaker !== current.speaker ||
+      word.start - current.end > MAX_CUE_GAP ||
+      word.end - current.start > maxCueDuration ||
+      wrapText(text, maxLineLength).length > maxLines ||
+      text.length > maxChars
+
+    if (startsNew) {
+      current = { start: word.start, end: word.end, text: word.text, speaker: word.speaker }
+      cues.push(current)
+    } else {
+      current.text = text
+      current.end = word.end
+    }
+  }
+
+  // Stretch short cues without running into the next one
+  return cues.map((cue, index) => {
+    const next = cues[index + 1]
+    const minEnd = cue.start + MIN_CUE_DURATION
+    const end = cue.end >= minEnd ? cue.end : Math.min(minEnd, next ? next.start : minEnd)
+    return { ...cue, end, lines: wrapText(cue.text, maxLineLength) }
+  })
+}
+
+function shouldPrefix(cue, previous, mode) {
+  if (mode === 'none' || cue.speaker === null || cue.speaker === undefined) return false
+  if (mode === 'always') return true
+  return !previous || previous.speaker !== cue.speaker
+}
+
+// 3725.5 -> '01:02:05,500' (SRT) or '01:02:05.500' (VTT)
+export function formatCueTime(seconds, separator = ',') {
+  const totalMs = Math.max(0, Math.round(seconds * 1000))
+  const hours = Math.floor(totalMs / 3600000)
+  const minutes = Math.floor((totalMs % 3600000) / 60000)
+  const secs = Math.floor((totalMs % 60000) / 1000)
+  const ms = totalMs % 1000
+  const pad = (value, length = 2) => String(value).padStart(length, '0')
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`
+}
+
+export function toSrt(transcript, options = {}) {
+  const { speakerPrefix, speakerNames, maxLineLength } = { ...SUBTITLE_DEFAULTS, ...options }
+  const cues = buildCues(transcript, options)
+
+  return cues.map((cue, index) => {
+    // The prefix is visible text in SRT, so the cue is wrapped again with it included
+    const lines = shouldPrefix(cue, cues[index - 1], speakerPrefix)
+      ? wrapText(`${speakerLabel(cue.speaker, speakerNames)}: ${cue.text}`, maxLineLength)
+      : cue.lines
+    return [
+      index + 1,
+      `${formatCueTime(cue.start)} --> ${formatCueTime(cue.end)}`,
+      ...lines
+    ].join('\n')
+  }).join('\n\n') + '\n'
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+// Speakers use WebVTT voice spans so players can style them
+export function toVtt(transcript, options = {}) {
+  const { speakerPrefix, speakerNames } = { ...SUBTITLE_DEFAULTS, ...options }
+  const cues = buildCues(transcript, options)
+
+  const blocks = cues.map((cue, index) => {
+    const lines = cue.lines.map(escapeVtt)
+    if (shouldPrefix(cue, cues[index - 1], speakerPrefix)) {
+      lines[0] = `<v ${escapeVtt(speakerLabel(cue.speaker, speakerNames))}>${lines[0]}`
+    }
+    return [
+      `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+      ...lines
+    ].join('\n')
+  })
+
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n'
+}
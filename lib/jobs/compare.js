@@ -0,0 +1,74 @@
+import fs from 'fs'
+import { transcribeWithFallback, estimateCost } from '../providers'
+import { needsChunking, transcribeInChunks } from '../chunking'
+import { shiftTranscript } from '../transcript'
+import { transcriptConfidence, updateComparison, updateComparisonRun } from '../comparisons'
+import { prepareJobAudio } from './transcribe'
+
+// Sends the same (preprocessed) audio to every run of a comparison at once. Runs fail on
+// their own; the comparison is completed once all have finished. Speakers are left as the
+// provider returned them, without local diarization, so the providers are compared as is.
+export async function runCompareJob(job, { reportProgress }) {
+  const { audioPath, name, type, size, info, comparisonId, runs, language, vocabulary = [], preprocess } = job.input
+  const processedPath = `${audioPath}.wav`
+  const video = Boolean(info && info.video)
+
+  try {
+    reportProgress(2, video ? 'Extracting audio from video' : 'Preparing audio')
+    const { audio, preprocessing } = await prepareJobAudio(audioPath, { name, type, size, duration: info?.duration ?? null }, preprocess, { video })
+    // Whether the audio is split depends on the provider's limits
+    const chunked = runs.map(run => needsChunking(audio, [run.provider]))
+    const buffer = chunked.every(Boolean) ? null : await fs.promises.readFile(audio.path)
+
+    let finished = 0
+    const runOne = async ({ provider, model }, index) => {
+      updateComparisonRun(job.userId, comparisonId, index, { status: 'processing' })
+      const startedAt = Date.now()
+      try {
+        const options = { providers: [provider], model, language, vocabulary }
+        const transcribed = chunked[index]
+          ? await transcribeInChunks(audio.path, audio, options)
+          : await transcribeWithFallback({ buffer, name: audio.name, type: audio.type, size: audio.size, duration: audio.duration }, options)
+        const latencyMs = Date.now() - startedAt
+        // The cost is for the audio that was sent; the transcript is moved back onto the upload's timeline
+        const billedSeconds = transcribed.result.duration
+        const result = preprocessing.offset
+          ? { ...shiftTranscript(transcribed.result, preprocessing.offset), duration: preprocessing.duration }
+          : transcribed.result
+
+        updateComparisonRun(job.userId, comparisonId, index, {
+          status: 'completed',
+          model: result.provider.model || model || null,
+          result,
+          latencyMs,
+          confidence: transcriptConfidence(result),
+          cost: estimateCost(provider, { model: result.provider.model || model, seconds: billedSeconds })
+        })
+      } catch (error) {
+        updateComparisonRun(job.userId, comparisonId, index, {
+          status: 'failed',
+          latencyMs: Date.now() - startedAt,
+          error: error.attempts?.[0]?.error || error.message
+        })
+      } finally {
+        finished++
+        reportProgress(5 + (90 * finished) / runs.length, `${finished} of ${runs.length} providers finished`)
+      }
+    }
+
+    reportProgress(5, `Transcribing with ${runs.length} providers`)
+    await Promise.all(runs.map(runOne))
+
+    const comparison = updateComparison(job.userId, comparisonId, { status: 'completed', preprocessing })
+    return {
+      completed: comparison.runs.filter(run => run.status === 'completed').length,
+      failed: comparison.runs.filter(run => run.status === 'failed').length
+    }
+  } catch (error) {
+    updateComparison(job.userId, comparisonId, { status: 'failed', error: error.message })
+    throw error
+  } finally {
+    await fs.promises.rm(audioPath, { force: true })
+    await fs.promises.rm(processedPath, { force: true })
+  }
+}
@@ -0,0 +1,81 @@
+import fs from 'fs'
+import { getCase, caseAudioPath, addRunResult, updateRun, scoreTranscript } from '../evaluation'
+import { stageJobAudio, transcribeJobAudio } from './transcribe'
+
+// Transcribes every case of an evaluation run with every provider/model, one at a time so
+// latencies are comparable, and scores the transcripts against the references. A failing
+// provider fails its result only. Cases deleted while the run is queued are skipped.
+export async function runEvaluateJob(job, { reportProgress }) {
+  const { runId, runs, caseIds, vocabulary = [], preprocess, diarize } = job.input
+  const steps = caseIds.length * runs.length
+  let step = 0
+  let completed = 0
+  let failed = 0
+
+  try {
+    for (const caseId of caseIds) {
+      const testCase = getCase(job.userId, caseId)
+      if (!testCase) {
+        step += runs.length
+        continue
+      }
+
+      // The case audio stays where it is; each case is transcribed from a copy
+      const staged = await stageJobAudio({ ...testCase.audio, path: caseAudioPath(job.userId, caseId), keep: true })
+      try {
+        for (const { provider, model } of runs) {
+          const label = `${testCase.name} (${step + 1} of ${steps})`
+          const onProgress = (progress, message) => {
+            reportProgress(5 + (90 * (step + progress / 100)) / steps, message ? `${label}: ${message}` : label)
+          }
+
+          const startedAt = Date.now()
+          try {
+            const { result } = await transcribeJobAudio(staged.audioPath, {
+              ...staged,
+              providers: [provider],
+              model,
+              language: testCase.language,
+              vocabulary,
+              diarize: diarize !== false && Boolean(testCase.speakerTurns),
+              preprocess
+            }, onProgress)
+            addRunResult(job.userId, runId, {
+              caseId,
+              provider,
+              model: result.provider.model || model || null,
+              status: 'completed',
+              hypothesis: result.text,
+              metrics: scoreTranscript(testCase, result),
+              latencyMs: Date.now() - startedAt,
+              error: null
+            })
+            completed++
+          } catch (error) {
+            addRunResult(job.userId, runId, {
+              caseId,
+              provider,
+              model: model || null,
+              status: 'failed',
+              hypothesis: null,
+              metrics: null,
+              latencyMs: Date.now() - startedAt,
+              error: error.attempts?.[0]?.error || error.message
+            })
+            failed++
+          }
+          step++
+        }
+      } finally {
+        await fs.promises.rm(staged.audioPath, { force: true })
+        await fs.promises.rm(`${staged.audioPath}.wav`, { force: true })
+      }
+    }
+
+    updateRun(job.userId, runId, { status: 'completed', completedAt: new Date().toISOString() })
+    return { completed, failed }
+  } catch (error) {
+    updateRun(job.userId, runId, { status: 'failed', error: error.message, completedAt: new Date().toISOString() })
+    throw error
+  }
+}
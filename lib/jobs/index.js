@@ -0,0 +1,240 @@
+// Background job queue
+//
+// Jobs are persisted in data/jobs.json so their status survives a restart, and are
+// executed in-process by a small worker loop. Each job type has a handler that
+// receives the job and a reportProgress(progress, message) callback and returns
+// the job result.
+//
+// The worker keeps running after the request that queued a job has been answered, so it
+// needs a long-lived Node server (next start). Serverless functions are frozen or thrown
+// away once they respond and usually cannot write data/, so jobs are refused there.
+
+import fs from 'fs'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { runTranscribeJob, stageJobAudio } from './transcribe'
+import { runTranslateJob } from './translate'
+import { runCompareJob } from './compare'
+import { runEvaluateJob } from './evaluate'
+
+const jobsFilePath = path.join(process.cwd(), 'data', 'jobs.json')
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed']
+
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2', 10) || 2)
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000 // keep finished jobs for a week
+
+// Set by AWS Lambda (which Netlify functions run on), Vercel and Netlify
+export const IS_SERVERLESS = Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.VERCEL || process.env.NETLIFY)
+export const SERVERLESS_ERROR = 'Background jobs need a long-lived Node server (npm start); they cannot run in serverless functions'
+
+const handlers = {
+  transcribe: runTranscribeJob,
+  translate: runTranslateJob,
+  compare: runCompareJob,
+  evaluate: runEvaluateJob
+}
+
+let activeJobs = 0
+let recovered = false
+
+function ensureJobsFileExists() {
+  if (!fs.existsSync(jobsFilePath)) {
+    const dir = path.dirname(jobsFilePath)
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true })
+    }
+    fs.writeFileSync(jobsFilePath, JSON.stringify({ jobs: [] }, null, 2), 'utf-8')
+  }
+}
+
+function readJobs() {
+  ensureJobsFileExists()
+  try {
+    const parsed = JSON.parse(fs.readFileSync(jobsFilePath, 'utf-8'))
+    return Array.isArray(parsed.jobs) ? parsed.jobs : []
+  } catch (error) {
+    console.error('Failed to read jobs.json:', error)
+    return []
+  }
+}
+
+function writeJobs(jobs) {
+  ensureJobsFileExists()
+  try {
+    fs.writeFileSync(jobsFilePath, JSON.stringify({ jobs }, null, 2), 'utf-8')
+    return true
+  } catch (error) {
+    console.error('Failed to write jobs.json:', error)
+    return false
+  }
+}
+
+function updateJob(id, changes) {
+  const jobs = readJobs()
+  const index = jobs.findIndex(job => job.id === id)
+  if (index === -1) {
+    return null
+  }
+  jobs[index] = { ...jobs[index], ...changes, updatedAt: new Date().toISOString() }
+  writeJobs(jobs)
+  return jobs[index]
+}
+
+// Public view of a job: the handler input stays server-side
+function toPublicJob(job) {
+  const { input, ...rest } = job
+  return rest
+}
+
+function checkWorker() {
+  if (IS_SERVERLESS) {
+    throw new Error(SERVERLESS_ERROR)
+  }
+}
+
+export function enqueueJob(userId, type, input, { transcriptionId } = {}) {
+  checkWorker()
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`)
+  }
+
+  const now = Date.now()
+  const job = {
+    id: uuidv4(),
+    userId,
+    type,
+    transcriptionId: transcriptionId || null,
+    status: 'queued',
+    progress: 0,
+    message: 'Waiting for a worker',
+    createdAt: new Date(now).toISOString(),
+    input
+  }
+
+  const jobs = readJobs().filter(existing =>
+    !(['completed', 'failed'].includes(existing.status) && now - new Date(existing.updatedAt || existing.createdAt) > FINISHED_JOB_TTL_MS)
+  )
+  jobs.push(job)
+  if (!writeJobs(jobs)) {
+    throw new Error('Failed to save job')
+  }
+
+  scheduleWorker()
+  return toPublicJob(job)
+}
+
+// options: providers, model, language, vocabulary, diarize, numSpeakers, preprocess (see runTranscribeJob)
+export async function enqueueTranscriptionJob(userId, transcriptionId, audio, options) {
+  checkWorker()
+  const input = await stageJobAudio(audio)
+  return enqueueJob(userId, 'transcribe', { ...input, ...options }, { transcriptionId })
+}
+
+// options: comparisonId, runs, language, vocabulary, preprocess (see runCompareJob)
+export async function enqueueComparisonJob(userId, transcriptionId, audio, options) {
+  checkWorker()
+  const input = await stageJobAudio(audio)
+  return enqueueJob(userId, 'compare', { ...input, ...options }, { transcriptionId })
+}
+
+// options: runId, runs, caseIds, vocabulary, preprocess, diarize (see runEvaluateJob).
+// The audio stays with the evaluation cases, so nothing is staged here.
+export function enqueueEvaluationJob(userId, options) {
+  return enqueueJob(userId, 'evaluate', options)
+}
+
+// options: source, target, engines, model (see runTranslateJob)
+export function enqueueTranslationJob(userId, transcriptionId, options) {
+  return enqueueJob(userId, 'translate', options, { transcriptionId })
+}
+
+export function getJob(userId, id) {
+  recoverInterruptedJobs()
+  const job = readJobs().find(j => j.id === id && j.userId === userId)
+  return job ? toPublicJob(job) : null
+}
+
+export function listJobs(userId, { transcriptionId } = {}) {
+  recoverInterruptedJobs()
+  return readJobs()
+    .filter(job => job.userId === userId && (!transcriptionId || job.transcriptionId === transcriptionId))
+    .map(toPublicJob)
+}
+
+// Jobs left 'running' by a previous process were interrupted; queue them again once
+function recoverInterruptedJobs() {
+  if (recovered) return
+  recovered = true
+
+  const jobs = readJobs()
+  let changed = false
+  for (const job of jobs) {
+    if (job.status === 'running') {
+      job.status = 'queued'
+      job.progress = 0
+      job.message = 'Re-queued after server restart'
+      changed = true
+    }
+  }
+  if (changed) {
+    writeJobs(jobs)
+  }
+  setImmediate(processQueue)
+}
+
+function scheduleWorker() {
+  recoverInterruptedJobs()
+  setImmediate(processQueue)
+}
+
+function processQueue() {
+  while (activeJobs < JOB_CONCURRENCY) {
+    const next = readJobs().find(job => job.status === 'queued')
+    if (!next) return
+
+    activeJobs++
+    updateJob(next.id, {
+      status: 'running',
+      progress: 5,
+      message: 'Starting',
+      startedAt: new Date().toISOString()
+    })
+
+    runJob(next).finally(() => {
+      activeJobs--
+      setImmediate(processQueue)
+    })
+  }
+}
+
+async function runJob(job) {
+  const reportProgress = (progress, message) => {
+    updateJob(job.id, {
+      progress: Math.max(0, Math.min(99, Math.round(progress))),
+      ...(message ? { message } : {})
+    })
+  }
+
+  try {
+    console.log(`Running ${job.type} job ${job.id}`)
+    const result = await handlers[job.type](job, { reportProgress })
+    updateJob(job.id, {
+      status: 'completed',
+      progress: 100,
+      message: 'Completed',
+      result: result || null,
+      completedAt: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error.message)
+    updateJob(job.id, {
+      status: 'failed',
+      message: 'Failed',
+      error: error.message,
+      attempts: error.attempts,
+      instructions: error.instructions,
+      completedAt: new Date().toISOString()
+    })
+  }
+}
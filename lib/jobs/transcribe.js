@@ -0,0 +1,189 @@
+import fs from 'fs'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { transcribeWithFallback } from '../providers'
+import { needsChunking, transcribeInChunks } from '../chunking'
+import { getTranscription, updateTranscription } from '../transcriptions'
+import { saveTranscriptRevision } from '../revisions'
+import { diarizeAudioFile, isLocalDiarizationEnabled } from '../diarization'
+import { preprocessAudioFile, isPreprocessingEnabled, PREPROCESS_SAMPLE_RATE } from '../preprocess'
+import { shiftTranscript } from '../transcript'
+import { isAudioStorageEnabled, storeAudio } from '../audioStore'
+
+const jobAudioDir = path.join(process.cwd(), 'data', 'job-audio')
+
+// Uploaded audio is written to disk so the worker can pick it up after the request ends.
+// Audio that is already on disk (audio.path, e.g. a finished resumable upload) is moved, or
+// copied when it has to stay where it is (audio.keep, the stored audio of a re-run).
+// audio.info (lib/upload.js) goes along so the worker knows a video when it sees one.
+export async function stageJobAudio(audio) {
+  await fs.promises.mkdir(jobAudioDir, { recursive: true })
+  const audioPath = path.join(jobAudioDir, uuidv4())
+  if (audio.path && audio.keep) {
+    await fs.promises.copyFile(audio.path, audioPath)
+  } else if (audio.path) {
+    await fs.promises.rename(audio.path, audioPath)
+  } else {
+    await fs.promises.writeFile(audioPath, audio.buffer)
+  }
+  return { audioPath, name: audio.name, type: audio.type, size: audio.size, info: audio.info || null }
+}
+
+// Converts the upload for the providers (lib/preprocess.js). Returns the audio to transcribe
+// ({ path, name, type, size, duration }) and the report kept on the job; the upload itself
+// (with the duration its headers report) is used when preprocessing is off or unavailable.
+// Videos are never sent as uploaded: with preprocessing off their audio track is still
+// extracted, just not processed further.
+export async function prepareJobAudio(audioPath, audio, options, { video }) {
+  const original = { ...audio, path: audioPath }
+  const enabled = options !== false && isPreprocessingEnabled()
+  if (!enabled && !video) {
+    return { audio: original, preprocessing: { status: 'skipped', reason: 'Preprocessing is disabled' } }
+  }
+
+  const steps = enabled ? options : { normalize: false, trimSilence: false, denoise: false }
+  const { path: processedPath, ...preprocessing } = await preprocessAudioFile(audioPath, `${audioPath}.wav`, { ...steps, video })
+  if (preprocessing.status === 'skipped') {
+    console.log(`Sending ${audio.name} unprocessed: ${preprocessing.reason}`)
+    return { audio: original, preprocessing }
+  }
+  return {
+    audio: {
+      path: processedPath,
+      name: `${audio.name.replace(/\.[^.]+$/, '')}.wav`,
+      type: 'audio/wav',
+      size: preprocessing.size,
+      // 16-bit mono PCM after a 44-byte header
+      duration: Math.max(0, preprocessing.size - 44) / (PREPROCESS_SAMPLE_RATE * 2)
+    },
+    preprocessing
+  }
+}
+
+// Providers without speaker labels get them from the local diarizer. Failure here is not
+// fatal: the transcript is kept without speakers and the reason is reported on the job.
+async function addLocalSpeakers(audioPath, result, { diarize, numSpeakers }, reportProgress) {
+  if (result.utterances.length > 0) {
+    return { result, diarization: { status: 'provider' } }
+  }
+  if (diarize === false || !isLocalDiarizationEnabled()) {
+    return { result, diarization: { status: 'skipped' } }
+  }
+
+  reportProgress(92, 'Identifying speakers')
+  try {
+    const { transcript, speakers } = await diarizeAudioFile(audioPath, result, { numSpeakers })
+    return { result: transcript, diarization: { status: 'completed', speakers } }
+  } catch (error) {
+    console.error('Local diarization error:', error)
+    return { result, diarization: { status: 'failed', error: error.message } }
+  }
+}
+
+// The whole pipeline for the audio at `audioPath`: preprocessing, the providers (in chunks
+// for large recordings) and local diarization. `input` is a transcribe job's input. Leaves
+// the preprocessed copy at `${audioPath}.wav` for the caller to remove.
+export async function transcribeJobAudio(audioPath, input, reportProgress) {
+  const { name, type, size, info, providers, model, language, vocabulary = [], diarize, numSpeakers, preprocess } = input
+  const video = Boolean(info && info.video)
+
+  reportProgress(2, video ? 'Extracting audio from video' : 'Preparing audio')
+  const { audio, preprocessing } = await prepareJobAudio(audioPath, { name, type, size, duration: info?.duration ?? null }, preprocess, { video })
+
+  // Large or long recordings are split, transcribed in parallel and stitched back together
+  const transcribed = needsChunking(audio, providers)
+    ? await transcribeInChunks(audio.path, audio, { providers, model, language, vocabulary, onProgress: reportProgress })
+    : await transcribeWithFallback(
+      { buffer: await fs.promises.readFile(audio.path), name: audio.name, type: audio.type, size: audio.size, duration: audio.duration },
+      { providers, model, language, vocabulary, onProgress: reportProgress }
+    )
+  const { provider, attempts, chunks = 1 } = transcribed
+  const speakers = await addLocalSpeakers(audio.path, transcribed.result, { diarize, numSpeakers }, reportProgress)
+
+  // Times from trimmed audio are moved back onto the uploaded recording's timeline, and a
+  // video's transcript spans the whole video so subtitles line up with the picture
+  let result = preprocessing.offset
+    ? { ...shiftTranscript(speakers.result, preprocessing.offset), duration: preprocessing.duration }
+    : speakers.result
+  if (video && info.duration) {
+    result = { ...result, duration: info.duration }
+  }
+
+  return {
+    result,
+    provider,
+    attempts,
+    chunks,
+    diarization: speakers.diarization,
+    preprocessing,
+    vocabulary: transcribed.vocabulary
+  }
+}
+
+export async function runTranscribeJob(job, { reportProgress }) {
+  const { audioPath, name, type, size, language, rerun } = job.input
+  const processedPath = `${audioPath}.wav`
+
+  try {
+    const { result, provider, attempts, chunks, diarization, preprocessing, vocabulary } = await transcribeJobAudio(audioPath, job.input, reportProgress)
+
+    // The provider output is revision 1; editor changes are stacked on top of it. A re-run
+    // adds its output as the newest revision, with the earlier ones kept in the history.
+    saveTranscriptRevision(job.userId, job.transcriptionId, result, {
+      source: 'transcription',
+      author: { id: null, name: result.provider.name },
+      message: rerun ? `Transcribed again with ${result.provider.name}` : '',
+      changes: {
+        status: 'completed',
+        error: null,
+        provider,
+        model: result.provider.model,
+        language: result.language,
+        requestedLanguage: language,
+        ...(rerun && { rerun: null })
+      }
+    })
+
+    return {
+      provider,
+      model: result.provider.model,
+      language: result.language,
+      attempts,
+      chunks,
+      diarization,
+      preprocessing,
+      vocabulary
+    }
+  } catch (error) {
+    // A failed re-run leaves the transcript it was meant to replace alone
+    if (rerun) {
+      const { rerun: state } = getTranscription(job.userId, job.transcriptionId) || {}
+      updateTranscription(job.userId, job.transcriptionId, { rerun: { ...state, status: 'failed', error: error.message } })
+    } else {
+      updateTranscription(job.userId, job.transcriptionId, { status: 'failed', error: error.message })
+    }
+    throw error
+  } finally {
+    await fs.promises.rm(processedPath, { force: true })
+    if (rerun) {
+      // A copy; the stored audio stays where it is
+      await fs.promises.rm(audioPath, { force: true })
+    } else {
+      await keepUploadedAudio(job, { audioPath, name, type, size })
+    }
+  }
+}
+
+// The upload (not the processed copy) goes to lib/audioStore.js for playback. Keeping it is
+// best effort: the job's outcome does not depend on it.
+async function keepUploadedAudio(job, { audioPath, name, type, size }) {
+  if (isAudioStorageEnabled()) {
+    try {
+      await storeAudio(job.userId, job.transcriptionId, audioPath, { name, type, size })
+      return
+    } catch (error) {
+      console.error('Store audio error:', error)
+    }
+  }
+  await fs.promises.rm(audioPath, { force: true })
+}
@@ -0,0 +1,41 @@
+import { getTranscription } from '../transcriptions'
+import { translateTranscript, updateTranslation } from '../translation'
+
+// Translates the transcription's current transcript and stores the copy under
+// translations[target]. The source revision is kept so an outdated translation can be told
+// apart from one made after the last edit.
+export async function runTranslateJob(job, { reportProgress }) {
+  const { source, target, engines, model } = job.input
+
+  try {
+    const transcription = getTranscription(job.userId, job.transcriptionId)
+    if (!transcription || !transcription.result) {
+      throw new Error('The transcription no longer exists or has no transcript')
+    }
+
+    reportProgress(5, 'Translating')
+    const { result, engine, model: usedModel, attempts } = await translateTranscript(transcription.result, {
+      source,
+      target,
+      engines,
+      model,
+      onProgress: (done, total) => reportProgress(5 + (90 * done) / total, `Translated ${done} of ${total} segments`)
+    })
+
+    updateTranslation(job.userId, job.transcriptionId, target, {
+      status: 'completed',
+      error: null,
+      engine,
+      model: usedModel,
+      sourceLanguage: source,
+      sourceRevision: transcription.revision ?? null,
+      result,
+      completedAt: new Date().toISOString()
+    })
+
+    return { language: target, sourceLanguage: source, engine, model: usedModel, attempts }
+  } catch (error) {
+    updateTranslation(job.userId, job.transcriptionId, target, { status: 'failed', error: error.message })
+    throw error
+  }
+}
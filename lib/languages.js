@@ -0,0 +1,79 @@
+// Transcription languages. Requests and stored transcripts use ISO 639-1 codes ('en', 'fr');
+// 'auto' asks the provider to detect the language. Each provider adapter maps the code onto
+// what its API expects (see lib/providers), e.g. a BCP-47 locale for Google.
+// Safe to import from client components.
+
+export const AUTO_LANGUAGE = 'auto'
+
+// `locale` is the BCP-47 tag for APIs that want a region (Google, the browser's Web Speech API)
+export const LANGUAGES = [
+  { code: 'en', name: 'English', locale: 'en-US' },
+  { code: 'es', name: 'Spanish', locale: 'es-ES' },
+  { code: 'fr', name: 'French', locale: 'fr-FR' },
+  { code: 'de', name: 'German', locale: 'de-DE' },
+  { code: 'it', name: 'Italian', locale: 'it-IT' },
+  { code: 'pt', name: 'Portuguese', locale: 'pt-BR' },
+  { code: 'nl', name: 'Dutch', locale: 'nl-NL' },
+  { code: 'sv', name: 'Swedish', locale: 'sv-SE' },
+  { code: 'da', name: 'Danish', locale: 'da-DK' },
+  { code: 'no', name: 'Norwegian', locale: 'nb-NO' },
+  { code: 'fi', name: 'Finnish', locale: 'fi-FI' },
+  { code: 'pl', name: 'Polish', locale: 'pl-PL' },
+  { code: 'cs', name: 'Czech', locale: 'cs-CZ' },
+  { code: 'hu', name: 'Hungarian', locale: 'hu-HU' },
+  { code: 'ro', name: 'Romanian', locale: 'ro-RO' },
+  { code: 'el', name: 'Greek', locale: 'el-GR' },
+  { code: 'ru', name: 'Russian', locale: 'ru-RU' },
+  { code: 'uk', name: 'Ukrainian', locale: 'uk-UA' },
+  { code: 'tr', name: 'Turkish', locale: 'tr-TR' },
+  { code: 'ar', name: 'Arabic', locale: 'ar-SA' },
+  { code: 'he', name: 'Hebrew', locale: 'he-IL' },
+  { code: 'fa', name: 'Persian', locale: 'fa-IR' },
+  { code: 'hi', name: 'Hindi', locale: 'hi-IN' },
+  { code: 'bn', name: 'Bengali', locale: 'bn-IN' },
+  { code: 'ur', name: 'Urdu', locale: 'ur-PK' },
+  { code: 'zh', name: 'Chinese', locale: 'cmn-Hans-CN' },
+  { code: 'ja', name: 'Japanese', locale: 'ja-JP' },
+  { code: 'ko', name: 'Korean', locale: 'ko-KR' },
+  { code: 'vi', name: 'Vietnamese', locale: 'vi-VN' },
+  { code: 'th', name: 'Thai', locale: 'th-TH' },
+  { code: 'id', name: 'Indonesian', locale: 'id-ID' },
+  { code: 'ms', name: 'Malay', locale: 'ms-MY' }
+]
+
+const byCode = new Map(LANGUAGES.map(language => [language.code, language]))
+const byName = new Map(LANGUAGES.map(language => [language.name.toLowerCase(), language]))
+
+// Providers report languages as codes ('en'), locales ('en-US', 'en_us') or names
+// ('english', OpenAI). Returns the ISO 639-1 code, the value lowercased when it is not one
+// of LANGUAGES, or null when there is none.
+export function toLanguageCode(value) {
+  if (!value) return null
+  const normalized = String(value).trim().toLowerCase()
+  if (byName.has(normalized)) return byName.get(normalized).code
+  const [base] = normalized.split(/[-_]/)
+  if (base === 'iw') return 'he' // Google's legacy code for Hebrew
+  if (base === 'cmn' || base === 'yue') return 'zh'
+  if (base === 'nb' || base === 'nn') return 'no'
+  return byCode.has(base) ? base : normalized
+}
+
+export function isSupportedLanguage(code) {
+  return code === AUTO_LANGUAGE || byCode.has(code)
+}
+
+export function getLanguage(code) {
+  return byCode.get(toLanguageCode(code)) || null
+}
+
+// 'fr' -> 'French'; codes outside LANGUAGES are shown as they are
+export function languageName(code) {
+  if (code === AUTO_LANGUAGE) return 'Detect automatically'
+  const language = getLanguage(code)
+  return language ? language.name : code
+}
+
+export function languageLocale(code) {
+  const language = getLanguage(code)
+  return language ? language.locale : null
+}
@@ -0,0 +1,157 @@
+// Audio preprocessing before transcription.
+//
+// Uploads are decoded from whatever container they arrive in and converted to what every
+// provider accepts: 16kHz mono 16-bit PCM WAV. On the way the loudness is normalized
+// (EBU R128 via ffmpeg's loudnorm) and, when asked for, background noise is reduced and
+// leading/trailing silence trimmed.
+//
+// Without ffmpeg, WAV uploads are still resampled and normalized here (no noise reduction);
+// other formats are handed to the provider as uploaded.
+//
+// Video uploads (video: true) always need ffmpeg: only the audio track is kept. Containers
+// may start the audio later than the picture, so the start is padded with silence to keep
+// the WAV, and with it every transcript time, on the video's timeline.
+//
+// Trimming moves the start of the audio: the returned `offset` (seconds removed from the
+// start) has to be added back to the transcript's times (shiftTranscript in lib/transcript.js).
+//
+// AUDIO_PREPROCESSING=false turns the stage off.
+
+import fs from 'fs'
+import { convertToWav, parseWav, encodeWav, resample } from './audio'
+import { detectSpeech } from './diarization/vad'
+
+export const PREPROCESS_SAMPLE_RATE = 16000
+export const DEFAULT_PREPROCESS_OPTIONS = { normalize: true, trimSilence: false, denoise: false }
+
+const TARGET_LOUDNESS = -16 // LUFS, integrated
+const TARGET_RMS = 0.1 // builtin normalization: about -20 dBFS
+const PEAK_LIMIT = 0.95
+const TRIM_PADDING = 0.3 // seconds of silence kept on each side of the speech when trimming
+
+export function isPreprocessingEnabled() {
+  return process.env.AUDIO_PREPROCESSING !== 'false'
+}
+
+// Per-request options from FormData or a Map: normalize, trimSilence and denoise take
+// 'true'/'false'; preprocess=false skips the stage for this upload
+export function preprocessOptionsFromFields(fields) {
+  const flag = (name) => {
+    const value = fields.get(name)
+    return value === null || value === undefined || value === ''
+      ? DEFAULT_PREPROCESS_OPTIONS[name]
+      : String(value) !== 'false'
+  }
+  if (String(fields.get('preprocess')) === 'false') {
+    return false
+  }
+  return { normalize: flag('normalize'), trimSilence: flag('trimSilence'), denoise: flag('denoise') }
+}
+
+function ffmpegFilters({ normalize, denoise, video }) {
+  const filters = []
+  if (video) {
+    filters.push('aresample=async=1:first_pts=0')
+  }
+  if (denoise) {
+    // Rumble below speech goes first so the FFT denoiser estimates the noise that is left
+    filters.push('highpass=f=80', 'afftdn=nf=-25')
+  }
+  if (normalize) {
+    filters.push(`loudnorm=I=${TARGET_LOUDNESS}:TP=-1.5:LRA=11`)
+  }
+  return filters
+}
+
+// RMS normalization with a peak limit, for when loudnorm is not available
+function normalizeSamples(samples) {
+  let sumSquares = 0
+  let peak = 0
+  for (let i = 0; i < samples.length; i++) {
+    sumSquares += samples[i] * samples[i]
+    peak = Math.max(peak, Math.abs(samples[i]))
+  }
+  const rms = Math.sqrt(sumSquares / (samples.length || 1))
+  if (rms === 0) return samples
+
+  const gain = Math.min(TARGET_RMS / rms, PEAK_LIMIT / peak)
+  return samples.map(sample => sample * gain)
+}
+
+// { start, end } in seconds of the audio worth keeping, or null when no speech was found
+function speechBounds(samples, sampleRate) {
+  const regions = detectSpeech(samples, sampleRate)
+  if (regions.length === 0) return null
+  return {
+    start: Math.max(0, regions[0].start - TRIM_PADDING),
+    end: Math.min(samples.length / sampleRate, regions[regions.length - 1].end + TRIM_PADDING)
+  }
+}
+
+// Converts the file at inputPath to a preprocessed WAV at outputPath. Returns
+//   { status: 'completed', path, size, duration, offset, steps, tool }
+// where duration is the length before trimming (null when the output was not read back),
+// or { status: 'skipped', reason } when the upload has to go to the provider unchanged.
+// Errors carry error.code DECODE_FAILED when the file is not readable audio, and
+// FFMPEG_NOT_FOUND for video without ffmpeg.
+export async function preprocessAudioFile(inputPath, outputPath, options = {}) {
+  const { normalize, trimSilence, denoise, video = false } = { ...DEFAULT_PREPROCESS_OPTIONS, ...options }
+  const steps = video ? ['extractAudio', 'resample'] : ['resample']
+  let tool = 'ffmpeg'
+  let samples = null
+
+  try {
+    await convertToWav(inputPath, outputPath, {
+      sampleRate: PREPROCESS_SAMPLE_RATE,
+      filters: ffmpegFilters({ normalize, denoise, video })
+    })
+    if (normalize) steps.push('normalize')
+    if (denoise) steps.push('denoise')
+  } catch (error) {
+    if (error.code !== 'FFMPEG_NOT_FOUND') throw error
+    if (video) {
+      const videoError = new Error('ffmpeg is required to extract the audio track from video files. Install ffmpeg or set FFMPEG_PATH.')
+      videoError.code = error.code
+      throw videoError
+    }
+
+    const wav = parseWav(await fs.promises.readFile(inputPath))
+    if (!wav) {
+      return { status: 'skipped', reason: error.message }
+    }
+    tool = 'builtin'
+    samples = resample(wav.samples, wav.sampleRate, PREPROCESS_SAMPLE_RATE)
+    if (normalize) {
+      samples = normalizeSamples(samples)
+      steps.push('normalize')
+    }
+  }
+
+  let offset = 0
+  let duration = null
+  if (trimSilence || samples) {
+    if (!samples) {
+      samples = parseWav(await fs.promises.readFile(outputPath)).samples
+    }
+    duration = samples.length / PREPROCESS_SAMPLE_RATE
+
+    const bounds = trimSilence && speechBounds(samples, PREPROCESS_SAMPLE_RATE)
+    if (bounds) {
+      offset = bounds.start
+      samples = samples.subarray(Math.floor(bounds.start * PREPROCESS_SAMPLE_RATE), Math.ceil(bounds.end * PREPROCESS_SAMPLE_RATE))
+      steps.push('trimSilence')
+    }
+    await fs.promises.writeFile(outputPath, encodeWav(samples, PREPROCESS_SAMPLE_RATE))
+  }
+
+  const { size } = await fs.promises.stat(outputPath)
+  return {
+    status: 'completed',
+    path: outputPath,
+    size,
+    duration,
+    offset,
+    steps,
+    tool
+  }
+}
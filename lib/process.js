@@ -0,0 +1,63 @@
+import { spawn } from 'child_process'
+
+// Runs a command without a shell (arguments are passed as-is, never interpolated) and
+// collects its output. Rejects with error.code:
+//   COMMAND_NOT_FOUND  the binary does not exist or is not executable
+//   COMMAND_TIMEOUT    it ran longer than timeoutMs and was killed
+//   COMMAND_FAILED     it exited non-zero (error.stderr and error.exitCode are set)
+export function runProcess(command, args, { input, timeoutMs = 10 * 60 * 1000, cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, stdio: ['pipe', 'pipe', 'pipe'] })
+    const stdout = []
+    const stderr = []
+    let timedOut = false
+
+    const timer = setTimeout(() => {
+      timedOut = true
+      child.kill('SIGKILL')
+    }, timeoutMs)
+
+    child.stdout.on('data', chunk => stdout.push(chunk))
+    child.stderr.on('data', chunk => stderr.push(chunk))
+
+    child.on('error', spawnError => {
+      clearTimeout(timer)
+      const error = new Error(
+        spawnError.code === 'ENOENT' || spawnError.code === 'EACCES'
+          ? `Command not found or not executable: ${command}`
+          : `Failed to start ${command}: ${spawnError.message}`
+      )
+      error.code = spawnError.code === 'ENOENT' || spawnError.code === 'EACCES' ? 'COMMAND_NOT_FOUND' : 'COMMAND_FAILED'
+      reject(error)
+    })
+
+    child.on('close', exitCode => {
+      clearTimeout(timer)
+      const stderrText = Buffer.concat(stderr).toString('utf-8')
+
+      if (timedOut) {
+        const error = new Error(`${command} timed out after ${Math.round(timeoutMs / 1000)}s`)
+        error.code = 'COMMAND_TIMEOUT'
+        return reject(error)
+      }
+      if (exitCode !== 0) {
+        const lastLine = stderrText.trim().split('\n').pop() || `exit code ${exitCode}`
+        const error = new Error(`${command} failed: ${lastLine}`)
+        error.code = 'COMMAND_FAILED'
+        error.exitCode = exitCode
+        error.stderr = stderrText
+        return reject(error)
+      }
+
+      resolve({ stdout: Buffer.concat(stdout), stderr: stderrText })
+    })
+
+    // Ignore EPIPE when the process exits before reading all of its input
+    child.stdin.on('error', () => {})
+    if (input) {
+      child.stdin.end(input)
+    } else {
+      child.stdin.end()
+    }
+  })
+}
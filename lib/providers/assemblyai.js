@@ -0,0 +1,148 @@
+// AssemblyAI adapter: upload, start a transcript, then poll until it completes
+
+import { createTranscript, msToSeconds } from '../transcript'
+import { AUTO_LANGUAGE, toLanguageCode } from '../languages'
+
+const API_BASE = 'https://api.assemblyai.com/v2'
+const POLL_INTERVAL_MS = 5000
+const MIN_POLL_TIME_MS = 10 * 60 * 1000
+const MIN_BYTES_PER_SECOND = 4000 // 32 kbps, the lowest bitrate expected when the duration is unknown
+
+// How long to wait for a transcript: AssemblyAI usually needs a fraction of the recording's
+// length, so as long as the recording, and at least 10 minutes for queueing
+function pollAttempts(audio) {
+  const seconds = audio.duration || audio.size / MIN_BYTES_PER_SECOND
+  return Math.ceil(Math.max(MIN_POLL_TIME_MS, seconds * 1000) / POLL_INTERVAL_MS)
+}
+
+const assemblyai = {
+  id: 'assemblyai',
+  name: 'AssemblyAI',
+  capabilities: {
+    diarization: true,
+    wordTimestamps: true,
+    segmentTimestamps: true,
+    languageDetection: true,
+    vocabulary: true,
+    models: ['best', 'nano']
+  },
+  pricing: {
+    perMinute: 0.0062,
+    models: { nano: 0.002 }
+  },
+  setupInstructions: [
+    'Sign up at https://www.assemblyai.com/ and copy your API key from the dashboard',
+    'Add ASSEMBLYAI_API_KEY=your_key_here to .env.local'
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.ASSEMBLYAI_API_KEY)
+  },
+
+  async transcribe(audio, options = {}) {
+    const apiKey = process.env.ASSEMBLYAI_API_KEY
+    const onProgress = options.onProgress || (() => {})
+
+    const uploadResponse = await fetch(`${API_BASE}/upload`, {
+      method: 'POST',
+      headers: {
+        'Authorization': apiKey,
+        'Content-Type': 'application/octet-stream'
+      },
+      body: audio.buffer
+    })
+
+    if (!uploadResponse.ok) {
+      throw new Error(`Upload failed: ${uploadResponse.status} ${uploadResponse.statusText}`)
+    }
+
+    const uploadData = await uploadResponse.json()
+    console.log('File uploaded to AssemblyAI:', uploadData.upload_url)
+    onProgress(25, 'Uploaded to AssemblyAI')
+
+    const transcriptResponse = await fetch(`${API_BASE}/transcript`, {
+      method: 'POST',
+      headers: {
+        'Authorization': apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        audio_url: uploadData.upload_url,
+        ...(options.language && options.language !== AUTO_LANGUAGE
+          ? { language_code: options.language }
+          : { language_detection: true }),
+        punctuate: true,
+        format_text: true,
+        speaker_labels: options.diarize !== false,
+        ...(options.vocabulary?.length ? { word_boost: options.vocabulary } : {}),
+        ...(options.model ? { speech_model: options.model } : {})
+      })
+    })
+
+    if (!transcriptResponse.ok) {
+      throw new Error(`Transcription request failed: ${transcriptResponse.status} ${transcriptResponse.statusText}`)
+    }
+
+    const { id: transcriptId } = await transcriptResponse.json()
+    console.log('AssemblyAI transcription started, ID:', transcriptId)
+
+    const maxAttempts = pollAttempts(audio)
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS))
+
+      const statusResponse = await fetch(`${API_BASE}/transcript/${transcriptId}`, {
+        headers: { 'Authorization': apiKey }
+      })
+
+      if (!statusResponse.ok) {
+        throw new Error(`Status check failed: ${statusResponse.status} ${statusResponse.statusText}`)
+      }
+
+      const statusData = await statusResponse.json()
+
+      if (statusData.status === 'completed') {
+        console.log('AssemblyAI transcription completed successfully')
+        return statusData
+      }
+      if (statusData.status === 'error') {
+        throw new Error(`Transcription failed: ${statusData.error}`)
+      }
+
+      console.log(`AssemblyAI status: ${statusData.status} (attempt ${attempt}/${maxAttempts})`)
+      // AssemblyAI does not report progress, so advance steadily towards 95% while polling
+      onProgress(30 + (65 * attempt) / maxAttempts, `AssemblyAI: ${statusData.status}`)
+    }
+
+    throw new Error('AssemblyAI transcription timed out')
+  },
+
+  // AssemblyAI reports word and utterance times in milliseconds, and locales such as 'en_us'
+  normalize(raw) {
+    const utterances = (raw.utterances || []).map(u => ({
+      speaker: u.speaker,
+      start: msToSeconds(u.start),
+      end: msToSeconds(u.end),
+      text: u.text,
+      confidence: u.confidence
+    }))
+
+    return createTranscript({
+      text: raw.text,
+      language: toLanguageCode(raw.language_code),
+      duration: raw.audio_duration,
+      // Utterances make natural segments when diarization ran; otherwise segments come from words
+      segments: utterances,
+      words: (raw.words || []).map(word => ({
+        text: word.text,
+        start: msToSeconds(word.start),
+        end: msToSeconds(word.end),
+        confidence: word.confidence,
+        speaker: word.speaker
+      })),
+      utterances,
+      provider: { id: 'assemblyai', name: 'AssemblyAI', model: raw.speech_model || null }
+    })
+  }
+}
+
+export default assemblyai
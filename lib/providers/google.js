@@ -0,0 +1,153 @@
+// Google Cloud Speech-to-Text adapter (synchronous recognize endpoint)
+
+import { createTranscript } from '../transcript'
+import { wavFormat } from '../audio'
+import { AUTO_LANGUAGE, languageLocale, toLanguageCode } from '../languages'
+
+// The recognize endpoint cannot detect the language; 'auto' falls back to this one
+const DEFAULT_LOCALE = 'en-US'
+
+const google = {
+  id: 'google',
+  name: 'Google Cloud Speech-to-Text',
+  capabilities: {
+    diarization: false,
+    wordTimestamps: true,
+    segmentTimestamps: true,
+    languageDetection: false,
+    vocabulary: true,
+    models: ['latest_long', 'latest_short', 'phone_call', 'video']
+  },
+  // The synchronous endpoint rejects audio longer than one minute
+  limits: {
+    maxDuration: 55
+  },
+  // Standard models; Google bills in 15-second increments, which estimates ignore
+  pricing: {
+    perMinute: 0.024
+  },
+  setupInstructions: [
+    'Create a project in Google Cloud Console and enable the Speech-to-Text API',
+    'Add GOOGLE_CLOUD_API_KEY=your_google_cloud_api_key_here to .env.local',
+    'Check that billing is enabled for the project'
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.GOOGLE_CLOUD_API_KEY)
+  },
+
+  async transcribe(audio, options = {}) {
+    const apiKey = process.env.GOOGLE_CLOUD_API_KEY
+    const model = options.model || 'latest_long'
+    const startTime = Date.now()
+
+    const response = await fetch(`https://speech.googleapis.com/v1/speech:recognize?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        config: {
+          ...getAudioConfig(audio),
+          languageCode: (options.language !== AUTO_LANGUAGE && languageLocale(options.language)) || DEFAULT_LOCALE,
+          enableAutomaticPunctuation: true,
+          enableWordTimeOffsets: true,
+          enableWordConfidence: true,
+          ...(options.vocabulary?.length ? { speechContexts: [{ phrases: options.vocabulary }] } : {}),
+          model
+        },
+        audio: {
+          content: audio.buffer.toString('base64')
+        }
+      })
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(`Google Cloud API error: ${errorData.error?.message || response.statusText}`)
+    }
+
+    const result = await response.json()
+    if (!result.results || result.results.length === 0) {
+      throw new Error('No transcription results received from Google Cloud API')
+    }
+
+    return { ...result, model, processingTimeMs: Date.now() - startTime }
+  },
+
+  // Google reports offsets as duration strings such as "1.500s"; each result becomes a segment
+  normalize(raw) {
+    const best = raw.results.map(r => r.alternatives?.[0] || {})
+
+    return createTranscript({
+      text: best.map(alt => alt.transcript || '').join(' '),
+      language: toLanguageCode(raw.results.find(r => r.languageCode)?.languageCode),
+      duration: raw.results[raw.results.length - 1]?.resultEndTime,
+      segments: best
+        .filter(alt => alt.words && alt.words.length > 0)
+        .map(alt => ({
+          start: alt.words[0].startTime,
+          end: alt.words[alt.words.length - 1].endTime,
+          text: alt.transcript,
+          confidence: alt.confidence
+        })),
+      words: best.flatMap(alt =>
+        (alt.words || []).map(word => ({
+          text: word.word,
+          start: word.startTime,
+          end: word.endTime,
+          confidence: word.confidence
+        }))
+      ),
+      provider: {
+        id: 'google',
+        name: 'Google Cloud Speech-to-Text',
+        model: raw.model,
+        processingTimeMs: raw.processingTimeMs
+      }
+    })
+  }
+}
+
+// Encodings the v1 recognize endpoint can decode, by MIME type. MP3 is only available in
+// the beta API and AAC/M4A/MP4 not at all; those uploads need ffmpeg preprocessing
+// (lib/preprocess.js), which hands every provider 16kHz LINEAR16 WAV.
+const ENCODINGS = {
+  'audio/wav': 'LINEAR16',
+  'audio/x-wav': 'LINEAR16',
+  'audio/wave': 'LINEAR16',
+  'audio/flac': 'FLAC',
+  'audio/x-flac': 'FLAC',
+  'audio/webm': 'WEBM_OPUS',
+  'audio/ogg': 'OGG_OPUS'
+}
+
+// Opus is always decoded at 48kHz
+const OPUS_SAMPLE_RATE = 48000
+
+function unsupportedFormat(message) {
+  const error = new Error(`${message}. Install ffmpeg so uploads are converted before transcription.`)
+  error.code = 'UNSUPPORTED_FORMAT'
+  return error
+}
+
+// encoding and sampleRateHertz for the recognize config. WAV and FLAC carry their sample
+// rate in the header; WAV must be 16-bit PCM for LINEAR16.
+function getAudioConfig(audio) {
+  const encoding = ENCODINGS[audio.type]
+  if (!encoding) {
+    throw unsupportedFormat(`Google Cloud Speech-to-Text cannot decode ${audio.type || 'this format'}`)
+  }
+
+  if (encoding === 'LINEAR16') {
+    const format = wavFormat(audio.buffer)
+    if (!format || format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+      throw unsupportedFormat('Google Cloud Speech-to-Text only accepts 16-bit PCM WAV')
+    }
+    return { encoding, sampleRateHertz: format.sampleRate, audioChannelCount: format.channels }
+  }
+  if (encoding === 'FLAC') {
+    return { encoding }
+  }
+  return { encoding, sampleRateHertz: OPUS_SAMPLE_RATE }
+}
+
+export default google
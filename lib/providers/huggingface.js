@@ -0,0 +1,103 @@
+// Hugging Face Inference API adapter (Whisper and wav2vec2 models)
+
+import { createTranscript } from '../transcript'
+import { AUTO_LANGUAGE } from '../languages'
+
+// Tried in order. The English-only models are fastest but are only used when the request
+// says the audio is English; otherwise the multilingual Whisper models are tried.
+const ENGLISH_MODELS = [
+  'facebook/wav2vec2-base-960h',
+  'openai/whisper-tiny.en',
+  'openai/whisper-base.en'
+]
+const MULTILINGUAL_MODELS = [
+  'openai/whisper-small',
+  'openai/whisper-base',
+  'openai/whisper-tiny'
+]
+
+function defaultModels(language) {
+  return language === 'en' ? [...ENGLISH_MODELS, ...MULTILINGUAL_MODELS] : MULTILINGUAL_MODELS
+}
+
+// Parameters for one model: wav2vec2 models reject the timestamp parameter, and multilingual
+// Whisper models are told the language unless it is to be detected
+function modelParameters(model, language) {
+  if (model.includes('wav2vec2')) return undefined
+  const parameters = { return_timestamps: true }
+  if (!model.endsWith('.en') && language && language !== AUTO_LANGUAGE) {
+    parameters.generate_kwargs = { language, task: 'transcribe' }
+  }
+  return parameters
+}
+
+const huggingface = {
+  id: 'huggingface',
+  name: 'Hugging Face Whisper',
+  capabilities: {
+    diarization: false,
+    wordTimestamps: false,
+    segmentTimestamps: true,
+    languageDetection: false,
+    // The Inference API takes no prompt, so the vocabulary is applied to the transcript
+    vocabulary: false,
+    models: [...ENGLISH_MODELS, ...MULTILINGUAL_MODELS]
+  },
+  // Inference is billed by compute time (with a free allowance), not by audio length
+  pricing: null,
+  setupInstructions: [
+    'Get a Hugging Face API key from https://huggingface.co/settings/tokens',
+    'Add HUGGINGFACE_API_KEY=hf_your_token_here to .env.local',
+    'Enable inference providers at https://huggingface.co/settings/inference-providers'
+  ],
+
+  isConfigured() {
+    const apiKey = process.env.HUGGINGFACE_API_KEY
+    return Boolean(apiKey && apiKey.startsWith('hf_'))
+  },
+
+  async transcribe(audio, options = {}) {
+    const { HfInference } = await import('@huggingface/inference')
+    const hf = new HfInference(process.env.HUGGINGFACE_API_KEY)
+    const models = options.model ? [options.model] : defaultModels(options.language)
+
+    let lastError = null
+    for (const model of models) {
+      try {
+        console.log(`Trying Hugging Face model: ${model}`)
+
+        const transcription = await hf.automaticSpeechRecognition({
+          model,
+          inputs: audio.buffer,
+          parameters: modelParameters(model, options.language)
+        })
+
+        if (transcription && transcription.text && transcription.text.trim()) {
+          console.log(`Success with Hugging Face model: ${model}`)
+          return { ...transcription, model }
+        }
+      } catch (modelError) {
+        console.log(`Failed with model ${model}:`, modelError.message)
+        lastError = modelError
+      }
+    }
+
+    throw lastError || new Error('All Hugging Face models failed')
+  },
+
+  // Whisper returns `chunks` with [start, end] timestamps in seconds; end is null for a trailing chunk
+  normalize(raw) {
+    return createTranscript({
+      text: raw.text,
+      language: raw.language || null,
+      segments: (raw.chunks || []).map(chunk => ({
+        start: chunk.timestamp?.[0],
+        end: chunk.timestamp?.[1] ?? chunk.timestamp?.[0],
+        text: chunk.text
+      })),
+      provider: { id: 'huggingface', name: 'Hugging Face Whisper', model: raw.model }
+    })
+  }
+}
+
+export default huggingface
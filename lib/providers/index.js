@@ -0,0 +1,153 @@
+// Transcription provider registry
+//
+// Every provider adapter exposes the same interface:
+//   id, name                 identifiers used in requests and responses
+//   capabilities             what the provider supports (diarization, timestamps, vocabulary
+//                            hints, models, ...)
+//   setupInstructions        shown when the provider is missing configuration
+//   limits                   optional { maxDuration } in seconds per request; longer chunks are not sent
+//   pricing                  { perMinute, models } list price in USD per audio minute (models
+//                            overrides it per model), for estimates; null when not billed that way
+//   isConfigured()           whether the required keys/binaries are present
+//   transcribe(audio, opts)  calls the provider and returns its raw response
+//   normalize(raw, opts)     maps the raw response onto the canonical transcript (lib/transcript.js)
+//
+// opts.language is 'auto' or an ISO 639-1 code (lib/languages.js); each adapter maps it onto
+// its own API, and reports the language it detected as a code when it can.
+//
+// opts.vocabulary is a list of phrases (lib/vocabulary.js) for providers with
+// capabilities.vocabulary to favour; transcripts from the others are corrected afterwards.
+//
+// audio is { buffer, name, type, size } as produced by readAudioUpload in lib/upload.js,
+// normally already converted to 16kHz mono WAV by lib/preprocess.js. Jobs add its duration
+// in seconds when they know it (null otherwise).
+
+import huggingface from './huggingface'
+import assemblyai from './assemblyai'
+import google from './google'
+import openai from './openai'
+import whispercpp from './whispercpp'
+import { validateTranscript } from '../transcript'
+import { AUTO_LANGUAGE } from '../languages'
+import { applyVocabulary, vocabularyPhrases } from '../vocabulary'
+
+const adapters = [huggingface, assemblyai, google, openai, whispercpp]
+const registry = new Map(adapters.map(adapter => [adapter.id, adapter]))
+
+// Fallback order used when a request does not name a provider
+export const DEFAULT_PROVIDER_CHAIN = ['huggingface', 'assemblyai']
+
+export function getProvider(id) {
+  return registry.get(id)
+}
+
+export function listProviders() {
+  return adapters.map(adapter => ({
+    id: adapter.id,
+    name: adapter.name,
+    capabilities: adapter.capabilities,
+    pricing: adapter.pricing,
+    configured: adapter.isConfigured()
+  }))
+}
+
+// Estimated cost in USD of transcribing `seconds` of audio, or null when unknown
+export function estimateCost(id, { model, seconds }) {
+  const pricing = registry.get(id)?.pricing
+  if (!pricing || !Number.isFinite(seconds)) return null
+  const perMinute = pricing.models?.[model] ?? pricing.perMinute
+  return Math.round(perMinute * (seconds / 60) * 10000) / 10000
+}
+
+// Accepts 'auto', a single id, a comma-separated list or an array of ids
+export function resolveProviderChain(requested, fallback = DEFAULT_PROVIDER_CHAIN) {
+  const ids = (Array.isArray(requested) ? requested : String(requested || '').split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean)
+
+  if (ids.length === 0 || (ids.length === 1 && ids[0] === 'auto')) {
+    return [...fallback]
+  }
+
+  for (const id of ids) {
+    if (!registry.has(id)) {
+      throw new Error(`Unknown transcription provider: ${id}`)
+    }
+  }
+
+  return [...new Set(ids)]
+}
+
+// Runs the chain in order and returns the first successful normalized result.
+// A requested model is only honoured when the chain names a single provider,
+// since model ids are provider specific.
+// options.onProgress(progress, message), when given, receives 0-100 progress updates.
+// `vocabulary` is the user's terms ({ phrase, variants }); the outcome is reported as
+// { status: 'hints' | 'dictionary' | 'skipped', terms, replacements }.
+export async function transcribeWithFallback(audio, { providers = DEFAULT_PROVIDER_CHAIN, model, language = AUTO_LANGUAGE, vocabulary = [], ...options } = {}) {
+  const attempts = []
+  const phrases = vocabularyPhrases(vocabulary)
+  const sharedOptions = { ...options, language, ...(phrases.length > 0 && { vocabulary: phrases }) }
+  const adapterOptions = providers.length === 1 ? { ...sharedOptions, model } : sharedOptions
+  const onProgress = options.onProgress || (() => {})
+
+  for (const id of providers) {
+    const adapter = registry.get(id)
+
+    if (!adapter.isConfigured()) {
+      console.log(`Skipping ${adapter.name}: not configured`)
+      attempts.push({ provider: id, status: 'skipped', error: `${adapter.name} is not configured` })
+      continue
+    }
+
+    try {
+      console.log(`Trying ${adapter.name} transcription...`)
+      onProgress(10, `Transcribing with ${adapter.name}`)
+      const raw = await adapter.transcribe(audio, adapterOptions)
+      const corrected = correctWithVocabulary(adapter, adapter.normalize(raw, adapterOptions), vocabulary)
+      const normalized = corrected.transcript
+      // Providers that do not report a language transcribed in the requested one
+      const result = normalized.language || language === AUTO_LANGUAGE ? normalized : { ...normalized, language }
+
+      const { valid, errors } = validateTranscript(result)
+      if (!valid) {
+        throw new Error(`Invalid transcript from ${adapter.name}: ${errors.slice(0, 3).join('; ')}`)
+      }
+      if (!result.text.trim()) {
+        throw new Error('No transcription text received')
+      }
+
+      attempts.push({ provider: id, status: 'success' })
+      return { result, provider: id, attempts, vocabulary: corrected.report }
+    } catch (error) {
+      console.log(`${adapter.name} transcription failed:`, error.message)
+      attempts.push({ provider: id, status: 'failed', error: error.message, code: error.code })
+    }
+  }
+
+  const error = new Error('All transcription providers failed')
+  error.attempts = attempts
+  error.instructions = getSetupInstructions(providers)
+  throw error
+}
+
+// Providers that took the phrases as hints are trusted with them; the others get every
+// variant replaced by its phrase
+function correctWithVocabulary(adapter, transcript, vocabulary) {
+  if (vocabulary.length === 0) {
+    return { transcript, report: { status: 'skipped', terms: 0, replacements: 0 } }
+  }
+  if (adapter.capabilities.vocabulary) {
+    return { transcript, report: { status: 'hints', terms: vocabulary.length, replacements: 0 } }
+  }
+  const { transcript: corrected, replacements } = applyVocabulary(transcript, vocabulary)
+  return { transcript: corrected, report: { status: 'dictionary', terms: vocabulary.length, replacements } }
+}
+
+// Setup steps for every provider in the chain that is not configured yet
+export function getSetupInstructions(providers) {
+  return providers
+    .map(id => registry.get(id))
+    .filter(adapter => adapter && !adapter.isConfigured())
+    .flatMap(adapter => adapter.setupInstructions.map(step => `${adapter.name}: ${step}`))
+}
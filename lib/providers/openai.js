@@ -0,0 +1,66 @@
+// OpenAI Whisper API adapter
+
+import { createTranscript } from '../transcript'
+import { AUTO_LANGUAGE, toLanguageCode } from '../languages'
+import { vocabularyPrompt } from '../vocabulary'
+
+const openai = {
+  id: 'openai',
+  name: 'OpenAI Whisper',
+  capabilities: {
+    diarization: false,
+    wordTimestamps: true,
+    segmentTimestamps: true,
+    languageDetection: true,
+    vocabulary: true,
+    models: ['whisper-1']
+  },
+  pricing: {
+    perMinute: 0.006
+  },
+  setupInstructions: [
+    'Generate an API key at https://platform.openai.com/api-keys',
+    'Add OPENAI_API_KEY=sk-your_openai_key_here to .env.local'
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY)
+  },
+
+  async transcribe(audio, options = {}) {
+    const { default: OpenAI, toFile } = await import('openai')
+    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+    const model = options.model || 'whisper-1'
+
+    const transcription = await client.audio.transcriptions.create({
+      file: await toFile(audio.buffer, audio.name, { type: audio.type }),
+      model,
+      // Whisper detects the language itself when none is given
+      ...(options.language && options.language !== AUTO_LANGUAGE ? { language: options.language } : {}),
+      ...(options.vocabulary?.length ? { prompt: vocabularyPrompt(options.vocabulary) } : {}),
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment', 'word']
+    })
+
+    return { ...transcription, model }
+  },
+
+  // verbose_json names the language ('english') instead of giving its code
+  normalize(raw) {
+    return createTranscript({
+      text: raw.text,
+      language: toLanguageCode(raw.language),
+      duration: raw.duration,
+      segments: (raw.segments || []).map(segment => ({
+        id: segment.id,
+        start: segment.start,
+        end: segment.end,
+        text: segment.text
+      })),
+      words: (raw.words || []).map(word => ({ text: word.word, start: word.start, end: word.end })),
+      provider: { id: 'openai', name: 'OpenAI Whisper', model: raw.model }
+    })
+  }
+}
+
+export default openai
@@ -0,0 +1,242 @@
+// Local whisper.cpp adapter: fully offline, requires a whisper.cpp build and a downloaded
+// ggml model. Non-WAV uploads are converted with ffmpeg first.
+//
+// Configuration (environment):
+//   WHISPER_CPP_PATH     whisper.cpp CLI binary (defaults to the first of DEFAULT_BINARIES that exists)
+//   WHISPER_MODEL_DIR    directory holding ggml-*.bin models (default ./models)
+//   WHISPER_MODEL_PATH   default model file (default <WHISPER_MODEL_DIR>/ggml-base.bin)
+//   WHISPER_THREADS      CPU threads per transcription (default: up to 4)
+//
+// Errors carry error.code so callers can tell setup problems from bad input:
+//   WHISPER_NOT_FOUND, WHISPER_MODEL_NOT_FOUND, FFMPEG_NOT_FOUND  setup
+//   INVALID_AUDIO                                                 the upload could not be decoded
+//   WHISPER_FAILED, WHISPER_TIMEOUT                               anything else
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { runProcess } from '../process'
+import { convertToWav, wavFormat } from '../audio'
+import { createTranscript, msToSeconds } from '../transcript'
+import { toLanguageCode } from '../languages'
+import { vocabularyPrompt } from '../vocabulary'
+
+// Newer builds ship whisper-cli under build/bin; older ones a `main` binary in the repo root
+const DEFAULT_BINARIES = ['./whisper.cpp/build/bin/whisper-cli', './whisper.cpp/main']
+const DEFAULT_MODEL = 'ggml-base.bin'
+const SAMPLE_RATE = 16000 // the only rate whisper.cpp accepts
+const TIMEOUT_MS = 30 * 60 * 1000
+
+// whisper.cpp prints these when it cannot use the input file
+const AUDIO_ERROR_PATTERN = /failed to (read|open|load) (audio|wav|input)|error: input file not found|invalid wav/i
+
+function whisperError(message, code) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+export function getWhisperBinary() {
+  if (process.env.WHISPER_CPP_PATH) return process.env.WHISPER_CPP_PATH
+  return DEFAULT_BINARIES.find(candidate => fs.existsSync(candidate)) || DEFAULT_BINARIES[0]
+}
+
+function getModelDir() {
+  return process.env.WHISPER_MODEL_DIR || './models'
+}
+
+// Installed ggml models, by file name
+export function listWhisperModels() {
+  try {
+    return fs.readdirSync(getModelDir()).filter(file => /^ggml-.+\.bin$/.test(file)).sort()
+  } catch {
+    return []
+  }
+}
+
+// Accepts a model file name ('ggml-small.bin') or short name ('small'). Only names inside
+// WHISPER_MODEL_DIR are allowed so a request cannot point the binary at arbitrary files.
+export function resolveWhisperModel(model) {
+  if (!model) {
+    return process.env.WHISPER_MODEL_PATH || path.join(getModelDir(), DEFAULT_MODEL)
+  }
+
+  const fileName = /^ggml-.+\.bin$/.test(model) ? model : `ggml-${model}.bin`
+  if (path.basename(fileName) !== fileName) {
+    throw whisperError(`Invalid whisper.cpp model name: ${model}`, 'WHISPER_MODEL_NOT_FOUND')
+  }
+  return path.join(getModelDir(), fileName)
+}
+
+function getThreadCount(options) {
+  const requested = Number(options.threads || process.env.WHISPER_THREADS)
+  if (Number.isInteger(requested) && requested > 0) return requested
+  return Math.min(4, os.cpus().length || 1)
+}
+
+// whisper.cpp reads 16kHz WAV; anything else goes through ffmpeg
+async function prepareWav(audio, tempDir) {
+  const extension = path.extname(audio.name).toLowerCase() || '.audio'
+  const inputPath = path.join(tempDir, `input${extension}`)
+  await fs.promises.writeFile(inputPath, audio.buffer)
+
+  const format = wavFormat(audio.buffer)
+  if (format && format.audioFormat === 1 && format.sampleRate === SAMPLE_RATE && format.bitsPerSample === 16) {
+    return inputPath
+  }
+
+  try {
+    return await convertToWav(inputPath, path.join(tempDir, 'input.wav'), { sampleRate: SAMPLE_RATE })
+  } catch (error) {
+    if (error.code === 'DECODE_FAILED') {
+      throw whisperError(`${audio.name} is not a readable audio file: ${error.message}`, 'INVALID_AUDIO')
+    }
+    throw error
+  }
+}
+
+// Special tokens look like [_BEG_] or [_TT_150]; they carry no text
+function isTextToken(token) {
+  return token.text && !/^\[_.*\]$/.test(token.text)
+}
+
+// whisper.cpp tokens are sub-word pieces; a piece starting with a space begins a new word
+function wordsFromTokens(tokens) {
+  const words = []
+  for (const token of tokens.filter(isTextToken)) {
+    const last = words[words.length - 1]
+    if (last && !/^\s/.test(token.text)) {
+      last.text += token.text
+      last.end = token.offsets.to
+      last.probabilities.push(token.p)
+    } else {
+      words.push({
+        text: token.text.trim(),
+        start: token.offsets.from,
+        end: token.offsets.to,
+        probabilities: [token.p]
+      })
+    }
+  }
+
+  return words
+    .filter(word => word.text)
+    .map(({ probabilities, ...word }) => {
+      const known = probabilities.filter(p => typeof p === 'number')
+      return {
+        ...word,
+        confidence: known.length > 0 ? known.reduce((sum, p) => sum + p, 0) / known.length : null
+      }
+    })
+}
+
+const whispercpp = {
+  id: 'whispercpp',
+  name: 'Local Whisper.cpp',
+  capabilities: {
+    diarization: false,
+    wordTimestamps: true,
+    segmentTimestamps: true,
+    languageDetection: true,
+    offline: true,
+    vocabulary: true,
+    // Whatever is installed in WHISPER_MODEL_DIR; pass one as `model` to pick it
+    get models() {
+      const installed = listWhisperModels()
+      return installed.length > 0 ? installed : [DEFAULT_MODEL]
+    }
+  },
+  pricing: {
+    perMinute: 0
+  },
+  setupInstructions: [
+    'Build whisper.cpp into ./whisper.cpp or set WHISPER_CPP_PATH to its CLI binary',
+    'Download a ggml model into ./models (or WHISPER_MODEL_DIR); ggml-base.bin is used by default',
+    'Install ffmpeg (or set FFMPEG_PATH) so non-WAV uploads can be converted'
+  ],
+
+  isConfigured() {
+    return fs.existsSync(getWhisperBinary()) && fs.existsSync(resolveWhisperModel())
+  },
+
+  // options: model, language ('auto' or an ISO 639-1 code), threads, vocabulary
+  async transcribe(audio, options = {}) {
+    const modelPath = resolveWhisperModel(options.model)
+    if (!fs.existsSync(modelPath)) {
+      throw whisperError(`whisper.cpp model not found: ${modelPath}`, 'WHISPER_MODEL_NOT_FOUND')
+    }
+
+    const tempDir = path.join(process.cwd(), 'temp', uuidv4())
+    await fs.promises.mkdir(tempDir, { recursive: true })
+
+    try {
+      const wavPath = await prepareWav(audio, tempDir)
+      const outputBase = path.join(tempDir, 'output')
+      const binary = getWhisperBinary()
+
+      try {
+        await runProcess(binary, [
+          '-m', modelPath,
+          '-f', wavPath,
+          '-l', options.language || 'auto',
+          '-t', String(getThreadCount(options)),
+          ...(options.vocabulary?.length ? ['--prompt', vocabularyPrompt(options.vocabulary)] : []),
+          '-ojf', // full JSON: segments plus per-token offsets and probabilities
+          '-of', outputBase,
+          '-np'
+        ], { timeoutMs: TIMEOUT_MS })
+      } catch (error) {
+        if (error.code === 'COMMAND_NOT_FOUND') {
+          throw whisperError(`whisper.cpp binary not found at ${binary}. Build whisper.cpp or set WHISPER_CPP_PATH.`, 'WHISPER_NOT_FOUND')
+        }
+        if (error.code === 'COMMAND_TIMEOUT') {
+          throw whisperError(`whisper.cpp did not finish within ${TIMEOUT_MS / 60000} minutes`, 'WHISPER_TIMEOUT')
+        }
+        if (AUDIO_ERROR_PATTERN.test(error.stderr || '')) {
+          throw whisperError(`whisper.cpp could not read ${audio.name}: ${error.message}`, 'INVALID_AUDIO')
+        }
+        throw whisperError(error.message, 'WHISPER_FAILED')
+      }
+
+      let output
+      try {
+        output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf-8'))
+      } catch (error) {
+        throw whisperError(`whisper.cpp produced no readable JSON output: ${error.message}`, 'WHISPER_FAILED')
+      }
+
+      return { ...output, model: path.basename(modelPath) }
+    } finally {
+      await fs.promises.rm(tempDir, { recursive: true, force: true }).catch(cleanupError => {
+        console.error('Cleanup error:', cleanupError)
+      })
+    }
+  },
+
+  normalize(raw) {
+    const entries = raw.transcription || []
+    const segments = entries.map((entry, index) => ({
+      id: index,
+      start: msToSeconds(entry.offsets.from),
+      end: msToSeconds(entry.offsets.to),
+      text: entry.text.trim()
+    }))
+    const words = entries.flatMap(entry => wordsFromTokens(entry.tokens || [])).map(word => ({
+      ...word,
+      start: msToSeconds(word.start),
+      end: msToSeconds(word.end)
+    }))
+
+    return createTranscript({
+      text: segments.map(segment => segment.text).join(' '),
+      language: toLanguageCode(raw.result && raw.result.language),
+      duration: segments.length > 0 ? segments[segments.length - 1].end : null,
+      segments,
+      words,
+      provider: { id: 'whispercpp', name: 'Local Whisper.cpp', model: raw.model }
+    })
+  }
+}
+
+export default whispercpp
@@ -0,0 +1,201 @@
+import fs from 'fs'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { getTranscription, updateTranscription } from './transcriptions'
+import { alignWords } from './alignment'
+
+const revisionsFilePath = path.join(process.cwd(), 'data', 'revisions.json')
+
+// What produced a revision: the provider job (the first run or a re-run), an edit in the
+// dashboard editor, a find and replace, a speaker rename, merge or split, or restoring an
+// earlier revision. Every revision keeps the transcript and the speaker names as they were
+// after the change (revisions from before speaker names were kept have none).
+export const REVISION_SOURCES = ['transcription', 'edit', 'replace', 'speakers', 'restore']
+
+function ensureRevisionsFileExists() {
+  if (!fs.existsSync(revisionsFilePath)) {
+    const dir = path.dirname(revisionsFilePath)
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true })
+    }
+    fs.writeFileSync(revisionsFilePath, JSON.stringify({ revisions: [] }, null, 2), 'utf-8')
+  }
+}
+
+function readRevisions() {
+  ensureRevisionsFileExists()
+  try {
+    const raw = fs.readFileSync(revisionsFilePath, 'utf-8')
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed.revisions) ? parsed.revisions : []
+  } catch (error) {
+    console.error('Failed to read revisions.json:', error)
+    return []
+  }
+}
+
+function writeRevisions(revisions) {
+  ensureRevisionsFileExists()
+  try {
+    fs.writeFileSync(revisionsFilePath, JSON.stringify({ revisions }, null, 2), 'utf-8')
+    return true
+  } catch (error) {
+    console.error('Failed to write revisions.json:', error)
+    return false
+  }
+}
+
+export function revisionAuthor(user) {
+  return { id: user.id, name: user.name || user.email }
+}
+
+// Revision list entries leave out the transcript itself, but say which provider and model
+// produced it so re-runs can be told apart
+function toSummary({ result, ...revision }) {
+  return {
+    ...revision,
+    provider: result.provider,
+    language: result.language,
+    wordCount: result.text.split(/\s+/).filter(Boolean).length
+  }
+}
+
+// Oldest first, numbered from 1
+export function listRevisions(userId, transcriptionId) {
+  return readRevisions()
+    .filter(r => r.userId === userId && r.transcriptionId === transcriptionId)
+    .sort((a, b) => a.number - b.number)
+    .map(toSummary)
+}
+
+export function getRevision(userId, transcriptionId, revisionId) {
+  return readRevisions().find(r =>
+    r.id === revisionId && r.userId === userId && r.transcriptionId === transcriptionId
+  ) || null
+}
+
+// `restoredFrom` is the number of the revision a restore copied
+export function createRevision(userId, transcriptionId, { result, speakerNames, source, author, message, restoredFrom }) {
+  const revisions = readRevisions()
+  const previous = revisions.filter(r => r.userId === userId && r.transcriptionId === transcriptionId)
+
+  const revision = {
+    id: uuidv4(),
+    userId,
+    transcriptionId,
+    number: previous.reduce((max, r) => Math.max(max, r.number), 0) + 1,
+    source,
+    author: author || null,
+    message: message || '',
+    ...(restoredFrom && { restoredFrom }),
+    createdAt: new Date().toISOString(),
+    result,
+    speakerNames: speakerNames || {}
+  }
+
+  revisions.push(revision)
+  if (!writeRevisions(revisions)) {
+    throw new Error('Failed to save revision')
+  }
+  return revision
+}
+
+// Records from before revisions existed keep their provider output as revision 1
+export function ensureInitialRevision(userId, transcription) {
+  if (!transcription.revision && transcription.result) {
+    createRevision(userId, transcription.id, {
+      result: transcription.result,
+      speakerNames: transcription.speakerNames,
+      source: 'transcription',
+      author: { id: null, name: transcription.result.provider.name }
+    })
+  }
+}
+
+// Returns an error message when a change was made on top of an older revision than the
+// current one (baseRevision is the revision number the client last saw), or null
+export function checkBaseRevision(transcription, baseRevision) {
+  if (baseRevision !== undefined && baseRevision !== (transcription.revision ?? null)) {
+    return 'This transcript was changed since you opened it. Reload to see the latest revision.'
+  }
+  return null
+}
+
+// Records a new revision and makes it the transcription's current transcript. Speaker
+// names not in `changes` are kept as they are.
+export function saveTranscriptRevision(userId, transcriptionId, result, { source, author, message, restoredFrom, changes = {} } = {}) {
+  const speakerNames = changes.speakerNames || getTranscription(userId, transcriptionId)?.speakerNames
+  const revision = createRevision(userId, transcriptionId, { result, speakerNames, source, author, message, restoredFrom })
+  const transcription = updateTranscription(userId, transcriptionId, {
+    ...changes,
+    result,
+    transcript: result.text,
+    revision: revision.number
+  })
+  return { revision: toSummary(revision), transcription }
+}
+
+// Makes an earlier revision current again by copying it into a new revision, so the
+// history keeps everything that happened in between
+export function restoreRevision(userId, transcriptionId, revision, { author }) {
+  const { result } = revision
+  return saveTranscriptRevision(userId, transcriptionId, result, {
+    source: 'restore',
+    author,
+    message: `Restored revision ${revision.number}`,
+    restoredFrom: revision.number,
+    changes: {
+      provider: result.provider.id,
+      model: result.provider.model,
+      language: result.language,
+      ...(revision.speakerNames && { speakerNames: revision.speakerNames })
+    }
+  })
+}
+
+// What changed from revision `from` to revision `to`: a word diff of the text (see
+// lib/alignment.js), the segments that went to another speaker and the renamed speakers
+export function diffRevisions(from, to) {
+  const words = alignWords(from.result.text, to.result.text)
+
+  const before = new Map(from.result.segments.map(segment => [segment.id, segment]))
+  const speakers = to.result.segments
+    .filter(segment => before.has(segment.id) && before.get(segment.id).speaker !== segment.speaker)
+    .map(segment => ({
+      segmentId: segment.id,
+      start: segment.start,
+      text: segment.text,
+      from: before.get(segment.id).speaker,
+      to: segment.speaker
+    }))
+
+  // Revisions from before speaker names were kept have nothing to compare
+  const names = []
+  if (from.speakerNames && to.speakerNames) {
+    const ids = new Set([...Object.keys(from.speakerNames), ...Object.keys(to.speakerNames)])
+    for (const speaker of [...ids].sort()) {
+      if (from.speakerNames[speaker] !== to.speakerNames[speaker]) {
+        names.push({ speaker, from: from.speakerNames[speaker] || null, to: to.speakerNames[speaker] || null })
+      }
+    }
+  }
+
+  return {
+    from: from.number,
+    to: to.number,
+    operations: words.operations,
+    counts: words.counts,
+    speakers,
+    speakerNames: names
+  }
+}
+
+export function deleteRevisions(userId, transcriptionId) {
+  const revisions = readRevisions()
+  const remaining = revisions.filter(r =>
+    !(r.userId === userId && (transcriptionId === undefined || r.transcriptionId === transcriptionId))
+  )
+  if (remaining.length !== revisions.length) {
+    writeRevisions(remaining)
+  }
+}
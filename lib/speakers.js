@@ -0,0 +1,125 @@
+// Speaker labels, renames, merges and splits for diarized transcripts.
+// Safe to import from client components (no Node APIs).
+//
+// Speaker ids in the transcript ('A', 'B', ...) never change on rename; display names live
+// in the transcription's speakerNames map ({ A: 'Interviewer' }) so every view and export
+// can apply them.
+
+import { createTranscript, groupWordsBySegment } from './transcript'
+
+export const MAX_SPEAKER_NAME_LENGTH = 60
+
+export function speakerLabel(speaker, speakerNames = {}) {
+  return (speakerNames && speakerNames[speaker]) || `Speaker ${speaker}`
+}
+
+export function listSpeakers(transcript) {
+  const speakers = new Set()
+  for (const item of [...transcript.utterances, ...transcript.segments, ...transcript.words]) {
+    if (item.speaker) speakers.add(item.speaker)
+  }
+  return [...speakers].sort()
+}
+
+// 'A', 'B', ... 'Z', then 'S27', 'S28', ...
+export function nextSpeakerId(existing) {
+  for (let code = 65; code <= 90; code++) {
+    const id = String.fromCharCode(code)
+    if (!existing.includes(id)) return id
+  }
+  let n = 27
+  while (existing.includes(`S${n}`)) n++
+  return `S${n}`
+}
+
+// Consecutive segments from the same speaker form one utterance (speaker turn)
+export function utterancesFromSegments(segments) {
+  const turns = []
+  for (const segment of segments) {
+    const last = turns[turns.length - 1]
+    if (last && last.speaker === segment.speaker) {
+      last.end = segment.end
+      last.text = `${last.text} ${segment.text}`
+    } else if (segment.speaker) {
+      turns.push({ speaker: segment.speaker, start: segment.start, end: segment.end, text: segment.text })
+    }
+  }
+  return turns
+}
+
+function rebuild(transcript, segments, words) {
+  return createTranscript({
+    text: transcript.text,
+    language: transcript.language,
+    duration: transcript.duration,
+    segments,
+    words,
+    utterances: utterancesFromSegments(segments),
+    provider: transcript.provider
+  })
+}
+
+// Relabels every segment, word and utterance of `from` as `into`
+export function mergeSpeakers(transcript, from, into) {
+  const relabel = item => (item.speaker === from ? { ...item, speaker: into } : item)
+  const segments = transcript.segments.map(relabel)
+  return rebuild(transcript, segments, transcript.words.map(relabel))
+}
+
+// Gives segments and words without a speaker (a transcript that was never diarized) a
+// speaker other than `taken`, so they still form utterances once some text has one
+function labelUnassigned(transcript, taken) {
+  const fallback = nextSpeakerId([...listSpeakers(transcript), taken])
+  const label = item => (item.speaker ? item : { ...item, speaker: fallback })
+  return { ...transcript, segments: transcript.segments.map(label), words: transcript.words.map(label) }
+}
+
+// Splits a segment before its wordIndex-th word and gives the second half to `speaker`.
+// Word timings are kept; without word timings the split time is estimated from text length.
+export function splitSegment(original, segmentId, wordIndex, speaker) {
+  const transcript = labelUnassigned(original, speaker)
+  const index = transcript.segments.findIndex(s => s.id === segmentId)
+  if (index === -1) {
+    const error = new Error('Segment not found')
+    error.code = 'NOT_FOUND'
+    throw error
+  }
+
+  const segment = transcript.segments[index]
+  const segmentWords = groupWordsBySegment(transcript.segments, transcript.words).get(segment.id) || []
+  const tokens = segmentWords.length > 0
+    ? segmentWords.map(w => w.text)
+    : segment.text.split(/\s+/).filter(Boolean)
+
+  if (!Number.isInteger(wordIndex) || wordIndex <= 0 || wordIndex >= tokens.length) {
+    const error = new Error('A segment can only be split between two of its words')
+    error.code = 'INVALID_SPLIT'
+    throw error
+  }
+
+  const charsBefore = tokens.slice(0, wordIndex).join(' ').length
+  const splitTime = segmentWords.length > 0
+    ? segmentWords[wordIndex].start
+    : segment.start + (segment.end - segment.start) * (charsBefore / tokens.join(' ').length)
+
+  const nextId = Math.max(...transcript.segments.map(s => (typeof s.id === 'number' ? s.id : 0))) + 1
+  const first = { ...segment, end: splitTime, text: tokens.slice(0, wordIndex).join(' ') }
+  const second = { ...segment, id: nextId, start: splitTime, text: tokens.slice(wordIndex).join(' '), speaker }
+
+  const splitWords = new Set(segmentWords.slice(wordIndex))
+  const words = transcript.words.map(word => (splitWords.has(word) ? { ...word, speaker } : word))
+  const segments = [...transcript.segments.slice(0, index), first, second, ...transcript.segments.slice(index + 1)]
+
+  return rebuild(transcript, segments, words)
+}
+
+// Returns an error message for an invalid display name, or null
+export function validateSpeakerName(name) {
+  if (typeof name !== 'string') {
+    return 'Speaker name must be a string'
+  }
+  if (name.trim().length > MAX_SPEAKER_NAME_LENGTH) {
+    return `Speaker name must be at most ${MAX_SPEAKER_NAME_LENGTH} characters`
+  }
+  return null
+}
@@ -0,0 +1,138 @@
+// AssemblyAI Universal Streaming: audio is relayed to AssemblyAI's realtime WebSocket,
+// which answers with the turn being spoken (interim) and the formatted turn once the
+// speaker finishes it (final)
+
+import WebSocket from 'ws'
+import { createTranscript, msToSeconds } from '../transcript'
+import { AUTO_LANGUAGE } from '../languages'
+
+const STREAMING_URL = 'wss://streaming.assemblyai.com/v3/ws'
+const SAMPLE_RATE = 16000
+const TERMINATE_TIMEOUT_MS = 10000
+// The English model is the default; these need the multilingual one
+const MULTILINGUAL_LANGUAGES = ['es', 'fr', 'de', 'it', 'pt']
+const MULTILINGUAL_MODEL = 'universal-streaming-multilingual'
+
+function turnTranscript(turn) {
+  const words = (turn.words || []).map(word => ({
+    text: word.text,
+    start: msToSeconds(word.start),
+    end: msToSeconds(word.end),
+    confidence: word.confidence
+  }))
+  return createTranscript({
+    text: turn.transcript,
+    segments: words.length > 0
+      ? [{ start: words[0].start, end: words[words.length - 1].end, text: turn.transcript }]
+      : [],
+    words,
+    provider: { id: 'assemblyai', name: 'AssemblyAI' }
+  })
+}
+
+const assemblyaiStreaming = {
+  id: 'assemblyai',
+  name: 'AssemblyAI',
+  offline: false,
+  languages: ['en', ...MULTILINGUAL_LANGUAGES],
+  setupInstructions: [
+    'Sign up at https://www.assemblyai.com/ and copy your API key from the dashboard',
+    'Add ASSEMBLYAI_API_KEY=your_key_here to .env.local'
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.ASSEMBLYAI_API_KEY)
+  },
+
+  createSession({ language, vocabulary, onInterim, onFinal, onError }) {
+    const params = new URLSearchParams({
+      sample_rate: String(SAMPLE_RATE),
+      encoding: 'pcm_s16le',
+      format_turns: 'true'
+    })
+    if (MULTILINGUAL_LANGUAGES.includes(language) || language === AUTO_LANGUAGE) {
+      params.set('speech_model', MULTILINGUAL_MODEL)
+    }
+    if (vocabulary && vocabulary.length > 0) {
+      params.set('keyterms_prompt', JSON.stringify(vocabulary))
+    }
+
+    const socket = new WebSocket(`${STREAMING_URL}?${params}`, {
+      headers: { Authorization: process.env.ASSEMBLYAI_API_KEY }
+    })
+    // Audio that arrives before the connection is open
+    const queued = []
+    let terminated = null
+
+    socket.on('open', () => {
+      queued.splice(0).forEach(pcm => socket.send(pcm))
+    })
+
+    socket.on('message', data => {
+      let message
+      try {
+        message = JSON.parse(data.toString())
+      } catch {
+        return
+      }
+
+      if (message.type === 'Turn') {
+        if (message.end_of_turn && message.turn_is_formatted) {
+          onFinal(turnTranscript(message))
+        } else if (!message.end_of_turn) {
+          const words = message.words || []
+          onInterim({
+            text: message.transcript,
+            start: words.length > 0 ? msToSeconds(words[0].start) : null,
+            end: words.length > 0 ? msToSeconds(words[words.length - 1].end) : null
+          })
+        }
+      } else if (message.type === 'Error' || message.error) {
+        onError(new Error(`AssemblyAI streaming error: ${message.error || 'unknown error'}`))
+      }
+    })
+
+    socket.on('error', error => onError(new Error(`AssemblyAI streaming error: ${error.message}`)))
+    socket.on('close', (code, reason) => {
+      // 1000 is a normal close after Terminate; anything else ends the session early
+      if (code !== 1000 && !terminated) {
+        onError(new Error(`AssemblyAI closed the stream: ${reason.toString() || code}`))
+      }
+    })
+
+    return {
+      write(pcm) {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(pcm)
+        } else if (socket.readyState === WebSocket.CONNECTING) {
+          queued.push(pcm)
+        }
+      },
+
+      // The last formatted turn arrives before AssemblyAI closes the stream
+      finish() {
+        if (socket.readyState !== WebSocket.OPEN) {
+          return Promise.resolve()
+        }
+        terminated = new Promise(resolve => {
+          const timer = setTimeout(() => {
+            socket.terminate()
+            resolve()
+          }, TERMINATE_TIMEOUT_MS)
+          socket.once('close', () => {
+            clearTimeout(timer)
+            resolve()
+          })
+        })
+        socket.send(JSON.stringify({ type: 'Terminate' }))
+        return terminated
+      },
+
+      close() {
+        socket.terminate()
+      }
+    }
+  }
+}
+
+export default assemblyaiStreaming
@@ -0,0 +1,236 @@
+// Real-time transcription sessions, served over WebSocket by lib/streaming/server.js
+//
+// Every streaming engine exposes:
+//   id, name, offline        identifiers, and whether the audio stays on this machine
+//   languages                ISO 639-1 codes it recognizes, or null for any
+//   setupInstructions        shown when the engine is missing configuration
+//   isConfigured()           whether the required keys/binaries are present
+//   createSession(opts)      opts: { language, model, vocabulary, onInterim, onFinal, onError }
+//                            returns { write(pcm), finish(), close() }
+//
+// pcm is 16-bit little-endian mono PCM at 16kHz. onInterim({ text, start, end }) replaces the
+// previous interim result; onFinal(transcript) delivers finished speech as a canonical
+// transcript (lib/transcript.js) timed in seconds from the start of the session.
+//
+// Protocol, client to server:
+//   { type: 'start', engine, language, model, vocabulary, fileName }   first message
+//   binary messages                                                    audio as above
+//   { type: 'stop' }                                                   finish and save
+// Server to client:
+//   { type: 'ready', engine, sampleRate }     audio can be sent
+//   { type: 'interim', text, start, end }
+//   { type: 'final', segments }               new final segments, numbered across the session
+//   { type: 'saved', transcriptionId }        the session is now a completed transcription
+//   { type: 'error', error, code }            the socket is closed afterwards
+
+import whispercpp from './whispercpp'
+import assemblyai from './assemblyai'
+import { createTranscript, formatTimestamp } from '../transcript'
+import { createTranscription } from '../transcriptions'
+import { saveTranscriptRevision } from '../revisions'
+import { formatFileSize } from '../upload'
+import { AUTO_LANGUAGE, isSupportedLanguage, toLanguageCode } from '../languages'
+import { vocabularyForJob, vocabularyPhrases } from '../vocabulary'
+
+export const STREAMING_SAMPLE_RATE = 16000
+const BYTES_PER_SECOND = STREAMING_SAMPLE_RATE * 2
+const MAX_SESSION_SECONDS = 2 * 60 * 60
+
+const adapters = [whispercpp, assemblyai]
+const registry = new Map(adapters.map(adapter => [adapter.id, adapter]))
+
+// Tried in this order when a session does not name an engine; local first
+export const DEFAULT_STREAMING_CHAIN = ['whispercpp', 'assemblyai']
+
+export function listStreamingEngines() {
+  return adapters.map(adapter => ({
+    id: adapter.id,
+    name: adapter.name,
+    offline: adapter.offline,
+    languages: adapter.languages,
+    configured: adapter.isConfigured()
+  }))
+}
+
+function streamingError(message, code) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// 'auto' picks the first configured engine of DEFAULT_STREAMING_CHAIN
+export function resolveStreamingEngine(requested) {
+  if (!requested || requested === 'auto') {
+    const engine = DEFAULT_STREAMING_CHAIN.map(id => registry.get(id)).find(adapter => adapter.isConfigured())
+    if (!engine) {
+      const error = streamingError('No streaming engine is configured', 'ENGINE_NOT_CONFIGURED')
+      error.instructions = adapters.flatMap(adapter => adapter.setupInstructions.map(step => `${adapter.name}: ${step}`))
+      throw error
+    }
+    return engine
+  }
+
+  const engine = registry.get(requested)
+  if (!engine) {
+    throw streamingError(`Unknown streaming engine: ${requested}`, 'UNKNOWN_ENGINE')
+  }
+  if (!engine.isConfigured()) {
+    const error = streamingError(`${engine.name} is not configured`, 'ENGINE_NOT_CONFIGURED')
+    error.instructions = engine.setupInstructions
+    throw error
+  }
+  return engine
+}
+
+// The final pieces of a session joined into one transcript
+function joinPieces(pieces, { language, duration, engine, model }) {
+  const segments = pieces.flatMap(piece => piece.segments)
+  return createTranscript({
+    text: segments.map(segment => segment.text).join(' '),
+    language: language === AUTO_LANGUAGE ? pieces.find(piece => piece.language)?.language : language,
+    duration,
+    segments: segments.map((segment, index) => ({ ...segment, id: index })),
+    words: pieces.flatMap(piece => piece.words),
+    provider: { id: engine.id, name: engine.name, model: model || pieces.find(piece => piece.provider.model)?.provider.model }
+  })
+}
+
+// Runs the protocol above on an authenticated socket (a `ws` WebSocket) for `user`
+export function handleStreamingConnection(socket, user) {
+  let session = null
+  let engine = null
+  let options = null
+  let state = 'waiting' // waiting -> streaming -> stopping -> closed
+  let bytes = 0
+  let segmentCount = 0
+  const pieces = []
+
+  const send = message => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message))
+    }
+  }
+
+  const fail = error => {
+    if (state === 'closed') return
+    state = 'closed'
+    console.error('Streaming session error:', error.message)
+    send({ type: 'error', error: error.message, code: error.code || 'STREAMING_FAILED', instructions: error.instructions })
+    if (session) session.close()
+    socket.close(1011, 'Streaming session failed')
+  }
+
+  const start = message => {
+    engine = resolveStreamingEngine(message.engine)
+    const language = toLanguageCode(message.language || AUTO_LANGUAGE)
+    if (!isSupportedLanguage(language)) {
+      throw streamingError(`Unsupported language: ${message.language}`, 'UNSUPPORTED_LANGUAGE')
+    }
+    if (language !== AUTO_LANGUAGE && engine.languages && !engine.languages.includes(language)) {
+      throw streamingError(`${engine.name} cannot stream ${language}`, 'UNSUPPORTED_LANGUAGE')
+    }
+
+    options = {
+      language,
+      model: message.model || undefined,
+      fileName: String(message.fileName || `Live recording ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`).slice(0, 200)
+    }
+    const phrases = message.vocabulary === false ? [] : vocabularyPhrases(vocabularyForJob(user.id))
+
+    session = engine.createSession({
+      language,
+      model: options.model,
+      vocabulary: phrases,
+      onInterim: interim => send({ type: 'interim', ...interim }),
+      onFinal: piece => {
+        if (piece.segments.length === 0) return
+        pieces.push(piece)
+        const segments = piece.segments.map(segment => ({
+          id: segmentCount++,
+          start: segment.start,
+          end: segment.end,
+          text: segment.text
+        }))
+        send({ type: 'final', segments })
+      },
+      onError: fail
+    })
+    state = 'streaming'
+    send({ type: 'ready', engine: engine.id, sampleRate: STREAMING_SAMPLE_RATE })
+  }
+
+  const stop = async () => {
+    state = 'stopping'
+    await session.finish()
+    if (state === 'closed') return
+
+    const duration = bytes / BYTES_PER_SECOND
+    if (pieces.length === 0) {
+      throw streamingError('No speech was recognized', 'NO_SPEECH')
+    }
+
+    const result = joinPieces(pieces, { language: options.language, duration, engine, model: options.model })
+    const transcription = createTranscription(user.id, {
+      fileName: options.fileName,
+      fileSize: formatFileSize(bytes),
+      duration: formatTimestamp(duration)
+    })
+    saveTranscriptRevision(user.id, transcription.id, result, {
+      source: 'transcription',
+      author: { id: null, name: engine.name },
+      changes: {
+        status: 'completed',
+        live: true,
+        requestedLanguage: options.language,
+        provider: engine.id,
+        model: result.provider.model,
+        language: result.language
+      }
+    })
+
+    state = 'closed'
+    send({ type: 'saved', transcriptionId: transcription.id })
+    socket.close(1000, 'Saved')
+  }
+
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      if (state !== 'streaming') return
+      bytes += data.length
+      if (bytes > MAX_SESSION_SECONDS * BYTES_PER_SECOND) {
+        fail(streamingError(`Live sessions are limited to ${MAX_SESSION_SECONDS / 3600} hours`, 'SESSION_TOO_LONG'))
+        return
+      }
+      session.write(data)
+      return
+    }
+
+    let message
+    try {
+      message = JSON.parse(data.toString())
+    } catch {
+      fail(streamingError('Messages must be JSON or binary audio', 'INVALID_MESSAGE'))
+      return
+    }
+
+    try {
+      if (message.type === 'start' && state === 'waiting') {
+        start(message)
+      } else if (message.type === 'stop' && state === 'streaming') {
+        stop().catch(fail)
+      } else {
+        fail(streamingError(`Unexpected ${message.type} message`, 'INVALID_MESSAGE'))
+      }
+    } catch (error) {
+      fail(error)
+    }
+  })
+
+  // A client that disconnects without stopping discards the session
+  socket.on('close', () => {
+    if (state !== 'closed' && state !== 'stopping') {
+      state = 'closed'
+      if (session) session.close()
+    }
+  })
+}
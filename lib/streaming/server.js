@@ -0,0 +1,93 @@
+// WebSocket server for live transcription (protocol in lib/streaming/index.js). Next.js
+// route handlers cannot accept WebSocket upgrades, so the server listens on its own port,
+// started from instrumentation.js.
+//
+// Configuration (environment):
+//   STREAMING_PORT        port to listen on (default 3001)
+//   STREAMING_PUBLIC_URL  the WebSocket URL browsers use, when a proxy serves it elsewhere
+//   STREAMING_ENABLED     set to false to not start the server
+//
+// Browsers send the NextAuth session cookie with the upgrade request (cookies are not tied
+// to a port), which is how connections are authenticated.
+
+import { WebSocketServer } from 'ws'
+import { getToken } from 'next-auth/jwt'
+import { handleStreamingConnection } from '.'
+
+export const STREAMING_PATH = '/api/stream'
+const MAX_MESSAGE_BYTES = 1024 * 1024
+
+export function getStreamingPort() {
+  return parseInt(process.env.STREAMING_PORT || '3001', 10) || 3001
+}
+
+export function isStreamingEnabled() {
+  return process.env.STREAMING_ENABLED !== 'false'
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name]) => name)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]))
+}
+
+// Cookies are sent to every port of a host, so a page from another site must not be able
+// to open a session with them
+function isAllowedOrigin(origin, host) {
+  if (!origin) return false
+  try {
+    const { hostname, origin: normalized } = new URL(origin)
+    if (process.env.NEXTAUTH_URL && new URL(process.env.NEXTAUTH_URL).origin === normalized) return true
+    return hostname === String(host || '').replace(/:\d+$/, '')
+  } catch {
+    return false
+  }
+}
+
+async function authenticate(request) {
+  const token = await getToken({
+    req: { headers: request.headers, cookies: parseCookies(request.headers.cookie) }
+  })
+  return token?.id ? { id: token.id, name: token.name, email: token.email } : null
+}
+
+// Kept on globalThis so a dev-server reload does not try to bind the port twice
+export function startStreamingServer() {
+  if (!isStreamingEnabled() || globalThis.streamingServer) {
+    return globalThis.streamingServer || null
+  }
+
+  const port = getStreamingPort()
+  const server = new WebSocketServer({
+    port,
+    path: STREAMING_PATH,
+    maxPayload: MAX_MESSAGE_BYTES,
+    verifyClient: ({ origin, req }, done) => {
+      if (!isAllowedOrigin(origin, req.headers.host)) {
+        done(false, 403, 'Forbidden')
+        return
+      }
+      authenticate(req)
+        .then(user => {
+          if (!user) {
+            done(false, 401, 'Unauthorized')
+            return
+          }
+          req.user = user
+          done(true)
+        })
+        .catch(error => {
+          console.error('Streaming authentication error:', error)
+          done(false, 500, 'Authentication failed')
+        })
+    }
+  })
+
+  server.on('connection', (socket, request) => handleStreamingConnection(socket, request.user))
+  server.on('listening', () => console.log(`Live transcription listening on ws://localhost:${port}${STREAMING_PATH}`))
+  server.on('error', error => console.error('Streaming server error:', error))
+
+  globalThis.streamingServer = server
+  return server
+}
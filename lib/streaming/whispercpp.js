@@ -0,0 +1,149 @@
+// Incremental recognition with the local whisper.cpp binary. whisper.cpp has no streaming
+// mode, so the audio since the last final result (the window) is transcribed again every
+// STEP_SECONDS. Its text goes out as an interim result until a pause, or a window longer
+// than MAX_WINDOW_SECONDS, makes it final.
+
+import whispercpp from '../providers/whispercpp'
+import { encodeWav } from '../audio'
+import { shiftTranscript } from '../transcript'
+
+const SAMPLE_RATE = 16000
+const STEP_SECONDS = 2
+const MAX_WINDOW_SECONDS = 15
+const MIN_WINDOW_SECONDS = 0.5
+const PAUSE_SECONDS = 0.8
+// RMS below this counts as silence
+const SILENCE_LEVEL = 0.01
+
+// whisper.cpp marks non-speech with bracketed tags such as [BLANK_AUDIO] or (music)
+const NON_SPEECH_PATTERN = /^\s*[[(][^\])]*[\])]\s*$/
+
+function pcmToSamples(pcm) {
+  const samples = new Float32Array(Math.floor(pcm.length / 2))
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcm.readInt16LE(i * 2) / 32768
+  }
+  return samples
+}
+
+function level(samples) {
+  if (samples.length === 0) return 0
+  let sum = 0
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i]
+  }
+  return Math.sqrt(sum / samples.length)
+}
+
+function concat(a, b) {
+  const joined = new Float32Array(a.length + b.length)
+  joined.set(a)
+  joined.set(b, a.length)
+  return joined
+}
+
+// The segments (and their words) of `transcript` that end by `until` seconds
+function piece(transcript, until = Infinity) {
+  const segments = transcript.segments.filter(segment => segment.end <= until && !NON_SPEECH_PATTERN.test(segment.text))
+  const end = segments.length > 0 ? segments[segments.length - 1].end : 0
+  return {
+    ...transcript,
+    segments,
+    words: transcript.words.filter(word => word.end <= end && !NON_SPEECH_PATTERN.test(word.text)),
+    utterances: []
+  }
+}
+
+const whispercppStreaming = {
+  id: 'whispercpp',
+  name: 'Local Whisper.cpp',
+  offline: true,
+  // Any language the model knows
+  languages: null,
+  setupInstructions: whispercpp.setupInstructions,
+
+  isConfigured() {
+    return whispercpp.isConfigured()
+  },
+
+  createSession({ language, model, vocabulary, onInterim, onFinal, onError }) {
+    let pending = new Float32Array(0)
+    let windowStart = 0 // seconds from the start of the session
+    let decoded = 0 // samples of `pending` covered by the last pass
+    let running = null
+
+    const recognize = async samples => {
+      const buffer = encodeWav(samples, SAMPLE_RATE)
+      const raw = await whispercpp.transcribe(
+        { buffer, name: 'live.wav', type: 'audio/wav', size: buffer.length },
+        { language, model, vocabulary }
+      )
+      return whispercpp.normalize(raw)
+    }
+
+    // Drops `samples` from the front of the window after its text was made final
+    const advance = samples => {
+      pending = pending.slice(samples)
+      decoded = Math.max(0, decoded - samples)
+      windowStart += samples / SAMPLE_RATE
+    }
+
+    const pass = async ({ flush = false } = {}) => {
+      const samples = pending
+      decoded = samples.length
+      const duration = samples.length / SAMPLE_RATE
+      const paused = level(samples.subarray(-PAUSE_SECONDS * SAMPLE_RATE)) < SILENCE_LEVEL
+
+      // Silence is never sent to whisper.cpp, which tends to make up text for it
+      if (duration < MIN_WINDOW_SECONDS || level(samples) < SILENCE_LEVEL) {
+        if (flush || (paused && duration >= PAUSE_SECONDS)) advance(samples.length)
+        return
+      }
+
+      const transcript = await recognize(samples)
+      if (flush || paused) {
+        onFinal(shiftTranscript(piece(transcript), windowStart))
+        advance(samples.length)
+      } else if (duration >= MAX_WINDOW_SECONDS) {
+        // The last segment may be cut off mid-word; it stays in the window for the next pass
+        const last = transcript.segments[transcript.segments.length - 1]
+        const keepFrom = transcript.segments.length > 1 ? last.start : duration
+        onFinal(shiftTranscript(piece(transcript, keepFrom), windowStart))
+        advance(Math.floor(keepFrom * SAMPLE_RATE))
+      } else {
+        const text = piece(transcript).segments.map(segment => segment.text).join(' ')
+        onInterim({ text, start: windowStart, end: windowStart + duration })
+      }
+    }
+
+    const schedule = () => {
+      if (running || pending.length - decoded < STEP_SECONDS * SAMPLE_RATE) return
+      running = pass()
+        .catch(onError)
+        .finally(() => {
+          running = null
+          schedule()
+        })
+    }
+
+    return {
+      write(pcm) {
+        pending = concat(pending, pcmToSamples(pcm))
+        schedule()
+      },
+
+      async finish() {
+        while (running) await running
+        while (pending.length > 0) {
+          await pass({ flush: true })
+        }
+      },
+
+      close() {
+        pending = new Float32Array(0)
+      }
+    }
+  }
+}
+
+export default whispercppStreaming
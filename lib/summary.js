@@ -0,0 +1,61 @@
+// Extractive summary: picks the sentences whose words occur most often across the transcript.
+// Runs locally so reports work without any extra API key.
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'get', 'got', 'had', 'has',
+  'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+  'know', 'like', 'me', 'my', 'no', 'not', 'now', 'of', 'oh', 'ok', 'okay', 'on', 'one', 'or', 'our',
+  'out', 'really', 'right', 'so', 'some', 'that', 'the', 'their', 'them', 'then', 'there', 'they',
+  'think', 'this', 'to', 'um', 'uh', 'up', 'us', 'very', 'was', 'we', 'well', 'were', 'what', 'when',
+  'which', 'who', 'will', 'with', 'would', 'yeah', 'yes', 'you', 'your'
+])
+
+const MIN_SENTENCE_WORDS = 5
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).filter(word => !STOP_WORDS.has(word))
+}
+
+export function splitSentences(text) {
+  return (text.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+}
+
+export function summarizeText(text, { maxSentences = 3 } = {}) {
+  const sentences = splitSentences(text || '')
+  if (sentences.length <= maxSentences) {
+    return sentences.join(' ')
+  }
+
+  const frequencies = new Map()
+  for (const word of tokenize(text)) {
+    frequencies.set(word, (frequencies.get(word) || 0) + 1)
+  }
+
+  const scored = sentences.map((sentence, index) => {
+    const words = tokenize(sentence)
+    const score = sentence.split(/\s+/).length < MIN_SENTENCE_WORDS || words.length === 0
+      ? 0
+      : words.reduce((sum, word) => sum + frequencies.get(word), 0) / words.length
+    return { sentence, index, score }
+  })
+
+  // Repeated sentences (common in meetings and with some ASR models) are only kept once
+  const seen = new Set()
+  const unique = scored.filter(item => {
+    const key = item.sentence.toLowerCase()
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+
+  // Keep the chosen sentences in their original order so the summary reads naturally
+  return unique
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.sentence)
+    .join(' ')
+}
@@ -0,0 +1,187 @@
+import { NextResponse } from 'next/server'
+import { getSessionUser } from './auth'
+import { readAudioUpload, formatFileSize, AUDIO_VALIDATION_STATUS } from './upload'
+import { resolveProviderChain, DEFAULT_PROVIDER_CHAIN } from './providers'
+import { enqueueTranscriptionJob } from './jobs'
+import { createTranscription, getTranscription, updateTranscription } from './transcriptions'
+import { getStoredAudio } from './audioStore'
+import { ensureInitialRevision } from './revisions'
+import { preprocessOptionsFromFields } from './preprocess'
+import { AUTO_LANGUAGE, isSupportedLanguage, toLanguageCode } from './languages'
+import { formatTimestamp } from './transcript'
+import { vocabularyForJob } from './vocabulary'
+
+const MAX_SPEAKERS = 20
+
+// Queues a transcription job for `audio` (see enqueueTranscriptionJob) and answers 202
+// with the job id right away; clients poll GET /api/jobs/:id for progress. `fields` holds
+// the request options (FormData, or a Map for JSON bodies):
+//
+//   provider         with allowOverride, the client's own chain instead of `providers`
+//   transcriptionId  attaches the job to an existing transcription record, otherwise a
+//                    new record is created for the upload
+//   model            provider-specific model id
+//   language         ISO 639-1 code of the spoken language, or 'auto' (the default) to have
+//                    the provider detect it (see lib/languages.js)
+//   vocabulary       the user's custom vocabulary (lib/vocabulary.js) is used unless 'false'
+//   diarize          results without speakers are diarized locally unless 'false'
+//   numSpeakers      fixes the speaker count when the caller knows it
+//   normalize, trimSilence, denoise, preprocess
+//                    audio preprocessing switches (see lib/preprocess.js)
+export async function queueTranscription(user, audio, fields, { providers, allowOverride = false }) {
+  const { options, error } = readJobOptions(user, fields, { providers, allowOverride })
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 })
+  }
+
+  const transcriptionId = fields.get('transcriptionId')
+  let transcription
+  if (transcriptionId) {
+    transcription = getTranscription(user.id, transcriptionId)
+    if (!transcription) {
+      return NextResponse.json({ error: 'Transcription not found' }, { status: 404 })
+    }
+    // Records are created as 'processing' before their upload; one with a job already has
+    // a worker writing to it
+    if ((transcription.status === 'processing' && transcription.jobId) || transcription.rerun?.status === 'processing') {
+      return NextResponse.json({ error: 'This transcription is already being transcribed' }, { status: 409 })
+    }
+  } else {
+    transcription = createTranscription(user.id, {
+      fileName: audio.name,
+      fileSize: formatFileSize(audio.size),
+      duration: audio.info?.duration ? formatTimestamp(audio.info.duration) : undefined,
+      originalFile: { name: audio.name, size: audio.size, type: audio.type }
+    })
+  }
+
+  const job = await enqueueTranscriptionJob(user.id, transcription.id, audio, options)
+  updateTranscription(user.id, transcription.id, {
+    status: 'processing',
+    jobId: job.id,
+    error: null,
+    requestedLanguage: options.language,
+    ...(audio.info && { audioInfo: audio.info })
+  })
+
+  return NextResponse.json({
+    jobId: job.id,
+    transcriptionId: transcription.id,
+    status: job.status,
+    providers: options.providers,
+    audio: audio.info || null
+  }, { status: 202 })
+}
+
+// The job options in `fields` (see queueTranscription), or { error } for a 400
+function readJobOptions(user, fields, { providers, allowOverride }) {
+  let chain = providers
+  if (allowOverride) {
+    try {
+      chain = resolveProviderChain(fields.get('provider'), providers)
+    } catch (chainError) {
+      return { error: chainError.message }
+    }
+  }
+
+  const numSpeakers = fields.get('numSpeakers') ? Number(fields.get('numSpeakers')) : undefined
+  if (numSpeakers !== undefined && !(Number.isInteger(numSpeakers) && numSpeakers >= 1 && numSpeakers <= MAX_SPEAKERS)) {
+    return { error: `numSpeakers must be a whole number from 1 to ${MAX_SPEAKERS}` }
+  }
+
+  const language = fields.get('language') ? toLanguageCode(fields.get('language')) : AUTO_LANGUAGE
+  if (!isSupportedLanguage(language)) {
+    return { error: `Unsupported language: ${fields.get('language')}` }
+  }
+
+  return {
+    options: {
+      providers: chain,
+      model: fields.get('model') || undefined,
+      language,
+      // The terms as they are now, so later vocabulary edits do not change a queued job
+      vocabulary: String(fields.get('vocabulary')) !== 'false' ? vocabularyForJob(user.id) : [],
+      diarize: String(fields.get('diarize')) !== 'false',
+      numSpeakers,
+      preprocess: preprocessOptionsFromFields(fields)
+    }
+  }
+}
+
+// Transcribes the stored audio of `transcription` (lib/audioStore.js) again, with the
+// options of queueTranscription. The result becomes a new revision, so the earlier output
+// stays in the history; the transcript in place is kept while the job runs and if it fails.
+export async function queueRerun(user, transcription, fields) {
+  if (transcription.status === 'processing' || transcription.rerun?.status === 'processing') {
+    return NextResponse.json({ error: 'This transcription is already being transcribed' }, { status: 409 })
+  }
+
+  const stored = await getStoredAudio(user.id, transcription)
+  if (!stored) {
+    return NextResponse.json({
+      error: transcription.audioDeletedAt
+        ? 'The audio of this transcription was deleted, so it cannot be transcribed again'
+        : 'No audio is stored for this transcription, so it cannot be transcribed again'
+    }, { status: 409 })
+  }
+
+  const { options, error } = readJobOptions(user, fields, { providers: DEFAULT_PROVIDER_CHAIN, allowOverride: true })
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 })
+  }
+
+  // The output being replaced has to be in the history before the new one is added
+  ensureInitialRevision(user.id, transcription)
+  const job = await enqueueTranscriptionJob(user.id, transcription.id, {
+    path: stored.path,
+    keep: true,
+    name: stored.name,
+    type: stored.type,
+    size: stored.size,
+    info: transcription.audioInfo
+  }, { ...options, rerun: true })
+  updateTranscription(user.id, transcription.id, {
+    rerun: {
+      jobId: job.id,
+      status: 'processing',
+      providers: options.providers,
+      model: options.model || null,
+      language: options.language,
+      requestedAt: new Date().toISOString()
+    }
+  })
+
+  return NextResponse.json({
+    jobId: job.id,
+    transcriptionId: transcription.id,
+    status: job.status,
+    providers: options.providers
+  }, { status: 202 })
+}
+
+// Builds a POST handler for a multipart upload (`file` field plus the fields above) that
+// queues it with the given provider chain
+export function createTranscribeHandler({ providers, allowOverride = false }) {
+  return async function POST(request) {
+    try {
+      const user = await getSessionUser()
+      if (!user) {
+        return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+      }
+
+      const formData = await request.formData()
+      const { audio, error } = await readAudioUpload(formData)
+      if (error) {
+        return NextResponse.json({ error: error.message, code: error.code }, { status: AUDIO_VALIDATION_STATUS[error.code] })
+      }
+
+      return await queueTranscription(user, audio, formData, { providers, allowOverride })
+    } catch (error) {
+      console.error('Transcription error:', error)
+      return NextResponse.json({
+        error: 'Transcription failed. Please try again.',
+        details: error.message
+      }, { status: 500 })
+    }
+  }
+}
@@ -0,0 +1,330 @@
+// Canonical transcript model shared by every provider, the store and the exporters.
+// Safe to import from client components (no Node APIs).
+//
+// {
+//   text: string,
+//   language: string | null (ISO 639-1 code, see lib/languages.js),
+//   duration: number,
+//   segments:   [{ id, start, end, text, speaker, confidence }],
+//   words:      [{ text, start, end, confidence, speaker }],
+//   utterances: [{ speaker, start, end, text, confidence }],
+//   provider:   { id, name, model, processingTimeMs }
+// }
+//
+// All times are in seconds. speaker and confidence are null when unknown.
+
+const SENTENCE_END = /[.!?]["')\]]?$/
+const MAX_SEGMENT_GAP = 1.5 // seconds of silence that starts a new segment
+
+// Accepts seconds, '1.5s' duration strings and { seconds, nanos } objects
+export function parseTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null
+  }
+  if (typeof value === 'string') {
+    const parsed = parseFloat(value.replace(/s$/, ''))
+    return Number.isFinite(parsed) ? parsed : null
+  }
+  if (typeof value === 'object' && ('seconds' in value || 'nanos' in value)) {
+    return Number(value.seconds || 0) + Number(value.nanos || 0) / 1e9
+  }
+  return null
+}
+
+export function msToSeconds(ms) {
+  const value = parseTime(ms)
+  return value === null ? null : value / 1000
+}
+
+function roundTime(value) {
+  return Math.round(value * 1000) / 1000
+}
+
+function normalizeConfidence(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : null
+}
+
+function normalizeSpeaker(value) {
+  return value === null || value === undefined || value === '' ? null : String(value)
+}
+
+export function createWord({ text, start, end, confidence, speaker }) {
+  const startTime = parseTime(start) ?? 0
+  return {
+    text: String(text || '').trim(),
+    start: roundTime(startTime),
+    end: roundTime(Math.max(startTime, parseTime(end) ?? startTime)),
+    confidence: normalizeConfidence(confidence),
+    speaker: normalizeSpeaker(speaker)
+  }
+}
+
+export function createSegment({ id, start, end, text, speaker, confidence }, index = 0) {
+  const startTime = parseTime(start) ?? 0
+  return {
+    id: id ?? index,
+    start: roundTime(startTime),
+    end: roundTime(Math.max(startTime, parseTime(end) ?? startTime)),
+    text: String(text || '').trim(),
+    speaker: normalizeSpeaker(speaker),
+    confidence: normalizeConfidence(confidence)
+  }
+}
+
+export function createUtterance({ speaker, start, end, text, confidence }) {
+  const startTime = parseTime(start) ?? 0
+  return {
+    speaker: normalizeSpeaker(speaker) || 'A',
+    start: roundTime(startTime),
+    end: roundTime(Math.max(startTime, parseTime(end) ?? startTime)),
+    text: String(text || '').trim(),
+    confidence: normalizeConfidence(confidence)
+  }
+}
+
+// Groups words into sentence-like segments for providers that only return words
+export function segmentsFromWords(words) {
+  const segments = []
+  let current = null
+
+  for (const word of words) {
+    const startsNew = !current ||
+      word.speaker !== current.speaker ||
+      word.start - current.end > MAX_SEGMENT_GAP
+
+    if (startsNew) {
+      current = { start: word.start, end: word.end, words: [], speaker: word.speaker }
+      segments.push(current)
+    }
+    current.words.push(word)
+    current.end = word.end
+
+    if (SENTENCE_END.test(word.text)) {
+      current = null
+    }
+  }
+
+  return segments.map((segment, index) => createSegment({
+    start: segment.start,
+    end: segment.end,
+    text: segment.words.map(w => w.text).join(' '),
+    speaker: segment.speaker,
+    confidence: averageConfidence(segment.words)
+  }, index))
+}
+
+// 75.4 -> '1:15', 3725 -> '1:02:05'
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0))
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, '0')
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`
+}
+
+export function averageConfidence(items) {
+  const values = items.map(item => item.confidence).filter(value => typeof value === 'number')
+  if (values.length === 0) return null
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
+// Builds a canonical transcript, filling in defaults and derived fields
+export function createTranscript({ text, language, duration, segments, words, utterances, provider }) {
+  const normalizedWords = (words || []).map(createWord).filter(word => word.text)
+  const normalizedUtterances = (utterances || []).map(createUtterance).filter(u => u.text)
+  let normalizedSegments = segments && segments.length > 0
+    ? segments.map(createSegment).filter(segment => segment.text)
+    : segmentsFromWords(normalizedWords)
+  if (normalizedSegments.length === 0 && normalizedUtterances.length > 0) {
+    normalizedSegments = normalizedUtterances.map(createSegment)
+  }
+
+  const lastEnd = Math.max(
+    0,
+    ...normalizedSegments.map(s => s.end),
+    ...normalizedWords.map(w => w.end),
+    ...normalizedUtterances.map(u => u.end)
+  )
+
+  return {
+    text: String(text || normalizedSegments.map(s => s.text).join(' ')).trim(),
+    language: language ? String(language) : null,
+    duration: roundTime(parseTime(duration) || lastEnd),
+    segments: normalizedSegments,
+    words: normalizedWords,
+    utterances: normalizedUtterances,
+    provider: {
+      id: provider?.id || 'unknown',
+      name: provider?.name || provider?.id || 'unknown',
+      model: provider?.model || null,
+      processingTimeMs: typeof provider?.processingTimeMs === 'number' ? provider.processingTimeMs : null
+    }
+  }
+}
+
+// Moves every timed item by `offset` seconds, e.g. from a chunk's or a trimmed file's
+// timeline onto the original recording's
+export function shiftTranscript(transcript, offset) {
+  if (!offset) return transcript
+  const shift = item => ({ ...item, start: roundTime(item.start + offset), end: roundTime(item.end + offset) })
+  return {
+    ...transcript,
+    segments: transcript.segments.map(shift),
+    words: transcript.words.map(shift),
+    utterances: (transcript.utterances || []).map(shift)
+  }
+}
+
+// Maps segment id -> words; each word belongs to the segment containing its midpoint
+export function groupWordsBySegment(segments, words) {
+  const groups = new Map()
+  for (const word of words) {
+    const middle = (word.start + word.end) / 2
+    const owner = segments.find(segment => middle >= segment.start && middle <= segment.end)
+    if (owner) {
+      if (!groups.has(owner.id)) groups.set(owner.id, [])
+      groups.get(owner.id).push(word)
+    }
+  }
+  return groups
+}
+
+// Words keep their timings when a segment's word count is unchanged (scaled if the segment
+// was moved); otherwise the new words are spread over the segment by character count
+function retimeWords(originalWords, segment, original) {
+  const tokens = segment.text.split(/\s+/).filter(Boolean)
+
+  if (originalWords.length === tokens.length && original) {
+    const oldSpan = original.end - original.start
+    const scale = oldSpan > 0 ? (segment.end - segment.start) / oldSpan : 0
+    const move = time => segment.start + (time - original.start) * scale
+    return tokens.map((text, index) => ({
+      ...originalWords[index],
+      text,
+      start: move(originalWords[index].start),
+      end: move(originalWords[index].end),
+      speaker: segment.speaker ?? originalWords[index].speaker
+    }))
+  }
+
+  const totalChars = tokens.reduce((sum, token) => sum + token.length, 0) || 1
+  let cursor = segment.start
+  return tokens.map(text => {
+    const start = cursor
+    cursor += (segment.end - segment.start) * (text.length / totalChars)
+    return { text, start, end: cursor, confidence: null, speaker: segment.speaker ?? null }
+  })
+}
+
+// Applies edited segments ({ id, start, end, text, speaker }) to a transcript, keeping
+// words and utterances consistent with them. Returns a new canonical transcript.
+export function applySegmentEdits(transcript, editedSegments) {
+  const originals = new Map(transcript.segments.map(segment => [segment.id, segment]))
+  const wordsBySegment = groupWordsBySegment(transcript.segments, transcript.words)
+
+  const segments = editedSegments
+    .map((segment, index) => {
+      const original = originals.get(segment.id)
+      return createSegment({ ...original, ...segment, id: segment.id ?? index }, index)
+    })
+    .sort((a, b) => a.start - b.start)
+
+  const hasWords = transcript.words.length > 0
+  const words = hasWords
+    ? segments.flatMap(segment => retimeWords(wordsBySegment.get(segment.id) || [], segment, originals.get(segment.id)))
+    : []
+
+  const utterances = transcript.utterances.length > 0
+    ? segments.map(segment => ({
+      speaker: segment.speaker ?? transcript.utterances.find(u => segment.start >= u.start && segment.start < u.end)?.speaker,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      confidence: segment.confidence
+    }))
+    : []
+
+  return createTranscript({
+    text: segments.map(segment => segment.text).join(' '),
+    language: transcript.language,
+    duration: Math.max(transcript.duration, ...segments.map(segment => segment.end)),
+    segments,
+    words,
+    utterances,
+    provider: transcript.provider
+  })
+}
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Replaces `find` with `replace` in every segment, then rebuilds words and utterances as
+// an edit would (applySegmentEdits). Case-insensitive unless matchCase; wholeWord skips
+// matches inside longer words. Returns { transcript, replacements }.
+export function replaceInTranscript(transcript, find, replace, { matchCase = false, wholeWord = false } = {}) {
+  const body = escapeRegExp(find)
+  const pattern = new RegExp(wholeWord ? `(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])` : body, matchCase ? 'gu' : 'giu')
+
+  let replacements = 0
+  const segments = transcript.segments.map(segment => ({
+    ...segment,
+    text: segment.text.replace(pattern, () => {
+      replacements++
+      return replace
+    }).replace(/\s+/g, ' ').trim()
+  }))
+  if (replacements === 0) {
+    return { transcript, replacements }
+  }
+  return { transcript: applySegmentEdits(transcript, segments), replacements }
+}
+
+function checkTimedItems(items, label, errors, { requireSpeaker = false } = {}) {
+  if (!Array.isArray(items)) {
+    errors.push(`${label} must be an array`)
+    return
+  }
+  items.forEach((item, index) => {
+    const where = `${label}[${index}]`
+    if (typeof item.text !== 'string') errors.push(`${where}.text must be a string`)
+    if (typeof item.start !== 'number' || !Number.isFinite(item.start) || item.start < 0) {
+      errors.push(`${where}.start must be a non-negative number of seconds`)
+    }
+    if (typeof item.end !== 'number' || !Number.isFinite(item.end) || item.end < item.start) {
+      errors.push(`${where}.end must be a number of seconds not before start`)
+    }
+    if (item.confidence !== null && (typeof item.confidence !== 'number' || item.confidence < 0 || item.confidence > 1)) {
+      errors.push(`${where}.confidence must be null or between 0 and 1`)
+    }
+    if (requireSpeaker ? typeof item.speaker !== 'string' : (item.speaker !== null && typeof item.speaker !== 'string')) {
+      errors.push(`${where}.speaker must be ${requireSpeaker ? 'a string' : 'null or a string'}`)
+    }
+  })
+}
+
+export function validateTranscript(transcript) {
+  const errors = []
+
+  if (!transcript || typeof transcript !== 'object') {
+    return { valid: false, errors: ['transcript must be an object'] }
+  }
+  if (typeof transcript.text !== 'string') errors.push('text must be a string')
+  if (transcript.language !== null && typeof transcript.language !== 'string') {
+    errors.push('language must be null or a string')
+  }
+  if (typeof transcript.duration !== 'number' || !Number.isFinite(transcript.duration) || transcript.duration < 0) {
+    errors.push('duration must be a non-negative number of seconds')
+  }
+
+  checkTimedItems(transcript.segments, 'segments', errors)
+  checkTimedItems(transcript.words, 'words', errors)
+  checkTimedItems(transcript.utterances, 'utterances', errors, { requireSpeaker: true })
+
+  if (!transcript.provider || typeof transcript.provider.id !== 'string') {
+    errors.push('provider.id must be a string')
+  }
+
+  return { valid: errors.length === 0, errors }
+}
@@ -0,0 +1,124 @@
+import fs from 'fs'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+
+const transcriptionsFilePath = path.join(process.cwd(), 'data', 'transcriptions.json')
+
+export const TRANSCRIPTION_STATUSES = ['processing', 'completed', 'failed']
+
+// Fields a client may change through PATCH /api/transcriptions/:id. The status belongs to
+// the job queue and the transcript only changes through revisions (lib/revisions.js).
+export const CLIENT_UPDATABLE_FIELDS = ['fileName', 'duration']
+
+// Fields that identify a record and never change after creation
+const IMMUTABLE_FIELDS = ['id', 'userId', 'uploadDate']
+
+function ensureTranscriptionsFileExists() {
+  if (!fs.existsSync(transcriptionsFilePath)) {
+    const dir = path.dirname(transcriptionsFilePath)
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true })
+    }
+    fs.writeFileSync(transcriptionsFilePath, JSON.stringify({ transcriptions: [] }, null, 2), 'utf-8')
+  }
+}
+
+export function readTranscriptions() {
+  ensureTranscriptionsFileExists()
+  try {
+    const raw = fs.readFileSync(transcriptionsFilePath, 'utf-8')
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed.transcriptions) ? parsed.transcriptions : []
+  } catch (error) {
+    console.error('Failed to read transcriptions.json:', error)
+    return []
+  }
+}
+
+export function writeTranscriptions(transcriptions) {
+  ensureTranscriptionsFileExists()
+  try {
+    fs.writeFileSync(transcriptionsFilePath, JSON.stringify({ transcriptions }, null, 2), 'utf-8')
+    return true
+  } catch (error) {
+    console.error('Failed to write transcriptions.json:', error)
+    return false
+  }
+}
+
+// Newest first, like the dashboard shows them
+export function listTranscriptions(userId) {
+  return readTranscriptions()
+    .filter(t => t.userId === userId)
+    .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate))
+}
+
+export function getTranscription(userId, id) {
+  return readTranscriptions().find(t => t.id === id && t.userId === userId) || null
+}
+
+export function createTranscription(userId, { fileName, fileSize, duration, originalFile }) {
+  const transcription = {
+    id: uuidv4(),
+    userId,
+    fileName,
+    uploadDate: new Date().toISOString(),
+    status: 'processing',
+    transcript: '',
+    // Canonical transcript (lib/transcript.js) once the job completes
+    result: null,
+    duration: duration || '00:00',
+    fileSize: fileSize || '',
+    originalFile: originalFile || null
+  }
+
+  const transcriptions = readTranscriptions()
+  transcriptions.push(transcription)
+  if (!writeTranscriptions(transcriptions)) {
+    throw new Error('Failed to save transcription')
+  }
+  return transcription
+}
+
+export function updateTranscription(userId, id, changes) {
+  const transcriptions = readTranscriptions()
+  const index = transcriptions.findIndex(t => t.id === id && t.userId === userId)
+  if (index === -1) {
+    return null
+  }
+
+  const current = transcriptions[index]
+  const updated = { ...current }
+  for (const [field, value] of Object.entries(changes)) {
+    if (value !== undefined && !IMMUTABLE_FIELDS.includes(field)) {
+      updated[field] = value
+    }
+  }
+  if (updated.status === 'completed' && current.status !== 'completed') {
+    updated.completedAt = new Date().toISOString()
+  }
+  updated.updatedAt = new Date().toISOString()
+
+  transcriptions[index] = updated
+  if (!writeTranscriptions(transcriptions)) {
+    throw new Error('Failed to save transcription')
+  }
+  return updated
+}
+
+export function deleteTranscription(userId, id) {
+  const transcriptions = readTranscriptions()
+  const remaining = transcriptions.filter(t => !(t.id === id && t.userId === userId))
+  if (remaining.length === transcriptions.length) {
+    return false
+  }
+  writeTranscriptions(remaining)
+  return true
+}
+
+export function deleteAllTranscriptions(userId) {
+  const transcriptions = readTranscriptions()
+  const remaining = transcriptions.filter(t => t.userId !== userId)
+  writeTranscriptions(remaining)
+  return transcriptions.length - remaining.length
+}
@@ -0,0 +1,56 @@
+// Hugging Face Inference API translation: a Helsinki-NLP opus-mt model for the language
+// pair when one exists, otherwise the many-to-many M2M100 model
+
+const MULTILINGUAL_MODEL = 'facebook/m2m100_418M'
+const CONCURRENCY = 4 // texts translated in parallel; the API takes one text per request
+
+function candidateModels(source, target) {
+  return [`Helsinki-NLP/opus-mt-${source}-${target}`, MULTILINGUAL_MODEL]
+}
+
+const huggingface = {
+  id: 'huggingface',
+  name: 'Hugging Face',
+  offline: false,
+  setupInstructions: [
+    'Get a Hugging Face API key from https://huggingface.co/settings/tokens',
+    'Add HUGGINGFACE_API_KEY=hf_your_token_here to .env.local'
+  ],
+
+  isConfigured() {
+    const apiKey = process.env.HUGGINGFACE_API_KEY
+    return Boolean(apiKey && apiKey.startsWith('hf_'))
+  },
+
+  async translate(texts, { source, target, model, onProgress = () => {} }) {
+    const { HfInference } = await import('@huggingface/inference')
+    const hf = new HfInference(process.env.HUGGINGFACE_API_KEY)
+    const models = model ? [model] : candidateModels(source, target)
+
+    let lastError = null
+    for (const candidate of models) {
+      try {
+        console.log(`Trying Hugging Face translation model: ${candidate}`)
+        // Single-pair models know their languages; multilingual ones are told
+        const parameters = candidate.startsWith('Helsinki-NLP/') ? undefined : { src_lang: source, tgt_lang: target }
+        const translated = []
+        for (let start = 0; start < texts.length; start += CONCURRENCY) {
+          const batch = await Promise.all(texts.slice(start, start + CONCURRENCY).map(async inputs => {
+            const output = await hf.translation({ model: candidate, inputs, parameters })
+            return (Array.isArray(output) ? output[0] : output).translation_text
+          }))
+          translated.push(...batch)
+          onProgress(translated.length, texts.length)
+        }
+        return { texts: translated, model: candidate }
+      } catch (modelError) {
+        console.log(`Failed with translation model ${candidate}:`, modelError.message)
+        lastError = modelError
+      }
+    }
+
+    throw lastError || new Error('All Hugging Face translation models failed')
+  }
+}
+
+export default huggingface
@@ -0,0 +1,148 @@
+// Translation of stored transcripts
+//
+// Every engine adapter exposes the same interface:
+//   id, name                 identifiers used in requests and responses
+//   offline                  true when no text leaves the machine
+//   setupInstructions        shown when the engine is missing configuration
+//   isConfigured()           whether the required keys/servers are set
+//   translate(texts, opts)   translates an array of strings from opts.source to opts.target
+//                            (ISO 639-1 codes) and resolves with { texts, model }; opts.model
+//                            picks a model, opts.onProgress(done, total) reports progress
+//
+// A translation is a copy of the transcript in another language: segments and utterances
+// keep their times and speakers, only their text changes. Word timings cannot be carried
+// over, so subtitle cues are timed from the segments. Translations are stored on the
+// transcription record under `translations[language]`.
+
+import huggingface from './huggingface'
+import libretranslate from './libretranslate'
+import { createTranscript } from '../transcript'
+import { getTranscription, updateTranscription } from '../transcriptions'
+
+const adapters = [huggingface, libretranslate]
+const registry = new Map(adapters.map(adapter => [adapter.id, adapter]))
+
+// Fallback order used when a request does not name an engine
+export const DEFAULT_ENGINE_CHAIN = ['huggingface', 'libretranslate']
+
+export function listEngines() {
+  return adapters.map(adapter => ({
+    id: adapter.id,
+    name: adapter.name,
+    offline: adapter.offline,
+    configured: adapter.isConfigured()
+  }))
+}
+
+// Accepts 'auto', a single id, a comma-separated list or an array of ids
+export function resolveEngineChain(requested) {
+  const ids = (Array.isArray(requested) ? requested : String(requested || '').split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean)
+
+  if (ids.length === 0 || (ids.length === 1 && ids[0] === 'auto')) {
+    return [...DEFAULT_ENGINE_CHAIN]
+  }
+
+  for (const id of ids) {
+    if (!registry.has(id)) {
+      throw new Error(`Unknown translation engine: ${id}`)
+    }
+  }
+
+  return [...new Set(ids)]
+}
+
+// Runs the chain in order and returns the first engine's complete translation as
+// { texts, engine, model, attempts }. A requested model is only honoured when the chain
+// names a single engine.
+export async function translateTexts(texts, { engines = DEFAULT_ENGINE_CHAIN, source, target, model, onProgress = () => {} }) {
+  const attempts = []
+
+  for (const id of engines) {
+    const adapter = registry.get(id)
+
+    if (!adapter.isConfigured()) {
+      attempts.push({ engine: id, status: 'skipped', error: `${adapter.name} is not configured` })
+      continue
+    }
+
+    try {
+      console.log(`Translating ${texts.length} texts from ${source} to ${target} with ${adapter.name}...`)
+      const translated = await adapter.translate(texts, {
+        source,
+        target,
+        model: engines.length === 1 ? model : undefined,
+        onProgress
+      })
+      if (translated.texts.length !== texts.length) {
+        throw new Error(`Expected ${texts.length} translations, got ${translated.texts.length}`)
+      }
+
+      attempts.push({ engine: id, status: 'success' })
+      return { texts: translated.texts, engine: id, model: translated.model, attempts }
+    } catch (error) {
+      console.log(`${adapter.name} translation failed:`, error.message)
+      attempts.push({ engine: id, status: 'failed', error: error.message })
+    }
+  }
+
+  const error = new Error('All translation engines failed')
+  error.attempts = attempts
+  error.instructions = engines
+    .map(id => registry.get(id))
+    .filter(adapter => !adapter.isConfigured())
+    .flatMap(adapter => adapter.setupInstructions.map(step => `${adapter.name}: ${step}`))
+  throw error
+}
+
+// Translates a canonical transcript into `target`. Returns { result, engine, model, attempts }
+// where result is a canonical transcript in the target language.
+export async function translateTranscript(transcript, { source, target, engines, model, onProgress }) {
+  // Utterances usually repeat the segments' text, so each distinct text is translated once
+  const units = [...transcript.segments, ...(transcript.utterances || [])]
+  const texts = units.length > 0
+    ? [...new Set(units.map(unit => unit.text))]
+    : [transcript.text]
+
+  const translated = await translateTexts(texts, { engines, source, target, model, onProgress })
+  const byText = new Map(texts.map((text, index) => [text, translated.texts[index].trim()]))
+  const translate = unit => ({ ...unit, text: byText.get(unit.text) })
+
+  const segments = transcript.segments.map(translate)
+  return {
+    result: createTranscript({
+      text: segments.length > 0 ? segments.map(segment => segment.text).join(' ') : byText.get(transcript.text),
+      language: target,
+      duration: transcript.duration,
+      segments,
+      words: [],
+      utterances: (transcript.utterances || []).map(translate),
+      provider: transcript.provider
+    }),
+    engine: translated.engine,
+    model: translated.model,
+    attempts: translated.attempts
+  }
+}
+
+// Merges `changes` into the stored translation for `language`. Synchronous, so concurrent
+// jobs cannot overwrite each other's entries.
+export function updateTranslation(userId, transcriptionId, language, changes) {
+  const transcription = getTranscription(userId, transcriptionId)
+  if (!transcription) return null
+
+  const translations = transcription.translations || {}
+  return updateTranscription(userId, transcriptionId, {
+    translations: {
+      ...translations,
+      [language]: { ...translations[language], language, ...changes, updatedAt: new Date().toISOString() }
+    }
+  })
+}
+
+// Stored translation without its transcript, for listings
+export function toTranslationSummary(translation) {
+  const { result, ...summary } = translation
+  return summary
+}
@@ -0,0 +1,62 @@
+// LibreTranslate adapter: a self-hosted server running Argos Translate models, so the
+// transcript never leaves your network and no internet connection is needed once the
+// language models are installed.
+//
+// Configuration (environment):
+//   LIBRETRANSLATE_URL      the server, e.g. http://localhost:5000
+//   LIBRETRANSLATE_API_KEY  only when the server requires keys
+
+const BATCH_SIZE = 50 // texts per request
+
+// LibreTranslate's codes where they differ from ISO 639-1
+const LANGUAGE_CODES = { no: 'nb', zh: 'zh-Hans' }
+
+function toEngineCode(code) {
+  return LANGUAGE_CODES[code] || code
+}
+
+const libretranslate = {
+  id: 'libretranslate',
+  name: 'LibreTranslate (local)',
+  offline: true,
+  setupInstructions: [
+    'Run a LibreTranslate server, e.g. docker run -p 5000:5000 libretranslate/libretranslate --load-only en,es',
+    'Add LIBRETRANSLATE_URL=http://localhost:5000 to .env.local'
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.LIBRETRANSLATE_URL)
+  },
+
+  async translate(texts, { source, target, onProgress = () => {} }) {
+    const endpoint = `${process.env.LIBRETRANSLATE_URL.replace(/\/+$/, '')}/translate`
+    const translated = []
+
+    for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          q: texts.slice(start, start + BATCH_SIZE),
+          source: toEngineCode(source),
+          target: toEngineCode(target),
+          format: 'text',
+          ...(process.env.LIBRETRANSLATE_API_KEY ? { api_key: process.env.LIBRETRANSLATE_API_KEY } : {})
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(`LibreTranslate error: ${errorData.error || `${response.status} ${response.statusText}`}`)
+      }
+
+      const { translatedText } = await response.json()
+      translated.push(...translatedText)
+      onProgress(translated.length, texts.length)
+    }
+
+    return { texts: translated, model: 'argos' }
+  }
+}
+
+export default libretranslate
@@ -0,0 +1,98 @@
+// Upload validation shared by the upload page and the API routes. The format is detected
+// from the file contents (lib/audioFormat.js), so uploads are not rejected or accepted
+// because of the MIME type the browser guessed.
+//
+// Errors are { code, message }; routes answer with AUDIO_VALIDATION_STATUS[code].
+
+import { inspectAudio, blobReader, bufferReader } from './audioFormat'
+
+// Files above 25MB are transcribed in chunks (lib/chunking.js)
+export const MAX_UPLOAD_SIZE = 500 * 1024 * 1024 // 500MB
+
+export const SUPPORTED_FORMATS_LABEL = 'MP3, WAV, M4A, OGG, FLAC or AAC audio, or MP4, MOV, MKV or WebM video'
+
+export const AUDIO_VALIDATION_STATUS = {
+  NO_FILE: 400,
+  EMPTY_FILE: 400,
+  FILE_TOO_LARGE: 413,
+  UNSUPPORTED_FORMAT: 415,
+  NO_AUDIO_TRACK: 422
+}
+
+function validationError(code, message) {
+  return { code, message }
+}
+
+// The checks that need no file contents, for callers that only know name and size
+export function checkAudioFileSize(file) {
+  if (!file) {
+    return validationError('NO_FILE', 'No file provided')
+  }
+  if (!file.size) {
+    return validationError('EMPTY_FILE', `${file.name || 'The file'} is empty.`)
+  }
+  if (file.size > MAX_UPLOAD_SIZE) {
+    return validationError('FILE_TOO_LARGE', `File too large. Maximum size is ${formatFileSize(MAX_UPLOAD_SIZE)}.`)
+  }
+  return null
+}
+
+// Validates a File/Blob (browser or route handler) by its contents. `read` overrides how
+// bytes are read, e.g. bufferReader(buffer) when the file is already in memory. Returns
+// { info: { format, mimeType, codec, duration, channels, sampleRate, video } } or { error };
+// video is null for audio files (see lib/audioFormat.js).
+export async function validateAudioFile(file, { read } = {}) {
+  const sizeError = checkAudioFileSize(file)
+  if (sizeError) {
+    return { error: sizeError }
+  }
+
+  const info = await inspectAudio(read || blobReader(file), file.size)
+  if (!info) {
+    return {
+      error: validationError('UNSUPPORTED_FORMAT', `${file.name || 'The file'} is not a supported audio or video file. Please upload ${SUPPORTED_FORMATS_LABEL}.`)
+    }
+  }
+  if (!info.hasAudioTrack) {
+    return { error: validationError('NO_AUDIO_TRACK', `${file.name || 'The file'} contains no audio track.`) }
+  }
+
+  const { hasAudioTrack, ...details } = info
+  return { info: details }
+}
+
+// Reads the `file` field of a multipart request into the audio shape providers expect.
+// audio.type is the detected format's MIME type and audio.info what its headers report.
+export async function readAudioUpload(formData) {
+  const file = formData.get('file')
+  const sizeError = checkAudioFileSize(file)
+  if (sizeError) {
+    return { error: sizeError }
+  }
+
+  const buffer = Buffer.from(await file.arrayBuffer())
+  const { info, error } = await validateAudioFile(file, { read: bufferReader(buffer) })
+  if (error) {
+    return { error }
+  }
+
+  console.log('Processing file:', file.name, 'Size:', file.size, 'Format:', info.format)
+
+  return {
+    audio: {
+      buffer,
+      name: file.name,
+      type: info.mimeType,
+      size: file.size,
+      info
+    }
+  }
+}
+
+export function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes'
+  const k = 1024
+  const sizes = ['Bytes', 'KB', 'MB', 'GB']
+  const i = Math.floor(Math.log(bytes) / Math.log(k))
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+}
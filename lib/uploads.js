@@ -0,0 +1,270 @@
+// Resumable uploads
+//
+// A client opens an upload session, PUTs the file in fixed-size chunks (each at the offset
+// the server reports and with the SHA-256 of the chunk), can ask for the current offset
+// after a dropped connection or a page reload, and finalizes with a checksum of the whole
+// file. Sessions live in data/uploads.json and the bytes in data/uploads/<id>.
+//
+// The whole-file checksum is the SHA-256 of the concatenated SHA-256 digests of every
+// chunk (CHECKSUM_ALGORITHM). Browsers can compute it a chunk at a time, without holding
+// the file in memory.
+//
+// Errors carry error.code: NOT_FOUND, INVALID_UPLOAD, OFFSET_MISMATCH, CHUNK_CHECKSUM_MISMATCH,
+// INCOMPLETE, CHECKSUM_MISMATCH, or one of the audio validation codes in lib/upload.js.
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { v4 as uuidv4 } from 'uuid'
+import { checkAudioFileSize, validateAudioFile, AUDIO_VALIDATION_STATUS } from './upload'
+
+const uploadsFilePath = path.join(process.cwd(), 'data', 'uploads.json')
+const uploadsDir = path.join(process.cwd(), 'data', 'uploads')
+
+export const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024 // 5MB
+export const CHECKSUM_ALGORITHM = 'sha256-chunks'
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000 // unfinished uploads are dropped after a day
+
+// HTTP status for each error code, shared by the upload routes
+export const UPLOAD_ERROR_STATUS = {
+  ...AUDIO_VALIDATION_STATUS,
+  NOT_FOUND: 404,
+  INVALID_UPLOAD: 400,
+  OFFSET_MISMATCH: 409,
+  INCOMPLETE: 409,
+  CHUNK_CHECKSUM_MISMATCH: 422,
+  CHECKSUM_MISMATCH: 422
+}
+
+function uploadError(message, code, extra = {}) {
+  const error = new Error(message)
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
+
+function ensureUploadsFileExists() {
+  if (!fs.existsSync(uploadsFilePath)) {
+    const dir = path.dirname(uploadsFilePath)
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true })
+    }
+    fs.writeFileSync(uploadsFilePath, JSON.stringify({ uploads: [] }, null, 2), 'utf-8')
+  }
+}
+
+function readUploads() {
+  ensureUploadsFileExists()
+  try {
+    const parsed = JSON.parse(fs.readFileSync(uploadsFilePath, 'utf-8'))
+    return Array.isArray(parsed.uploads) ? parsed.uploads : []
+  } catch (error) {
+    console.error('Failed to read uploads.json:', error)
+    return []
+  }
+}
+
+function writeUploads(uploads) {
+  ensureUploadsFileExists()
+  try {
+    fs.writeFileSync(uploadsFilePath, JSON.stringify({ uploads }, null, 2), 'utf-8')
+    return true
+  } catch (error) {
+    console.error('Failed to write uploads.json:', error)
+    return false
+  }
+}
+
+function uploadPath(id) {
+  return path.join(uploadsDir, id)
+}
+
+// Bytes received so far; the file on disk is the source of truth
+function currentOffset(id) {
+  try {
+    return fs.statSync(uploadPath(id)).size
+  } catch {
+    return 0
+  }
+}
+
+function toPublicUpload(upload) {
+  const { userId, ...rest } = upload
+  return { ...rest, offset: currentOffset(upload.id) }
+}
+
+// Drops sessions nobody touched within UPLOAD_TTL_MS, with their data
+function removeExpiredUploads(uploads) {
+  const now = Date.now()
+  return uploads.filter(upload => {
+    const expired = now - new Date(upload.updatedAt || upload.createdAt) > UPLOAD_TTL_MS
+    if (expired) fs.rmSync(uploadPath(upload.id), { force: true })
+    return !expired
+  })
+}
+
+function findUpload(userId, id) {
+  const upload = readUploads().find(u => u.id === id && u.userId === userId)
+  if (!upload) {
+    throw uploadError('Upload not found', 'NOT_FOUND')
+  }
+  return upload
+}
+
+function touchUpload(id, changes = {}) {
+  const uploads = readUploads()
+  const index = uploads.findIndex(upload => upload.id === id)
+  if (index === -1) return null
+  uploads[index] = { ...uploads[index], ...changes, updatedAt: new Date().toISOString() }
+  writeUploads(uploads)
+  return uploads[index]
+}
+
+export function createUpload(userId, { fileName, fileSize, fileType, transcriptionId }) {
+  const size = Number(fileSize)
+  const invalid = !fileName
+    ? 'fileName is required'
+    : !Number.isInteger(size) || size <= 0
+      ? 'fileSize must be a positive number of bytes'
+      : null
+  if (invalid) {
+    throw uploadError(invalid, 'INVALID_UPLOAD')
+  }
+  // The contents are checked once the whole file is here (finalizeUpload)
+  const sizeError = checkAudioFileSize({ name: fileName, size })
+  if (sizeError) {
+    throw uploadError(sizeError.message, sizeError.code)
+  }
+
+  const now = new Date().toISOString()
+  const upload = {
+    id: uuidv4(),
+    userId,
+    fileName: String(fileName),
+    fileSize: size,
+    fileType: String(fileType),
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    checksumAlgorithm: CHECKSUM_ALGORITHM,
+    transcriptionId: transcriptionId || null,
+    status: 'uploading',
+    createdAt: now,
+    updatedAt: now
+  }
+
+  const uploads = removeExpiredUploads(readUploads())
+  uploads.push(upload)
+  if (!writeUploads(uploads)) {
+    throw new Error('Failed to save upload')
+  }
+  fs.mkdirSync(uploadsDir, { recursive: true })
+  fs.writeFileSync(uploadPath(upload.id), Buffer.alloc(0))
+  return toPublicUpload(upload)
+}
+
+export function getUpload(userId, id) {
+  return toPublicUpload(findUpload(userId, id))
+}
+
+// Appends one chunk. `offset` must equal the bytes received so far and every chunk but the
+// last must be exactly chunkSize long, so chunk boundaries match the checksum scheme.
+export function appendUploadChunk(userId, id, { offset, data, checksum }) {
+  const upload = findUpload(userId, id)
+  if (upload.status !== 'uploading') {
+    throw uploadError('Upload is already finalized', 'INVALID_UPLOAD')
+  }
+
+  const received = currentOffset(id)
+  if (offset !== received) {
+    throw uploadError(`Expected offset ${received}, got ${offset}`, 'OFFSET_MISMATCH', { offset: received })
+  }
+  const isLast = offset + data.length === upload.fileSize
+  if (data.length === 0 || offset + data.length > upload.fileSize || (!isLast && data.length !== upload.chunkSize)) {
+    throw uploadError(`Chunks must be ${upload.chunkSize} bytes (the last one may be shorter) and stay within the file size`, 'INVALID_UPLOAD')
+  }
+  if (!checksum || sha256(data) !== String(checksum).toLowerCase()) {
+    throw uploadError('Chunk checksum does not match; resend the chunk', 'CHUNK_CHECKSUM_MISMATCH', { offset: received })
+  }
+
+  // Synchronous so the offset check and the append cannot interleave with another request
+  fs.appendFileSync(uploadPath(id), data)
+  touchUpload(id)
+  return { offset: received + data.length, size: upload.fileSize }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex')
+}
+
+// Reader for lib/audioFormat.js over an open file
+function handleReader(handle) {
+  return async (start, end) => {
+    const buffer = Buffer.alloc(end - start)
+    const { bytesRead } = await handle.read(buffer, 0, end - start, start)
+    return buffer.subarray(0, bytesRead)
+  }
+}
+
+async function inspectUploadedFile(upload) {
+  const handle = await fs.promises.open(uploadPath(upload.id), 'r')
+  try {
+    return await validateAudioFile({ name: upload.fileName, size: upload.fileSize }, { read: handleReader(handle) })
+  } finally {
+    await handle.close()
+  }
+}
+
+// CHECKSUM_ALGORITHM over the file on disk, reading one chunk at a time
+async function fileChecksum(filePath, chunkSize) {
+  const digests = crypto.createHash('sha256')
+  const handle = await fs.promises.open(filePath, 'r')
+  try {
+    const buffer = Buffer.alloc(chunkSize)
+    let position = 0
+    for (;;) {
+      const { bytesRead } = await handle.read(buffer, 0, chunkSize, position)
+      if (bytesRead === 0) break
+      digests.update(crypto.createHash('sha256').update(buffer.subarray(0, bytesRead)).digest())
+      position += bytesRead
+    }
+  } finally {
+    await handle.close()
+  }
+  return digests.digest('hex')
+}
+
+// Checks the upload is complete, intact and really audio. Returns the session and the audio
+// descriptor ({ path, name, type, size, info }) for the job queue. The session stays open
+// until the caller deletes it once the job owns the file, so a failed queueing can be
+// retried. A checksum mismatch or a file that is not audio discards the data.
+export async function finalizeUpload(userId, id, { checksum }) {
+  const upload = findUpload(userId, id)
+  const received = currentOffset(id)
+  if (received !== upload.fileSize) {
+    throw uploadError(`Upload incomplete: ${received} of ${upload.fileSize} bytes received`, 'INCOMPLETE', { offset: received })
+  }
+
+  const actual = await fileChecksum(uploadPath(id), upload.chunkSize)
+  if (!checksum || actual !== String(checksum).toLowerCase()) {
+    deleteUpload(userId, id)
+    throw uploadError('File checksum does not match; upload the file again', 'CHECKSUM_MISMATCH')
+  }
+
+  const { info, error } = await inspectUploadedFile(upload)
+  if (error) {
+    deleteUpload(userId, id)
+    throw uploadError(error.message, error.code)
+  }
+
+  return {
+    upload: toPublicUpload(upload),
+    audio: { path: uploadPath(id), name: upload.fileName, type: info.mimeType, size: upload.fileSize, info }
+  }
+}
+
+export function deleteUpload(userId, id) {
+  const uploads = readUploads()
+  const upload = uploads.find(u => u.id === id && u.userId === userId)
+  if (!upload) return false
+  fs.rmSync(uploadPath(id), { force: true })
+  return writeUploads(uploads.filter(u => u.id !== id))
+}
@@ -0,0 +1,220 @@
+import fs from 'fs'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+
+// Custom vocabulary: product names, jargon and acronyms with their expected spelling.
+// Each term is { id, userId, phrase, variants, createdAt, updatedAt }, where `phrase` is the
+// spelling to end up in the transcript and `variants` are ways providers get it wrong
+// ('cube control' for 'kubectl').
+//
+// Providers that take hints (capabilities.vocabulary) receive the phrases as
+// options.vocabulary; the others get their transcript corrected afterwards by replacing
+// every variant with its phrase (see applyVocabulary).
+
+const vocabularyFilePath = path.join(process.cwd(), 'data', 'vocabulary.json')
+
+export const MAX_TERMS = 500
+export const MAX_PHRASE_LENGTH = 100
+// AssemblyAI boosts phrases of up to six words
+export const MAX_PHRASE_WORDS = 6
+export const MAX_VARIANTS = 10
+
+// Whisper reads at most 224 prompt tokens; this keeps the glossary well inside that
+const MAX_PROMPT_LENGTH = 600
+
+function ensureVocabularyFileExists() {
+  if (!fs.existsSync(vocabularyFilePath)) {
+    const dir = path.dirname(vocabularyFilePath)
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true })
+    }
+    fs.writeFileSync(vocabularyFilePath, JSON.stringify({ terms: [] }, null, 2), 'utf-8')
+  }
+}
+
+function readTerms() {
+  ensureVocabularyFileExists()
+  try {
+    const raw = fs.readFileSync(vocabularyFilePath, 'utf-8')
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed.terms) ? parsed.terms : []
+  } catch (error) {
+    console.error('Failed to read vocabulary.json:', error)
+    return []
+  }
+}
+
+function writeTerms(terms) {
+  ensureVocabularyFileExists()
+  try {
+    fs.writeFileSync(vocabularyFilePath, JSON.stringify({ terms }, null, 2), 'utf-8')
+    return true
+  } catch (error) {
+    console.error('Failed to write vocabulary.json:', error)
+    return false
+  }
+}
+
+const normalizeSpaces = value => String(value).trim().replace(/\s+/g, ' ')
+
+// Checks a term from a request and returns { term: { phrase, variants } } or { error }
+export function validateTerm({ phrase, variants = [] } = {}) {
+  if (typeof phrase !== 'string' || !phrase.trim()) {
+    return { error: 'Phrase is required' }
+  }
+  const cleanPhrase = normalizeSpaces(phrase)
+  if (cleanPhrase.length > MAX_PHRASE_LENGTH) {
+    return { error: `Phrase must be at most ${MAX_PHRASE_LENGTH} characters` }
+  }
+  if (cleanPhrase.split(' ').length > MAX_PHRASE_WORDS) {
+    return { error: `Phrase must be at most ${MAX_PHRASE_WORDS} words` }
+  }
+
+  if (!Array.isArray(variants) || variants.some(variant => typeof variant !== 'string')) {
+    return { error: 'Variants must be a list of strings' }
+  }
+  const cleanVariants = [...new Set(variants.map(normalizeSpaces).filter(Boolean))]
+    .filter(variant => variant !== cleanPhrase)
+  if (cleanVariants.length > MAX_VARIANTS) {
+    return { error: `A term can have at most ${MAX_VARIANTS} variants` }
+  }
+  if (cleanVariants.some(variant => variant.length > MAX_PHRASE_LENGTH)) {
+    return { error: `Variants must be at most ${MAX_PHRASE_LENGTH} characters` }
+  }
+
+  return { term: { phrase: cleanPhrase, variants: cleanVariants } }
+}
+
+// HTTP status for each error code thrown by addTerm and updateTerm
+export const VOCABULARY_ERROR_STATUS = {
+  DUPLICATE_TERM: 409,
+  TOO_MANY_TERMS: 422
+}
+
+function vocabularyError(message, code) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Alphabetical, like the vocabulary page shows them
+export function listTerms(userId) {
+  return readTerms()
+    .filter(t => t.userId === userId)
+    .sort((a, b) => a.phrase.localeCompare(b.phrase))
+}
+
+// `term` has been through validateTerm. Throws DUPLICATE_TERM when the user already has
+// the phrase (compared case-insensitively) and TOO_MANY_TERMS past MAX_TERMS.
+export function addTerm(userId, { phrase, variants }) {
+  const terms = readTerms()
+  const own = terms.filter(t => t.userId === userId)
+  if (own.some(t => t.phrase.toLowerCase() === phrase.toLowerCase())) {
+    throw vocabularyError(`"${phrase}" is already in your vocabulary`, 'DUPLICATE_TERM')
+  }
+  if (own.length >= MAX_TERMS) {
+    throw vocabularyError(`A vocabulary can hold at most ${MAX_TERMS} terms`, 'TOO_MANY_TERMS')
+  }
+
+  const now = new Date().toISOString()
+  const term = { id: uuidv4(), userId, phrase, variants, createdAt: now, updatedAt: now }
+  terms.push(term)
+  if (!writeTerms(terms)) {
+    throw new Error('Failed to save vocabulary term')
+  }
+  return term
+}
+
+export function updateTerm(userId, id, { phrase, variants }) {
+  const terms = readTerms()
+  const index = terms.findIndex(t => t.id === id && t.userId === userId)
+  if (index === -1) return null
+
+  if (terms.some(t => t.userId === userId && t.id !== id && t.phrase.toLowerCase() === phrase.toLowerCase())) {
+    throw vocabularyError(`"${phrase}" is already in your vocabulary`, 'DUPLICATE_TERM')
+  }
+
+  terms[index] = { ...terms[index], phrase, variants, updatedAt: new Date().toISOString() }
+  if (!writeTerms(terms)) {
+    throw new Error('Failed to save vocabulary term')
+  }
+  return terms[index]
+}
+
+export function deleteTerm(userId, id) {
+  const terms = readTerms()
+  const remaining = terms.filter(t => !(t.id === id && t.userId === userId))
+  if (remaining.length === terms.length) return false
+  writeTerms(remaining)
+  return true
+}
+
+// What a transcription job needs from the vocabulary: the phrases and their variants
+export function vocabularyForJob(userId) {
+  return listTerms(userId).map(({ phrase, variants }) => ({ phrase, variants }))
+}
+
+// The phrases as provider hints
+export function vocabularyPhrases(terms = []) {
+  return [...new Set(terms.map(term => term.phrase))]
+}
+
+// Whisper has no boosting; a prompt that already uses the terms steers it towards their
+// spelling. Phrases that do not fit in the prompt are left out.
+export function vocabularyPrompt(phrases = []) {
+  let prompt = ''
+  for (const phrase of phrases) {
+    const next = prompt ? `${prompt}, ${phrase}` : `Glossary: ${phrase}`
+    if (next.length + 1 > MAX_PROMPT_LENGTH) break
+    prompt = next
+  }
+  return prompt ? `${prompt}.` : ''
+}
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Whole-word, case-insensitive matches of each variant; longer variants go first so
+// 'cube control plane' wins over 'cube control'
+function replacementRules(terms) {
+  return terms
+    .flatMap(term => term.variants.map(variant => ({ variant, phrase: term.phrase })))
+    .sort((a, b) => b.variant.length - a.variant.length)
+    .map(({ variant, phrase }) => ({
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}])${variant.split(' ').map(escapeRegExp).join('\\s+')}(?![\\p{L}\\p{N}])`, 'giu'),
+      phrase,
+      singleWord: !variant.includes(' ')
+    }))
+}
+
+function replaceVariants(text, rules) {
+  let count = 0
+  const fixed = rules.reduce((current, rule) => current.replace(rule.pattern, match => {
+    if (match !== rule.phrase) count++
+    return rule.phrase
+  }), text)
+  return [fixed, count]
+}
+
+// Replaces every variant with its phrase in the transcript's text, segments and
+// utterances. Words are only corrected by single-word variants, since a multi-word
+// variant spans several timed words. Returns { transcript, replacements }, counted in the
+// full text.
+export function applyVocabulary(transcript, terms = []) {
+  const rules = replacementRules(terms)
+  if (rules.length === 0) {
+    return { transcript, replacements: 0 }
+  }
+
+  const wordRules = rules.filter(rule => rule.singleWord)
+  const [text, replacements] = replaceVariants(transcript.text, rules)
+  return {
+    transcript: {
+      ...transcript,
+      text,
+      segments: transcript.segments.map(segment => ({ ...segment, text: replaceVariants(segment.text, rules)[0] })),
+      words: transcript.words.map(word => ({ ...word, text: replaceVariants(word.text, wordRules)[0] })),
+      utterances: transcript.utterances.map(utterance => ({ ...utterance, text: replaceVariants(utterance.text, rules)[0] }))
+    },
+    replacements
+  }
+}
@@ -12,7 +12,7 @@ export default withAuth(
 )
 
 export const config = {
-  matcher: ['/upload/:path*', '/dashboard/:path*']
+  matcher: ['/upload/:path*', '/dashboard/:path*', '/live/:path*', '/compare/:path*', '/evaluation/:path*', '/vocabulary/:path*']
 }
 
 
@@ -1,7 +1,11 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  // Simple configuration without experimental features
-  // App directory is stable in Next.js 14, no need for experimental flags
+  experimental: {
+    // instrumentation.js starts the live transcription WebSocket server
+    instrumentationHook: true,
+    // ws has optional native add-ons that must not be bundled
+    serverComponentsExternalPackages: ['ws']
+  }
 }
 
 module.exports = nextConfig
@@ -0,0 +1,46 @@
+// AudioWorklet that turns microphone input into the live transcription format: 16kHz
+// mono 16-bit PCM, posted to the main thread in frames of FRAME_SAMPLES (100ms)
+
+const TARGET_RATE = 16000
+const FRAME_SAMPLES = 1600
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super()
+    // `sampleRate` is the AudioContext's rate, usually 44.1 or 48kHz
+    this.ratio = sampleRate / TARGET_RATE
+    this.position = 0
+    this.sum = 0
+    this.count = 0
+    this.frame = new Int16Array(FRAME_SAMPLES)
+    this.length = 0
+  }
+
+  // Each output sample is the average of the input samples it covers
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0]
+    if (!channel) return true
+
+    for (let i = 0; i < channel.length; i++) {
+      this.sum += channel[i]
+      this.count++
+      this.position++
+      if (this.position >= this.ratio) {
+        this.position -= this.ratio
+        const value = Math.max(-1, Math.min(1, this.sum / this.count))
+        this.frame[this.length++] = value < 0 ? value * 32768 : value * 32767
+        this.sum = 0
+        this.count = 0
+
+        if (this.length === FRAME_SAMPLES) {
+          this.port.postMessage(this.frame.buffer, [this.frame.buffer])
+          this.frame = new Int16Array(FRAME_SAMPLES)
+          this.length = 0
+        }
+      }
+    }
+    return true
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor)